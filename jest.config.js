@@ -4,6 +4,7 @@ module.exports = {
   collectCoverageFrom: [
     'src/**/*.js',
     '!src/server.js', // Exclude server entry point
+    '!src/scripts/**', // Exclude CLI scripts
     '!**/node_modules/**'
   ],
   testMatch: [
@@ -0,0 +1,35 @@
+/**
+ * iDNA Amount Helpers
+ *
+ * iDNA amounts are decimal strings with up to 18 fractional digits.
+ * Arithmetic is done in atomic units with BigInt to avoid float rounding.
+ */
+
+const DNA_DECIMALS = 18;
+
+/**
+ * Parse a decimal iDNA amount into atomic units
+ */
+function toAtomic(value) {
+  const str = String(value ?? '0').trim();
+  const negative = str.startsWith('-');
+  const [whole, fraction = ''] = str.replace(/^[-+]/, '').split('.');
+  const units =
+    BigInt(whole || '0') * 10n ** BigInt(DNA_DECIMALS) +
+    BigInt(fraction.slice(0, DNA_DECIMALS).padEnd(DNA_DECIMALS, '0') || '0');
+  return negative ? -units : units;
+}
+
+/**
+ * Format atomic units as a decimal iDNA amount
+ */
+function fromAtomic(units) {
+  const negative = units < 0n;
+  const abs = negative ? -units : units;
+  const scale = 10n ** BigInt(DNA_DECIMALS);
+  const fraction = (abs % scale).toString().padStart(DNA_DECIMALS, '0').replace(/0+$/, '');
+  const str = fraction ? `${abs / scale}.${fraction}` : `${abs / scale}`;
+  return negative ? `-${str}` : str;
+}
+
+module.exports = { DNA_DECIMALS, toAtomic, fromAtomic };
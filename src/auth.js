@@ -0,0 +1,72 @@
+/**
+ * Admin Authentication
+ *
+ * Routes that change server-side state (webhooks, watchlists) require the
+ * X-Admin-Key header to match ADMIN_API_KEY, and are unavailable while no
+ * key is configured. Their records live in the historical database, and the
+ * helpers for it are shared here too.
+ */
+
+const crypto = require('crypto');
+const historyDB = require('./db');
+
+function sendError(res, status, message) {
+  return res.status(status).json({
+    error: {
+      message,
+      status,
+    },
+  });
+}
+
+/**
+ * Express middleware rejecting requests without the admin key
+ */
+function requireAdminKey(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return sendError(res, 503, 'Admin routes require ADMIN_API_KEY to be configured');
+  }
+
+  // Compare digests so the check takes the same time for any key length
+  const digest = (value) => crypto.createHash('sha256').update(String(value)).digest();
+  const provided = req.get('X-Admin-Key');
+  if (!provided || !crypto.timingSafeEqual(digest(provided), digest(adminKey))) {
+    return sendError(res, 401, 'Invalid or missing admin key');
+  }
+
+  next();
+}
+
+/**
+ * Express middleware rejecting requests while the historical database is disabled
+ */
+function requireHistory(req, res, next) {
+  if (!historyDB.enabled) {
+    return sendError(res, 503, 'Historical database not enabled');
+  }
+  next();
+}
+
+/**
+ * Load the record named by :id or respond with 400/404
+ * @param {Function} lookup - Returns the record for an id, or null
+ * @param {string} label - Record name for error messages, e.g. 'webhook'
+ * @returns {object|null} - The record, null once an error was sent
+ */
+function findById(req, res, lookup, label) {
+  const id = parseInt(req.params.id);
+  if (!Number.isInteger(id) || String(id) !== req.params.id) {
+    sendError(res, 400, `Invalid ${label} id`);
+    return null;
+  }
+
+  const record = lookup(id);
+  if (!record) {
+    sendError(res, 404, `${label[0].toUpperCase()}${label.slice(1)} not found`);
+    return null;
+  }
+  return record;
+}
+
+module.exports = { sendError, requireAdminKey, requireHistory, findById };
@@ -0,0 +1,223 @@
+/**
+ * Built-in Contract Decoding
+ *
+ * Idena's embedded contracts are identified by fixed code hashes and take
+ * their arguments as raw byte arrays. This maps each built-in type to its
+ * deploy and method argument layout so payloads can be decoded without the
+ * node, and decodes single values in the formats the node accepts.
+ */
+
+const { fromAtomic } = require('./amounts');
+const { decodeFields, getField, getRepeated, hexToBuffer } = require('./protobuf');
+
+// Embedded contracts are registered as common.Hash{n}: the type byte first, then zeros
+const codeHash = (n) => `0x${n.toString(16).padStart(2, '0').padEnd(64, '0')}`;
+
+// Argument layouts follow idena-go's vm/embedded contracts
+const BUILTIN_CONTRACTS = [
+  {
+    type: 'TimeLock',
+    codeHash: codeHash(1),
+    deploy: [['timestamp', 'uint64']],
+    methods: {
+      transfer: [
+        ['destination', 'address'],
+        ['amount', 'dna'],
+      ],
+    },
+  },
+  {
+    type: 'OracleVoting',
+    codeHash: codeHash(2),
+    deploy: [
+      ['fact', 'hex'],
+      ['startTime', 'uint64'],
+      ['votingDuration', 'uint64'],
+      ['publicVotingDuration', 'uint64'],
+      ['winnerThreshold', 'byte'],
+      ['quorum', 'byte'],
+      ['committeeSize', 'uint64'],
+      ['votingMinPayment', 'dna'],
+      ['ownerFee', 'byte'],
+    ],
+    methods: {
+      startVoting: [],
+      sendVoteProof: [['voteHash', 'hex']],
+      sendVote: [
+        ['vote', 'byte'],
+        ['salt', 'hex'],
+      ],
+      finishVoting: [],
+      prolongVoting: [],
+      addStake: [],
+    },
+  },
+  {
+    type: 'OracleLock',
+    codeHash: codeHash(3),
+    deploy: [
+      ['oracleVotingAddress', 'address'],
+      ['value', 'byte'],
+      ['successAddress', 'address'],
+      ['failAddress', 'address'],
+    ],
+    methods: {
+      checkOracleVoting: [],
+      push: [],
+    },
+  },
+  {
+    type: 'RefundableOracleLock',
+    codeHash: codeHash(4),
+    deploy: [
+      ['oracleVotingAddress', 'address'],
+      ['value', 'byte'],
+      ['successAddress', 'address'],
+      ['failAddress', 'address'],
+      ['depositDeadline', 'uint64'],
+      ['oracleVotingFee', 'byte'],
+      ['refundDelay', 'uint64'],
+    ],
+    methods: {
+      deposit: [],
+      push: [],
+      refund: [],
+    },
+  },
+  {
+    type: 'Multisig',
+    codeHash: codeHash(5),
+    deploy: [
+      ['maxVotes', 'byte'],
+      ['minVotes', 'byte'],
+    ],
+    methods: {
+      add: [['address', 'address']],
+      send: [
+        ['destination', 'address'],
+        ['amount', 'dna'],
+      ],
+      push: [
+        ['destination', 'address'],
+        ['amount', 'dna'],
+      ],
+    },
+  },
+];
+
+const CONTRACT_TYPES = BUILTIN_CONTRACTS.map((c) => c.type);
+const VALUE_FORMATS = ['byte', 'uint64', 'bigint', 'dna', 'address', 'string', 'hex'];
+
+/**
+ * Get the built-in contract type for a code hash, or null for custom contracts
+ */
+function getContractType(hash) {
+  if (!hash) {
+    return null;
+  }
+  const contract = BUILTIN_CONTRACTS.find((c) => c.codeHash === hash.toLowerCase());
+  return contract ? contract.type : null;
+}
+
+/**
+ * Decode a single value
+ * @param {Buffer|string} input - Raw bytes or hex string
+ * @param {string} format - One of VALUE_FORMATS
+ * @returns {string|number|null} - null for empty values
+ */
+function decodeValue(input, format) {
+  const bytes = Buffer.isBuffer(input) ? input : hexToBuffer(input);
+  if (bytes.length === 0) {
+    return null;
+  }
+
+  switch (format) {
+    case 'byte':
+      return bytes[0];
+    case 'uint64':
+      // Little-endian, shorter values are zero-extended
+      return Buffer.concat([bytes, Buffer.alloc(8)])
+        .readBigUInt64LE(0)
+        .toString();
+    case 'bigint':
+      return BigInt(`0x${bytes.toString('hex')}`).toString();
+    case 'dna':
+      return fromAtomic(BigInt(`0x${bytes.toString('hex')}`));
+    case 'address':
+    case 'hex':
+      return `0x${bytes.toString('hex')}`;
+    case 'string':
+      return bytes.toString('utf8');
+    default:
+      throw new Error(`Unknown value format: ${format}`);
+  }
+}
+
+/**
+ * Decode positional arguments with a [name, format] layout. Arguments beyond
+ * the layout (or of unknown contracts) are returned as hex without a name.
+ */
+function decodeArgs(layout, args) {
+  return args.map((arg, i) => {
+    const [name, format] = layout?.[i] || [null, 'hex'];
+    let value;
+    try {
+      value = decodeValue(arg, format);
+    } catch {
+      value = decodeValue(arg, 'hex');
+    }
+    return { name, format, value };
+  });
+}
+
+/**
+ * Decode a DeployContractTx payload
+ * @returns {object|null} - { codeHash, type, args }
+ */
+function decodeDeployPayload(payload) {
+  try {
+    const fields = decodeFields(payload);
+    const hash = getField(fields, 1);
+    const hashHex = hash ? `0x${hash.toString('hex')}` : null;
+    const type = getContractType(hashHex);
+    const layout = BUILTIN_CONTRACTS.find((c) => c.type === type)?.deploy;
+
+    return {
+      codeHash: hashHex,
+      type,
+      args: decodeArgs(layout, getRepeated(fields, 2)),
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode a CallContractTx payload, using the method layout of a built-in type
+ * @returns {object|null} - { method, args }
+ */
+function decodeCallPayload(payload, type = null) {
+  try {
+    const fields = decodeFields(payload);
+    const methodBytes = getField(fields, 1);
+    const method = methodBytes ? methodBytes.toString('utf8') : null;
+    const layout = BUILTIN_CONTRACTS.find((c) => c.type === type)?.methods[method];
+
+    return {
+      method,
+      args: decodeArgs(layout, getRepeated(fields, 2)),
+    };
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  BUILTIN_CONTRACTS,
+  CONTRACT_TYPES,
+  VALUE_FORMATS,
+  getContractType,
+  decodeValue,
+  decodeDeployPayload,
+  decodeCallPayload,
+};
@@ -6,12 +6,97 @@
  * - Transactions (hash, type, from, to, amount)
  * - Epochs (summary data per validation cycle)
  * - Identity states (state changes per address per epoch)
+ * - Identity changes (mid-epoch kills, online toggles, delegations)
  * - Address states (balance/stake snapshots per epoch)
+ * - Burnt coins per block
+ * - Webhook subscriptions and their delivery log
+ * - Address watchlists and the alerts their rules fired
  * - Sync status tracking
  */
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const { toAtomic, fromAtomic } = require('./amounts');
+const { getContractType } = require('./contracts');
+
+// Bumped when _migrateSchema gains a one-off data migration
+const SCHEMA_VERSION = 2;
+
+/**
+ * Decode a hex event argument without the contract ABI: as printable
+ * UTF-8 text and as an unsigned big-endian integer (up to 32 bytes)
+ */
+function decodeEventArg(hex) {
+  const clean = typeof hex === 'string' ? hex.replace(/^0x/i, '') : '';
+  if (!/^([0-9a-f]{2})*$/i.test(clean)) {
+    return { hex, text: null, number: null };
+  }
+
+  const bytes = Buffer.from(clean, 'hex');
+  const text = bytes.toString('utf8');
+  const printable =
+    bytes.length > 0 && !text.includes('\uFFFD') && bytes.every((b) => b >= 0x20 && b !== 0x7f);
+
+  return {
+    hex,
+    text: printable ? text : null,
+    number: bytes.length > 0 && bytes.length <= 32 ? BigInt(`0x${clean}`).toString() : null,
+  };
+}
+
+// Last known state of an address before an epoch: a mid-epoch change
+// (ordered after that epoch's snapshot) or the latest snapshot.
+// Params: address, epoch, address, epoch
+const PREVIOUS_STATE_SQL = `(
+  SELECT state FROM (
+    SELECT state, epoch, 0 AS seq FROM identity_states
+    WHERE LOWER(address) = LOWER(?) AND epoch < ?
+    UNION ALL
+    SELECT new_state, epoch, block_height AS seq FROM identity_changes
+    WHERE LOWER(address) = LOWER(?) AND epoch < ? AND new_state IS NOT NULL
+  ) ORDER BY epoch DESC, seq DESC LIMIT 1
+)`;
+
+// Re-inserting a transaction (repairs, backfill overlap) updates the row in
+// place: REPLACE would give it a new rowid, which the address event stream
+// uses as its cursor
+const UPSERT_TRANSACTION_SQL = `
+  INSERT INTO transactions (
+    hash, block_height, tx_index, type, from_addr, to_addr, amount, fee, nonce, timestamp
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(hash) DO UPDATE SET
+    block_height = excluded.block_height,
+    tx_index = excluded.tx_index,
+    type = excluded.type,
+    from_addr = excluded.from_addr,
+    to_addr = excluded.to_addr,
+    amount = excluded.amount,
+    fee = excluded.fee,
+    nonce = excluded.nonce,
+    timestamp = excluded.timestamp
+`;
+
+// Deploys found after calls to the contract (placeholder rows with
+// deploy_tx_hash 'unknown') upgrade the row in place; a termination seen
+// earlier is kept
+const UPSERT_CONTRACT_SQL = `
+  INSERT INTO contracts (
+    address, deploy_tx_hash, deployer, code_hash, type, stake, state, epoch, block_height, timestamp
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  ON CONFLICT(address) DO UPDATE SET
+    deploy_tx_hash = excluded.deploy_tx_hash,
+    deployer = excluded.deployer,
+    code_hash = COALESCE(excluded.code_hash, contracts.code_hash),
+    type = COALESCE(excluded.type, contracts.type),
+    stake = excluded.stake,
+    state = CASE WHEN contracts.state = 'terminated' THEN contracts.state ELSE excluded.state END,
+    epoch = excluded.epoch,
+    block_height = excluded.block_height,
+    timestamp = excluded.timestamp
+`;
+
+// Transaction types that deploy a contract, as reported by different node versions
+const DEPLOY_TX_TYPES = ['deploycontracttx', 'deploy_contract', 'deploycontract'];
 
 class HistoryDB {
   constructor(dbPath = null) {
@@ -43,6 +128,7 @@ class HistoryDB {
       this.db.pragma('synchronous = NORMAL'); // Balance safety vs speed
 
       this._createSchema();
+      this._migrateSchema();
       console.log(`Historical database initialized at ${this.dbPath}`);
     } catch (error) {
       console.error('Failed to initialize historical database:', error.message);
@@ -62,7 +148,8 @@ class HistoryDB {
         timestamp INTEGER NOT NULL,
         epoch INTEGER NOT NULL,
         proposer TEXT,
-        tx_count INTEGER DEFAULT 0
+        tx_count INTEGER DEFAULT 0,
+        parent_hash TEXT
       );
 
       -- Transactions table
@@ -87,7 +174,9 @@ class HistoryDB {
         highest_known_block INTEGER DEFAULT 0,
         last_sync_time INTEGER,
         sync_start_block INTEGER DEFAULT 0,
-        is_syncing INTEGER DEFAULT 0
+        is_syncing INTEGER DEFAULT 0,
+        backfill_block INTEGER,
+        backfill_target INTEGER
       );
 
       -- Initialize sync status if not exists
@@ -119,6 +208,21 @@ class HistoryDB {
         UNIQUE(address, epoch)
       );
 
+      -- Identity changes table (mid-epoch kills, online toggles and delegations)
+      CREATE TABLE IF NOT EXISTS identity_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        address TEXT NOT NULL,
+        epoch INTEGER NOT NULL,
+        change_type TEXT NOT NULL,
+        prev_state TEXT,
+        new_state TEXT,
+        counterparty TEXT,
+        tx_hash TEXT NOT NULL,
+        block_height INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        UNIQUE(tx_hash, address)
+      );
+
       -- Address states table (balance/stake snapshots per epoch)
       CREATE TABLE IF NOT EXISTS address_states (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -168,6 +272,23 @@ class HistoryDB {
         timestamp INTEGER NOT NULL
       );
 
+      -- Balance anchors (known balance of an address at a height, from dna_getBalance)
+      CREATE TABLE IF NOT EXISTS balance_anchors (
+        address TEXT PRIMARY KEY,
+        block_height INTEGER NOT NULL,
+        balance TEXT NOT NULL
+      );
+
+      -- Burnt coins per block (fee share burnt by consensus plus BurnTx amounts)
+      CREATE TABLE IF NOT EXISTS block_burns (
+        block_height INTEGER PRIMARY KEY,
+        epoch INTEGER NOT NULL,
+        fees TEXT DEFAULT '0',
+        fee_burnt TEXT DEFAULT '0',
+        tx_burnt TEXT DEFAULT '0',
+        timestamp INTEGER NOT NULL
+      );
+
       -- Penalties table (track penalties per address per epoch)
       CREATE TABLE IF NOT EXISTS penalties (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -200,6 +321,7 @@ class HistoryDB {
         deploy_tx_hash TEXT NOT NULL,
         deployer TEXT NOT NULL,
         code_hash TEXT,
+        type TEXT,
         stake TEXT DEFAULT '0',
         state TEXT DEFAULT 'active',
         epoch INTEGER NOT NULL,
@@ -214,13 +336,120 @@ class HistoryDB {
         contract_address TEXT NOT NULL,
         caller TEXT NOT NULL,
         method TEXT,
+        args TEXT,
         amount TEXT DEFAULT '0',
         success INTEGER DEFAULT 1,
+        gas_used INTEGER,
+        used_fee TEXT,
+        error TEXT,
         block_height INTEGER NOT NULL,
         timestamp INTEGER NOT NULL,
         FOREIGN KEY (contract_address) REFERENCES contracts(address)
       );
 
+      -- Contract events table (events emitted in transaction receipts)
+      CREATE TABLE IF NOT EXISTS contract_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tx_hash TEXT NOT NULL,
+        log_index INTEGER NOT NULL,
+        contract_address TEXT NOT NULL,
+        event_name TEXT NOT NULL,
+        args TEXT DEFAULT '[]',
+        block_height INTEGER NOT NULL,
+        timestamp INTEGER NOT NULL,
+        UNIQUE(tx_hash, log_index)
+      );
+
+      -- Chain reorganizations (forks detected and rolled back by the sync)
+      CREATE TABLE IF NOT EXISTS chain_reorgs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        common_ancestor INTEGER NOT NULL,
+        old_tip INTEGER NOT NULL,
+        depth INTEGER NOT NULL,
+        old_tip_hash TEXT,
+        new_tip_hash TEXT,
+        removed_blocks INTEGER DEFAULT 0,
+        removed_transactions INTEGER DEFAULT 0,
+        detected_at INTEGER NOT NULL
+      );
+
+      -- Sync failures (blocks/transactions that could not be fetched, retried by repair pass)
+      CREATE TABLE IF NOT EXISTS sync_failures (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        kind TEXT NOT NULL,
+        block_height INTEGER NOT NULL,
+        tx_hash TEXT,
+        tx_index INTEGER,
+        attempts INTEGER DEFAULT 1,
+        last_error TEXT,
+        first_failed_at INTEGER NOT NULL,
+        last_attempt_at INTEGER NOT NULL
+      );
+
+      -- Webhook subscriptions (matching rules for server-to-server notifications)
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        addresses TEXT DEFAULT '[]',
+        contracts TEXT DEFAULT '[]',
+        active INTEGER DEFAULT 1,
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      -- Webhook deliveries (pending, delivered, or dead after the last retry)
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        dedupe_key TEXT NOT NULL,
+        block_height INTEGER NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at INTEGER NOT NULL,
+        response_status INTEGER,
+        last_error TEXT,
+        created_at INTEGER NOT NULL,
+        delivered_at INTEGER,
+        FOREIGN KEY (webhook_id) REFERENCES webhooks(id)
+      );
+
+      -- Watchlists (named address lists with alert rules)
+      CREATE TABLE IF NOT EXISTS watchlists (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        addresses TEXT DEFAULT '[]',
+        rules TEXT DEFAULT '[]',
+        created_at INTEGER NOT NULL,
+        updated_at INTEGER NOT NULL
+      );
+
+      -- Last value a watchlist rule observed per address (to detect changes)
+      CREATE TABLE IF NOT EXISTS watchlist_observations (
+        watchlist_id INTEGER NOT NULL,
+        address TEXT NOT NULL,
+        rule TEXT NOT NULL,
+        value TEXT,
+        PRIMARY KEY (watchlist_id, address, rule)
+      );
+
+      -- Alerts fired by watchlist rules (dedupe_key keeps each occurrence to one alert)
+      CREATE TABLE IF NOT EXISTS watchlist_alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        watchlist_id INTEGER NOT NULL,
+        address TEXT NOT NULL,
+        rule TEXT NOT NULL,
+        dedupe_key TEXT NOT NULL,
+        message TEXT NOT NULL,
+        details TEXT,
+        epoch INTEGER,
+        fired_at INTEGER NOT NULL,
+        UNIQUE(watchlist_id, address, rule, dedupe_key)
+      );
+
       -- FTS5 virtual table for full-text search on addresses
       CREATE VIRTUAL TABLE IF NOT EXISTS search_addresses USING fts5(
         address,
@@ -246,6 +475,8 @@ class HistoryDB {
       CREATE INDEX IF NOT EXISTS idx_blocks_timestamp ON blocks(timestamp DESC);
       CREATE INDEX IF NOT EXISTS idx_identity_states_addr ON identity_states(LOWER(address));
       CREATE INDEX IF NOT EXISTS idx_identity_states_epoch ON identity_states(epoch);
+      CREATE INDEX IF NOT EXISTS idx_identity_changes_addr ON identity_changes(LOWER(address), epoch);
+      CREATE INDEX IF NOT EXISTS idx_identity_changes_block ON identity_changes(block_height);
       CREATE INDEX IF NOT EXISTS idx_address_states_addr ON address_states(LOWER(address));
       CREATE INDEX IF NOT EXISTS idx_address_states_epoch ON address_states(epoch);
       CREATE INDEX IF NOT EXISTS idx_epochs_start_block ON epochs(start_block);
@@ -258,6 +489,8 @@ class HistoryDB {
       CREATE INDEX IF NOT EXISTS idx_balance_changes_block ON balance_changes(block_height);
       CREATE INDEX IF NOT EXISTS idx_balance_changes_type ON balance_changes(change_type);
       CREATE INDEX IF NOT EXISTS idx_balance_changes_timestamp ON balance_changes(timestamp DESC);
+      CREATE INDEX IF NOT EXISTS idx_block_burns_epoch ON block_burns(epoch);
+      CREATE INDEX IF NOT EXISTS idx_block_burns_timestamp ON block_burns(timestamp);
       CREATE INDEX IF NOT EXISTS idx_penalties_addr ON penalties(LOWER(address));
       CREATE INDEX IF NOT EXISTS idx_penalties_epoch ON penalties(epoch);
       CREATE INDEX IF NOT EXISTS idx_invites_inviter ON invites(LOWER(inviter));
@@ -271,14 +504,77 @@ class HistoryDB {
       CREATE INDEX IF NOT EXISTS idx_contract_calls_caller ON contract_calls(LOWER(caller));
       CREATE INDEX IF NOT EXISTS idx_contract_calls_block ON contract_calls(block_height);
       CREATE INDEX IF NOT EXISTS idx_contract_calls_timestamp ON contract_calls(timestamp DESC);
+      CREATE INDEX IF NOT EXISTS idx_contract_events_contract ON contract_events(LOWER(contract_address), block_height);
+      CREATE INDEX IF NOT EXISTS idx_contract_events_name ON contract_events(event_name);
+      CREATE INDEX IF NOT EXISTS idx_contract_events_block ON contract_events(block_height);
+      CREATE INDEX IF NOT EXISTS idx_chain_reorgs_detected ON chain_reorgs(detected_at DESC);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_failures_block ON sync_failures(block_height) WHERE kind = 'block';
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_failures_tx ON sync_failures(tx_hash) WHERE kind = 'transaction';
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_failures_receipt ON sync_failures(tx_hash) WHERE kind = 'receipt';
+      CREATE INDEX IF NOT EXISTS idx_sync_failures_attempt ON sync_failures(last_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id DESC);
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_deliveries_dedupe ON webhook_deliveries(webhook_id, dedupe_key);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_block ON webhook_deliveries(block_height);
+      CREATE INDEX IF NOT EXISTS idx_watchlist_alerts_watchlist ON watchlist_alerts(watchlist_id, id DESC);
     `);
   }
 
+  /**
+   * Add columns introduced after the initial schema to existing databases
+   */
+  _migrateSchema() {
+    const columns = [
+      ['blocks', 'parent_hash', 'TEXT'],
+      ['sync_status', 'backfill_block', 'INTEGER'],
+      ['sync_status', 'backfill_target', 'INTEGER'],
+      ['contract_calls', 'gas_used', 'INTEGER'],
+      ['contract_calls', 'used_fee', 'TEXT'],
+      ['contract_calls', 'error', 'TEXT'],
+      ['contracts', 'type', 'TEXT'],
+      ['contract_calls', 'args', 'TEXT'],
+    ];
+
+    for (const [table, column, type] of columns) {
+      const existing = this.db.prepare(`PRAGMA table_info(${table})`).all();
+      if (!existing.some((c) => c.name === column)) {
+        this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      }
+    }
+
+    // Indexes on added columns can only be created once the columns exist
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_contracts_type ON contracts(type)');
+
+    // One-off data migrations, tracked in user_version
+    const version = this.db.pragma('user_version', { simple: true });
+
+    if (version < 1) {
+      // balance_after was never computed before v1 and defaulted to '0';
+      // mark those rows so the running-balance backfill picks them up
+      this.db.exec("UPDATE balance_changes SET balance_after = NULL WHERE balance_after = '0'");
+    }
+
+    if (version < 2) {
+      // Built-in code hashes were matched with the type byte last before v2
+      const rows = this.db
+        .prepare('SELECT DISTINCT code_hash FROM contracts WHERE code_hash IS NOT NULL')
+        .all();
+      const setType = this.db.prepare('UPDATE contracts SET type = ? WHERE code_hash = ?');
+      for (const { code_hash: hash } of rows) {
+        setType.run(getContractType(hash), hash);
+      }
+    }
+
+    this.db.pragma(`user_version = ${SCHEMA_VERSION}`);
+  }
+
   /**
    * Get sync status
    */
   getSyncStatus() {
-    if (!this.enabled || !this.db) {return null;}
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
     const row = this.db.prepare('SELECT * FROM sync_status WHERE id = 1').get();
     return {
@@ -287,9 +583,30 @@ class HistoryDB {
       lastSyncTime: row.last_sync_time ? new Date(row.last_sync_time * 1000).toISOString() : null,
       syncStartBlock: row.sync_start_block,
       isSyncing: row.is_syncing === 1,
-      progress: row.highest_known_block > row.sync_start_block
-        ? ((row.last_synced_block - row.sync_start_block) / (row.highest_known_block - row.sync_start_block) * 100).toFixed(2)
-        : 0,
+      progress:
+        row.highest_known_block > row.sync_start_block
+          ? (
+              ((row.last_synced_block - row.sync_start_block) /
+                (row.highest_known_block - row.sync_start_block)) *
+              100
+            ).toFixed(2)
+          : 0,
+      backfill:
+        row.backfill_block === null
+          ? null
+          : {
+              lowestBlock: row.backfill_block,
+              targetBlock: row.backfill_target,
+              complete: row.backfill_block <= row.backfill_target,
+              progress:
+                row.sync_start_block > row.backfill_target
+                  ? (
+                      ((row.sync_start_block - row.backfill_block) /
+                        (row.sync_start_block - row.backfill_target)) *
+                      100
+                    ).toFixed(2)
+                  : '100.00',
+            },
     };
   }
 
@@ -297,7 +614,9 @@ class HistoryDB {
    * Update sync status
    */
   updateSyncStatus(lastSyncedBlock, highestKnownBlock = null, isSyncing = null) {
-    if (!this.enabled || !this.db) {return;}
+    if (!this.enabled || !this.db) {
+      return;
+    }
 
     const updates = ['last_synced_block = ?', 'last_sync_time = ?'];
     const params = [lastSyncedBlock, Math.floor(Date.now() / 1000)];
@@ -320,19 +639,37 @@ class HistoryDB {
    * Set sync start block (for progress calculation)
    */
   setSyncStartBlock(startBlock) {
-    if (!this.enabled || !this.db) {return;}
+    if (!this.enabled || !this.db) {
+      return;
+    }
     this.db.prepare('UPDATE sync_status SET sync_start_block = ? WHERE id = 1').run(startBlock);
   }
 
+  /**
+   * Record how far the backward backfill has reached
+   * @param {number} lowestBlock - Lowest height fetched by the backfill
+   * @param {number} targetBlock - Height the backfill stops at
+   */
+  updateBackfillStatus(lowestBlock, targetBlock) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+    this.db
+      .prepare('UPDATE sync_status SET backfill_block = ?, backfill_target = ? WHERE id = 1')
+      .run(lowestBlock, targetBlock);
+  }
+
   /**
    * Insert a block
    */
   insertBlock(block) {
-    if (!this.enabled || !this.db) {return;}
+    if (!this.enabled || !this.db) {
+      return;
+    }
 
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO blocks (height, hash, timestamp, epoch, proposer, tx_count)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO blocks (height, hash, timestamp, epoch, proposer, tx_count, parent_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
 
     stmt.run(
@@ -341,7 +678,8 @@ class HistoryDB {
       block.timestamp,
       block.epoch,
       block.proposer || null,
-      block.txCount || 0
+      block.txCount || 0,
+      block.parentHash || null
     );
   }
 
@@ -349,12 +687,11 @@ class HistoryDB {
    * Insert a transaction
    */
   insertTransaction(tx) {
-    if (!this.enabled || !this.db) {return;}
+    if (!this.enabled || !this.db) {
+      return;
+    }
 
-    const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO transactions (hash, block_height, tx_index, type, from_addr, to_addr, amount, fee, nonce, timestamp)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    const stmt = this.db.prepare(UPSERT_TRANSACTION_SQL);
 
     stmt.run(
       tx.hash,
@@ -374,17 +711,16 @@ class HistoryDB {
    * Batch insert blocks and transactions (for efficiency)
    */
   insertBatch(blocks, transactions) {
-    if (!this.enabled || !this.db) {return;}
+    if (!this.enabled || !this.db) {
+      return;
+    }
 
     const insertBlock = this.db.prepare(`
-      INSERT OR REPLACE INTO blocks (height, hash, timestamp, epoch, proposer, tx_count)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO blocks (height, hash, timestamp, epoch, proposer, tx_count, parent_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
 
-    const insertTx = this.db.prepare(`
-      INSERT OR REPLACE INTO transactions (hash, block_height, tx_index, type, from_addr, to_addr, amount, fee, nonce, timestamp)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    const insertTx = this.db.prepare(UPSERT_TRANSACTION_SQL);
 
     const insertMany = this.db.transaction(() => {
       for (const block of blocks) {
@@ -394,7 +730,8 @@ class HistoryDB {
           block.timestamp,
           block.epoch,
           block.proposer || null,
-          block.txCount || 0
+          block.txCount || 0,
+          block.parentHash || null
         );
       }
 
@@ -440,7 +777,9 @@ class HistoryDB {
     }
 
     // Get total count
-    const countStmt = this.db.prepare(`SELECT COUNT(*) as count FROM transactions WHERE ${whereClause}`);
+    const countStmt = this.db.prepare(
+      `SELECT COUNT(*) as count FROM transactions WHERE ${whereClause}`
+    );
     const { count: total } = countStmt.get(...params);
 
     // Get paginated results
@@ -456,7 +795,7 @@ class HistoryDB {
 
     const rows = dataStmt.all(...dataParams);
     const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
+    const data = rows.slice(0, limit).map((row) => ({
       hash: row.hash,
       blockHeight: row.block_height,
       epoch: row.epoch,
@@ -476,10 +815,14 @@ class HistoryDB {
    * Get block by height
    */
   getBlock(height) {
-    if (!this.enabled || !this.db) {return null;}
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
     const row = this.db.prepare('SELECT * FROM blocks WHERE height = ?').get(height);
-    if (!row) {return null;}
+    if (!row) {
+      return null;
+    }
 
     return {
       height: row.height,
@@ -488,24 +831,144 @@ class HistoryDB {
       epoch: row.epoch,
       proposer: row.proposer,
       txCount: row.tx_count,
+      parentHash: row.parent_hash,
     };
   }
 
   /**
-   * Get transaction by hash
+   * Get blocks by height (one query for a batch of heights)
+   * @param {number[]} heights - Block heights
+   * @returns {object[]} - Blocks found, in no particular order
    */
-  getTransaction(hash) {
-    if (!this.enabled || !this.db) {return null;}
+  getBlocksByHeight(heights) {
+    if (!this.enabled || !this.db || !heights.length) {
+      return [];
+    }
+
+    return this.db
+      .prepare(
+        `
+      SELECT * FROM blocks WHERE height IN (SELECT value FROM json_each(?))
+    `
+      )
+      .all(JSON.stringify(heights))
+      .map((row) => ({
+        height: row.height,
+        hash: row.hash,
+        timestamp: row.timestamp,
+        epoch: row.epoch,
+        proposer: row.proposer,
+        txCount: row.tx_count,
+        parentHash: row.parent_hash,
+      }));
+  }
+
+  /**
+   * Get the transactions of a batch of blocks, in block order
+   * @param {number[]} heights - Block heights
+   */
+  getTransactionsByBlock(heights) {
+    if (!this.enabled || !this.db || !heights.length) {
+      return [];
+    }
 
-    const row = this.db.prepare(`
+    return this.db
+      .prepare(
+        `
       SELECT t.*, b.epoch
       FROM transactions t
       JOIN blocks b ON b.height = t.block_height
-      WHERE t.hash = ?
-    `).get(hash);
+      WHERE t.block_height IN (SELECT value FROM json_each(?))
+      ORDER BY t.block_height, t.tx_index
+    `
+      )
+      .all(JSON.stringify(heights))
+      .map((row) => this._formatTransactionRow(row));
+  }
+
+  /**
+   * Get transactions by hash (one query for a batch of hashes)
+   * @param {string[]} hashes - Transaction hashes
+   * @returns {object[]} - Transactions found, in no particular order
+   */
+  getTransactionsByHash(hashes) {
+    if (!this.enabled || !this.db || !hashes.length) {
+      return [];
+    }
+
+    return this.db
+      .prepare(
+        `
+      SELECT t.*, b.epoch
+      FROM transactions t
+      JOIN blocks b ON b.height = t.block_height
+      WHERE t.hash IN (SELECT value FROM json_each(?))
+    `
+      )
+      .all(JSON.stringify(hashes))
+      .map((row) => this._formatTransactionRow(row));
+  }
+
+  /**
+   * Get a page of transactions (sent or received) for each of a batch of
+   * addresses, in the order of getAddressTransactions
+   * @param {string[]} addresses - Lowercase addresses
+   * @param {object} options - { limit, offset, type }
+   * @returns {object[]} - Transactions with the address they were found for
+   */
+  getTransactionsByAddress(addresses, options = {}) {
+    if (!this.enabled || !this.db || !addresses.length) {
+      return [];
+    }
+
+    const { limit = 50, offset = 0, type = null } = options;
+    const typeClause = type ? 'AND t.type = @type' : '';
+
+    // A transaction to self matches both sides, UNION keeps it once
+    return this._batchPages(
+      `
+      SELECT k.value AS batch_key, t.*, b.epoch
+      FROM json_each(@keys) k
+      JOIN transactions t ON LOWER(t.from_addr) = k.value
+      JOIN blocks b ON b.height = t.block_height
+      WHERE 1=1 ${typeClause}
+      UNION
+      SELECT k.value AS batch_key, t.*, b.epoch
+      FROM json_each(@keys) k
+      JOIN transactions t ON LOWER(t.to_addr) = k.value
+      JOIN blocks b ON b.height = t.block_height
+      WHERE 1=1 ${typeClause}
+    `,
+      { keys: JSON.stringify(addresses), ...(type ? { type } : {}) },
+      'timestamp DESC, block_height DESC',
+      { limit, offset }
+    ).map((row) => ({ address: row.batch_key, ...this._formatTransactionRow(row) }));
+  }
 
-    if (!row) {return null;}
+  /**
+   * Page the rows of several keys in one query. `sql` selects the matching
+   * rows with their key as batch_key; each key keeps its rows offset to
+   * offset + limit in `order`.
+   */
+  _batchPages(sql, params, order, { limit, offset }) {
+    return this.db
+      .prepare(
+        `
+      SELECT * FROM (
+        SELECT *, ROW_NUMBER() OVER (PARTITION BY batch_key ORDER BY ${order}) AS batch_row
+        FROM (${sql})
+      )
+      WHERE batch_row > @batchOffset AND batch_row <= @batchEnd
+      ORDER BY batch_key, batch_row
+    `
+      )
+      .all({ ...params, batchOffset: offset, batchEnd: offset + limit });
+  }
 
+  /**
+   * Format a transactions row (joined with its block's epoch)
+   */
+  _formatTransactionRow(row) {
     return {
       hash: row.hash,
       blockHeight: row.block_height,
@@ -520,6 +983,28 @@ class HistoryDB {
     };
   }
 
+  /**
+   * Get transaction by hash
+   */
+  getTransaction(hash) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const row = this.db
+      .prepare(
+        `
+      SELECT t.*, b.epoch
+      FROM transactions t
+      JOIN blocks b ON b.height = t.block_height
+      WHERE t.hash = ?
+    `
+      )
+      .get(hash);
+
+    return row ? this._formatTransactionRow(row) : null;
+  }
+
   /**
    * Get database statistics
    */
@@ -533,14 +1018,25 @@ class HistoryDB {
     const minBlock = this.db.prepare('SELECT MIN(height) as min FROM blocks').get().min;
     const maxBlock = this.db.prepare('SELECT MAX(height) as max FROM blocks').get().max;
     const epochCount = this.db.prepare('SELECT COUNT(*) as count FROM epochs').get().count;
-    const identityStateCount = this.db.prepare('SELECT COUNT(*) as count FROM identity_states').get().count;
+    const identityStateCount = this.db
+      .prepare('SELECT COUNT(*) as count FROM identity_states')
+      .get().count;
     const rewardCount = this.db.prepare('SELECT COUNT(*) as count FROM rewards').get().count;
-    const validationResultCount = this.db.prepare('SELECT COUNT(*) as count FROM validation_results').get().count;
-    const balanceChangeCount = this.db.prepare('SELECT COUNT(*) as count FROM balance_changes').get().count;
+    const validationResultCount = this.db
+      .prepare('SELECT COUNT(*) as count FROM validation_results')
+      .get().count;
+    const balanceChangeCount = this.db
+      .prepare('SELECT COUNT(*) as count FROM balance_changes')
+      .get().count;
     const penaltyCount = this.db.prepare('SELECT COUNT(*) as count FROM penalties').get().count;
     const inviteCount = this.db.prepare('SELECT COUNT(*) as count FROM invites').get().count;
     const contractCount = this.db.prepare('SELECT COUNT(*) as count FROM contracts').get().count;
-    const contractCallCount = this.db.prepare('SELECT COUNT(*) as count FROM contract_calls').get().count;
+    const contractCallCount = this.db
+      .prepare('SELECT COUNT(*) as count FROM contract_calls')
+      .get().count;
+    const contractEventCount = this.db
+      .prepare('SELECT COUNT(*) as count FROM contract_events')
+      .get().count;
 
     return {
       enabled: true,
@@ -555,731 +1051,972 @@ class HistoryDB {
       inviteCount,
       contractCount,
       contractCallCount,
+      contractEventCount,
       blockRange: minBlock && maxBlock ? { min: minBlock, max: maxBlock } : null,
     };
   }
 
   // ==========================================
-  // Epoch Methods
+  // Chain Reorganization Methods
   // ==========================================
 
   /**
-   * Insert or update an epoch
+   * Roll back all synced data above a height (used when a fork is detected)
+   * @param {number} height - Last height to keep (the common ancestor)
+   * @returns {object} - Number of rows removed per table
    */
-  insertEpoch(epoch) {
-    if (!this.enabled || !this.db) {return;}
+  rollbackToHeight(height) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
-    const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO epochs (
-        epoch, start_block, end_block, start_timestamp, end_timestamp,
-        validated_count, block_count, tx_count, flip_count, invite_count
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    const removedTxs = this.db
+      .prepare(
+        `
+      SELECT hash, from_addr, to_addr FROM transactions WHERE block_height > ?
+    `
+      )
+      .all(height);
+
+    const rollback = this.db.transaction(() => {
+      // Restore contracts terminated by rolled-back transactions
+      this.db
+        .prepare(
+          `
+        UPDATE contracts SET state = 'active'
+        WHERE state = 'terminated' AND address IN (
+          SELECT contract_address FROM contract_calls WHERE method = 'terminate' AND block_height > ?
+        )
+      `
+        )
+        .run(height);
+
+      // Return invites activated by rolled-back transactions to pending
+      this.db
+        .prepare(
+          `
+        UPDATE invites SET status = 'pending', invitee = NULL, activation_tx_hash = NULL
+        WHERE activation_tx_hash IN (SELECT hash FROM transactions WHERE block_height > ?)
+      `
+        )
+        .run(height);
+
+      const removed = {
+        contractCalls: this.db
+          .prepare('DELETE FROM contract_calls WHERE block_height > ?')
+          .run(height).changes,
+        contractEvents: this.db
+          .prepare('DELETE FROM contract_events WHERE block_height > ?')
+          .run(height).changes,
+        contracts: this.db.prepare('DELETE FROM contracts WHERE block_height > ?').run(height)
+          .changes,
+        invites: this.db.prepare('DELETE FROM invites WHERE block_height > ?').run(height).changes,
+        balanceChanges: this.db
+          .prepare('DELETE FROM balance_changes WHERE block_height > ?')
+          .run(height).changes,
+        blockBurns: this.db.prepare('DELETE FROM block_burns WHERE block_height > ?').run(height)
+          .changes,
+        balanceAnchors: this._dropBalanceAnchorsAbove(height),
+        identityStates: this.db
+          .prepare('DELETE FROM identity_states WHERE block_height > ?')
+          .run(height).changes,
+        identityChanges: this.db
+          .prepare('DELETE FROM identity_changes WHERE block_height > ?')
+          .run(height).changes,
+        transactions: this.db.prepare('DELETE FROM transactions WHERE block_height > ?').run(height)
+          .changes,
+      };
 
-    stmt.run(
-      epoch.epoch,
-      epoch.startBlock,
-      epoch.endBlock || null,
-      epoch.startTimestamp,
-      epoch.endTimestamp || null,
-      epoch.validatedCount || 0,
-      epoch.blockCount || 0,
-      epoch.txCount || 0,
-      epoch.flipCount || 0,
-      epoch.inviteCount || 0
-    );
+      // Epochs closed on the abandoned branch (the next epoch's first block is
+      // above the height) get their rewards and penalties again when re-closed
+      const closedAbove = 'SELECT epoch FROM epochs WHERE end_block >= @height';
+      removed.rewards = this.db
+        .prepare(`DELETE FROM rewards WHERE epoch IN (${closedAbove})`)
+        .run({ height }).changes;
+      removed.validationResults = this.db
+        .prepare(`DELETE FROM validation_results WHERE epoch IN (${closedAbove})`)
+        .run({ height }).changes;
+      removed.penalties = this.db
+        .prepare(`DELETE FROM penalties WHERE block_height > @height OR epoch IN (${closedAbove})`)
+        .run({ height }).changes;
+
+      // Epochs that started on the abandoned branch are re-created on resync
+      removed.addressStates = this.db
+        .prepare(
+          `
+        DELETE FROM address_states WHERE epoch IN (SELECT epoch FROM epochs WHERE start_block > ?)
+      `
+        )
+        .run(height).changes;
+      removed.epochs = this.db
+        .prepare('DELETE FROM epochs WHERE start_block > ?')
+        .run(height).changes;
+      this.db
+        .prepare(
+          `
+        UPDATE epochs SET end_block = NULL, end_timestamp = NULL WHERE end_block > ?
+      `
+        )
+        .run(height);
+
+      removed.blocks = this.db.prepare('DELETE FROM blocks WHERE height > ?').run(height).changes;
+      // Undelivered notifications about abandoned blocks (dead letters could still be requeued)
+      removed.webhookDeliveries = this.db
+        .prepare("DELETE FROM webhook_deliveries WHERE block_height > ? AND status != 'delivered'")
+        .run(height).changes;
+      removed.syncFailures = this.db
+        .prepare('DELETE FROM sync_failures WHERE block_height > ?')
+        .run(height).changes;
+
+      for (const tx of removedTxs) {
+        this._unindexTransaction(tx);
+      }
+
+      return removed;
+    });
+
+    return rollback();
   }
 
   /**
-   * Update epoch end data (when epoch closes)
+   * Drop balance anchors taken on an abandoned branch; their addresses'
+   * running balances are recomputed once a new anchor is fetched
    */
-  closeEpoch(epochNum, endBlock, endTimestamp, stats = {}) {
-    if (!this.enabled || !this.db) {return;}
-
-    this.db.prepare(`
-      UPDATE epochs SET
-        end_block = ?,
-        end_timestamp = ?,
-        validated_count = COALESCE(?, validated_count),
-        block_count = COALESCE(?, block_count),
-        tx_count = COALESCE(?, tx_count),
-        flip_count = COALESCE(?, flip_count),
-        invite_count = COALESCE(?, invite_count)
-      WHERE epoch = ?
-    `).run(
-      endBlock,
-      endTimestamp,
-      stats.validatedCount,
-      stats.blockCount,
-      stats.txCount,
-      stats.flipCount,
-      stats.inviteCount,
-      epochNum
-    );
+  _dropBalanceAnchorsAbove(height) {
+    this.db
+      .prepare(
+        `
+      UPDATE balance_changes SET balance_after = NULL
+      WHERE LOWER(address) IN (SELECT address FROM balance_anchors WHERE block_height > ?)
+    `
+      )
+      .run(height);
+
+    return this.db.prepare('DELETE FROM balance_anchors WHERE block_height > ?').run(height)
+      .changes;
   }
 
   /**
-   * Get epoch by number
+   * Remove a transaction from the contentless FTS index
    */
-  getEpoch(epochNum) {
-    if (!this.enabled || !this.db) {return null;}
-
-    const row = this.db.prepare('SELECT * FROM epochs WHERE epoch = ?').get(epochNum);
-    if (!row) {return null;}
+  _unindexTransaction(row) {
+    try {
+      const match = this.db
+        .prepare(
+          `
+        SELECT rowid FROM search_transactions WHERE search_transactions MATCH ?
+      `
+        )
+        .get(`hash:"${row.hash.toLowerCase()}"`);
+
+      if (!match) {
+        return;
+      }
 
-    return this._formatEpochRow(row);
+      this.db
+        .prepare(
+          `
+        INSERT INTO search_transactions(search_transactions, rowid, hash, from_addr, to_addr)
+        VALUES ('delete', ?, ?, ?, ?)
+      `
+        )
+        .run(
+          match.rowid,
+          row.hash.toLowerCase(),
+          row.from_addr?.toLowerCase() || '',
+          row.to_addr?.toLowerCase() || ''
+        );
+    } catch {
+      // Ignore FTS errors
+    }
   }
 
   /**
-   * Get the last (most recent) epoch
+   * Record a detected chain reorganization
    */
-  getLastEpoch() {
-    if (!this.enabled || !this.db) {return null;}
-
-    const row = this.db.prepare('SELECT * FROM epochs ORDER BY epoch DESC LIMIT 1').get();
-    if (!row) {return null;}
+  insertReorg(reorg) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
 
-    return this._formatEpochRow(row);
+    this.db
+      .prepare(
+        `
+      INSERT INTO chain_reorgs (
+        common_ancestor, old_tip, depth, old_tip_hash, new_tip_hash,
+        removed_blocks, removed_transactions, detected_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `
+      )
+      .run(
+        reorg.commonAncestor,
+        reorg.oldTip,
+        reorg.depth,
+        reorg.oldTipHash || null,
+        reorg.newTipHash || null,
+        reorg.removedBlocks || 0,
+        reorg.removedTransactions || 0,
+        reorg.detectedAt || Math.floor(Date.now() / 1000)
+      );
   }
 
   /**
-   * Get list of epochs with pagination
+   * Get recorded chain reorganizations (most recent first)
    */
-  getEpochs(options = {}) {
+  getReorgs(options = {}) {
     if (!this.enabled || !this.db) {
       return { data: [], total: 0, hasMore: false };
     }
 
     const { limit = 50, offset = 0 } = options;
 
-    const total = this.db.prepare('SELECT COUNT(*) as count FROM epochs').get().count;
-    const rows = this.db.prepare(`
-      SELECT * FROM epochs ORDER BY epoch DESC LIMIT ? OFFSET ?
-    `).all(limit + 1, offset);
+    const total = this.db.prepare('SELECT COUNT(*) as count FROM chain_reorgs').get().count;
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM chain_reorgs ORDER BY id DESC LIMIT ? OFFSET ?
+    `
+      )
+      .all(limit + 1, offset);
 
     const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => this._formatEpochRow(row));
+    const data = rows.slice(0, limit).map((row) => this._formatReorgRow(row));
 
     return { data, total, limit, offset, hasMore };
   }
 
   /**
-   * Get epoch by block height
+   * Get the most recent chain reorganization
    */
-  getEpochByBlock(blockHeight) {
-    if (!this.enabled || !this.db) {return null;}
+  getLastReorg() {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
-    const row = this.db.prepare(`
-      SELECT * FROM epochs
-      WHERE start_block <= ? AND (end_block >= ? OR end_block IS NULL)
-      ORDER BY epoch DESC LIMIT 1
-    `).get(blockHeight, blockHeight);
+    const row = this.db.prepare('SELECT * FROM chain_reorgs ORDER BY id DESC LIMIT 1').get();
+    if (!row) {
+      return null;
+    }
 
-    if (!row) {return null;}
-    return this._formatEpochRow(row);
+    return this._formatReorgRow(row);
   }
 
   /**
-   * Format epoch row to response object
+   * Format reorg row to response object
    */
-  _formatEpochRow(row) {
+  _formatReorgRow(row) {
     return {
-      epoch: row.epoch,
-      startBlock: row.start_block,
-      endBlock: row.end_block,
-      startTimestamp: row.start_timestamp,
-      endTimestamp: row.end_timestamp,
-      validatedCount: row.validated_count,
-      blockCount: row.block_count,
-      txCount: row.tx_count,
-      flipCount: row.flip_count,
-      inviteCount: row.invite_count,
+      id: row.id,
+      commonAncestor: row.common_ancestor,
+      oldTip: row.old_tip,
+      depth: row.depth,
+      affectedHeights: { from: row.common_ancestor + 1, to: row.old_tip },
+      oldTipHash: row.old_tip_hash,
+      newTipHash: row.new_tip_hash,
+      removedBlocks: row.removed_blocks,
+      removedTransactions: row.removed_transactions,
+      detectedAt: new Date(row.detected_at * 1000).toISOString(),
     };
   }
 
   // ==========================================
-  // Identity State Methods
+  // Sync Failure Methods
   // ==========================================
 
   /**
-   * Insert identity state for an epoch
+   * Record a block, transaction or transaction receipt that could not be
+   * fetched (increments attempts if it is already queued)
    */
-  insertIdentityState(identityState) {
-    if (!this.enabled || !this.db) {return;}
+  recordSyncFailure(failure) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
 
-    const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO identity_states (
-        address, epoch, state, prev_state, block_height, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?)
-    `);
-
-    stmt.run(
-      identityState.address,
-      identityState.epoch,
-      identityState.state,
-      identityState.prevState || null,
-      identityState.blockHeight || null,
-      identityState.timestamp
-    );
+    const now = Math.floor(Date.now() / 1000);
+    const conflict = {
+      block: "ON CONFLICT(block_height) WHERE kind = 'block'",
+      transaction: "ON CONFLICT(tx_hash) WHERE kind = 'transaction'",
+      receipt: "ON CONFLICT(tx_hash) WHERE kind = 'receipt'",
+    }[failure.kind];
+
+    this.db
+      .prepare(
+        `
+      INSERT INTO sync_failures (
+        kind, block_height, tx_hash, tx_index, attempts, last_error, first_failed_at, last_attempt_at
+      ) VALUES (?, ?, ?, ?, 1, ?, ?, ?)
+      ${conflict} DO UPDATE SET
+        attempts = attempts + 1,
+        last_error = excluded.last_error,
+        last_attempt_at = excluded.last_attempt_at
+    `
+      )
+      .run(
+        failure.kind,
+        failure.blockHeight,
+        failure.txHash || null,
+        failure.txIndex ?? null,
+        failure.error || null,
+        now,
+        now
+      );
   }
 
   /**
-   * Batch insert identity states (for epoch boundary snapshots)
+   * Remove a failure once the block or transaction has been stored
    */
-  insertIdentityStatesBatch(states) {
-    if (!this.enabled || !this.db || !states.length) {return;}
-
-    const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO identity_states (
-        address, epoch, state, prev_state, block_height, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?)
-    `);
-
-    const insertMany = this.db.transaction(() => {
-      for (const s of states) {
-        stmt.run(
-          s.address,
-          s.epoch,
-          s.state,
-          s.prevState || null,
-          s.blockHeight || null,
-          s.timestamp
-        );
-      }
-    });
-
-    insertMany();
+  resolveSyncFailure(id) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+    this.db.prepare('DELETE FROM sync_failures WHERE id = ?').run(id);
   }
 
   /**
-   * Get identity state for address at specific epoch
+   * Remove the block and transaction failures for blocks and transactions
+   * stored by another path (gap repair)
+   * @param {number[]} heights - Stored block heights
+   * @param {string[]} txHashes - Stored transaction hashes
    */
-  getIdentityState(address, epochNum) {
-    if (!this.enabled || !this.db) {return null;}
-
-    const row = this.db.prepare(`
-      SELECT * FROM identity_states
-      WHERE LOWER(address) = LOWER(?) AND epoch = ?
-    `).get(address, epochNum);
-
-    if (!row) {return null;}
+  resolveSyncFailuresFor(heights, txHashes) {
+    if (!this.enabled || !this.db) {
+      return 0;
+    }
 
-    return {
-      address: row.address,
-      epoch: row.epoch,
-      state: row.state,
-      prevState: row.prev_state,
-      blockHeight: row.block_height,
-      timestamp: row.timestamp,
-    };
+    return this.db
+      .prepare(
+        `
+      DELETE FROM sync_failures
+      WHERE (kind = 'block' AND block_height IN (SELECT value FROM json_each(?)))
+        OR (kind = 'transaction' AND tx_hash IN (SELECT value FROM json_each(?)))
+    `
+      )
+      .run(JSON.stringify(heights), JSON.stringify(txHashes)).changes;
   }
 
   /**
-   * Get identity history across epochs
+   * Get queued failures, least recently attempted first
    */
-  getIdentityEpochs(address, options = {}) {
+  getSyncFailures(options = {}) {
     if (!this.enabled || !this.db) {
-      return { data: [], total: 0, hasMore: false };
+      return [];
     }
 
-    const { limit = 50, offset = 0 } = options;
-    const addrLower = address.toLowerCase();
+    const { limit = 100, kind = null } = options;
 
-    const total = this.db.prepare(
-      'SELECT COUNT(*) as count FROM identity_states WHERE LOWER(address) = ?'
-    ).get(addrLower).count;
+    let whereClause = '1=1';
+    const params = [];
 
-    const rows = this.db.prepare(`
-      SELECT ids.*, e.start_timestamp as epoch_start, e.end_timestamp as epoch_end
-      FROM identity_states ids
-      LEFT JOIN epochs e ON e.epoch = ids.epoch
-      WHERE LOWER(ids.address) = ?
-      ORDER BY ids.epoch DESC
-      LIMIT ? OFFSET ?
-    `).all(addrLower, limit + 1, offset);
+    if (kind) {
+      whereClause += ' AND kind = ?';
+      params.push(kind);
+    }
 
-    const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
-      epoch: row.epoch,
-      state: row.state,
-      prevState: row.prev_state,
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM sync_failures
+      WHERE ${whereClause}
+      ORDER BY last_attempt_at ASC, id ASC
+      LIMIT ?
+    `
+      )
+      .all(...params, limit);
+
+    return rows.map((row) => ({
+      id: row.id,
+      kind: row.kind,
       blockHeight: row.block_height,
-      timestamp: row.timestamp,
-      epochStart: row.epoch_start,
-      epochEnd: row.epoch_end,
+      txHash: row.tx_hash,
+      txIndex: row.tx_index,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      firstFailedAt: new Date(row.first_failed_at * 1000).toISOString(),
+      lastAttemptAt: new Date(row.last_attempt_at * 1000).toISOString(),
     }));
-
-    return { data, total, limit, offset, hasMore };
   }
 
   /**
-   * Get identities in a specific epoch
+   * Get summary of queued sync failures
    */
-  getEpochIdentities(epochNum, options = {}) {
+  getSyncFailureSummary() {
     if (!this.enabled || !this.db) {
-      return { data: [], total: 0, hasMore: false };
+      return null;
     }
 
-    const { limit = 50, offset = 0, state = null } = options;
+    const row = this.db
+      .prepare(
+        `
+      SELECT
+        COUNT(*) as total,
+        SUM(CASE WHEN kind = 'block' THEN 1 ELSE 0 END) as blocks,
+        SUM(CASE WHEN kind = 'transaction' THEN 1 ELSE 0 END) as transactions,
+        SUM(CASE WHEN kind = 'receipt' THEN 1 ELSE 0 END) as receipts,
+        MIN(block_height) as lowest_height,
+        MAX(attempts) as max_attempts,
+        MIN(first_failed_at) as oldest
+      FROM sync_failures
+    `
+      )
+      .get();
 
-    let whereClause = 'epoch = ?';
-    const params = [epochNum];
+    return {
+      total: row.total,
+      blocks: row.blocks || 0,
+      transactions: row.transactions || 0,
+      receipts: row.receipts || 0,
+      lowestHeight: row.lowest_height,
+      maxAttempts: row.max_attempts || 0,
+      oldestFailure: row.oldest ? new Date(row.oldest * 1000).toISOString() : null,
+    };
+  }
 
-    if (state) {
-      whereClause += ' AND state = ?';
-      params.push(state);
+  // ==========================================
+  // Gap Detection Methods
+  // ==========================================
+
+  /**
+   * Find ranges of heights between from and to that have no stored block
+   * @param {number} from - First height expected to be stored
+   * @param {number} to - Last height expected to be stored
+   * @param {number} limit - Max ranges to return (lowest first)
+   * @returns {Array} - [{ from, to, count }]
+   */
+  findBlockGaps(from, to, limit = 100) {
+    if (!this.enabled || !this.db) {
+      return [];
+    }
+    if (to < from) {
+      return [];
     }
 
-    const total = this.db.prepare(
-      `SELECT COUNT(*) as count FROM identity_states WHERE ${whereClause}`
-    ).get(...params).count;
+    // Sentinel rows just outside the range expose leading and trailing gaps
+    const rows = this.db
+      .prepare(
+        `
+      WITH heights AS (
+        SELECT ? AS height
+        UNION ALL
+        SELECT height FROM blocks WHERE height BETWEEN ? AND ?
+        UNION ALL
+        SELECT ?
+      )
+      SELECT gap_start, gap_end FROM (
+        SELECT
+          LAG(height) OVER (ORDER BY height) + 1 AS gap_start,
+          height - 1 AS gap_end
+        FROM heights
+      )
+      WHERE gap_end >= gap_start
+      ORDER BY gap_start
+      LIMIT ?
+    `
+      )
+      .all(from - 1, from, to, to + 1, limit);
+
+    return rows.map((row) => ({
+      from: row.gap_start,
+      to: row.gap_end,
+      count: row.gap_end - row.gap_start + 1,
+    }));
+  }
 
-    const rows = this.db.prepare(`
-      SELECT * FROM identity_states
-      WHERE ${whereClause}
-      ORDER BY address
-      LIMIT ? OFFSET ?
-    `).all(...params, limit + 1, offset);
+  /**
+   * Find stored blocks whose tx_count disagrees with their stored transaction rows
+   * @param {number} from - First height to check
+   * @param {number} to - Last height to check
+   * @param {number} limit - Max blocks to return (lowest first)
+   * @returns {Array} - [{ height, expected, stored }]
+   */
+  findTxCountMismatches(from, to, limit = 100) {
+    if (!this.enabled || !this.db) {
+      return [];
+    }
 
-    const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
-      address: row.address,
-      state: row.state,
-      prevState: row.prev_state,
-      blockHeight: row.block_height,
-      timestamp: row.timestamp,
-    }));
+    const rows = this.db
+      .prepare(
+        `
+      SELECT height, expected, stored FROM (
+        SELECT
+          b.height,
+          b.tx_count AS expected,
+          (SELECT COUNT(*) FROM transactions t WHERE t.block_height = b.height) AS stored
+        FROM blocks b
+        WHERE b.height BETWEEN ? AND ?
+      )
+      WHERE stored != expected
+      ORDER BY height
+      LIMIT ?
+    `
+      )
+      .all(from, to, limit);
 
-    return { data, total, limit, offset, hasMore };
+    return rows.map((row) => ({
+      height: row.height,
+      expected: row.expected,
+      stored: row.stored,
+    }));
   }
 
   /**
-   * Get identity state counts for an epoch (summary)
+   * Report how completely the synced range is covered by stored blocks
    */
-  getEpochIdentitySummary(epochNum) {
-    if (!this.enabled || !this.db) {return null;}
+  getBlockCoverage(options = {}) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
-    const rows = this.db.prepare(`
-      SELECT state, COUNT(*) as count
-      FROM identity_states
-      WHERE epoch = ?
-      GROUP BY state
-    `).all(epochNum);
+    const { limit = 100 } = options;
 
-    const summary = {};
-    for (const row of rows) {
-      summary[row.state] = row.count;
+    const status = this.db
+      .prepare(
+        'SELECT sync_start_block, backfill_block, last_synced_block FROM sync_status WHERE id = 1'
+      )
+      .get();
+    const bounds = this.db.prepare('SELECT MIN(height) as min_height FROM blocks').get();
+
+    // The backfill extends coverage below the forward sync's start block
+    const from = Math.min(
+      status.sync_start_block || bounds.min_height,
+      status.backfill_block ?? Infinity
+    );
+    const to = status.last_synced_block;
+
+    if (!from || to < from) {
+      return {
+        from: null,
+        to: null,
+        expectedBlocks: 0,
+        storedBlocks: 0,
+        missingBlocks: 0,
+        coverage: '100.00',
+        gaps: [],
+        txCountMismatches: [],
+      };
     }
 
-    return summary;
+    const expectedBlocks = to - from + 1;
+    const { count: storedBlocks } = this.db
+      .prepare('SELECT COUNT(*) as count FROM blocks WHERE height BETWEEN ? AND ?')
+      .get(from, to);
+
+    return {
+      from,
+      to,
+      expectedBlocks,
+      storedBlocks,
+      missingBlocks: expectedBlocks - storedBlocks,
+      coverage: ((storedBlocks / expectedBlocks) * 100).toFixed(2),
+      gaps: this.findBlockGaps(from, to, limit),
+      txCountMismatches: this.findTxCountMismatches(from, to, limit),
+    };
   }
 
   // ==========================================
-  // Address State Methods
+  // Epoch Methods
   // ==========================================
 
   /**
-   * Insert address state for an epoch
+   * Insert or update an epoch
    */
-  insertAddressState(addressState) {
-    if (!this.enabled || !this.db) {return;}
+  insertEpoch(epoch) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
 
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO address_states (
-        address, epoch, balance, stake, tx_count
-      ) VALUES (?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO epochs (
+        epoch, start_block, end_block, start_timestamp, end_timestamp,
+        validated_count, block_count, tx_count, flip_count, invite_count
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     stmt.run(
-      addressState.address,
-      addressState.epoch,
-      addressState.balance || '0',
-      addressState.stake || '0',
-      addressState.txCount || 0
+      epoch.epoch,
+      epoch.startBlock,
+      epoch.endBlock || null,
+      epoch.startTimestamp,
+      epoch.endTimestamp || null,
+      epoch.validatedCount || 0,
+      epoch.blockCount || 0,
+      epoch.txCount || 0,
+      epoch.flipCount || 0,
+      epoch.inviteCount || 0
     );
   }
 
   /**
-   * Batch insert address states
+   * Update epoch end data (when epoch closes)
    */
-  insertAddressStatesBatch(states) {
-    if (!this.enabled || !this.db || !states.length) {return;}
-
-    const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO address_states (
-        address, epoch, balance, stake, tx_count
-      ) VALUES (?, ?, ?, ?, ?)
-    `);
-
-    const insertMany = this.db.transaction(() => {
-      for (const s of states) {
-        stmt.run(
-          s.address,
-          s.epoch,
-          s.balance || '0',
-          s.stake || '0',
-          s.txCount || 0
-        );
-      }
-    });
+  closeEpoch(epochNum, endBlock, endTimestamp, stats = {}) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
 
-    insertMany();
+    this.db
+      .prepare(
+        `
+      UPDATE epochs SET
+        end_block = ?,
+        end_timestamp = ?,
+        validated_count = COALESCE(?, validated_count),
+        block_count = COALESCE(?, block_count),
+        tx_count = COALESCE(?, tx_count),
+        flip_count = COALESCE(?, flip_count),
+        invite_count = COALESCE(?, invite_count)
+      WHERE epoch = ?
+    `
+      )
+      .run(
+        endBlock,
+        endTimestamp,
+        stats.validatedCount,
+        stats.blockCount,
+        stats.txCount,
+        stats.flipCount,
+        stats.inviteCount,
+        epochNum
+      );
   }
 
   /**
-   * Get address state at specific epoch
+   * Compute epoch statistics from stored blocks, transactions,
+   * identity snapshots and invites
    */
-  getAddressState(address, epochNum) {
-    if (!this.enabled || !this.db) {return null;}
-
-    const row = this.db.prepare(`
-      SELECT * FROM address_states
-      WHERE LOWER(address) = LOWER(?) AND epoch = ?
-    `).get(address, epochNum);
+  computeEpochStats(epochNum) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
-    if (!row) {return null;}
+    const blocks = this.db
+      .prepare(
+        `
+      SELECT COUNT(*) as count FROM blocks WHERE epoch = ?
+    `
+      )
+      .get(epochNum);
+
+    const txs = this.db
+      .prepare(
+        `
+      SELECT
+        COUNT(*) as count,
+        SUM(CASE WHEN t.type IN ('submitFlip', 'SubmitFlipTx') THEN 1 ELSE 0 END) as flips
+      FROM transactions t
+      JOIN blocks b ON b.height = t.block_height
+      WHERE b.epoch = ?
+    `
+      )
+      .get(epochNum);
+
+    const validated = this.db
+      .prepare(
+        `
+      SELECT COUNT(*) as count FROM identity_states
+      WHERE epoch = ? AND state IN ('Newbie', 'Verified', 'Human')
+    `
+      )
+      .get(epochNum);
+
+    const invites = this.db
+      .prepare(
+        `
+      SELECT COUNT(*) as count FROM invites WHERE epoch = ?
+    `
+      )
+      .get(epochNum);
 
     return {
-      address: row.address,
-      epoch: row.epoch,
-      balance: row.balance,
-      stake: row.stake,
-      txCount: row.tx_count,
+      blockCount: blocks.count,
+      txCount: txs.count,
+      validatedCount: validated.count,
+      flipCount: txs.flips || 0,
+      inviteCount: invites.count,
     };
   }
 
   /**
-   * Get address state history across epochs
+   * Recompute statistics for closed epochs
+   * @param {object} options - { all: also recompute epochs that already have stats }
+   * @returns {Array} - Epoch numbers that were updated
    */
-  getAddressStates(address, options = {}) {
+  recomputeEpochStats(options = {}) {
     if (!this.enabled || !this.db) {
-      return { data: [], total: 0, hasMore: false };
+      return [];
     }
 
-    const { limit = 50, offset = 0 } = options;
-    const addrLower = address.toLowerCase();
-
-    const total = this.db.prepare(
-      'SELECT COUNT(*) as count FROM address_states WHERE LOWER(address) = ?'
-    ).get(addrLower).count;
-
-    const rows = this.db.prepare(`
-      SELECT as_tbl.*, e.start_timestamp as epoch_start, e.end_timestamp as epoch_end
-      FROM address_states as_tbl
-      LEFT JOIN epochs e ON e.epoch = as_tbl.epoch
-      WHERE LOWER(as_tbl.address) = ?
-      ORDER BY as_tbl.epoch DESC
-      LIMIT ? OFFSET ?
-    `).all(addrLower, limit + 1, offset);
+    const { all = false } = options;
+
+    // Epochs closed before stats were calculated have every count at zero
+    const rows = this.db
+      .prepare(
+        `
+      SELECT epoch FROM epochs
+      WHERE end_block IS NOT NULL
+        ${all ? '' : 'AND block_count = 0 AND tx_count = 0 AND validated_count = 0'}
+      ORDER BY epoch
+    `
+      )
+      .all();
+
+    const update = this.db.prepare(`
+      UPDATE epochs SET
+        validated_count = ?,
+        block_count = ?,
+        tx_count = ?,
+        flip_count = ?,
+        invite_count = ?
+      WHERE epoch = ?
+    `);
 
-    const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
-      epoch: row.epoch,
-      balance: row.balance,
-      stake: row.stake,
-      txCount: row.tx_count,
-      epochStart: row.epoch_start,
-      epochEnd: row.epoch_end,
-    }));
+    const recompute = this.db.transaction(() => {
+      for (const row of rows) {
+        const stats = this.computeEpochStats(row.epoch);
+        update.run(
+          stats.validatedCount,
+          stats.blockCount,
+          stats.txCount,
+          stats.flipCount,
+          stats.inviteCount,
+          row.epoch
+        );
+      }
+    });
 
-    return { data, total, limit, offset, hasMore };
+    recompute();
+    return rows.map((row) => row.epoch);
   }
 
-  // ==========================================
-  // Rewards Methods
-  // ==========================================
-
   /**
-   * Insert a single reward
+   * Get epoch by number
    */
-  insertReward(address, epoch, type, amount) {
-    if (!this.enabled || !this.db) {return;}
+  getEpoch(epochNum) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
-    this.db.prepare(`
-      INSERT OR REPLACE INTO rewards (address, epoch, type, amount)
-      VALUES (?, ?, ?, ?)
-    `).run(address, epoch, type, amount);
-  }
-
-  /**
-   * Insert multiple rewards in a transaction
-   */
-  insertRewardsBatch(rewards) {
-    if (!this.enabled || !this.db || rewards.length === 0) {return;}
-
-    const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO rewards (address, epoch, type, amount)
-      VALUES (?, ?, ?, ?)
-    `);
-
-    const insertMany = this.db.transaction(() => {
-      for (const r of rewards) {
-        stmt.run(r.address, r.epoch, r.type, r.amount || '0');
-      }
-    });
+    const row = this.db.prepare('SELECT * FROM epochs WHERE epoch = ?').get(epochNum);
+    if (!row) {
+      return null;
+    }
 
-    insertMany();
+    return this._formatEpochRow(row);
   }
 
   /**
-   * Get all rewards for an identity (paginated)
+   * Get epochs by number (one query for a batch of epochs)
+   * @param {number[]} epochNums - Epoch numbers
+   * @returns {object[]} - Epochs found, in no particular order
    */
-  getIdentityRewards(address, options = {}) {
-    if (!this.enabled || !this.db) {
-      return { data: [], total: 0, hasMore: false };
-    }
-
-    const { limit = 50, offset = 0, epoch = null, type = null } = options;
-    const addrLower = address.toLowerCase();
-
-    let whereClause = 'WHERE LOWER(address) = ?';
-    const params = [addrLower];
-
-    if (epoch !== null) {
-      whereClause += ' AND epoch = ?';
-      params.push(epoch);
-    }
-
-    if (type !== null) {
-      whereClause += ' AND type = ?';
-      params.push(type);
+  getEpochsByNumber(epochNums) {
+    if (!this.enabled || !this.db || !epochNums.length) {
+      return [];
     }
 
-    const total = this.db.prepare(
-      `SELECT COUNT(*) as count FROM rewards ${whereClause}`
-    ).get(...params).count;
-
-    const rows = this.db.prepare(`
-      SELECT * FROM rewards
-      ${whereClause}
-      ORDER BY epoch DESC, type ASC
-      LIMIT ? OFFSET ?
-    `).all(...params, limit + 1, offset);
-
-    const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
-      epoch: row.epoch,
-      type: row.type,
-      amount: row.amount,
-    }));
-
-    return { data, total, limit, offset, hasMore };
+    return this.db
+      .prepare(
+        `
+      SELECT * FROM epochs WHERE epoch IN (SELECT value FROM json_each(?))
+    `
+      )
+      .all(JSON.stringify(epochNums))
+      .map((row) => this._formatEpochRow(row));
   }
 
   /**
-   * Get rewards for identity at specific epoch
+   * Get the last (most recent) epoch
    */
-  getIdentityRewardsAtEpoch(address, epochNum) {
-    if (!this.enabled || !this.db) {return null;}
-
-    const rows = this.db.prepare(`
-      SELECT * FROM rewards
-      WHERE LOWER(address) = LOWER(?) AND epoch = ?
-      ORDER BY type ASC
-    `).all(address, epochNum);
-
-    if (rows.length === 0) {return null;}
-
-    const rewards = {};
-    let totalAmount = 0;
+  getLastEpoch() {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
-    for (const row of rows) {
-      rewards[row.type] = row.amount;
-      totalAmount += parseFloat(row.amount) || 0;
+    const row = this.db.prepare('SELECT * FROM epochs ORDER BY epoch DESC LIMIT 1').get();
+    if (!row) {
+      return null;
     }
 
-    return {
-      address,
-      epoch: epochNum,
-      rewards,
-      totalAmount: totalAmount.toString(),
-    };
+    return this._formatEpochRow(row);
   }
 
   /**
-   * Get all rewards for an epoch (paginated)
+   * Get list of epochs with pagination
    */
-  getEpochRewards(epochNum, options = {}) {
+  getEpochs(options = {}) {
     if (!this.enabled || !this.db) {
       return { data: [], total: 0, hasMore: false };
     }
 
-    const { limit = 50, offset = 0, type = null } = options;
-
-    let whereClause = 'WHERE epoch = ?';
-    const params = [epochNum];
-
-    if (type) {
-      whereClause += ' AND type = ?';
-      params.push(type);
-    }
-
-    const total = this.db.prepare(
-      `SELECT COUNT(DISTINCT address) as count FROM rewards ${whereClause}`
-    ).get(...params).count;
+    const { limit = 50, offset = 0 } = options;
 
-    // Get unique addresses with their total rewards
-    const rows = this.db.prepare(`
-      SELECT address, SUM(CAST(amount AS REAL)) as total_amount
-      FROM rewards
-      ${whereClause}
-      GROUP BY address
-      ORDER BY total_amount DESC
-      LIMIT ? OFFSET ?
-    `).all(...params, limit + 1, offset);
+    const total = this.db.prepare('SELECT COUNT(*) as count FROM epochs').get().count;
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM epochs ORDER BY epoch DESC LIMIT ? OFFSET ?
+    `
+      )
+      .all(limit + 1, offset);
 
     const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
-      address: row.address,
-      totalAmount: row.total_amount.toString(),
-    }));
+    const data = rows.slice(0, limit).map((row) => this._formatEpochRow(row));
 
     return { data, total, limit, offset, hasMore };
   }
 
   /**
-   * Get reward summary by type for an epoch
+   * Get epoch by block height
    */
-  getEpochRewardsSummary(epochNum) {
-    if (!this.enabled || !this.db) {return null;}
-
-    const rows = this.db.prepare(`
-      SELECT
-        type,
-        COUNT(*) as recipient_count,
-        SUM(CAST(amount AS REAL)) as total_amount,
-        AVG(CAST(amount AS REAL)) as avg_amount
-      FROM rewards
-      WHERE epoch = ?
-      GROUP BY type
-      ORDER BY total_amount DESC
-    `).all(epochNum);
-
-    if (rows.length === 0) {return null;}
+  getEpochByBlock(blockHeight) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
-    const summary = {};
-    let grandTotal = 0;
-    let totalRecipients = 0;
+    const row = this.db
+      .prepare(
+        `
+      SELECT * FROM epochs
+      WHERE start_block <= ? AND (end_block >= ? OR end_block IS NULL)
+      ORDER BY epoch DESC LIMIT 1
+    `
+      )
+      .get(blockHeight, blockHeight);
 
-    for (const row of rows) {
-      summary[row.type] = {
-        recipientCount: row.recipient_count,
-        totalAmount: row.total_amount.toString(),
-        avgAmount: row.avg_amount.toFixed(8),
-      };
-      grandTotal += row.total_amount;
-      totalRecipients += row.recipient_count;
+    if (!row) {
+      return null;
     }
+    return this._formatEpochRow(row);
+  }
 
+  /**
+   * Format epoch row to response object
+   */
+  _formatEpochRow(row) {
     return {
-      epoch: epochNum,
-      byType: summary,
-      grandTotal: grandTotal.toString(),
-      totalRecipients,
+      epoch: row.epoch,
+      startBlock: row.start_block,
+      endBlock: row.end_block,
+      startTimestamp: row.start_timestamp,
+      endTimestamp: row.end_timestamp,
+      validatedCount: row.validated_count,
+      blockCount: row.block_count,
+      txCount: row.tx_count,
+      flipCount: row.flip_count,
+      inviteCount: row.invite_count,
     };
   }
 
   // ==========================================
-  // Validation Results Methods
+  // Identity State Methods
   // ==========================================
 
   /**
-   * Insert a validation result
+   * Insert identity state for an epoch
+   * (prev_state defaults to the address's last known state before the epoch)
    */
-  insertValidationResult(result) {
-    if (!this.enabled || !this.db) {return;}
+  insertIdentityState(identityState) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
 
-    this.db.prepare(`
-      INSERT OR REPLACE INTO validation_results (
-        address, epoch, short_answers, short_correct,
-        long_answers, long_correct, made_flips, qualified_flips,
-        total_reward, missed_validation
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      result.address,
-      result.epoch,
-      result.shortAnswers || 0,
-      result.shortCorrect || 0,
-      result.longAnswers || 0,
-      result.longCorrect || 0,
-      result.madeFlips || 0,
-      result.qualifiedFlips || 0,
-      result.totalReward || '0',
-      result.missedValidation ? 1 : 0
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO identity_states (
+        address, epoch, state, prev_state, block_height, timestamp
+      ) VALUES (?, ?, ?, COALESCE(?, ${PREVIOUS_STATE_SQL}), ?, ?)
+    `);
+
+    stmt.run(
+      identityState.address,
+      identityState.epoch,
+      identityState.state,
+      identityState.prevState || null,
+      identityState.address,
+      identityState.epoch,
+      identityState.address,
+      identityState.epoch,
+      identityState.blockHeight || null,
+      identityState.timestamp
     );
   }
 
   /**
-   * Insert multiple validation results in a transaction
+   * Batch insert identity states (for epoch boundary snapshots)
+   * @returns {Array} - { address, prevState, state } of the addresses whose
+   *   state differs from their known previous state
    */
-  insertValidationResultsBatch(results) {
-    if (!this.enabled || !this.db || results.length === 0) {return;}
+  insertIdentityStatesBatch(states) {
+    if (!this.enabled || !this.db || !states.length) {
+      return [];
+    }
 
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO validation_results (
-        address, epoch, short_answers, short_correct,
-        long_answers, long_correct, made_flips, qualified_flips,
-        total_reward, missed_validation
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO identity_states (
+        address, epoch, state, prev_state, block_height, timestamp
+      ) VALUES (?, ?, ?, COALESCE(?, ${PREVIOUS_STATE_SQL}), ?, ?)
+      RETURNING address, state, prev_state
     `);
 
     const insertMany = this.db.transaction(() => {
-      for (const r of results) {
-        stmt.run(
-          r.address,
-          r.epoch,
-          r.shortAnswers || 0,
-          r.shortCorrect || 0,
-          r.longAnswers || 0,
-          r.longCorrect || 0,
-          r.madeFlips || 0,
-          r.qualifiedFlips || 0,
-          r.totalReward || '0',
-          r.missedValidation ? 1 : 0
+      const changed = [];
+      for (const s of states) {
+        const row = stmt.get(
+          s.address,
+          s.epoch,
+          s.state,
+          s.prevState || null,
+          s.address,
+          s.epoch,
+          s.address,
+          s.epoch,
+          s.blockHeight || null,
+          s.timestamp
         );
+        if (row.prev_state && row.prev_state !== row.state) {
+          changed.push({ address: row.address, prevState: row.prev_state, state: row.state });
+        }
       }
+      return changed;
     });
 
-    insertMany();
+    return insertMany();
   }
 
   /**
-   * Get validation result for identity at specific epoch
+   * Get identity state for address at specific epoch
    */
-  getValidationResult(address, epochNum) {
-    if (!this.enabled || !this.db) {return null;}
+  getIdentityState(address, epochNum) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
-    const row = this.db.prepare(`
-      SELECT * FROM validation_results
+    const row = this.db
+      .prepare(
+        `
+      SELECT * FROM identity_states
       WHERE LOWER(address) = LOWER(?) AND epoch = ?
-    `).get(address, epochNum);
+    `
+      )
+      .get(address, epochNum);
 
-    if (!row) {return null;}
+    if (!row) {
+      return null;
+    }
 
     return {
       address: row.address,
       epoch: row.epoch,
-      shortAnswers: row.short_answers,
-      shortCorrect: row.short_correct,
-      longAnswers: row.long_answers,
-      longCorrect: row.long_correct,
-      madeFlips: row.made_flips,
-      qualifiedFlips: row.qualified_flips,
-      totalReward: row.total_reward,
-      missedValidation: row.missed_validation === 1,
-      shortScore: row.short_answers > 0
-        ? ((row.short_correct / row.short_answers) * 100).toFixed(2)
-        : '0.00',
-      longScore: row.long_answers > 0
-        ? ((row.long_correct / row.long_answers) * 100).toFixed(2)
-        : '0.00',
+      state: row.state,
+      prevState: row.prev_state,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
     };
   }
 
   /**
-   * Get validation history for identity (paginated)
+   * Get identity timeline across epochs: the epoch-start snapshot plus
+   * any mid-epoch changes (kills, online toggles, delegations)
    */
-  getIdentityValidationHistory(address, options = {}) {
+  getIdentityEpochs(address, options = {}) {
     if (!this.enabled || !this.db) {
       return { data: [], total: 0, hasMore: false };
     }
@@ -1287,124 +2024,105 @@ class HistoryDB {
     const { limit = 50, offset = 0 } = options;
     const addrLower = address.toLowerCase();
 
-    const total = this.db.prepare(
-      'SELECT COUNT(*) as count FROM validation_results WHERE LOWER(address) = ?'
-    ).get(addrLower).count;
+    // An epoch appears if we have a snapshot or a change for it
+    const epochsSql = `
+      SELECT epoch FROM identity_states WHERE LOWER(address) = ?
+      UNION
+      SELECT epoch FROM identity_changes WHERE LOWER(address) = ?
+    `;
 
-    const rows = this.db.prepare(`
-      SELECT vr.*, ids.state, ids.prev_state
-      FROM validation_results vr
-      LEFT JOIN identity_states ids ON LOWER(ids.address) = LOWER(vr.address) AND ids.epoch = vr.epoch
-      WHERE LOWER(vr.address) = ?
-      ORDER BY vr.epoch DESC
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM (${epochsSql})`)
+      .get(addrLower, addrLower).count;
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT
+        ep.epoch,
+        ids.state,
+        ids.prev_state,
+        ids.block_height,
+        ids.timestamp,
+        e.start_timestamp as epoch_start,
+        e.end_timestamp as epoch_end
+      FROM (${epochsSql}) ep
+      LEFT JOIN identity_states ids ON ids.epoch = ep.epoch AND LOWER(ids.address) = ?
+      LEFT JOIN epochs e ON e.epoch = ep.epoch
+      ORDER BY ep.epoch DESC
       LIMIT ? OFFSET ?
-    `).all(addrLower, limit + 1, offset);
+    `
+      )
+      .all(addrLower, addrLower, addrLower, limit + 1, offset);
 
     const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
-      epoch: row.epoch,
-      shortAnswers: row.short_answers,
-      shortCorrect: row.short_correct,
-      longAnswers: row.long_answers,
-      longCorrect: row.long_correct,
-      madeFlips: row.made_flips,
-      qualifiedFlips: row.qualified_flips,
-      totalReward: row.total_reward,
-      missedValidation: row.missed_validation === 1,
+    const page = rows.slice(0, limit);
+
+    const changesByEpoch = new Map();
+    if (page.length > 0) {
+      const epochs = page.map((row) => row.epoch);
+      const changeRows = this.db
+        .prepare(
+          `
+        SELECT * FROM identity_changes
+        WHERE LOWER(address) = ? AND epoch IN (${epochs.map(() => '?').join(', ')})
+        ORDER BY block_height ASC, id ASC
+      `
+        )
+        .all(addrLower, ...epochs);
+
+      for (const row of changeRows) {
+        if (!changesByEpoch.has(row.epoch)) {
+          changesByEpoch.set(row.epoch, []);
+        }
+        changesByEpoch.get(row.epoch).push(this._formatIdentityChangeRow(row));
+      }
+    }
+
+    const data = page.map((row) => ({
+      epoch: row.epoch,
       state: row.state,
       prevState: row.prev_state,
-      shortScore: row.short_answers > 0
-        ? ((row.short_correct / row.short_answers) * 100).toFixed(2)
-        : '0.00',
-      longScore: row.long_answers > 0
-        ? ((row.long_correct / row.long_answers) * 100).toFixed(2)
-        : '0.00',
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+      epochStart: row.epoch_start,
+      epochEnd: row.epoch_end,
+      changes: changesByEpoch.get(row.epoch) || [],
     }));
 
     return { data, total, limit, offset, hasMore };
   }
 
   /**
-   * Get validation summary for an epoch
-   */
-  getEpochValidationSummary(epochNum) {
-    if (!this.enabled || !this.db) {return null;}
-
-    const row = this.db.prepare(`
-      SELECT
-        COUNT(*) as total_participants,
-        SUM(CASE WHEN missed_validation = 0 THEN 1 ELSE 0 END) as validated_count,
-        SUM(CASE WHEN missed_validation = 1 THEN 1 ELSE 0 END) as missed_count,
-        AVG(CASE WHEN short_answers > 0 THEN (short_correct * 100.0 / short_answers) ELSE NULL END) as avg_short_score,
-        AVG(CASE WHEN long_answers > 0 THEN (long_correct * 100.0 / long_answers) ELSE NULL END) as avg_long_score,
-        SUM(CAST(total_reward AS REAL)) as total_rewards,
-        SUM(made_flips) as total_flips_made,
-        SUM(qualified_flips) as total_flips_qualified
-      FROM validation_results
-      WHERE epoch = ?
-    `).get(epochNum);
-
-    if (!row || row.total_participants === 0) {return null;}
-
-    return {
-      epoch: epochNum,
-      totalParticipants: row.total_participants,
-      validatedCount: row.validated_count,
-      missedCount: row.missed_count,
-      avgShortScore: row.avg_short_score ? row.avg_short_score.toFixed(2) : '0.00',
-      avgLongScore: row.avg_long_score ? row.avg_long_score.toFixed(2) : '0.00',
-      totalRewards: row.total_rewards ? row.total_rewards.toString() : '0',
-      totalFlipsMade: row.total_flips_made,
-      totalFlipsQualified: row.total_flips_qualified,
-    };
-  }
-
-  // ==========================================
-  // Balance Changes Methods
-  // ==========================================
-
-  /**
-   * Insert a balance change event
-   */
-  insertBalanceChange(change) {
-    if (!this.enabled || !this.db) {return;}
-
-    this.db.prepare(`
-      INSERT INTO balance_changes (
-        address, block_height, tx_hash, change_type, amount, balance_after, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      change.address,
-      change.blockHeight,
-      change.txHash || null,
-      change.changeType,
-      change.amount || '0',
-      change.balanceAfter || '0',
-      change.timestamp
-    );
-  }
-
-  /**
-   * Insert multiple balance changes in a transaction
+   * Batch insert mid-epoch identity changes
+   * (prev_state defaults to the address's last known state)
    */
-  insertBalanceChangesBatch(changes) {
-    if (!this.enabled || !this.db || changes.length === 0) {return;}
+  insertIdentityChangesBatch(changes) {
+    if (!this.enabled || !this.db || !changes.length) {
+      return;
+    }
 
     const stmt = this.db.prepare(`
-      INSERT INTO balance_changes (
-        address, block_height, tx_hash, change_type, amount, balance_after, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      INSERT OR IGNORE INTO identity_changes (
+        address, epoch, change_type, prev_state, new_state, counterparty, tx_hash, block_height, timestamp
+      ) VALUES (?, ?, ?, COALESCE(?, ${PREVIOUS_STATE_SQL}), ?, ?, ?, ?, ?)
     `);
 
     const insertMany = this.db.transaction(() => {
       for (const c of changes) {
         stmt.run(
           c.address,
-          c.blockHeight,
-          c.txHash || null,
+          c.epoch,
           c.changeType,
-          c.amount || '0',
-          c.balanceAfter || '0',
+          c.prevState || null,
+          c.address,
+          c.epoch + 1,
+          c.address,
+          c.epoch + 1,
+          c.newState || null,
+          c.counterparty || null,
+          c.txHash,
+          c.blockHeight,
           c.timestamp
         );
       }
@@ -1414,42 +2132,59 @@ class HistoryDB {
   }
 
   /**
-   * Get balance changes for an address (paginated)
+   * Format an identity_changes row for API output
    */
-  getAddressBalanceChanges(address, options = {}) {
+  _formatIdentityChangeRow(row) {
+    return {
+      type: row.change_type,
+      prevState: row.prev_state,
+      newState: row.new_state,
+      counterparty: row.counterparty,
+      txHash: row.tx_hash,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+    };
+  }
+
+  /**
+   * Get identities in a specific epoch
+   */
+  getEpochIdentities(epochNum, options = {}) {
     if (!this.enabled || !this.db) {
       return { data: [], total: 0, hasMore: false };
     }
 
-    const { limit = 50, offset = 0, changeType = null } = options;
-    const addrLower = address.toLowerCase();
+    const { limit = 50, offset = 0, state = null } = options;
 
-    let whereClause = 'WHERE LOWER(address) = ?';
-    const params = [addrLower];
+    let whereClause = 'epoch = ?';
+    const params = [epochNum];
 
-    if (changeType !== null) {
-      whereClause += ' AND change_type = ?';
-      params.push(changeType);
+    if (state) {
+      whereClause += ' AND state = ?';
+      params.push(state);
     }
 
-    const total = this.db.prepare(
-      `SELECT COUNT(*) as count FROM balance_changes ${whereClause}`
-    ).get(...params).count;
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM identity_states WHERE ${whereClause}`)
+      .get(...params).count;
 
-    const rows = this.db.prepare(`
-      SELECT * FROM balance_changes
-      ${whereClause}
-      ORDER BY block_height DESC, id DESC
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM identity_states
+      WHERE ${whereClause}
+      ORDER BY address
       LIMIT ? OFFSET ?
-    `).all(...params, limit + 1, offset);
+    `
+      )
+      .all(...params, limit + 1, offset);
 
     const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
+    const data = rows.slice(0, limit).map((row) => ({
+      address: row.address,
+      state: row.state,
+      prevState: row.prev_state,
       blockHeight: row.block_height,
-      txHash: row.tx_hash,
-      changeType: row.change_type,
-      amount: row.amount,
-      balanceAfter: row.balance_after,
       timestamp: row.timestamp,
     }));
 
@@ -1457,111 +2192,76 @@ class HistoryDB {
   }
 
   /**
-   * Get full address info (latest balance, stake, tx count, identity state)
+   * Get identity state counts for an epoch (summary)
    */
-  getAddressInfo(address) {
-    if (!this.enabled || !this.db) {return null;}
-
-    const addrLower = address.toLowerCase();
-
-    // Get latest address state
-    const latestState = this.db.prepare(`
-      SELECT * FROM address_states
-      WHERE LOWER(address) = ?
-      ORDER BY epoch DESC
-      LIMIT 1
-    `).get(addrLower);
-
-    // Get latest identity state
-    const latestIdentity = this.db.prepare(`
-      SELECT * FROM identity_states
-      WHERE LOWER(address) = ?
-      ORDER BY epoch DESC
-      LIMIT 1
-    `).get(addrLower);
-
-    // Get transaction counts
-    const txSent = this.db.prepare(
-      'SELECT COUNT(*) as count FROM transactions WHERE LOWER(from_addr) = ?'
-    ).get(addrLower).count;
-
-    const txReceived = this.db.prepare(
-      'SELECT COUNT(*) as count FROM transactions WHERE LOWER(to_addr) = ?'
-    ).get(addrLower).count;
-
-    // Get total rewards
-    const totalRewards = this.db.prepare(
-      'SELECT SUM(CAST(amount AS REAL)) as total FROM rewards WHERE LOWER(address) = ?'
-    ).get(addrLower).total || 0;
+  getEpochIdentitySummary(epochNum) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
-    // Get total penalties
-    const totalPenalties = this.db.prepare(
-      'SELECT SUM(CAST(penalty AS REAL)) as total FROM penalties WHERE LOWER(address) = ?'
-    ).get(addrLower).total || 0;
+    const rows = this.db
+      .prepare(
+        `
+      SELECT state, COUNT(*) as count
+      FROM identity_states
+      WHERE epoch = ?
+      GROUP BY state
+    `
+      )
+      .all(epochNum);
 
-    if (!latestState && !latestIdentity) {return null;}
+    const summary = {};
+    for (const row of rows) {
+      summary[row.state] = row.count;
+    }
 
-    return {
-      address: latestState?.address || latestIdentity?.address || address,
-      balance: latestState?.balance || '0',
-      stake: latestState?.stake || '0',
-      epoch: latestState?.epoch || latestIdentity?.epoch,
-      identityState: latestIdentity?.state || null,
-      prevIdentityState: latestIdentity?.prev_state || null,
-      txSent,
-      txReceived,
-      txTotal: txSent + txReceived,
-      totalRewards: totalRewards.toString(),
-      totalPenalties: totalPenalties.toString(),
-    };
+    return summary;
   }
 
   // ==========================================
-  // Penalties Methods
+  // Address State Methods
   // ==========================================
 
   /**
-   * Insert a penalty
+   * Insert address state for an epoch
    */
-  insertPenalty(penalty) {
-    if (!this.enabled || !this.db) {return;}
+  insertAddressState(addressState) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
 
-    this.db.prepare(`
-      INSERT INTO penalties (
-        address, epoch, penalty, reason, block_height, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?)
-    `).run(
-      penalty.address,
-      penalty.epoch,
-      penalty.penalty || '0',
-      penalty.reason || null,
-      penalty.blockHeight || null,
-      penalty.timestamp
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO address_states (
+        address, epoch, balance, stake, tx_count
+      ) VALUES (?, ?, ?, ?, ?)
+    `);
+
+    stmt.run(
+      addressState.address,
+      addressState.epoch,
+      addressState.balance || '0',
+      addressState.stake || '0',
+      addressState.txCount || 0
     );
   }
 
   /**
-   * Insert multiple penalties in a transaction
+   * Batch insert address states
    */
-  insertPenaltiesBatch(penalties) {
-    if (!this.enabled || !this.db || penalties.length === 0) {return;}
+  insertAddressStatesBatch(states) {
+    if (!this.enabled || !this.db || !states.length) {
+      return;
+    }
 
     const stmt = this.db.prepare(`
-      INSERT INTO penalties (
-        address, epoch, penalty, reason, block_height, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO address_states (
+        address, epoch, balance, stake, tx_count
+      ) VALUES (?, ?, ?, ?, ?)
     `);
 
     const insertMany = this.db.transaction(() => {
-      for (const p of penalties) {
-        stmt.run(
-          p.address,
-          p.epoch,
-          p.penalty || '0',
-          p.reason || null,
-          p.blockHeight || null,
-          p.timestamp
-        );
+      for (const s of states) {
+        stmt.run(s.address, s.epoch, s.balance || '0', s.stake || '0', s.txCount || 0);
       }
     });
 
@@ -1569,1062 +2269,3760 @@ class HistoryDB {
   }
 
   /**
-   * Get penalties for an address (paginated)
+   * Get address state at specific epoch
    */
-  getAddressPenalties(address, options = {}) {
+  getAddressState(address, epochNum) {
     if (!this.enabled || !this.db) {
-      return { data: [], total: 0, hasMore: false };
+      return null;
     }
 
-    const { limit = 50, offset = 0, epoch = null } = options;
-    const addrLower = address.toLowerCase();
-
-    let whereClause = 'WHERE LOWER(address) = ?';
-    const params = [addrLower];
+    const row = this.db
+      .prepare(
+        `
+      SELECT * FROM address_states
+      WHERE LOWER(address) = LOWER(?) AND epoch = ?
+    `
+      )
+      .get(address, epochNum);
 
-    if (epoch !== null) {
-      whereClause += ' AND epoch = ?';
-      params.push(epoch);
+    if (!row) {
+      return null;
     }
 
-    const total = this.db.prepare(
-      `SELECT COUNT(*) as count FROM penalties ${whereClause}`
-    ).get(...params).count;
-
-    const rows = this.db.prepare(`
-      SELECT * FROM penalties
-      ${whereClause}
-      ORDER BY epoch DESC, id DESC
-      LIMIT ? OFFSET ?
-    `).all(...params, limit + 1, offset);
-
-    const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
+    return {
+      address: row.address,
       epoch: row.epoch,
-      penalty: row.penalty,
-      reason: row.reason,
-      blockHeight: row.block_height,
-      timestamp: row.timestamp,
-    }));
-
-    return { data, total, limit, offset, hasMore };
+      balance: row.balance,
+      stake: row.stake,
+      txCount: row.tx_count,
+    };
   }
 
   /**
-   * Get penalties for a specific epoch (paginated)
+   * Get address state history across epochs
    */
-  getEpochPenalties(epochNum, options = {}) {
+  getAddressStates(address, options = {}) {
     if (!this.enabled || !this.db) {
       return { data: [], total: 0, hasMore: false };
     }
 
     const { limit = 50, offset = 0 } = options;
+    const addrLower = address.toLowerCase();
 
-    const total = this.db.prepare(
-      'SELECT COUNT(*) as count FROM penalties WHERE epoch = ?'
-    ).get(epochNum).count;
+    const total = this.db
+      .prepare('SELECT COUNT(*) as count FROM address_states WHERE LOWER(address) = ?')
+      .get(addrLower).count;
 
-    const rows = this.db.prepare(`
-      SELECT * FROM penalties
-      WHERE epoch = ?
-      ORDER BY CAST(penalty AS REAL) DESC
+    const rows = this.db
+      .prepare(
+        `
+      SELECT as_tbl.*, e.start_timestamp as epoch_start, e.end_timestamp as epoch_end
+      FROM address_states as_tbl
+      LEFT JOIN epochs e ON e.epoch = as_tbl.epoch
+      WHERE LOWER(as_tbl.address) = ?
+      ORDER BY as_tbl.epoch DESC
       LIMIT ? OFFSET ?
-    `).all(epochNum, limit + 1, offset);
+    `
+      )
+      .all(addrLower, limit + 1, offset);
 
     const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
-      address: row.address,
-      penalty: row.penalty,
-      reason: row.reason,
-      blockHeight: row.block_height,
-      timestamp: row.timestamp,
+    const data = rows.slice(0, limit).map((row) => ({
+      epoch: row.epoch,
+      balance: row.balance,
+      stake: row.stake,
+      txCount: row.tx_count,
+      epochStart: row.epoch_start,
+      epochEnd: row.epoch_end,
     }));
 
     return { data, total, limit, offset, hasMore };
   }
 
+  // ==========================================
+  // Rewards Methods
+  // ==========================================
+
   /**
-   * Get penalty summary for an epoch
+   * Insert a single reward
+   */
+  insertReward(address, epoch, type, amount) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+
+    this.db
+      .prepare(
+        `
+      INSERT OR REPLACE INTO rewards (address, epoch, type, amount)
+      VALUES (?, ?, ?, ?)
+    `
+      )
+      .run(address, epoch, type, amount);
+  }
+
+  /**
+   * Insert multiple rewards in a transaction
+   */
+  insertRewardsBatch(rewards) {
+    if (!this.enabled || !this.db || rewards.length === 0) {
+      return;
+    }
+
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO rewards (address, epoch, type, amount)
+      VALUES (?, ?, ?, ?)
+    `);
+
+    const insertMany = this.db.transaction(() => {
+      for (const r of rewards) {
+        stmt.run(r.address, r.epoch, r.type, r.amount || '0');
+      }
+    });
+
+    insertMany();
+  }
+
+  /**
+   * Get all rewards for an identity (paginated)
+   */
+  getIdentityRewards(address, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0, hasMore: false };
+    }
+
+    const { limit = 50, offset = 0, epoch = null, type = null } = options;
+    const addrLower = address.toLowerCase();
+
+    let whereClause = 'WHERE LOWER(address) = ?';
+    const params = [addrLower];
+
+    if (epoch !== null) {
+      whereClause += ' AND epoch = ?';
+      params.push(epoch);
+    }
+
+    if (type !== null) {
+      whereClause += ' AND type = ?';
+      params.push(type);
+    }
+
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM rewards ${whereClause}`)
+      .get(...params).count;
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM rewards
+      ${whereClause}
+      ORDER BY epoch DESC, type ASC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(...params, limit + 1, offset);
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => ({
+      epoch: row.epoch,
+      type: row.type,
+      amount: row.amount,
+    }));
+
+    return { data, total, limit, offset, hasMore };
+  }
+
+  /**
+   * Get a page of rewards for each of a batch of addresses, in the order of
+   * getIdentityRewards
+   * @param {string[]} addresses - Lowercase addresses
+   * @param {object} options - { limit, offset, epoch }
+   * @returns {object[]} - Rewards with the address they were found for
+   */
+  getRewardsByAddress(addresses, options = {}) {
+    if (!this.enabled || !this.db || !addresses.length) {
+      return [];
+    }
+
+    const { limit = 50, offset = 0, epoch = null } = options;
+
+    return this._batchPages(
+      `
+      SELECT k.value AS batch_key, r.*
+      FROM json_each(@keys) k
+      JOIN rewards r ON LOWER(r.address) = k.value
+      ${epoch !== null ? 'WHERE r.epoch = @epoch' : ''}
+    `,
+      { keys: JSON.stringify(addresses), ...(epoch !== null ? { epoch } : {}) },
+      'epoch DESC, type ASC',
+      { limit, offset }
+    ).map((row) => ({
+      address: row.batch_key,
+      epoch: row.epoch,
+      type: row.type,
+      amount: row.amount,
+    }));
+  }
+
+  /**
+   * Get rewards for identity at specific epoch
+   */
+  getIdentityRewardsAtEpoch(address, epochNum) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM rewards
+      WHERE LOWER(address) = LOWER(?) AND epoch = ?
+      ORDER BY type ASC
+    `
+      )
+      .all(address, epochNum);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const rewards = {};
+    let totalAmount = 0;
+
+    for (const row of rows) {
+      rewards[row.type] = row.amount;
+      totalAmount += parseFloat(row.amount) || 0;
+    }
+
+    return {
+      address,
+      epoch: epochNum,
+      rewards,
+      totalAmount: totalAmount.toString(),
+    };
+  }
+
+  /**
+   * Get all rewards for an epoch (paginated)
+   */
+  getEpochRewards(epochNum, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0, hasMore: false };
+    }
+
+    const { limit = 50, offset = 0, type = null } = options;
+
+    let whereClause = 'WHERE epoch = ?';
+    const params = [epochNum];
+
+    if (type) {
+      whereClause += ' AND type = ?';
+      params.push(type);
+    }
+
+    const total = this.db
+      .prepare(`SELECT COUNT(DISTINCT address) as count FROM rewards ${whereClause}`)
+      .get(...params).count;
+
+    // Get unique addresses with their total rewards
+    const rows = this.db
+      .prepare(
+        `
+      SELECT address, SUM(CAST(amount AS REAL)) as total_amount
+      FROM rewards
+      ${whereClause}
+      GROUP BY address
+      ORDER BY total_amount DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(...params, limit + 1, offset);
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => ({
+      address: row.address,
+      totalAmount: row.total_amount.toString(),
+    }));
+
+    return { data, total, limit, offset, hasMore };
+  }
+
+  /**
+   * Get reward summary by type for an epoch
+   */
+  getEpochRewardsSummary(epochNum) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT
+        type,
+        COUNT(*) as recipient_count,
+        SUM(CAST(amount AS REAL)) as total_amount,
+        AVG(CAST(amount AS REAL)) as avg_amount
+      FROM rewards
+      WHERE epoch = ?
+      GROUP BY type
+      ORDER BY total_amount DESC
+    `
+      )
+      .all(epochNum);
+
+    if (rows.length === 0) {
+      return null;
+    }
+
+    const summary = {};
+    let grandTotal = 0;
+    let totalRecipients = 0;
+
+    for (const row of rows) {
+      summary[row.type] = {
+        recipientCount: row.recipient_count,
+        totalAmount: row.total_amount.toString(),
+        avgAmount: row.avg_amount.toFixed(8),
+      };
+      grandTotal += row.total_amount;
+      totalRecipients += row.recipient_count;
+    }
+
+    return {
+      epoch: epochNum,
+      byType: summary,
+      grandTotal: grandTotal.toString(),
+      totalRecipients,
+    };
+  }
+
+  // ==========================================
+  // Validation Results Methods
+  // ==========================================
+
+  /**
+   * Insert a validation result
+   */
+  insertValidationResult(result) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+
+    this.db
+      .prepare(
+        `
+      INSERT OR REPLACE INTO validation_results (
+        address, epoch, short_answers, short_correct,
+        long_answers, long_correct, made_flips, qualified_flips,
+        total_reward, missed_validation
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `
+      )
+      .run(
+        result.address,
+        result.epoch,
+        result.shortAnswers || 0,
+        result.shortCorrect || 0,
+        result.longAnswers || 0,
+        result.longCorrect || 0,
+        result.madeFlips || 0,
+        result.qualifiedFlips || 0,
+        result.totalReward || '0',
+        result.missedValidation ? 1 : 0
+      );
+  }
+
+  /**
+   * Insert multiple validation results in a transaction
+   */
+  insertValidationResultsBatch(results) {
+    if (!this.enabled || !this.db || results.length === 0) {
+      return;
+    }
+
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO validation_results (
+        address, epoch, short_answers, short_correct,
+        long_answers, long_correct, made_flips, qualified_flips,
+        total_reward, missed_validation
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const insertMany = this.db.transaction(() => {
+      for (const r of results) {
+        stmt.run(
+          r.address,
+          r.epoch,
+          r.shortAnswers || 0,
+          r.shortCorrect || 0,
+          r.longAnswers || 0,
+          r.longCorrect || 0,
+          r.madeFlips || 0,
+          r.qualifiedFlips || 0,
+          r.totalReward || '0',
+          r.missedValidation ? 1 : 0
+        );
+      }
+    });
+
+    insertMany();
+  }
+
+  /**
+   * Get validation result for identity at specific epoch
+   */
+  getValidationResult(address, epochNum) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const row = this.db
+      .prepare(
+        `
+      SELECT * FROM validation_results
+      WHERE LOWER(address) = LOWER(?) AND epoch = ?
+    `
+      )
+      .get(address, epochNum);
+
+    if (!row) {
+      return null;
+    }
+
+    return {
+      address: row.address,
+      epoch: row.epoch,
+      shortAnswers: row.short_answers,
+      shortCorrect: row.short_correct,
+      longAnswers: row.long_answers,
+      longCorrect: row.long_correct,
+      madeFlips: row.made_flips,
+      qualifiedFlips: row.qualified_flips,
+      totalReward: row.total_reward,
+      missedValidation: row.missed_validation === 1,
+      shortScore:
+        row.short_answers > 0 ? ((row.short_correct / row.short_answers) * 100).toFixed(2) : '0.00',
+      longScore:
+        row.long_answers > 0 ? ((row.long_correct / row.long_answers) * 100).toFixed(2) : '0.00',
+    };
+  }
+
+  /**
+   * Get validation history for identity (paginated)
+   */
+  getIdentityValidationHistory(address, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0, hasMore: false };
+    }
+
+    const { limit = 50, offset = 0 } = options;
+    const addrLower = address.toLowerCase();
+
+    const total = this.db
+      .prepare('SELECT COUNT(*) as count FROM validation_results WHERE LOWER(address) = ?')
+      .get(addrLower).count;
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT vr.*, ids.state, ids.prev_state
+      FROM validation_results vr
+      LEFT JOIN identity_states ids ON LOWER(ids.address) = LOWER(vr.address) AND ids.epoch = vr.epoch
+      WHERE LOWER(vr.address) = ?
+      ORDER BY vr.epoch DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(addrLower, limit + 1, offset);
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => this._formatValidationHistoryRow(row));
+
+    return { data, total, limit, offset, hasMore };
+  }
+
+  /**
+   * Get a page of validation history for each of a batch of addresses, in
+   * the order of getIdentityValidationHistory
+   * @param {string[]} addresses - Lowercase addresses
+   * @param {object} options - { limit, offset }
+   * @returns {object[]} - Validation results with the address they were found for
+   */
+  getValidationResultsByAddress(addresses, options = {}) {
+    if (!this.enabled || !this.db || !addresses.length) {
+      return [];
+    }
+
+    const { limit = 50, offset = 0 } = options;
+
+    return this._batchPages(
+      `
+      SELECT k.value AS batch_key, vr.*, ids.state, ids.prev_state
+      FROM json_each(@keys) k
+      JOIN validation_results vr ON LOWER(vr.address) = k.value
+      LEFT JOIN identity_states ids ON LOWER(ids.address) = LOWER(vr.address) AND ids.epoch = vr.epoch
+    `,
+      { keys: JSON.stringify(addresses) },
+      'epoch DESC',
+      { limit, offset }
+    ).map((row) => ({ address: row.batch_key, ...this._formatValidationHistoryRow(row) }));
+  }
+
+  /**
+   * Format a validation_results row joined with the epoch's identity state
+   */
+  _formatValidationHistoryRow(row) {
+    return {
+      epoch: row.epoch,
+      shortAnswers: row.short_answers,
+      shortCorrect: row.short_correct,
+      longAnswers: row.long_answers,
+      longCorrect: row.long_correct,
+      madeFlips: row.made_flips,
+      qualifiedFlips: row.qualified_flips,
+      totalReward: row.total_reward,
+      missedValidation: row.missed_validation === 1,
+      state: row.state,
+      prevState: row.prev_state,
+      shortScore:
+        row.short_answers > 0 ? ((row.short_correct / row.short_answers) * 100).toFixed(2) : '0.00',
+      longScore:
+        row.long_answers > 0 ? ((row.long_correct / row.long_answers) * 100).toFixed(2) : '0.00',
+    };
+  }
+
+  /**
+   * Get validation summary for an epoch
+   */
+  getEpochValidationSummary(epochNum) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const row = this.db
+      .prepare(
+        `
+      SELECT
+        COUNT(*) as total_participants,
+        SUM(CASE WHEN missed_validation = 0 THEN 1 ELSE 0 END) as validated_count,
+        SUM(CASE WHEN missed_validation = 1 THEN 1 ELSE 0 END) as missed_count,
+        AVG(CASE WHEN short_answers > 0 THEN (short_correct * 100.0 / short_answers) ELSE NULL END) as avg_short_score,
+        AVG(CASE WHEN long_answers > 0 THEN (long_correct * 100.0 / long_answers) ELSE NULL END) as avg_long_score,
+        SUM(CAST(total_reward AS REAL)) as total_rewards,
+        SUM(made_flips) as total_flips_made,
+        SUM(qualified_flips) as total_flips_qualified
+      FROM validation_results
+      WHERE epoch = ?
+    `
+      )
+      .get(epochNum);
+
+    if (!row || row.total_participants === 0) {
+      return null;
+    }
+
+    return {
+      epoch: epochNum,
+      totalParticipants: row.total_participants,
+      validatedCount: row.validated_count,
+      missedCount: row.missed_count,
+      avgShortScore: row.avg_short_score ? row.avg_short_score.toFixed(2) : '0.00',
+      avgLongScore: row.avg_long_score ? row.avg_long_score.toFixed(2) : '0.00',
+      totalRewards: row.total_rewards ? row.total_rewards.toString() : '0',
+      totalFlipsMade: row.total_flips_made,
+      totalFlipsQualified: row.total_flips_qualified,
+    };
+  }
+
+  // ==========================================
+  // Balance Changes Methods
+  // ==========================================
+
+  /**
+   * Insert a balance change event
+   */
+  insertBalanceChange(change) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+
+    this.db
+      .prepare(
+        `
+      INSERT INTO balance_changes (
+        address, block_height, tx_hash, change_type, amount, balance_after, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `
+      )
+      .run(
+        change.address,
+        change.blockHeight,
+        change.txHash || null,
+        change.changeType,
+        change.amount || '0',
+        change.balanceAfter ?? null,
+        change.timestamp
+      );
+  }
+
+  /**
+   * Insert multiple balance changes in a transaction
+   */
+  insertBalanceChangesBatch(changes) {
+    if (!this.enabled || !this.db || changes.length === 0) {
+      return;
+    }
+
+    const stmt = this.db.prepare(`
+      INSERT INTO balance_changes (
+        address, block_height, tx_hash, change_type, amount, balance_after, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const insertMany = this.db.transaction(() => {
+      for (const c of changes) {
+        stmt.run(
+          c.address,
+          c.blockHeight,
+          c.txHash || null,
+          c.changeType,
+          c.amount || '0',
+          c.balanceAfter ?? null,
+          c.timestamp
+        );
+      }
+    });
+
+    insertMany();
+  }
+
+  /**
+   * Get balance changes for an address (paginated)
+   */
+  getAddressBalanceChanges(address, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0, hasMore: false };
+    }
+
+    const { limit = 50, offset = 0, changeType = null } = options;
+    const addrLower = address.toLowerCase();
+
+    let whereClause = 'WHERE LOWER(address) = ?';
+    const params = [addrLower];
+
+    if (changeType !== null) {
+      whereClause += ' AND change_type = ?';
+      params.push(changeType);
+    }
+
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM balance_changes ${whereClause}`)
+      .get(...params).count;
+
+    // Same order recomputeBalanceAfter applies changes in, newest first
+    const rows = this.db
+      .prepare(
+        `
+      SELECT bc.* FROM balance_changes bc
+      LEFT JOIN transactions t ON t.hash = bc.tx_hash
+      ${whereClause}
+      ORDER BY bc.block_height DESC, COALESCE(t.tx_index, -1) DESC, bc.id DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(...params, limit + 1, offset);
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => ({
+      blockHeight: row.block_height,
+      txHash: row.tx_hash,
+      changeType: row.change_type,
+      amount: row.amount,
+      balanceAfter: row.balance_after,
+      timestamp: row.timestamp,
+    }));
+
+    return { data, total, limit, offset, hasMore };
+  }
+
+  /**
+   * Correct the fee of a transaction to the one charged in its receipt: the
+   * stored fee and the sender's fee balance change. The sender's running
+   * balances from that block on are reset so recomputeBalanceAfter redoes them.
+   * @returns {string|null} - The sender when the fee changed, else null
+   */
+  updateTransactionFee(hash, fee) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const tx = this.db
+      .prepare('SELECT block_height, from_addr, fee, timestamp FROM transactions WHERE hash = ?')
+      .get(hash);
+    if (!tx || toAtomic(tx.fee || '0') === toAtomic(fee)) {
+      return null;
+    }
+
+    const amount = fromAtomic(-toAtomic(fee));
+    const sender = tx.from_addr.toLowerCase();
+
+    const update = this.db.transaction(() => {
+      this.db.prepare('UPDATE transactions SET fee = ? WHERE hash = ?').run(fee, hash);
+
+      const updated = this.db
+        .prepare("UPDATE balance_changes SET amount = ? WHERE tx_hash = ? AND change_type = 'fee'")
+        .run(amount, hash).changes;
+      if (updated === 0 && toAtomic(fee) !== 0n) {
+        this.insertBalanceChange({
+          address: tx.from_addr,
+          blockHeight: tx.block_height,
+          txHash: hash,
+          changeType: 'fee',
+          amount,
+          timestamp: tx.timestamp,
+        });
+      }
+
+      this.db
+        .prepare(
+          'UPDATE balance_changes SET balance_after = NULL WHERE LOWER(address) = ? AND block_height >= ?'
+        )
+        .run(sender, tx.block_height);
+    });
+    update();
+
+    return sender;
+  }
+
+  /**
+   * Record the balance of an address at a block height, read from the node
+   * while that height was its chain tip (used as the running-balance anchor)
+   */
+  setBalanceAnchor(address, blockHeight, balance) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+
+    this.db
+      .prepare(
+        `
+      INSERT OR REPLACE INTO balance_anchors (address, block_height, balance) VALUES (?, ?, ?)
+    `
+      )
+      .run(address.toLowerCase(), blockHeight, balance || '0');
+  }
+
+  /**
+   * Get the balance anchor of an address. Epoch snapshots in address_states
+   * are not used: they are read at sync time, which during catch-up or
+   * backfill is long after the epoch's start block.
+   */
+  getBalanceAnchor(address) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const row = this.db
+      .prepare('SELECT block_height, balance FROM balance_anchors WHERE address = ?')
+      .get(address.toLowerCase());
+
+    return row ? { blockHeight: row.block_height, balance: row.balance } : null;
+  }
+
+  /**
+   * Balance changes of an address in running-balance order: by block, then
+   * epoch-level changes (rewards, penalties) before transactions in tx_index
+   * order, then insertion order
+   * @param {string} address - Lowercased address
+   * @param {object} options - { after, before: rows to bound by, pending: only uncomputed
+   *   rows, computed: only computed rows, desc, limit }
+   */
+  _selectBalanceChanges(address, options = {}) {
+    const conditions = ['LOWER(bc.address) = ?'];
+    const params = [address];
+
+    if (options.after) {
+      conditions.push('(bc.block_height, COALESCE(t.tx_index, -1), bc.id) > (?, ?, ?)');
+      params.push(options.after.block_height, options.after.tx_index, options.after.id);
+    }
+    if (options.before) {
+      conditions.push('(bc.block_height, COALESCE(t.tx_index, -1), bc.id) < (?, ?, ?)');
+      params.push(options.before.block_height, options.before.tx_index, options.before.id);
+    }
+    if (options.pending) {
+      conditions.push('bc.balance_after IS NULL');
+    }
+    if (options.computed) {
+      conditions.push('bc.balance_after IS NOT NULL');
+    }
+
+    const order = options.desc ? 'DESC' : 'ASC';
+    const limit = options.limit ? `LIMIT ${parseInt(options.limit)}` : '';
+
+    return this.db
+      .prepare(
+        `
+      SELECT bc.id, bc.block_height, COALESCE(t.tx_index, -1) as tx_index, bc.amount, bc.balance_after
+      FROM balance_changes bc
+      LEFT JOIN transactions t ON t.hash = bc.tx_hash
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY bc.block_height ${order}, COALESCE(t.tx_index, -1) ${order}, bc.id ${order}
+      ${limit}
+    `
+      )
+      .all(...params);
+  }
+
+  /**
+   * Fill balance_after for the balance changes of an address that do not
+   * have one yet, without rewriting the rest of its history:
+   * - changes after the last computed one continue forward from it
+   * - changes before the first computed one walk backward from it
+   * - an address without computed changes walks backward and forward from
+   *   its anchor, as does a change inserted at or below the anchor height
+   *   between computed ones (a repaired gap)
+   * @returns {number|null} - Rows updated, or null when an anchor is needed but not known
+   */
+  recomputeBalanceAfter(address) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const addrLower = address.toLowerCase();
+    const [firstComputed] = this._selectBalanceChanges(addrLower, { computed: true, limit: 1 });
+    const anchor = this.getBalanceAnchor(addrLower);
+
+    if (!firstComputed) {
+      return anchor ? this._walkFromAnchor(addrLower, anchor) : null;
+    }
+
+    const updates = [];
+
+    // Backward from the first computed change
+    let balance = toAtomic(firstComputed.balance_after) - toAtomic(firstComputed.amount);
+    for (const row of this._selectBalanceChanges(addrLower, {
+      before: firstComputed,
+      desc: true,
+    })) {
+      updates.push([row.id, balance]);
+      balance -= toAtomic(row.amount);
+    }
+
+    // Forward from the last computed change before the first pending one
+    const [firstPending] = this._selectBalanceChanges(addrLower, {
+      after: firstComputed,
+      pending: true,
+      limit: 1,
+    });
+    if (firstPending) {
+      if (anchor && firstPending.block_height <= anchor.blockHeight) {
+        return this._walkFromAnchor(addrLower, anchor);
+      }
+
+      const [previous] = this._selectBalanceChanges(addrLower, {
+        before: firstPending,
+        computed: true,
+        desc: true,
+        limit: 1,
+      });
+      balance = toAtomic(previous.balance_after);
+      for (const row of this._selectBalanceChanges(addrLower, { after: previous })) {
+        balance += toAtomic(row.amount);
+        updates.push([row.id, balance]);
+      }
+    }
+
+    this._writeBalanceAfter(updates);
+    return updates.length;
+  }
+
+  /**
+   * Recompute every balance change of an address from its anchor: changes up
+   * to the anchor height backward, later ones forward
+   */
+  _walkFromAnchor(address, anchor) {
+    const rows = this._selectBalanceChanges(address);
+    const split = rows.findIndex((row) => row.block_height > anchor.blockHeight);
+    const firstAfter = split === -1 ? rows.length : split;
+    const updates = [];
+
+    // Backward: the last change at or before the anchor leaves the anchor balance
+    let balance = toAtomic(anchor.balance);
+    for (let i = firstAfter - 1; i >= 0; i--) {
+      updates.push([rows[i].id, balance]);
+      balance -= toAtomic(rows[i].amount);
+    }
+
+    // Forward from the anchor
+    balance = toAtomic(anchor.balance);
+    for (let i = firstAfter; i < rows.length; i++) {
+      balance += toAtomic(rows[i].amount);
+      updates.push([rows[i].id, balance]);
+    }
+
+    this._writeBalanceAfter(updates);
+    return updates.length;
+  }
+
+  _writeBalanceAfter(updates) {
+    const update = this.db.prepare('UPDATE balance_changes SET balance_after = ? WHERE id = ?');
+    const updateAll = this.db.transaction(() => {
+      for (const [id, balance] of updates) {
+        update.run(fromAtomic(balance), id);
+      }
+    });
+    updateAll();
+  }
+
+  /**
+   * Get addresses that have balance changes without a computed balance_after
+   */
+  getAddressesMissingBalance(limit = 100) {
+    if (!this.enabled || !this.db) {
+      return [];
+    }
+
+    return this.db
+      .prepare(
+        `
+      SELECT DISTINCT address FROM balance_changes
+      WHERE balance_after IS NULL
+      LIMIT ?
+    `
+      )
+      .all(limit)
+      .map((row) => row.address);
+  }
+
+  /**
+   * Get full address info (latest balance, stake, tx count, identity state)
+   */
+  getAddressInfo(address) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    return this.getAddressInfos([address])[0];
+  }
+
+  /**
+   * Get address info for a batch of addresses, each figure read for all of
+   * them in one query
+   * @param {string[]} addresses - Idena addresses
+   * @returns {Array} - Info per address in the given order, null for addresses without history
+   */
+  getAddressInfos(addresses) {
+    if (!this.enabled || !this.db || !addresses.length) {
+      return addresses.map(() => null);
+    }
+
+    const keys = JSON.stringify([...new Set(addresses.map((a) => a.toLowerCase()))]);
+    const byAddress = (rows) => new Map(rows.map((row) => [row.batch_key, row]));
+
+    // Latest address and identity state per address
+    const latest = (table) =>
+      byAddress(
+        this.db
+          .prepare(
+            `
+      SELECT * FROM (
+        SELECT k.value AS batch_key, s.*,
+          ROW_NUMBER() OVER (PARTITION BY k.value ORDER BY s.epoch DESC) AS batch_row
+        FROM json_each(?) k
+        JOIN ${table} s ON LOWER(s.address) = k.value
+      ) WHERE batch_row = 1
+    `
+          )
+          .all(keys)
+      );
+    const states = latest('address_states');
+    const identities = latest('identity_states');
+
+    const aggregate = (expression, table, column) =>
+      byAddress(
+        this.db
+          .prepare(
+            `
+      SELECT k.value AS batch_key, ${expression} as value
+      FROM json_each(?) k
+      JOIN ${table} ON LOWER(${column}) = k.value
+      GROUP BY k.value
+    `
+          )
+          .all(keys)
+      );
+    const txSent = aggregate('COUNT(*)', 'transactions', 'from_addr');
+    const txReceived = aggregate('COUNT(*)', 'transactions', 'to_addr');
+    const rewards = aggregate('SUM(CAST(amount AS REAL))', 'rewards', 'address');
+    const penalties = aggregate('SUM(CAST(penalty AS REAL))', 'penalties', 'address');
+
+    return addresses.map((address) => {
+      const key = address.toLowerCase();
+      const latestState = states.get(key);
+      const latestIdentity = identities.get(key);
+      if (!latestState && !latestIdentity) {
+        return null;
+      }
+
+      const sent = txSent.get(key)?.value || 0;
+      const received = txReceived.get(key)?.value || 0;
+      return {
+        address: latestState?.address || latestIdentity?.address || address,
+        balance: latestState?.balance || '0',
+        stake: latestState?.stake || '0',
+        epoch: latestState?.epoch || latestIdentity?.epoch,
+        identityState: latestIdentity?.state || null,
+        prevIdentityState: latestIdentity?.prev_state || null,
+        txSent: sent,
+        txReceived: received,
+        txTotal: sent + received,
+        totalRewards: (rewards.get(key)?.value || 0).toString(),
+        totalPenalties: (penalties.get(key)?.value || 0).toString(),
+      };
+    });
+  }
+
+  // ==========================================
+  // Address Activity Methods
+  // ==========================================
+
+  /**
+   * Get the newest stored transaction and balance change ids, the cursor
+   * for an activity feed that starts now
+   * @returns {object} - { txId, balanceChangeId }
+   */
+  getActivityCursor() {
+    if (!this.enabled || !this.db) {
+      return { txId: 0, balanceChangeId: 0 };
+    }
+
+    const row = this.db
+      .prepare(
+        `
+      SELECT
+        (SELECT COALESCE(MAX(rowid), 0) FROM transactions) as tx_id,
+        (SELECT COALESCE(MAX(id), 0) FROM balance_changes) as balance_change_id
+    `
+      )
+      .get();
+
+    return { txId: row.tx_id, balanceChangeId: row.balance_change_id };
+  }
+
+  /**
+   * Get transactions and balance changes of an address stored after a cursor,
+   * each in insertion order
+   * @param {string} address - Address
+   * @param {object} cursor - { txId, balanceChangeId } from getActivityCursor or a previous page
+   * @param {number} limit - Max rows per kind
+   * @returns {object} - { transactions, balanceChanges }, rows carry their id
+   */
+  getAddressActivitySince(address, cursor, limit = 100) {
+    if (!this.enabled || !this.db) {
+      return { transactions: [], balanceChanges: [] };
+    }
+
+    const addrLower = address.toLowerCase();
+
+    const transactions = this.db
+      .prepare(
+        `
+      SELECT rowid as id, * FROM transactions
+      WHERE rowid > ? AND (LOWER(from_addr) = ? OR LOWER(to_addr) = ?)
+      ORDER BY rowid
+      LIMIT ?
+    `
+      )
+      .all(cursor.txId, addrLower, addrLower, limit)
+      .map((row) => ({
+        id: row.id,
+        hash: row.hash,
+        blockHeight: row.block_height,
+        txIndex: row.tx_index,
+        type: row.type,
+        from: row.from_addr,
+        to: row.to_addr,
+        amount: row.amount,
+        fee: row.fee,
+        nonce: row.nonce,
+        timestamp: row.timestamp,
+      }));
+
+    const balanceChanges = this.db
+      .prepare(
+        `
+      SELECT * FROM balance_changes
+      WHERE id > ? AND LOWER(address) = ?
+      ORDER BY id
+      LIMIT ?
+    `
+      )
+      .all(cursor.balanceChangeId, addrLower, limit)
+      .map((row) => ({
+        id: row.id,
+        blockHeight: row.block_height,
+        txHash: row.tx_hash,
+        changeType: row.change_type,
+        amount: row.amount,
+        balanceAfter: row.balance_after,
+        timestamp: row.timestamp,
+      }));
+
+    return { transactions, balanceChanges };
+  }
+
+  // ==========================================
+  // Burn Methods
+  // ==========================================
+
+  /**
+   * Recompute burnt coins for blocks from their stored transactions
+   * @param {Array<number>} heights - Block heights to recompute
+   * @param {number} feeBurnRate - Share of fees burnt by consensus (0-1)
+   */
+  updateBlockBurns(heights, feeBurnRate) {
+    if (!this.enabled || !this.db || heights.length === 0) {
+      return;
+    }
+
+    const getBlock = this.db.prepare(
+      'SELECT height, epoch, timestamp FROM blocks WHERE height = ?'
+    );
+    const getTxs = this.db.prepare(
+      'SELECT type, amount, fee FROM transactions WHERE block_height = ?'
+    );
+    const upsert = this.db.prepare(`
+      INSERT OR REPLACE INTO block_burns (block_height, epoch, fees, fee_burnt, tx_burnt, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const remove = this.db.prepare('DELETE FROM block_burns WHERE block_height = ?');
+
+    // Rate in basis points so the split stays in integer arithmetic
+    const rateBps = BigInt(Math.round(feeBurnRate * 10000));
+
+    const update = this.db.transaction(() => {
+      for (const height of heights) {
+        const block = getBlock.get(height);
+        if (!block) {
+          continue;
+        }
+
+        let fees = 0n;
+        let txBurnt = 0n;
+        for (const tx of getTxs.all(height)) {
+          fees += toAtomic(tx.fee);
+          if (tx.type === 'burn' || tx.type === 'BurnTx') {
+            txBurnt += toAtomic(tx.amount);
+          }
+        }
+
+        // Only blocks that burnt something are stored
+        if (fees === 0n && txBurnt === 0n) {
+          remove.run(height);
+          continue;
+        }
+
+        const feeBurnt = (fees * rateBps) / 10000n;
+        upsert.run(
+          height,
+          block.epoch,
+          fromAtomic(fees),
+          fromAtomic(feeBurnt),
+          fromAtomic(txBurnt),
+          block.timestamp
+        );
+      }
+    });
+
+    update();
+  }
+
+  /**
+   * Get burnt coins over time
+   * @param {object} options - { groupBy: 'epoch' | 'day', limit }
+   * @returns {object} - Most recent periods first, with overall totals
+   */
+  getBurnStats(options = {}) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const { groupBy = 'epoch', limit = 30 } = options;
+    const periodSql = groupBy === 'day' ? "strftime('%Y-%m-%d', timestamp, 'unixepoch')" : 'epoch';
+
+    // Pick the periods first so only their rows are summed
+    const periods = this.db
+      .prepare(
+        `
+      SELECT DISTINCT ${periodSql} as period FROM block_burns
+      ORDER BY period DESC
+      LIMIT ?
+    `
+      )
+      .all(limit)
+      .map((row) => row.period);
+
+    const totals = { fees: 0n, feeBurnt: 0n, txBurnt: 0n };
+    const byPeriod = new Map(
+      periods.map((period) => [period, { blocks: 0, fees: 0n, feeBurnt: 0n, txBurnt: 0n }])
+    );
+
+    if (periods.length > 0) {
+      const rows = this.db
+        .prepare(
+          `
+        SELECT ${periodSql} as period, fees, fee_burnt, tx_burnt FROM block_burns
+        WHERE ${periodSql} >= ?
+      `
+        )
+        .all(periods[periods.length - 1]);
+
+      for (const row of rows) {
+        const sum = byPeriod.get(row.period);
+        if (!sum) {
+          continue;
+        }
+
+        sum.blocks++;
+        sum.fees += toAtomic(row.fees);
+        sum.feeBurnt += toAtomic(row.fee_burnt);
+        sum.txBurnt += toAtomic(row.tx_burnt);
+      }
+    }
+
+    const data = periods.map((period) => {
+      const sum = byPeriod.get(period);
+      totals.fees += sum.fees;
+      totals.feeBurnt += sum.feeBurnt;
+      totals.txBurnt += sum.txBurnt;
+
+      return {
+        [groupBy === 'day' ? 'day' : 'epoch']: period,
+        blocks: sum.blocks,
+        fees: fromAtomic(sum.fees),
+        feeBurnt: fromAtomic(sum.feeBurnt),
+        txBurnt: fromAtomic(sum.txBurnt),
+        totalBurnt: fromAtomic(sum.feeBurnt + sum.txBurnt),
+      };
+    });
+
+    return {
+      groupBy,
+      data,
+      totals: {
+        fees: fromAtomic(totals.fees),
+        feeBurnt: fromAtomic(totals.feeBurnt),
+        txBurnt: fromAtomic(totals.txBurnt),
+        totalBurnt: fromAtomic(totals.feeBurnt + totals.txBurnt),
+      },
+    };
+  }
+
+  // ==========================================
+  // Penalties Methods
+  // ==========================================
+
+  /**
+   * Insert a penalty
+   */
+  insertPenalty(penalty) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+
+    this.db
+      .prepare(
+        `
+      INSERT INTO penalties (
+        address, epoch, penalty, reason, block_height, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `
+      )
+      .run(
+        penalty.address,
+        penalty.epoch,
+        penalty.penalty || '0',
+        penalty.reason || null,
+        penalty.blockHeight || null,
+        penalty.timestamp
+      );
+  }
+
+  /**
+   * Insert multiple penalties in a transaction
+   */
+  insertPenaltiesBatch(penalties) {
+    if (!this.enabled || !this.db || penalties.length === 0) {
+      return;
+    }
+
+    const stmt = this.db.prepare(`
+      INSERT INTO penalties (
+        address, epoch, penalty, reason, block_height, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const insertMany = this.db.transaction(() => {
+      for (const p of penalties) {
+        stmt.run(
+          p.address,
+          p.epoch,
+          p.penalty || '0',
+          p.reason || null,
+          p.blockHeight || null,
+          p.timestamp
+        );
+      }
+    });
+
+    insertMany();
+  }
+
+  /**
+   * Get penalties for an address (paginated)
+   */
+  getAddressPenalties(address, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0, hasMore: false };
+    }
+
+    const { limit = 50, offset = 0, epoch = null } = options;
+    const addrLower = address.toLowerCase();
+
+    let whereClause = 'WHERE LOWER(address) = ?';
+    const params = [addrLower];
+
+    if (epoch !== null) {
+      whereClause += ' AND epoch = ?';
+      params.push(epoch);
+    }
+
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM penalties ${whereClause}`)
+      .get(...params).count;
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM penalties
+      ${whereClause}
+      ORDER BY epoch DESC, id DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(...params, limit + 1, offset);
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => ({
+      epoch: row.epoch,
+      penalty: row.penalty,
+      reason: row.reason,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+    }));
+
+    return { data, total, limit, offset, hasMore };
+  }
+
+  /**
+   * Get a page of penalties for each of a batch of addresses, in the order
+   * of getAddressPenalties
+   * @param {string[]} addresses - Lowercase addresses
+   * @param {object} options - { limit, offset }
+   * @returns {object[]} - Penalties with the address they were found for
+   */
+  getPenaltiesByAddress(addresses, options = {}) {
+    if (!this.enabled || !this.db || !addresses.length) {
+      return [];
+    }
+
+    const { limit = 50, offset = 0 } = options;
+
+    return this._batchPages(
+      `
+      SELECT k.value AS batch_key, p.*
+      FROM json_each(@keys) k
+      JOIN penalties p ON LOWER(p.address) = k.value
+    `,
+      { keys: JSON.stringify(addresses) },
+      'epoch DESC, id DESC',
+      { limit, offset }
+    ).map((row) => ({
+      address: row.batch_key,
+      epoch: row.epoch,
+      penalty: row.penalty,
+      reason: row.reason,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+    }));
+  }
+
+  /**
+   * Get penalties for a specific epoch (paginated)
+   */
+  getEpochPenalties(epochNum, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0, hasMore: false };
+    }
+
+    const { limit = 50, offset = 0 } = options;
+
+    const total = this.db
+      .prepare('SELECT COUNT(*) as count FROM penalties WHERE epoch = ?')
+      .get(epochNum).count;
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM penalties
+      WHERE epoch = ?
+      ORDER BY CAST(penalty AS REAL) DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(epochNum, limit + 1, offset);
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => ({
+      address: row.address,
+      penalty: row.penalty,
+      reason: row.reason,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+    }));
+
+    return { data, total, limit, offset, hasMore };
+  }
+
+  /**
+   * Get penalty summary for an epoch
+   */
+  getEpochPenaltySummary(epochNum) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const row = this.db
+      .prepare(
+        `
+      SELECT
+        COUNT(*) as total_penalties,
+        COUNT(DISTINCT address) as unique_addresses,
+        SUM(CAST(penalty AS REAL)) as total_amount
+      FROM penalties
+      WHERE epoch = ?
+    `
+      )
+      .get(epochNum);
+
+    if (!row || row.total_penalties === 0) {
+      return null;
+    }
+
+    // Get breakdown by reason
+    const reasons = this.db
+      .prepare(
+        `
+      SELECT reason, COUNT(*) as count, SUM(CAST(penalty AS REAL)) as total
+      FROM penalties
+      WHERE epoch = ?
+      GROUP BY reason
+    `
+      )
+      .all(epochNum);
+
+    const byReason = {};
+    for (const r of reasons) {
+      byReason[r.reason || 'unknown'] = {
+        count: r.count,
+        total: r.total ? r.total.toString() : '0',
+      };
+    }
+
+    return {
+      epoch: epochNum,
+      totalPenalties: row.total_penalties,
+      uniqueAddresses: row.unique_addresses,
+      totalAmount: row.total_amount ? row.total_amount.toString() : '0',
+      byReason,
+    };
+  }
+
+  // ==========================================
+  // Invite Methods
+  // ==========================================
+
+  /**
+   * Insert an invite
+   */
+  insertInvite(invite) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO invites (hash, inviter, invitee, epoch, activation_hash, activation_tx_hash, status, block_height, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    stmt.run(
+      invite.hash,
+      invite.inviter,
+      invite.invitee || null,
+      invite.epoch,
+      invite.activationHash || null,
+      invite.activationTxHash || null,
+      invite.status || 'pending',
+      invite.blockHeight || null,
+      invite.timestamp
+    );
+  }
+
+  /**
+   * Batch insert invites
+   */
+  insertInvitesBatch(invites) {
+    if (!this.enabled || !this.db || !invites.length) {
+      return;
+    }
+
+    const stmt = this.db.prepare(`
+      INSERT OR REPLACE INTO invites (hash, inviter, invitee, epoch, activation_hash, activation_tx_hash, status, block_height, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const insertMany = this.db.transaction((items) => {
+      for (const invite of items) {
+        stmt.run(
+          invite.hash,
+          invite.inviter,
+          invite.invitee || null,
+          invite.epoch,
+          invite.activationHash || null,
+          invite.activationTxHash || null,
+          invite.status || 'pending',
+          invite.blockHeight || null,
+          invite.timestamp
+        );
+      }
+    });
+
+    insertMany(invites);
+  }
+
+  /**
+   * Update invite status (e.g., when activated)
+   */
+  updateInviteStatus(hash, status, invitee = null, activationTxHash = null) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+
+    const updates = ['status = ?'];
+    const params = [status];
+
+    if (invitee) {
+      updates.push('invitee = ?');
+      params.push(invitee);
+    }
+
+    if (activationTxHash) {
+      updates.push('activation_tx_hash = ?');
+      params.push(activationTxHash);
+    }
+
+    params.push(hash);
+    this.db.prepare(`UPDATE invites SET ${updates.join(', ')} WHERE hash = ?`).run(...params);
+  }
+
+  /**
+   * Get invite by hash
+   */
+  getInvite(hash) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const row = this.db.prepare('SELECT * FROM invites WHERE hash = ?').get(hash);
+    if (!row) {
+      return null;
+    }
+
+    return {
+      hash: row.hash,
+      inviter: row.inviter,
+      invitee: row.invitee,
+      epoch: row.epoch,
+      activationHash: row.activation_hash,
+      activationTxHash: row.activation_tx_hash,
+      status: row.status,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+    };
+  }
+
+  /**
+   * Get invites sent by an address
+   */
+  getAddressInvitesSent(address, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0 };
+    }
+
+    const { limit = 50, offset = 0, epoch = null, status = null } = options;
+
+    let whereClause = 'WHERE LOWER(inviter) = LOWER(?)';
+    const params = [address];
+
+    if (epoch !== null) {
+      whereClause += ' AND epoch = ?';
+      params.push(epoch);
+    }
+
+    if (status) {
+      whereClause += ' AND status = ?';
+      params.push(status);
+    }
+
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM invites ${whereClause}`)
+      .get(...params).count;
+
+    const data = this.db
+      .prepare(
+        `
+      SELECT * FROM invites
+      ${whereClause}
+      ORDER BY timestamp DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(...params, limit, offset);
+
+    return {
+      data: data.map((row) => ({
+        hash: row.hash,
+        inviter: row.inviter,
+        invitee: row.invitee,
+        epoch: row.epoch,
+        activationHash: row.activation_hash,
+        activationTxHash: row.activation_tx_hash,
+        status: row.status,
+        blockHeight: row.block_height,
+        timestamp: row.timestamp,
+      })),
+      total,
+      limit,
+      offset,
+      hasMore: offset + data.length < total,
+    };
+  }
+
+  /**
+   * Get invites received by an address (where they are invitee)
+   */
+  getAddressInvitesReceived(address, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0 };
+    }
+
+    const { limit = 50, offset = 0 } = options;
+
+    const total = this.db
+      .prepare(
+        `
+      SELECT COUNT(*) as count FROM invites WHERE LOWER(invitee) = LOWER(?)
+    `
+      )
+      .get(address).count;
+
+    const data = this.db
+      .prepare(
+        `
+      SELECT * FROM invites
+      WHERE LOWER(invitee) = LOWER(?)
+      ORDER BY timestamp DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(address, limit, offset);
+
+    return {
+      data: data.map((row) => ({
+        hash: row.hash,
+        inviter: row.inviter,
+        invitee: row.invitee,
+        epoch: row.epoch,
+        activationHash: row.activation_hash,
+        activationTxHash: row.activation_tx_hash,
+        status: row.status,
+        blockHeight: row.block_height,
+        timestamp: row.timestamp,
+      })),
+      total,
+      limit,
+      offset,
+      hasMore: offset + data.length < total,
+    };
+  }
+
+  /**
+   * Get all invites for an address (sent and received)
+   */
+  getAddressInvites(address, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0 };
+    }
+
+    const { limit = 50, offset = 0, epoch = null, status = null, type = null } = options;
+
+    let whereClause = 'WHERE (LOWER(inviter) = LOWER(?) OR LOWER(invitee) = LOWER(?))';
+    const params = [address, address];
+
+    if (epoch !== null) {
+      whereClause += ' AND epoch = ?';
+      params.push(epoch);
+    }
+
+    if (status) {
+      whereClause += ' AND status = ?';
+      params.push(status);
+    }
+
+    // Filter by type: 'sent' or 'received'
+    if (type === 'sent') {
+      whereClause = 'WHERE LOWER(inviter) = LOWER(?)';
+      params.length = 0;
+      params.push(address);
+      if (epoch !== null) {
+        whereClause += ' AND epoch = ?';
+        params.push(epoch);
+      }
+      if (status) {
+        whereClause += ' AND status = ?';
+        params.push(status);
+      }
+    } else if (type === 'received') {
+      whereClause = 'WHERE LOWER(invitee) = LOWER(?)';
+      params.length = 0;
+      params.push(address);
+      if (epoch !== null) {
+        whereClause += ' AND epoch = ?';
+        params.push(epoch);
+      }
+      if (status) {
+        whereClause += ' AND status = ?';
+        params.push(status);
+      }
+    }
+
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM invites ${whereClause}`)
+      .get(...params).count;
+
+    const data = this.db
+      .prepare(
+        `
+      SELECT *,
+        CASE WHEN LOWER(inviter) = LOWER(?) THEN 'sent' ELSE 'received' END as direction
+      FROM invites
+      ${whereClause}
+      ORDER BY timestamp DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(address, ...params, limit, offset);
+
+    return {
+      data: data.map((row) => ({
+        hash: row.hash,
+        inviter: row.inviter,
+        invitee: row.invitee,
+        epoch: row.epoch,
+        activationHash: row.activation_hash,
+        activationTxHash: row.activation_tx_hash,
+        status: row.status,
+        blockHeight: row.block_height,
+        timestamp: row.timestamp,
+        direction: row.direction,
+      })),
+      total,
+      limit,
+      offset,
+      hasMore: offset + data.length < total,
+    };
+  }
+
+  /**
+   * Get a page of invites (sent, received or both) for each of a batch of
+   * addresses, in the order of getAddressInvites
+   * @param {string[]} addresses - Lowercase addresses
+   * @param {object} options - { limit, offset, type }
+   * @returns {object[]} - Invites with the address they were found for
+   */
+  getInvitesByAddress(addresses, options = {}) {
+    if (!this.enabled || !this.db || !addresses.length) {
+      return [];
+    }
+
+    const { limit = 50, offset = 0, type = null } = options;
+    const side = (column) => `
+      SELECT k.value AS batch_key, i.*,
+        CASE WHEN LOWER(i.inviter) = k.value THEN 'sent' ELSE 'received' END as direction
+      FROM json_each(@keys) k
+      JOIN invites i ON LOWER(i.${column}) = k.value
+    `;
+    const sides = { sent: [side('inviter')], received: [side('invitee')] };
+
+    return this._batchPages(
+      (sides[type] || [side('inviter'), side('invitee')]).join(' UNION '),
+      { keys: JSON.stringify(addresses) },
+      'timestamp DESC',
+      { limit, offset }
+    ).map((row) => ({
+      address: row.batch_key,
+      hash: row.hash,
+      inviter: row.inviter,
+      invitee: row.invitee,
+      epoch: row.epoch,
+      activationHash: row.activation_hash,
+      activationTxHash: row.activation_tx_hash,
+      status: row.status,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+      direction: row.direction,
+    }));
+  }
+
+  /**
+   * Get invites for a specific epoch
+   */
+  getEpochInvites(epochNum, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0 };
+    }
+
+    const { limit = 50, offset = 0, status = null } = options;
+
+    let whereClause = 'WHERE epoch = ?';
+    const params = [epochNum];
+
+    if (status) {
+      whereClause += ' AND status = ?';
+      params.push(status);
+    }
+
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM invites ${whereClause}`)
+      .get(...params).count;
+
+    const data = this.db
+      .prepare(
+        `
+      SELECT * FROM invites
+      ${whereClause}
+      ORDER BY timestamp DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(...params, limit, offset);
+
+    return {
+      data: data.map((row) => ({
+        hash: row.hash,
+        inviter: row.inviter,
+        invitee: row.invitee,
+        epoch: row.epoch,
+        activationHash: row.activation_hash,
+        activationTxHash: row.activation_tx_hash,
+        status: row.status,
+        blockHeight: row.block_height,
+        timestamp: row.timestamp,
+      })),
+      total,
+      limit,
+      offset,
+      hasMore: offset + data.length < total,
+    };
+  }
+
+  /**
+   * Get invite statistics for an epoch
+   */
+  getEpochInvitesSummary(epochNum) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const row = this.db
+      .prepare(
+        `
+      SELECT
+        COUNT(*) as total_invites,
+        COUNT(DISTINCT inviter) as unique_inviters,
+        SUM(CASE WHEN status = 'activated' THEN 1 ELSE 0 END) as activated_count,
+        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending_count,
+        SUM(CASE WHEN status = 'expired' THEN 1 ELSE 0 END) as expired_count
+      FROM invites
+      WHERE epoch = ?
+    `
+      )
+      .get(epochNum);
+
+    if (!row || row.total_invites === 0) {
+      return null;
+    }
+
+    return {
+      epoch: epochNum,
+      totalInvites: row.total_invites,
+      uniqueInviters: row.unique_inviters,
+      activated: row.activated_count,
+      pending: row.pending_count,
+      expired: row.expired_count,
+      activationRate:
+        row.total_invites > 0
+          ? ((row.activated_count / row.total_invites) * 100).toFixed(2) + '%'
+          : '0%',
+    };
+  }
+
+  // ==========================================
+  // Search Methods (FTS5)
+  // ==========================================
+
+  /**
+   * Add address to search index
    */
-  getEpochPenaltySummary(epochNum) {
-    if (!this.enabled || !this.db) {return null;}
+  indexAddress(address) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+
+    try {
+      this.db
+        .prepare(
+          `
+        INSERT OR IGNORE INTO search_addresses(address) VALUES (?)
+      `
+        )
+        .run(address.toLowerCase());
+    } catch {
+      // Ignore FTS errors
+    }
+  }
+
+  /**
+   * Add transaction to search index
+   */
+  indexTransaction(tx) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+
+    try {
+      this.db
+        .prepare(
+          `
+        INSERT OR IGNORE INTO search_transactions(hash, from_addr, to_addr) VALUES (?, ?, ?)
+      `
+        )
+        .run(tx.hash, tx.from?.toLowerCase() || '', tx.to?.toLowerCase() || '');
+    } catch {
+      // Ignore FTS errors
+    }
+  }
+
+  /**
+   * Search across addresses, transactions, and blocks
+   * @param {string} query - Search query (address prefix, tx hash prefix, block height)
+   * @param {object} options - Search options
+   * @returns {object} - Search results grouped by type
+   */
+  search(query, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { addresses: [], transactions: [], blocks: [], total: 0 };
+    }
+
+    const { limit = 20 } = options;
+    const results = {
+      addresses: [],
+      transactions: [],
+      blocks: [],
+      total: 0,
+    };
+
+    const queryLower = query.toLowerCase().trim();
+
+    // If query looks like a block height (numeric), search blocks
+    if (/^\d+$/.test(query)) {
+      const blockHeight = parseInt(query, 10);
+      const block = this.getBlock(blockHeight);
+      if (block) {
+        results.blocks.push(block);
+        results.total++;
+      }
+    }
+
+    // Search for exact address match first
+    if (queryLower.startsWith('0x')) {
+      // Exact transaction hash match
+      const tx = this.getTransaction(queryLower);
+      if (tx) {
+        results.transactions.push(tx);
+        results.total++;
+      }
+
+      // Address prefix search in transactions
+      const addressMatches = this.db
+        .prepare(
+          `
+        SELECT DISTINCT address FROM (
+          SELECT from_addr as address FROM transactions WHERE LOWER(from_addr) LIKE ?
+          UNION
+          SELECT to_addr as address FROM transactions WHERE LOWER(to_addr) LIKE ?
+        ) ORDER BY address LIMIT ?
+      `
+        )
+        .all(queryLower + '%', queryLower + '%', limit);
+
+      for (const row of addressMatches) {
+        if (row.address) {
+          results.addresses.push({ address: row.address });
+          results.total++;
+        }
+      }
+
+      // Transaction hash prefix search
+      const txMatches = this.db
+        .prepare(
+          `
+        SELECT t.*, b.epoch FROM transactions t
+        JOIN blocks b ON b.height = t.block_height
+        WHERE LOWER(t.hash) LIKE ?
+        ORDER BY t.timestamp DESC
+        LIMIT ?
+      `
+        )
+        .all(queryLower + '%', limit);
+
+      for (const row of txMatches) {
+        if (!results.transactions.find((t) => t.hash === row.hash)) {
+          results.transactions.push({
+            hash: row.hash,
+            blockHeight: row.block_height,
+            epoch: row.epoch,
+            type: row.type,
+            from: row.from_addr,
+            to: row.to_addr,
+            amount: row.amount,
+            timestamp: row.timestamp,
+          });
+          results.total++;
+        }
+      }
+
+      // Block hash prefix search
+      const blockMatches = this.db
+        .prepare(
+          `
+        SELECT * FROM blocks WHERE LOWER(hash) LIKE ? ORDER BY height DESC LIMIT ?
+      `
+        )
+        .all(queryLower + '%', limit);
+
+      for (const row of blockMatches) {
+        results.blocks.push({
+          height: row.height,
+          hash: row.hash,
+          timestamp: row.timestamp,
+          epoch: row.epoch,
+          proposer: row.proposer,
+          txCount: row.tx_count,
+        });
+        results.total++;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Search addresses by prefix
+   */
+  searchAddresses(prefix, limit = 20) {
+    if (!this.enabled || !this.db) {
+      return [];
+    }
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT DISTINCT address FROM (
+        SELECT from_addr as address FROM transactions WHERE LOWER(from_addr) LIKE ?
+        UNION
+        SELECT to_addr as address FROM transactions WHERE LOWER(to_addr) LIKE ?
+        UNION
+        SELECT address FROM identity_states WHERE LOWER(address) LIKE ?
+      ) WHERE address IS NOT NULL
+      ORDER BY address
+      LIMIT ?
+    `
+      )
+      .all(
+        prefix.toLowerCase() + '%',
+        prefix.toLowerCase() + '%',
+        prefix.toLowerCase() + '%',
+        limit
+      );
+
+    return rows.map((r) => r.address);
+  }
+
+  /**
+   * Search transactions by hash prefix
+   */
+  searchTransactions(prefix, limit = 20) {
+    if (!this.enabled || !this.db) {
+      return [];
+    }
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT t.*, b.epoch FROM transactions t
+      JOIN blocks b ON b.height = t.block_height
+      WHERE LOWER(t.hash) LIKE ?
+      ORDER BY t.timestamp DESC
+      LIMIT ?
+    `
+      )
+      .all(prefix.toLowerCase() + '%', limit);
+
+    return rows.map((row) => ({
+      hash: row.hash,
+      blockHeight: row.block_height,
+      epoch: row.epoch,
+      type: row.type,
+      from: row.from_addr,
+      to: row.to_addr,
+      amount: row.amount,
+      timestamp: row.timestamp,
+    }));
+  }
+
+  /**
+   * Search blocks by hash prefix or height
+   */
+  searchBlocks(query, limit = 20) {
+    if (!this.enabled || !this.db) {
+      return [];
+    }
+
+    // If numeric, search by height
+    if (/^\d+$/.test(query)) {
+      const rows = this.db
+        .prepare(
+          `
+        SELECT * FROM blocks WHERE CAST(height AS TEXT) LIKE ? ORDER BY height DESC LIMIT ?
+      `
+        )
+        .all(query + '%', limit);
+
+      return rows.map((row) => ({
+        height: row.height,
+        hash: row.hash,
+        timestamp: row.timestamp,
+        epoch: row.epoch,
+        proposer: row.proposer,
+        txCount: row.tx_count,
+      }));
+    }
+
+    // Search by hash prefix
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM blocks WHERE LOWER(hash) LIKE ? ORDER BY height DESC LIMIT ?
+    `
+      )
+      .all(query.toLowerCase() + '%', limit);
+
+    return rows.map((row) => ({
+      height: row.height,
+      hash: row.hash,
+      timestamp: row.timestamp,
+      epoch: row.epoch,
+      proposer: row.proposer,
+      txCount: row.tx_count,
+    }));
+  }
+
+  // ==========================================
+  // Contract Methods
+  // ==========================================
+
+  /**
+   * Insert a deployed contract
+   */
+  insertContract(contract) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+
+    this.db
+      .prepare(UPSERT_CONTRACT_SQL)
+      .run(
+        contract.address,
+        contract.deployTxHash,
+        contract.deployer,
+        contract.codeHash || null,
+        contract.type || null,
+        contract.stake || '0',
+        contract.state || 'active',
+        contract.epoch,
+        contract.blockHeight,
+        contract.timestamp
+      );
+  }
+
+  /**
+   * Batch insert contracts
+   */
+  insertContractsBatch(contracts) {
+    if (!this.enabled || !this.db || !contracts.length) {
+      return;
+    }
+
+    const stmt = this.db.prepare(UPSERT_CONTRACT_SQL);
+
+    const insertMany = this.db.transaction((items) => {
+      for (const c of items) {
+        stmt.run(
+          c.address,
+          c.deployTxHash,
+          c.deployer,
+          c.codeHash || null,
+          c.type || null,
+          c.stake || '0',
+          c.state || 'active',
+          c.epoch,
+          c.blockHeight,
+          c.timestamp
+        );
+      }
+    });
 
-    const row = this.db.prepare(`
-      SELECT
-        COUNT(*) as total_penalties,
-        COUNT(DISTINCT address) as unique_addresses,
-        SUM(CAST(penalty AS REAL)) as total_amount
-      FROM penalties
-      WHERE epoch = ?
-    `).get(epochNum);
+    insertMany(contracts);
+  }
 
-    if (!row || row.total_penalties === 0) {return null;}
+  /**
+   * Get stored deploy transactions that no contract row points to yet
+   * (deploys whose address was not known when they were synced)
+   */
+  getUnlinkedDeployTransactions(limit = 100) {
+    if (!this.enabled || !this.db) {
+      return [];
+    }
 
-    // Get breakdown by reason
-    const reasons = this.db.prepare(`
-      SELECT reason, COUNT(*) as count, SUM(CAST(penalty AS REAL)) as total
-      FROM penalties
-      WHERE epoch = ?
-      GROUP BY reason
-    `).all(epochNum);
+    const rows = this.db
+      .prepare(
+        `
+      SELECT t.hash, t.from_addr, t.amount, t.nonce, t.block_height, t.timestamp, b.epoch
+      FROM transactions t
+      JOIN blocks b ON b.height = t.block_height
+      WHERE LOWER(t.type) IN (${DEPLOY_TX_TYPES.map(() => '?').join(', ')})
+        AND NOT EXISTS (SELECT 1 FROM contracts c WHERE c.deploy_tx_hash = t.hash)
+      ORDER BY t.block_height
+      LIMIT ?
+    `
+      )
+      .all(...DEPLOY_TX_TYPES, limit);
 
-    const byReason = {};
-    for (const r of reasons) {
-      byReason[r.reason || 'unknown'] = {
-        count: r.count,
-        total: r.total ? r.total.toString() : '0',
-      };
+    return rows.map((row) => ({
+      hash: row.hash,
+      from: row.from_addr,
+      amount: row.amount,
+      nonce: row.nonce,
+      epoch: row.epoch,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+    }));
+  }
+
+  /**
+   * Delete the contract calls recorded for a transaction, before they are
+   * recorded again from its receipt
+   */
+  deleteContractCalls(txHash) {
+    if (!this.enabled || !this.db) {
+      return 0;
     }
 
-    return {
-      epoch: epochNum,
-      totalPenalties: row.total_penalties,
-      uniqueAddresses: row.unique_addresses,
-      totalAmount: row.total_amount ? row.total_amount.toString() : '0',
-      byReason,
-    };
+    return this.db.prepare('DELETE FROM contract_calls WHERE tx_hash = ?').run(txHash).changes;
   }
 
-  // ==========================================
-  // Invite Methods
-  // ==========================================
+  /**
+   * Insert a contract call
+   */
+  insertContractCall(call) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
+
+    this.db
+      .prepare(
+        `
+      INSERT INTO contract_calls (
+        tx_hash, contract_address, caller, method, args, amount, success, gas_used, used_fee, error, block_height, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `
+      )
+      .run(
+        call.txHash,
+        call.contractAddress,
+        call.caller,
+        call.method || null,
+        call.args ? JSON.stringify(call.args) : null,
+        call.amount || '0',
+        call.success === null ? null : call.success !== false ? 1 : 0,
+        call.gasUsed ?? null,
+        call.usedFee || null,
+        call.error || null,
+        call.blockHeight,
+        call.timestamp
+      );
+  }
 
   /**
-   * Insert an invite
+   * Batch insert contract calls
    */
-  insertInvite(invite) {
-    if (!this.enabled || !this.db) {return;}
+  insertContractCallsBatch(calls) {
+    if (!this.enabled || !this.db || !calls.length) {
+      return;
+    }
 
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO invites (hash, inviter, invitee, epoch, activation_hash, activation_tx_hash, status, block_height, timestamp)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO contract_calls (
+        tx_hash, contract_address, caller, method, args, amount, success, gas_used, used_fee, error, block_height, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
-    stmt.run(
-      invite.hash,
-      invite.inviter,
-      invite.invitee || null,
-      invite.epoch,
-      invite.activationHash || null,
-      invite.activationTxHash || null,
-      invite.status || 'pending',
-      invite.blockHeight || null,
-      invite.timestamp
-    );
+    const insertMany = this.db.transaction((items) => {
+      for (const c of items) {
+        stmt.run(
+          c.txHash,
+          c.contractAddress,
+          c.caller,
+          c.method || null,
+          c.args ? JSON.stringify(c.args) : null,
+          c.amount || '0',
+          c.success === null ? null : c.success !== false ? 1 : 0,
+          c.gasUsed ?? null,
+          c.usedFee || null,
+          c.error || null,
+          c.blockHeight,
+          c.timestamp
+        );
+      }
+    });
+
+    insertMany(calls);
   }
 
   /**
-   * Batch insert invites
+   * Batch insert contract events (re-synced events are ignored)
    */
-  insertInvitesBatch(invites) {
-    if (!this.enabled || !this.db || !invites.length) {return;}
+  insertContractEventsBatch(events) {
+    if (!this.enabled || !this.db || !events.length) {
+      return;
+    }
 
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO invites (hash, inviter, invitee, epoch, activation_hash, activation_tx_hash, status, block_height, timestamp)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT OR IGNORE INTO contract_events (
+        tx_hash, log_index, contract_address, event_name, args, block_height, timestamp
+      ) VALUES (?, ?, ?, ?, ?, ?, ?)
     `);
 
     const insertMany = this.db.transaction((items) => {
-      for (const invite of items) {
+      for (const e of items) {
         stmt.run(
-          invite.hash,
-          invite.inviter,
-          invite.invitee || null,
-          invite.epoch,
-          invite.activationHash || null,
-          invite.activationTxHash || null,
-          invite.status || 'pending',
-          invite.blockHeight || null,
-          invite.timestamp
+          e.txHash,
+          e.logIndex,
+          e.contractAddress,
+          e.eventName,
+          JSON.stringify(e.args || []),
+          e.blockHeight,
+          e.timestamp
         );
       }
     });
 
-    insertMany(invites);
+    insertMany(events);
   }
 
   /**
-   * Update invite status (e.g., when activated)
+   * Update contract state
    */
-  updateInviteStatus(hash, status, invitee = null, activationTxHash = null) {
-    if (!this.enabled || !this.db) {return;}
+  updateContractState(address, state) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
 
-    const updates = ['status = ?'];
-    const params = [status];
+    this.db
+      .prepare(
+        `
+      UPDATE contracts SET state = ? WHERE LOWER(address) = LOWER(?)
+    `
+      )
+      .run(state, address);
+  }
 
-    if (invitee) {
-      updates.push('invitee = ?');
-      params.push(invitee);
+  /**
+   * Get contract by address
+   */
+  getContract(address) {
+    if (!this.enabled || !this.db) {
+      return null;
     }
 
-    if (activationTxHash) {
-      updates.push('activation_tx_hash = ?');
-      params.push(activationTxHash);
+    const row = this.db
+      .prepare(
+        `
+      SELECT * FROM contracts WHERE LOWER(address) = LOWER(?)
+    `
+      )
+      .get(address);
+
+    if (!row) {
+      return null;
     }
 
-    params.push(hash);
-    this.db.prepare(`UPDATE invites SET ${updates.join(', ')} WHERE hash = ?`).run(...params);
+    return {
+      address: row.address,
+      deployTxHash: row.deploy_tx_hash,
+      deployer: row.deployer,
+      codeHash: row.code_hash,
+      type: row.type,
+      stake: row.stake,
+      state: row.state,
+      epoch: row.epoch,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+    };
   }
 
   /**
-   * Get invite by hash
+   * Get all contracts (paginated)
    */
-  getInvite(hash) {
-    if (!this.enabled || !this.db) {return null;}
+  getContracts(options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0, hasMore: false };
+    }
 
-    const row = this.db.prepare('SELECT * FROM invites WHERE hash = ?').get(hash);
-    if (!row) {return null;}
+    const { limit = 50, offset = 0, state = null, deployer = null, type = null } = options;
 
-    return {
-      hash: row.hash,
-      inviter: row.inviter,
-      invitee: row.invitee,
+    let whereClause = '1=1';
+    const params = [];
+
+    if (state) {
+      whereClause += ' AND state = ?';
+      params.push(state);
+    }
+
+    if (type) {
+      whereClause += ' AND type = ?';
+      params.push(type);
+    }
+
+    if (deployer) {
+      whereClause += ' AND LOWER(deployer) = LOWER(?)';
+      params.push(deployer);
+    }
+
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM contracts WHERE ${whereClause}`)
+      .get(...params).count;
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM contracts
+      WHERE ${whereClause}
+      ORDER BY block_height DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(...params, limit + 1, offset);
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => ({
+      address: row.address,
+      deployTxHash: row.deploy_tx_hash,
+      deployer: row.deployer,
+      codeHash: row.code_hash,
+      type: row.type,
+      stake: row.stake,
+      state: row.state,
       epoch: row.epoch,
-      activationHash: row.activation_hash,
-      activationTxHash: row.activation_tx_hash,
-      status: row.status,
       blockHeight: row.block_height,
       timestamp: row.timestamp,
-    };
+    }));
+
+    return { data, total, limit, offset, hasMore };
+  }
+
+  /**
+   * Get active OracleVoting contracts that can still be in progress, newest
+   * first: votes with a stored finishVoting call are left out, and stored
+   * startVoting calls split pending votes from started ones. Calls whose
+   * receipt is not fetched yet count as possibly made.
+   * @param {object} options - { started, limit, offset }
+   */
+  getOracleVotingCandidates(options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], hasMore: false };
+    }
+
+    const { started = false, limit = 50, offset = 0 } = options;
+    const called = (method, success) => `EXISTS (
+      SELECT 1 FROM contract_calls cc
+      WHERE LOWER(cc.contract_address) = LOWER(c.address) AND cc.method = '${method}' AND ${success}
+    )`;
+    const startFilter = started
+      ? called('startVoting', 'cc.success IS NOT 0')
+      : `NOT ${called('startVoting', 'cc.success = 1')}`;
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT c.* FROM contracts c
+      WHERE c.type = 'OracleVoting' AND c.state = 'active'
+        AND NOT ${called('finishVoting', 'cc.success = 1')}
+        AND ${startFilter}
+      ORDER BY c.block_height DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(limit + 1, offset);
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => ({
+      address: row.address,
+      deployTxHash: row.deploy_tx_hash,
+      deployer: row.deployer,
+      codeHash: row.code_hash,
+      type: row.type,
+      stake: row.stake,
+      state: row.state,
+      epoch: row.epoch,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+    }));
+
+    return { data, hasMore };
+  }
+
+  /**
+   * Get contracts deployed by an address
+   */
+  getContractsByDeployer(deployer, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0, hasMore: false };
+    }
+
+    const { limit = 50, offset = 0 } = options;
+
+    const total = this.db
+      .prepare('SELECT COUNT(*) as count FROM contracts WHERE LOWER(deployer) = LOWER(?)')
+      .get(deployer).count;
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM contracts
+      WHERE LOWER(deployer) = LOWER(?)
+      ORDER BY block_height DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(deployer, limit + 1, offset);
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => ({
+      address: row.address,
+      deployTxHash: row.deploy_tx_hash,
+      deployer: row.deployer,
+      codeHash: row.code_hash,
+      type: row.type,
+      stake: row.stake,
+      state: row.state,
+      epoch: row.epoch,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+    }));
+
+    return { data, total, limit, offset, hasMore };
   }
 
   /**
-   * Get invites sent by an address
+   * Get contract calls for a contract (paginated)
    */
-  getAddressInvitesSent(address, options = {}) {
-    if (!this.enabled || !this.db) {return { data: [], total: 0 };}
+  getContractCalls(contractAddress, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0, hasMore: false };
+    }
 
-    const { limit = 50, offset = 0, epoch = null, status = null } = options;
+    const { limit = 50, offset = 0, method = null, caller = null, success = null } = options;
 
-    let whereClause = 'WHERE LOWER(inviter) = LOWER(?)';
-    const params = [address];
+    let whereClause = 'LOWER(contract_address) = LOWER(?)';
+    const params = [contractAddress];
 
-    if (epoch !== null) {
-      whereClause += ' AND epoch = ?';
-      params.push(epoch);
+    if (success !== null) {
+      whereClause += ' AND success = ?';
+      params.push(success ? 1 : 0);
     }
 
-    if (status) {
-      whereClause += ' AND status = ?';
-      params.push(status);
+    if (method) {
+      whereClause += ' AND method = ?';
+      params.push(method);
+    }
+
+    if (caller) {
+      whereClause += ' AND LOWER(caller) = LOWER(?)';
+      params.push(caller);
     }
 
-    const total = this.db.prepare(`SELECT COUNT(*) as count FROM invites ${whereClause}`).get(...params).count;
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM contract_calls WHERE ${whereClause}`)
+      .get(...params).count;
 
-    const data = this.db.prepare(`
-      SELECT * FROM invites
-      ${whereClause}
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM contract_calls
+      WHERE ${whereClause}
       ORDER BY timestamp DESC
       LIMIT ? OFFSET ?
-    `).all(...params, limit, offset);
+    `
+      )
+      .all(...params, limit + 1, offset);
 
-    return {
-      data: data.map(row => ({
-        hash: row.hash,
-        inviter: row.inviter,
-        invitee: row.invitee,
-        epoch: row.epoch,
-        activationHash: row.activation_hash,
-        activationTxHash: row.activation_tx_hash,
-        status: row.status,
-        blockHeight: row.block_height,
-        timestamp: row.timestamp,
-      })),
-      total,
-      limit,
-      offset,
-      hasMore: offset + data.length < total,
-    };
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => ({
+      txHash: row.tx_hash,
+      contractAddress: row.contract_address,
+      caller: row.caller,
+      method: row.method,
+      args: row.args ? JSON.parse(row.args) : null,
+      amount: row.amount,
+      success: row.success === null ? null : row.success === 1,
+      gasUsed: row.gas_used,
+      usedFee: row.used_fee,
+      error: row.error,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+    }));
+
+    return { data, total, limit, offset, hasMore };
   }
 
   /**
-   * Get invites received by an address (where they are invitee)
+   * Get events emitted by a contract (paginated)
+   * @param {string} contractAddress - Contract address
+   * @param {object} options - { limit, offset, event, fromBlock, toBlock }
    */
-  getAddressInvitesReceived(address, options = {}) {
-    if (!this.enabled || !this.db) {return { data: [], total: 0 };}
+  getContractEvents(contractAddress, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0, hasMore: false };
+    }
 
-    const { limit = 50, offset = 0 } = options;
+    const { limit = 50, offset = 0, event = null, fromBlock = null, toBlock = null } = options;
 
-    const total = this.db.prepare(`
-      SELECT COUNT(*) as count FROM invites WHERE LOWER(invitee) = LOWER(?)
-    `).get(address).count;
+    let whereClause = 'LOWER(contract_address) = LOWER(?)';
+    const params = [contractAddress];
 
-    const data = this.db.prepare(`
-      SELECT * FROM invites
-      WHERE LOWER(invitee) = LOWER(?)
-      ORDER BY timestamp DESC
+    if (event) {
+      whereClause += ' AND event_name = ?';
+      params.push(event);
+    }
+
+    if (fromBlock !== null) {
+      whereClause += ' AND block_height >= ?';
+      params.push(fromBlock);
+    }
+
+    if (toBlock !== null) {
+      whereClause += ' AND block_height <= ?';
+      params.push(toBlock);
+    }
+
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM contract_events WHERE ${whereClause}`)
+      .get(...params).count;
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM contract_events
+      WHERE ${whereClause}
+      ORDER BY block_height DESC, id DESC
       LIMIT ? OFFSET ?
-    `).all(address, limit, offset);
+    `
+      )
+      .all(...params, limit + 1, offset);
 
-    return {
-      data: data.map(row => ({
-        hash: row.hash,
-        inviter: row.inviter,
-        invitee: row.invitee,
-        epoch: row.epoch,
-        activationHash: row.activation_hash,
-        activationTxHash: row.activation_tx_hash,
-        status: row.status,
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => {
+      const args = JSON.parse(row.args || '[]');
+      return {
+        txHash: row.tx_hash,
+        logIndex: row.log_index,
+        contractAddress: row.contract_address,
+        event: row.event_name,
+        args,
+        decodedArgs: args.map(decodeEventArg),
         blockHeight: row.block_height,
         timestamp: row.timestamp,
-      })),
-      total,
-      limit,
-      offset,
-      hasMore: offset + data.length < total,
-    };
+      };
+    });
+
+    return { data, total, limit, offset, hasMore };
   }
 
   /**
-   * Get all invites for an address (sent and received)
+   * Summarize an oracle voting contract from its stored calls
+   * @returns {object|null} - Deploy config, secret vote count and public votes per option
    */
-  getAddressInvites(address, options = {}) {
-    if (!this.enabled || !this.db) {return { data: [], total: 0 };}
-
-    const { limit = 50, offset = 0, epoch = null, status = null, type = null } = options;
-
-    let whereClause = 'WHERE (LOWER(inviter) = LOWER(?) OR LOWER(invitee) = LOWER(?))';
-    const params = [address, address];
-
-    if (epoch !== null) {
-      whereClause += ' AND epoch = ?';
-      params.push(epoch);
+  getOracleVotingSummary(address) {
+    if (!this.enabled || !this.db) {
+      return null;
     }
 
-    if (status) {
-      whereClause += ' AND status = ?';
-      params.push(status);
-    }
+    const rows = this.db
+      .prepare(
+        `
+      SELECT method, args, block_height FROM contract_calls
+      WHERE LOWER(contract_address) = LOWER(?) AND success = 1
+        AND method IN ('deploy', 'sendVoteProof', 'sendVote', 'finishVoting')
+      ORDER BY block_height
+    `
+      )
+      .all(address);
+
+    let config = null;
+    let secretVotes = 0;
+    let finishedBlock = null;
+    const votes = new Map();
 
-    // Filter by type: 'sent' or 'received'
-    if (type === 'sent') {
-      whereClause = 'WHERE LOWER(inviter) = LOWER(?)';
-      params.length = 0;
-      params.push(address);
-      if (epoch !== null) {
-        whereClause += ' AND epoch = ?';
-        params.push(epoch);
-      }
-      if (status) {
-        whereClause += ' AND status = ?';
-        params.push(status);
-      }
-    } else if (type === 'received') {
-      whereClause = 'WHERE LOWER(invitee) = LOWER(?)';
-      params.length = 0;
-      params.push(address);
-      if (epoch !== null) {
-        whereClause += ' AND epoch = ?';
-        params.push(epoch);
-      }
-      if (status) {
-        whereClause += ' AND status = ?';
-        params.push(status);
+    for (const row of rows) {
+      const args = row.args ? JSON.parse(row.args) : [];
+
+      if (row.method === 'deploy') {
+        config = Object.fromEntries(args.filter((a) => a.name).map((a) => [a.name, a.value]));
+      } else if (row.method === 'sendVoteProof') {
+        secretVotes++;
+      } else if (row.method === 'sendVote') {
+        const option = args.find((a) => a.name === 'vote')?.value;
+        if (option !== undefined && option !== null) {
+          votes.set(option, (votes.get(option) || 0) + 1);
+        }
+      } else if (row.method === 'finishVoting') {
+        finishedBlock = row.block_height;
       }
     }
 
-    const total = this.db.prepare(`SELECT COUNT(*) as count FROM invites ${whereClause}`).get(...params).count;
-
-    const data = this.db.prepare(`
-      SELECT *,
-        CASE WHEN LOWER(inviter) = LOWER(?) THEN 'sent' ELSE 'received' END as direction
-      FROM invites
-      ${whereClause}
-      ORDER BY timestamp DESC
-      LIMIT ? OFFSET ?
-    `).all(address, ...params, limit, offset);
+    const optionVotes = [...votes.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([option, count]) => ({ option, count }));
 
     return {
-      data: data.map(row => ({
-        hash: row.hash,
-        inviter: row.inviter,
-        invitee: row.invitee,
-        epoch: row.epoch,
-        activationHash: row.activation_hash,
-        activationTxHash: row.activation_tx_hash,
-        status: row.status,
-        blockHeight: row.block_height,
-        timestamp: row.timestamp,
-        direction: row.direction,
-      })),
-      total,
-      limit,
-      offset,
-      hasMore: offset + data.length < total,
+      config,
+      secretVotes,
+      votes: optionVotes,
+      totalVotes: optionVotes.reduce((sum, v) => sum + v.count, 0),
+      finishedBlock,
     };
   }
 
   /**
-   * Get invites for a specific epoch
+   * Get contract calls made by an address
    */
-  getEpochInvites(epochNum, options = {}) {
-    if (!this.enabled || !this.db) {return { data: [], total: 0 };}
-
-    const { limit = 50, offset = 0, status = null } = options;
-
-    let whereClause = 'WHERE epoch = ?';
-    const params = [epochNum];
-
-    if (status) {
-      whereClause += ' AND status = ?';
-      params.push(status);
+  getContractCallsByAddress(address, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0, hasMore: false };
     }
 
-    const total = this.db.prepare(`SELECT COUNT(*) as count FROM invites ${whereClause}`).get(...params).count;
+    const { limit = 50, offset = 0 } = options;
 
-    const data = this.db.prepare(`
-      SELECT * FROM invites
-      ${whereClause}
-      ORDER BY timestamp DESC
+    const total = this.db
+      .prepare('SELECT COUNT(*) as count FROM contract_calls WHERE LOWER(caller) = LOWER(?)')
+      .get(address).count;
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT cc.*, c.deployer, c.state as contract_state
+      FROM contract_calls cc
+      LEFT JOIN contracts c ON LOWER(c.address) = LOWER(cc.contract_address)
+      WHERE LOWER(cc.caller) = LOWER(?)
+      ORDER BY cc.timestamp DESC
       LIMIT ? OFFSET ?
-    `).all(...params, limit, offset);
+    `
+      )
+      .all(address, limit + 1, offset);
 
-    return {
-      data: data.map(row => ({
-        hash: row.hash,
-        inviter: row.inviter,
-        invitee: row.invitee,
-        epoch: row.epoch,
-        activationHash: row.activation_hash,
-        activationTxHash: row.activation_tx_hash,
-        status: row.status,
-        blockHeight: row.block_height,
-        timestamp: row.timestamp,
-      })),
-      total,
-      limit,
-      offset,
-      hasMore: offset + data.length < total,
-    };
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => ({
+      txHash: row.tx_hash,
+      contractAddress: row.contract_address,
+      caller: row.caller,
+      method: row.method,
+      args: row.args ? JSON.parse(row.args) : null,
+      amount: row.amount,
+      success: row.success === null ? null : row.success === 1,
+      gasUsed: row.gas_used,
+      usedFee: row.used_fee,
+      error: row.error,
+      blockHeight: row.block_height,
+      timestamp: row.timestamp,
+      contractDeployer: row.deployer,
+      contractState: row.contract_state,
+    }));
+
+    return { data, total, limit, offset, hasMore };
   }
 
   /**
-   * Get invite statistics for an epoch
+   * Get contract summary statistics
    */
-  getEpochInvitesSummary(epochNum) {
-    if (!this.enabled || !this.db) {return null;}
+  getContractStats() {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
-    const row = this.db.prepare(`
+    const stats = this.db
+      .prepare(
+        `
       SELECT
-        COUNT(*) as total_invites,
-        COUNT(DISTINCT inviter) as unique_inviters,
-        SUM(CASE WHEN status = 'activated' THEN 1 ELSE 0 END) as activated_count,
-        SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) as pending_count,
-        SUM(CASE WHEN status = 'expired' THEN 1 ELSE 0 END) as expired_count
-      FROM invites
-      WHERE epoch = ?
-    `).get(epochNum);
+        COUNT(*) as total_contracts,
+        SUM(CASE WHEN state = 'active' THEN 1 ELSE 0 END) as active_contracts,
+        SUM(CASE WHEN state = 'terminated' THEN 1 ELSE 0 END) as terminated_contracts,
+        COUNT(DISTINCT deployer) as unique_deployers,
+        SUM(CAST(stake AS REAL)) as total_stake
+      FROM contracts
+    `
+      )
+      .get();
+
+    const callStats = this.db
+      .prepare(
+        `
+      SELECT
+        COUNT(*) as total_calls,
+        COUNT(DISTINCT caller) as unique_callers,
+        COUNT(DISTINCT contract_address) as contracts_called,
+        SUM(CAST(amount AS REAL)) as total_amount
+      FROM contract_calls
+    `
+      )
+      .get();
 
-    if (!row || row.total_invites === 0) {return null;}
+    // Top contracts by call count
+    const topContracts = this.db
+      .prepare(
+        `
+      SELECT contract_address, COUNT(*) as call_count
+      FROM contract_calls
+      GROUP BY contract_address
+      ORDER BY call_count DESC
+      LIMIT 10
+    `
+      )
+      .all();
 
     return {
-      epoch: epochNum,
-      totalInvites: row.total_invites,
-      uniqueInviters: row.unique_inviters,
-      activated: row.activated_count,
-      pending: row.pending_count,
-      expired: row.expired_count,
-      activationRate: row.total_invites > 0
-        ? ((row.activated_count / row.total_invites) * 100).toFixed(2) + '%'
-        : '0%',
+      contracts: {
+        total: stats.total_contracts,
+        active: stats.active_contracts,
+        terminated: stats.terminated_contracts,
+        uniqueDeployers: stats.unique_deployers,
+        totalStake: stats.total_stake ? stats.total_stake.toString() : '0',
+      },
+      calls: {
+        total: callStats.total_calls,
+        uniqueCallers: callStats.unique_callers,
+        contractsCalled: callStats.contracts_called,
+        totalAmount: callStats.total_amount ? callStats.total_amount.toString() : '0',
+      },
+      topContracts: topContracts.map((c) => ({
+        address: c.contract_address,
+        callCount: c.call_count,
+      })),
     };
   }
 
   // ==========================================
-  // Search Methods (FTS5)
+  // Webhook Methods
   // ==========================================
 
   /**
-   * Add address to search index
+   * Create a webhook subscription
+   * @param {object} webhook - { url, secret, events, addresses, contracts, active }
+   * @returns {object} - The stored webhook
    */
-  indexAddress(address) {
-    if (!this.enabled || !this.db) {return;}
-
-    try {
-      this.db.prepare(`
-        INSERT OR IGNORE INTO search_addresses(address) VALUES (?)
-      `).run(address.toLowerCase());
-    } catch {
-      // Ignore FTS errors
+  insertWebhook(webhook) {
+    if (!this.enabled || !this.db) {
+      return null;
     }
+
+    const now = Math.floor(Date.now() / 1000);
+    const result = this.db
+      .prepare(
+        `
+      INSERT INTO webhooks (url, secret, events, addresses, contracts, active, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `
+      )
+      .run(
+        webhook.url,
+        webhook.secret,
+        JSON.stringify(webhook.events),
+        JSON.stringify(webhook.addresses || []),
+        JSON.stringify(webhook.contracts || []),
+        webhook.active === false ? 0 : 1,
+        now,
+        now
+      );
+
+    return this.getWebhook(result.lastInsertRowid);
   }
 
   /**
-   * Add transaction to search index
+   * Get a webhook by id (including its signing secret)
    */
-  indexTransaction(tx) {
-    if (!this.enabled || !this.db) {return;}
-
-    try {
-      this.db.prepare(`
-        INSERT OR IGNORE INTO search_transactions(hash, from_addr, to_addr) VALUES (?, ?, ?)
-      `).run(tx.hash, tx.from?.toLowerCase() || '', tx.to?.toLowerCase() || '');
-    } catch {
-      // Ignore FTS errors
+  getWebhook(id) {
+    if (!this.enabled || !this.db) {
+      return null;
     }
+
+    const row = this.db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id);
+    return row ? this._formatWebhookRow(row) : null;
   }
 
   /**
-   * Search across addresses, transactions, and blocks
-   * @param {string} query - Search query (address prefix, tx hash prefix, block height)
-   * @param {object} options - Search options
-   * @returns {object} - Search results grouped by type
+   * Get webhooks, oldest first
+   * @param {object} options - { active } to only return enabled or disabled ones
    */
-  search(query, options = {}) {
+  getWebhooks(options = {}) {
     if (!this.enabled || !this.db) {
-      return { addresses: [], transactions: [], blocks: [], total: 0 };
+      return [];
     }
 
-    const { limit = 20 } = options;
-    const results = {
-      addresses: [],
-      transactions: [],
-      blocks: [],
-      total: 0,
-    };
+    const { active = null } = options;
+    const rows =
+      active === null
+        ? this.db.prepare('SELECT * FROM webhooks ORDER BY id').all()
+        : this.db
+            .prepare('SELECT * FROM webhooks WHERE active = ? ORDER BY id')
+            .all(active ? 1 : 0);
 
-    const queryLower = query.toLowerCase().trim();
+    return rows.map((row) => this._formatWebhookRow(row));
+  }
 
-    // If query looks like a block height (numeric), search blocks
-    if (/^\d+$/.test(query)) {
-      const blockHeight = parseInt(query, 10);
-      const block = this.getBlock(blockHeight);
-      if (block) {
-        results.blocks.push(block);
-        results.total++;
-      }
+  /**
+   * Update a webhook's url, rules or active flag (fields left undefined are kept)
+   * @returns {object|null} - The updated webhook, or null if it does not exist
+   */
+  updateWebhook(id, update) {
+    if (!this.enabled || !this.db) {
+      return null;
     }
 
-    // Search for exact address match first
-    if (queryLower.startsWith('0x')) {
-      // Exact transaction hash match
-      const tx = this.getTransaction(queryLower);
-      if (tx) {
-        results.transactions.push(tx);
-        results.total++;
-      }
-
-      // Address prefix search in transactions
-      const addressMatches = this.db.prepare(`
-        SELECT DISTINCT address FROM (
-          SELECT from_addr as address FROM transactions WHERE LOWER(from_addr) LIKE ?
-          UNION
-          SELECT to_addr as address FROM transactions WHERE LOWER(to_addr) LIKE ?
-        ) ORDER BY address LIMIT ?
-      `).all(queryLower + '%', queryLower + '%', limit);
-
-      for (const row of addressMatches) {
-        if (row.address) {
-          results.addresses.push({ address: row.address });
-          results.total++;
-        }
-      }
-
-      // Transaction hash prefix search
-      const txMatches = this.db.prepare(`
-        SELECT t.*, b.epoch FROM transactions t
-        JOIN blocks b ON b.height = t.block_height
-        WHERE LOWER(t.hash) LIKE ?
-        ORDER BY t.timestamp DESC
-        LIMIT ?
-      `).all(queryLower + '%', limit);
-
-      for (const row of txMatches) {
-        if (!results.transactions.find(t => t.hash === row.hash)) {
-          results.transactions.push({
-            hash: row.hash,
-            blockHeight: row.block_height,
-            epoch: row.epoch,
-            type: row.type,
-            from: row.from_addr,
-            to: row.to_addr,
-            amount: row.amount,
-            timestamp: row.timestamp,
-          });
-          results.total++;
-        }
-      }
-
-      // Block hash prefix search
-      const blockMatches = this.db.prepare(`
-        SELECT * FROM blocks WHERE LOWER(hash) LIKE ? ORDER BY height DESC LIMIT ?
-      `).all(queryLower + '%', limit);
-
-      for (const row of blockMatches) {
-        results.blocks.push({
-          height: row.height,
-          hash: row.hash,
-          timestamp: row.timestamp,
-          epoch: row.epoch,
-          proposer: row.proposer,
-          txCount: row.tx_count,
-        });
-        results.total++;
-      }
-    }
+    const json = (value) => (value === undefined ? null : JSON.stringify(value));
+    this.db
+      .prepare(
+        `
+      UPDATE webhooks SET
+        url = COALESCE(?, url),
+        events = COALESCE(?, events),
+        addresses = COALESCE(?, addresses),
+        contracts = COALESCE(?, contracts),
+        active = COALESCE(?, active),
+        updated_at = ?
+      WHERE id = ?
+    `
+      )
+      .run(
+        update.url ?? null,
+        json(update.events),
+        json(update.addresses),
+        json(update.contracts),
+        update.active === undefined ? null : update.active ? 1 : 0,
+        Math.floor(Date.now() / 1000),
+        id
+      );
 
-    return results;
+    return this.getWebhook(id);
   }
 
   /**
-   * Search addresses by prefix
+   * Delete a webhook and its delivery log
+   * @returns {boolean} - Whether the webhook existed
    */
-  searchAddresses(prefix, limit = 20) {
-    if (!this.enabled || !this.db) {return [];}
+  deleteWebhook(id) {
+    if (!this.enabled || !this.db) {
+      return false;
+    }
 
-    const rows = this.db.prepare(`
-      SELECT DISTINCT address FROM (
-        SELECT from_addr as address FROM transactions WHERE LOWER(from_addr) LIKE ?
-        UNION
-        SELECT to_addr as address FROM transactions WHERE LOWER(to_addr) LIKE ?
-        UNION
-        SELECT address FROM identity_states WHERE LOWER(address) LIKE ?
-      ) WHERE address IS NOT NULL
-      ORDER BY address
-      LIMIT ?
-    `).all(prefix.toLowerCase() + '%', prefix.toLowerCase() + '%', prefix.toLowerCase() + '%', limit);
+    const remove = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+      return this.db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+    });
 
-    return rows.map(r => r.address);
+    return remove();
   }
 
   /**
-   * Search transactions by hash prefix
+   * Format a webhooks row to response object
    */
-  searchTransactions(prefix, limit = 20) {
-    if (!this.enabled || !this.db) {return [];}
-
-    const rows = this.db.prepare(`
-      SELECT t.*, b.epoch FROM transactions t
-      JOIN blocks b ON b.height = t.block_height
-      WHERE LOWER(t.hash) LIKE ?
-      ORDER BY t.timestamp DESC
-      LIMIT ?
-    `).all(prefix.toLowerCase() + '%', limit);
-
-    return rows.map(row => ({
-      hash: row.hash,
-      blockHeight: row.block_height,
-      epoch: row.epoch,
-      type: row.type,
-      from: row.from_addr,
-      to: row.to_addr,
-      amount: row.amount,
-      timestamp: row.timestamp,
-    }));
+  _formatWebhookRow(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      secret: row.secret,
+      events: JSON.parse(row.events),
+      addresses: JSON.parse(row.addresses),
+      contracts: JSON.parse(row.contracts),
+      active: row.active === 1,
+      createdAt: new Date(row.created_at * 1000).toISOString(),
+      updatedAt: new Date(row.updated_at * 1000).toISOString(),
+    };
   }
 
   /**
-   * Search blocks by hash prefix or height
+   * Get stored activity in a block range that involves watched addresses or
+   * contracts: incoming transfers, identity state changes (mid-epoch changes
+   * and epoch snapshots that differ from the previous state) and contract calls
+   * @param {number} fromBlock - First height (inclusive)
+   * @param {number} toBlock - Last height (inclusive)
+   * @param {object} watched - { addresses, contracts } lowercase lists
+   * @returns {object} - { transfers, identityChanges, contractCalls }
    */
-  searchBlocks(query, limit = 20) {
-    if (!this.enabled || !this.db) {return [];}
-
-    // If numeric, search by height
-    if (/^\d+$/.test(query)) {
-      const rows = this.db.prepare(`
-        SELECT * FROM blocks WHERE CAST(height AS TEXT) LIKE ? ORDER BY height DESC LIMIT ?
-      `).all(query + '%', limit);
+  getWatchedActivity(fromBlock, toBlock, watched) {
+    const empty = { transfers: [], identityChanges: [], contractCalls: [] };
+    if (!this.enabled || !this.db) {
+      return empty;
+    }
 
-      return rows.map(row => ({
-        height: row.height,
+    const addresses = JSON.stringify(watched.addresses || []);
+    const contracts = JSON.stringify(watched.contracts || []);
+
+    const transfers = this.db
+      .prepare(
+        `
+      SELECT * FROM transactions
+      WHERE block_height BETWEEN ? AND ?
+        AND LOWER(to_addr) IN (SELECT value FROM json_each(?))
+      ORDER BY block_height, tx_index
+    `
+      )
+      .all(fromBlock, toBlock, addresses)
+      .filter((row) => toAtomic(row.amount) > 0n)
+      .map((row) => ({
         hash: row.hash,
+        blockHeight: row.block_height,
+        type: row.type,
+        from: row.from_addr,
+        to: row.to_addr,
+        amount: row.amount,
+        fee: row.fee,
         timestamp: row.timestamp,
-        epoch: row.epoch,
-        proposer: row.proposer,
-        txCount: row.tx_count,
       }));
-    }
 
-    // Search by hash prefix
-    const rows = this.db.prepare(`
-      SELECT * FROM blocks WHERE LOWER(hash) LIKE ? ORDER BY height DESC LIMIT ?
-    `).all(query.toLowerCase() + '%', limit);
+    const midEpochChanges = this.db
+      .prepare(
+        `
+      SELECT * FROM identity_changes
+      WHERE block_height BETWEEN ? AND ?
+        AND LOWER(address) IN (SELECT value FROM json_each(?))
+      ORDER BY block_height, id
+    `
+      )
+      .all(fromBlock, toBlock, addresses)
+      .map((row) => ({
+        address: row.address,
+        epoch: row.epoch,
+        ...this._formatIdentityChangeRow(row),
+      }));
 
-    return rows.map(row => ({
-      height: row.height,
-      hash: row.hash,
-      timestamp: row.timestamp,
-      epoch: row.epoch,
-      proposer: row.proposer,
-      txCount: row.tx_count,
-    }));
-  }
+    const previousState = this.db.prepare(`SELECT ${PREVIOUS_STATE_SQL} as state`);
+    const epochSnapshots = this.db
+      .prepare(
+        `
+      SELECT * FROM identity_states
+      WHERE block_height BETWEEN ? AND ?
+        AND LOWER(address) IN (SELECT value FROM json_each(?))
+      ORDER BY block_height, id
+    `
+      )
+      .all(fromBlock, toBlock, addresses)
+      .map((row) => ({
+        address: row.address,
+        epoch: row.epoch,
+        type: 'epoch',
+        prevState: previousState.get(row.address, row.epoch, row.address, row.epoch).state,
+        newState: row.state,
+        counterparty: null,
+        txHash: null,
+        blockHeight: row.block_height,
+        timestamp: row.timestamp,
+      }))
+      .filter((change) => change.prevState !== change.newState);
 
-  // ==========================================
-  // Contract Methods
-  // ==========================================
+    const contractCalls = this.db
+      .prepare(
+        `
+      SELECT * FROM contract_calls
+      WHERE block_height BETWEEN ? AND ?
+        AND LOWER(contract_address) IN (SELECT value FROM json_each(?))
+      ORDER BY block_height, id
+    `
+      )
+      .all(fromBlock, toBlock, contracts)
+      .map((row) => ({
+        txHash: row.tx_hash,
+        contract: row.contract_address,
+        caller: row.caller,
+        method: row.method,
+        args: row.args ? JSON.parse(row.args) : null,
+        amount: row.amount,
+        success: row.success === null ? null : row.success === 1,
+        blockHeight: row.block_height,
+        timestamp: row.timestamp,
+      }));
 
-  /**
-   * Insert a deployed contract
-   */
-  insertContract(contract) {
-    if (!this.enabled || !this.db) {return;}
-
-    this.db.prepare(`
-      INSERT OR REPLACE INTO contracts (
-        address, deploy_tx_hash, deployer, code_hash, stake, state, epoch, block_height, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      contract.address,
-      contract.deployTxHash,
-      contract.deployer,
-      contract.codeHash || null,
-      contract.stake || '0',
-      contract.state || 'active',
-      contract.epoch,
-      contract.blockHeight,
-      contract.timestamp
-    );
+    return {
+      transfers,
+      identityChanges: [...midEpochChanges, ...epochSnapshots].sort(
+        (a, b) => a.blockHeight - b.blockHeight
+      ),
+      contractCalls,
+    };
   }
 
   /**
-   * Batch insert contracts
+   * Queue webhook deliveries, due immediately. A delivery whose dedupe key
+   * was already queued for the webhook is skipped.
+   * @param {Array} deliveries - [{ webhookId, event, dedupeKey, blockHeight, payload }]
+   * @returns {number} - Deliveries queued
    */
-  insertContractsBatch(contracts) {
-    if (!this.enabled || !this.db || !contracts.length) {return;}
+  insertWebhookDeliveriesBatch(deliveries) {
+    if (!this.enabled || !this.db || !deliveries.length) {
+      return 0;
+    }
 
+    const now = Math.floor(Date.now() / 1000);
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO contracts (
-        address, deploy_tx_hash, deployer, code_hash, stake, state, epoch, block_height, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT OR IGNORE INTO webhook_deliveries
+        (webhook_id, event, dedupe_key, block_height, payload, status, attempts, next_attempt_at, created_at)
+      VALUES (?, ?, ?, ?, ?, 'pending', 0, ?, ?)
     `);
 
-    const insertMany = this.db.transaction((items) => {
-      for (const c of items) {
-        stmt.run(
-          c.address,
-          c.deployTxHash,
-          c.deployer,
-          c.codeHash || null,
-          c.stake || '0',
-          c.state || 'active',
-          c.epoch,
-          c.blockHeight,
-          c.timestamp
-        );
+    const insertMany = this.db.transaction(() => {
+      let inserted = 0;
+      for (const d of deliveries) {
+        inserted += stmt.run(
+          d.webhookId,
+          d.event,
+          d.dedupeKey,
+          d.blockHeight,
+          JSON.stringify(d.payload),
+          now,
+          now
+        ).changes;
       }
+      return inserted;
     });
 
-    insertMany(contracts);
-  }
-
-  /**
-   * Insert a contract call
-   */
-  insertContractCall(call) {
-    if (!this.enabled || !this.db) {return;}
-
-    this.db.prepare(`
-      INSERT INTO contract_calls (
-        tx_hash, contract_address, caller, method, amount, success, block_height, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      call.txHash,
-      call.contractAddress,
-      call.caller,
-      call.method || null,
-      call.amount || '0',
-      call.success !== false ? 1 : 0,
-      call.blockHeight,
-      call.timestamp
-    );
+    return insertMany();
   }
 
   /**
-   * Batch insert contract calls
+   * Get pending deliveries of active webhooks whose next attempt is due,
+   * with the webhook url and secret needed to send them
+   * @param {number} now - Unix timestamp (seconds)
+   * @param {number} limit - Max deliveries
    */
-  insertContractCallsBatch(calls) {
-    if (!this.enabled || !this.db || !calls.length) {return;}
-
-    const stmt = this.db.prepare(`
-      INSERT INTO contract_calls (
-        tx_hash, contract_address, caller, method, amount, success, block_height, timestamp
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    const insertMany = this.db.transaction((items) => {
-      for (const c of items) {
-        stmt.run(
-          c.txHash,
-          c.contractAddress,
-          c.caller,
-          c.method || null,
-          c.amount || '0',
-          c.success !== false ? 1 : 0,
-          c.blockHeight,
-          c.timestamp
-        );
-      }
-    });
+  getDueWebhookDeliveries(now, limit = 20) {
+    if (!this.enabled || !this.db) {
+      return [];
+    }
 
-    insertMany(calls);
+    const rows = this.db
+      .prepare(
+        `
+      SELECT d.*, w.url, w.secret
+      FROM webhook_deliveries d
+      JOIN webhooks w ON w.id = d.webhook_id
+      WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.active = 1
+      ORDER BY d.next_attempt_at, d.id
+      LIMIT ?
+    `
+      )
+      .all(now, limit);
+
+    return rows.map((row) => ({
+      ...this._formatWebhookDeliveryRow(row),
+      payload: row.payload,
+      url: row.url,
+      secret: row.secret,
+    }));
   }
 
   /**
-   * Update contract state
+   * Record the outcome of a delivery attempt
+   * @param {number} id - Delivery id
+   * @param {object} update - { status, attempts, nextAttemptAt, responseStatus, error }
    */
-  updateContractState(address, state) {
-    if (!this.enabled || !this.db) {return;}
+  updateWebhookDelivery(id, update) {
+    if (!this.enabled || !this.db) {
+      return;
+    }
 
-    this.db.prepare(`
-      UPDATE contracts SET state = ? WHERE LOWER(address) = LOWER(?)
-    `).run(state, address);
+    this.db
+      .prepare(
+        `
+      UPDATE webhook_deliveries SET
+        status = ?,
+        attempts = ?,
+        next_attempt_at = COALESCE(?, next_attempt_at),
+        response_status = ?,
+        last_error = ?,
+        delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_at END
+      WHERE id = ?
+    `
+      )
+      .run(
+        update.status,
+        update.attempts,
+        update.nextAttemptAt ?? null,
+        update.responseStatus ?? null,
+        update.error || null,
+        update.status,
+        Math.floor(Date.now() / 1000),
+        id
+      );
   }
 
   /**
-   * Get contract by address
+   * Queue a delivery (typically a dead letter) for another round of attempts
+   * @returns {boolean} - Whether the delivery exists
    */
-  getContract(address) {
-    if (!this.enabled || !this.db) {return null;}
-
-    const row = this.db.prepare(`
-      SELECT * FROM contracts WHERE LOWER(address) = LOWER(?)
-    `).get(address);
-
-    if (!row) {return null;}
+  retryWebhookDelivery(id) {
+    if (!this.enabled || !this.db) {
+      return false;
+    }
 
-    return {
-      address: row.address,
-      deployTxHash: row.deploy_tx_hash,
-      deployer: row.deployer,
-      codeHash: row.code_hash,
-      stake: row.stake,
-      state: row.state,
-      epoch: row.epoch,
-      blockHeight: row.block_height,
-      timestamp: row.timestamp,
-    };
+    return (
+      this.db
+        .prepare(
+          `
+      UPDATE webhook_deliveries
+      SET status = 'pending', attempts = 0, next_attempt_at = ?, last_error = NULL
+      WHERE id = ?
+    `
+        )
+        .run(Math.floor(Date.now() / 1000), id).changes > 0
+    );
   }
 
   /**
-   * Get all contracts (paginated)
+   * Get the delivery log, newest first
+   * @param {object} options - { webhookId, status, limit, offset }
    */
-  getContracts(options = {}) {
+  getWebhookDeliveries(options = {}) {
     if (!this.enabled || !this.db) {
       return { data: [], total: 0, hasMore: false };
     }
 
-    const { limit = 50, offset = 0, state = null, deployer = null } = options;
+    const { webhookId = null, status = null, limit = 50, offset = 0 } = options;
 
     let whereClause = '1=1';
     const params = [];
 
-    if (state) {
-      whereClause += ' AND state = ?';
-      params.push(state);
+    if (webhookId !== null) {
+      whereClause += ' AND webhook_id = ?';
+      params.push(webhookId);
     }
 
-    if (deployer) {
-      whereClause += ' AND LOWER(deployer) = LOWER(?)';
-      params.push(deployer);
+    if (status) {
+      whereClause += ' AND status = ?';
+      params.push(status);
     }
 
-    const total = this.db.prepare(
-      `SELECT COUNT(*) as count FROM contracts WHERE ${whereClause}`
-    ).get(...params).count;
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM webhook_deliveries WHERE ${whereClause}`)
+      .get(...params).count;
 
-    const rows = this.db.prepare(`
-      SELECT * FROM contracts
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM webhook_deliveries
       WHERE ${whereClause}
-      ORDER BY block_height DESC
+      ORDER BY id DESC
       LIMIT ? OFFSET ?
-    `).all(...params, limit + 1, offset);
+    `
+      )
+      .all(...params, limit + 1, offset);
 
     const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
-      address: row.address,
-      deployTxHash: row.deploy_tx_hash,
-      deployer: row.deployer,
-      codeHash: row.code_hash,
-      stake: row.stake,
-      state: row.state,
-      epoch: row.epoch,
-      blockHeight: row.block_height,
-      timestamp: row.timestamp,
+    const data = rows.slice(0, limit).map((row) => ({
+      ...this._formatWebhookDeliveryRow(row),
+      payload: JSON.parse(row.payload),
     }));
 
     return { data, total, limit, offset, hasMore };
   }
 
   /**
-   * Get contracts deployed by an address
+   * Format a webhook_deliveries row to response object
    */
-  getContractsByDeployer(deployer, options = {}) {
+  _formatWebhookDeliveryRow(row) {
+    const iso = (seconds) => (seconds ? new Date(seconds * 1000).toISOString() : null);
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      event: row.event,
+      blockHeight: row.block_height,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.status === 'pending' ? iso(row.next_attempt_at) : null,
+      responseStatus: row.response_status,
+      lastError: row.last_error,
+      createdAt: iso(row.created_at),
+      deliveredAt: iso(row.delivered_at),
+    };
+  }
+
+  // ==========================================
+  // Watchlist Methods
+  // ==========================================
+
+  /**
+   * Create a watchlist
+   * @param {object} watchlist - { name, addresses, rules }
+   * @returns {object} - The stored watchlist
+   */
+  insertWatchlist(watchlist) {
     if (!this.enabled || !this.db) {
-      return { data: [], total: 0, hasMore: false };
+      return null;
     }
 
-    const { limit = 50, offset = 0 } = options;
+    const now = Math.floor(Date.now() / 1000);
+    const result = this.db
+      .prepare(
+        `
+      INSERT INTO watchlists (name, addresses, rules, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?)
+    `
+      )
+      .run(
+        watchlist.name,
+        JSON.stringify(watchlist.addresses || []),
+        JSON.stringify(watchlist.rules || []),
+        now,
+        now
+      );
 
-    const total = this.db.prepare(
-      'SELECT COUNT(*) as count FROM contracts WHERE LOWER(deployer) = LOWER(?)'
-    ).get(deployer).count;
+    return this.getWatchlist(result.lastInsertRowid);
+  }
 
-    const rows = this.db.prepare(`
-      SELECT * FROM contracts
-      WHERE LOWER(deployer) = LOWER(?)
-      ORDER BY block_height DESC
-      LIMIT ? OFFSET ?
-    `).all(deployer, limit + 1, offset);
+  /**
+   * Get a watchlist by id
+   */
+  getWatchlist(id) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
-    const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
-      address: row.address,
-      deployTxHash: row.deploy_tx_hash,
-      deployer: row.deployer,
-      codeHash: row.code_hash,
-      stake: row.stake,
-      state: row.state,
-      epoch: row.epoch,
-      blockHeight: row.block_height,
-      timestamp: row.timestamp,
-    }));
+    const row = this.db.prepare('SELECT * FROM watchlists WHERE id = ?').get(id);
+    return row ? this._formatWatchlistRow(row) : null;
+  }
 
-    return { data, total, limit, offset, hasMore };
+  /**
+   * Get all watchlists, oldest first
+   */
+  getWatchlists() {
+    if (!this.enabled || !this.db) {
+      return [];
+    }
+
+    return this.db
+      .prepare('SELECT * FROM watchlists ORDER BY id')
+      .all()
+      .map((row) => this._formatWatchlistRow(row));
   }
 
   /**
-   * Get contract calls for a contract (paginated)
+   * Update a watchlist's name, addresses or rules (fields left undefined are
+   * kept). Observations of addresses no longer watched are dropped.
+   * @returns {object|null} - The updated watchlist, or null if it does not exist
    */
-  getContractCalls(contractAddress, options = {}) {
+  updateWatchlist(id, update) {
     if (!this.enabled || !this.db) {
-      return { data: [], total: 0, hasMore: false };
+      return null;
     }
 
-    const { limit = 50, offset = 0, method = null, caller = null } = options;
+    const json = (value) => (value === undefined ? null : JSON.stringify(value));
+    const apply = this.db.transaction(() => {
+      this.db
+        .prepare(
+          `
+        UPDATE watchlists SET
+          name = COALESCE(?, name),
+          addresses = COALESCE(?, addresses),
+          rules = COALESCE(?, rules),
+          updated_at = ?
+        WHERE id = ?
+      `
+        )
+        .run(
+          update.name ?? null,
+          json(update.addresses),
+          json(update.rules),
+          Math.floor(Date.now() / 1000),
+          id
+        );
 
-    let whereClause = 'LOWER(contract_address) = LOWER(?)';
-    const params = [contractAddress];
+      this.db
+        .prepare(
+          `
+        DELETE FROM watchlist_observations
+        WHERE watchlist_id = ?
+          AND address NOT IN (SELECT value FROM json_each((SELECT addresses FROM watchlists WHERE id = ?)))
+      `
+        )
+        .run(id, id);
+    });
 
-    if (method) {
-      whereClause += ' AND method = ?';
-      params.push(method);
+    apply();
+    return this.getWatchlist(id);
+  }
+
+  /**
+   * Delete a watchlist with its observations and alerts
+   * @returns {boolean} - Whether the watchlist existed
+   */
+  deleteWatchlist(id) {
+    if (!this.enabled || !this.db) {
+      return false;
     }
 
-    if (caller) {
-      whereClause += ' AND LOWER(caller) = LOWER(?)';
-      params.push(caller);
+    const remove = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM watchlist_observations WHERE watchlist_id = ?').run(id);
+      this.db.prepare('DELETE FROM watchlist_alerts WHERE watchlist_id = ?').run(id);
+      return this.db.prepare('DELETE FROM watchlists WHERE id = ?').run(id).changes > 0;
+    });
+
+    return remove();
+  }
+
+  /**
+   * Format a watchlists row to response object
+   */
+  _formatWatchlistRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      addresses: JSON.parse(row.addresses),
+      rules: JSON.parse(row.rules),
+      createdAt: new Date(row.created_at * 1000).toISOString(),
+      updatedAt: new Date(row.updated_at * 1000).toISOString(),
+    };
+  }
+
+  /**
+   * Get the watched addresses with activity stored in a block range, per kind:
+   * balance (balance changes), identity (identity changes and epoch snapshots),
+   * penalty, and invite (invites sent by the address and activated in the range)
+   * @param {number} fromBlock - First height (inclusive)
+   * @param {number} toBlock - Last height (inclusive)
+   * @param {Array} addresses - Lowercase addresses
+   * @param {Array} kinds - Kinds to look up
+   * @returns {object} - kind -> Set of lowercase addresses
+   */
+  getTouchedAddresses(fromBlock, toBlock, addresses, kinds) {
+    const touched = Object.fromEntries(kinds.map((kind) => [kind, new Set()]));
+    if (!this.enabled || !this.db || addresses.length === 0) {
+      return touched;
     }
 
-    const total = this.db.prepare(
-      `SELECT COUNT(*) as count FROM contract_calls WHERE ${whereClause}`
-    ).get(...params).count;
+    const watched = 'SELECT value FROM json_each(@addresses)';
+    const queries = {
+      balance: `
+        SELECT DISTINCT LOWER(address) as address FROM balance_changes
+        WHERE block_height BETWEEN @fromBlock AND @toBlock AND LOWER(address) IN (${watched})
+      `,
+      identity: `
+        SELECT LOWER(address) as address FROM identity_changes
+        WHERE block_height BETWEEN @fromBlock AND @toBlock AND LOWER(address) IN (${watched})
+        UNION
+        SELECT LOWER(address) FROM identity_states
+        WHERE block_height BETWEEN @fromBlock AND @toBlock AND LOWER(address) IN (${watched})
+      `,
+      penalty: `
+        SELECT DISTINCT LOWER(address) as address FROM penalties
+        WHERE block_height BETWEEN @fromBlock AND @toBlock AND LOWER(address) IN (${watched})
+      `,
+      invite: `
+        SELECT DISTINCT LOWER(i.inviter) as address FROM invites i
+        JOIN transactions t ON t.hash = i.activation_tx_hash
+        WHERE t.block_height BETWEEN @fromBlock AND @toBlock AND LOWER(i.inviter) IN (${watched})
+      `,
+    };
 
-    const rows = this.db.prepare(`
-      SELECT * FROM contract_calls
-      WHERE ${whereClause}
-      ORDER BY timestamp DESC
-      LIMIT ? OFFSET ?
-    `).all(...params, limit + 1, offset);
+    const params = { fromBlock, toBlock, addresses: JSON.stringify(addresses) };
+    for (const kind of kinds) {
+      for (const row of this.db.prepare(queries[kind]).all(params)) {
+        touched[kind].add(row.address);
+      }
+    }
+    return touched;
+  }
 
-    const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
-      txHash: row.tx_hash,
-      contractAddress: row.contract_address,
-      caller: row.caller,
-      method: row.method,
-      amount: row.amount,
-      success: row.success === 1,
+  /**
+   * Get the newest running balance of an address
+   * @returns {object|null} - { balance, blockHeight, epoch }, null while the
+   *   address has no balance changes or its newest balance is not computed yet
+   */
+  getLatestBalance(address) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const [row] = this._selectBalanceChanges(address.toLowerCase(), { desc: true, limit: 1 });
+    if (!row || row.balance_after === null) {
+      return null;
+    }
+    return {
+      balance: row.balance_after,
       blockHeight: row.block_height,
-      timestamp: row.timestamp,
-    }));
+      epoch: this.getBlock(row.block_height)?.epoch ?? null,
+    };
+  }
 
-    return { data, total, limit, offset, hasMore };
+  /**
+   * Get the current stake of an address: its newest epoch snapshot with the
+   * stake transactions since that epoch began applied, or 0 after a kill
+   * @returns {object|null} - { stake, blockHeight, epoch } where blockHeight is
+   *   the last height that changed it, null without a snapshot
+   */
+  getLatestStake(address) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
+
+    const addrLower = address.toLowerCase();
+    const snapshot = this.db
+      .prepare(
+        `
+      SELECT s.stake, s.epoch, e.start_block FROM address_states s
+      LEFT JOIN epochs e ON e.epoch = s.epoch
+      WHERE LOWER(s.address) = ?
+      ORDER BY s.epoch DESC
+      LIMIT 1
+    `
+      )
+      .get(addrLower);
+    if (!snapshot) {
+      return null;
+    }
+
+    const since = snapshot.start_block ?? 0;
+    let stake = toAtomic(snapshot.stake);
+    let blockHeight = since;
+
+    // Stake transactions move coins from the balance, so their amounts carry the opposite sign
+    const changes = this.db
+      .prepare(
+        `
+      SELECT amount, block_height FROM balance_changes
+      WHERE LOWER(address) = ? AND change_type IN ('stake', 'unstake') AND block_height >= ?
+      ORDER BY block_height, id
+    `
+      )
+      .all(addrLower, since);
+    for (const change of changes) {
+      stake -= toAtomic(change.amount);
+      blockHeight = change.block_height;
+    }
+
+    const kill = this.db
+      .prepare(
+        `
+      SELECT block_height FROM identity_changes
+      WHERE LOWER(address) = ? AND change_type = 'killed' AND block_height >= ?
+      ORDER BY block_height DESC
+      LIMIT 1
+    `
+      )
+      .get(addrLower, since);
+    if (kill && kill.block_height >= blockHeight) {
+      stake = 0n;
+      blockHeight = kill.block_height;
+    }
+
+    return {
+      stake: fromAtomic(stake),
+      blockHeight,
+      epoch: this.getBlock(blockHeight)?.epoch ?? snapshot.epoch,
+    };
   }
 
   /**
-   * Get contract calls made by an address
+   * Get the current identity state of an address: its newest epoch snapshot
+   * or mid-epoch change (kills), whichever came last
+   * @returns {object|null} - { state, blockHeight, epoch }
    */
-  getContractCallsByAddress(address, options = {}) {
+  getLatestIdentityState(address) {
     if (!this.enabled || !this.db) {
-      return { data: [], total: 0, hasMore: false };
+      return null;
     }
 
-    const { limit = 50, offset = 0 } = options;
+    const row = this.db
+      .prepare(
+        `
+      SELECT * FROM (
+        SELECT state, epoch, COALESCE(block_height, 0) as block_height, 0 as seq
+        FROM identity_states WHERE LOWER(address) = @address
+        UNION ALL
+        SELECT new_state, epoch, block_height, id
+        FROM identity_changes WHERE LOWER(address) = @address AND new_state IS NOT NULL
+      ) ORDER BY epoch DESC, block_height DESC, seq DESC
+      LIMIT 1
+    `
+      )
+      .get({ address: address.toLowerCase() });
 
-    const total = this.db.prepare(
-      'SELECT COUNT(*) as count FROM contract_calls WHERE LOWER(caller) = LOWER(?)'
-    ).get(address).count;
+    return row ? { state: row.state, blockHeight: row.block_height, epoch: row.epoch } : null;
+  }
 
-    const rows = this.db.prepare(`
-      SELECT cc.*, c.deployer, c.state as contract_state
-      FROM contract_calls cc
-      LEFT JOIN contracts c ON LOWER(c.address) = LOWER(cc.contract_address)
-      WHERE LOWER(cc.caller) = LOWER(?)
-      ORDER BY cc.timestamp DESC
-      LIMIT ? OFFSET ?
-    `).all(address, limit + 1, offset);
+  /**
+   * Store the value a rule observed for an address
+   * @returns {string|null} - The previously observed value, null on the first observation
+   */
+  observeWatchlistValue(watchlistId, address, rule, value) {
+    if (!this.enabled || !this.db) {
+      return null;
+    }
 
-    const hasMore = rows.length > limit;
-    const data = rows.slice(0, limit).map(row => ({
-      txHash: row.tx_hash,
-      contractAddress: row.contract_address,
-      caller: row.caller,
-      method: row.method,
-      amount: row.amount,
-      success: row.success === 1,
-      blockHeight: row.block_height,
-      timestamp: row.timestamp,
-      contractDeployer: row.deployer,
-      contractState: row.contract_state,
-    }));
+    const key = [watchlistId, address.toLowerCase(), rule];
+    const previous = this.db
+      .prepare(
+        `
+      SELECT value FROM watchlist_observations WHERE watchlist_id = ? AND address = ? AND rule = ?
+    `
+      )
+      .get(...key);
+
+    this.db
+      .prepare(
+        `
+      INSERT INTO watchlist_observations (watchlist_id, address, rule, value) VALUES (?, ?, ?, ?)
+      ON CONFLICT(watchlist_id, address, rule) DO UPDATE SET value = excluded.value
+    `
+      )
+      .run(...key, value);
+
+    return previous ? previous.value : null;
+  }
 
-    return { data, total, limit, offset, hasMore };
+  /**
+   * Store a fired alert unless the same occurrence was already recorded
+   * @param {object} alert - { watchlistId, address, rule, dedupeKey, message, details, epoch }
+   * @returns {boolean} - Whether the alert is new
+   */
+  insertWatchlistAlert(alert) {
+    if (!this.enabled || !this.db) {
+      return false;
+    }
+
+    return (
+      this.db
+        .prepare(
+          `
+      INSERT OR IGNORE INTO watchlist_alerts (
+        watchlist_id, address, rule, dedupe_key, message, details, epoch, fired_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `
+        )
+        .run(
+          alert.watchlistId,
+          alert.address.toLowerCase(),
+          alert.rule,
+          String(alert.dedupeKey),
+          alert.message,
+          alert.details ? JSON.stringify(alert.details) : null,
+          alert.epoch ?? null,
+          Math.floor(Date.now() / 1000)
+        ).changes > 0
+    );
   }
 
   /**
-   * Get contract summary statistics
+   * Get alerts fired for a watchlist, newest first
+   * @param {number} watchlistId - Watchlist id
+   * @param {object} options - { rule, address, limit, offset }
    */
-  getContractStats() {
-    if (!this.enabled || !this.db) {return null;}
+  getWatchlistAlerts(watchlistId, options = {}) {
+    if (!this.enabled || !this.db) {
+      return { data: [], total: 0, hasMore: false };
+    }
 
-    const stats = this.db.prepare(`
-      SELECT
-        COUNT(*) as total_contracts,
-        SUM(CASE WHEN state = 'active' THEN 1 ELSE 0 END) as active_contracts,
-        SUM(CASE WHEN state = 'terminated' THEN 1 ELSE 0 END) as terminated_contracts,
-        COUNT(DISTINCT deployer) as unique_deployers,
-        SUM(CAST(stake AS REAL)) as total_stake
-      FROM contracts
-    `).get();
+    const { rule = null, address = null, limit = 50, offset = 0 } = options;
 
-    const callStats = this.db.prepare(`
-      SELECT
-        COUNT(*) as total_calls,
-        COUNT(DISTINCT caller) as unique_callers,
-        COUNT(DISTINCT contract_address) as contracts_called,
-        SUM(CAST(amount AS REAL)) as total_amount
-      FROM contract_calls
-    `).get();
+    let whereClause = 'watchlist_id = ?';
+    const params = [watchlistId];
 
-    // Top contracts by call count
-    const topContracts = this.db.prepare(`
-      SELECT contract_address, COUNT(*) as call_count
-      FROM contract_calls
-      GROUP BY contract_address
-      ORDER BY call_count DESC
-      LIMIT 10
-    `).all();
+    if (rule) {
+      whereClause += ' AND rule = ?';
+      params.push(rule);
+    }
 
-    return {
-      contracts: {
-        total: stats.total_contracts,
-        active: stats.active_contracts,
-        terminated: stats.terminated_contracts,
-        uniqueDeployers: stats.unique_deployers,
-        totalStake: stats.total_stake ? stats.total_stake.toString() : '0',
-      },
-      calls: {
-        total: callStats.total_calls,
-        uniqueCallers: callStats.unique_callers,
-        contractsCalled: callStats.contracts_called,
-        totalAmount: callStats.total_amount ? callStats.total_amount.toString() : '0',
-      },
-      topContracts: topContracts.map(c => ({
-        address: c.contract_address,
-        callCount: c.call_count,
-      })),
-    };
+    if (address) {
+      whereClause += ' AND address = ?';
+      params.push(address.toLowerCase());
+    }
+
+    const total = this.db
+      .prepare(`SELECT COUNT(*) as count FROM watchlist_alerts WHERE ${whereClause}`)
+      .get(...params).count;
+
+    const rows = this.db
+      .prepare(
+        `
+      SELECT * FROM watchlist_alerts
+      WHERE ${whereClause}
+      ORDER BY id DESC
+      LIMIT ? OFFSET ?
+    `
+      )
+      .all(...params, limit + 1, offset);
+
+    const hasMore = rows.length > limit;
+    const data = rows.slice(0, limit).map((row) => ({
+      id: row.id,
+      address: row.address,
+      rule: row.rule,
+      message: row.message,
+      details: row.details ? JSON.parse(row.details) : null,
+      epoch: row.epoch,
+      firedAt: new Date(row.fired_at * 1000).toISOString(),
+    }));
+
+    return { data, total, limit, offset, hasMore };
   }
 
   /**
@@ -0,0 +1,563 @@
+/**
+ * GraphQL Schema
+ *
+ * One query over identities, addresses, blocks, transactions, epochs,
+ * rewards, validation results, penalties, invites and contracts, so a page
+ * that needs several REST calls can be assembled in one request. Identity
+ * state comes live from the node, everything else from the historical
+ * database. Timestamps are unix seconds and amounts are iDNA strings.
+ *
+ * Each request gets its own loaders, which collect the lookups made while
+ * resolving one level of the query and run them together: records and the
+ * lists of a batch of addresses as one database query per kind (per page
+ * and filter for lists), identities as one JSON-RPC batch.
+ *
+ * Queries are priced before they run: every field costs 1 and a list field
+ * multiplies the cost of its selection by its limit (MAX_LIMIT when it has
+ * none). Queries above GRAPHQL_MAX_COST are rejected.
+ */
+
+const DataLoader = require('dataloader');
+const {
+  buildSchema,
+  getArgumentValues,
+  getNamedType,
+  getNullableType,
+  isListType,
+  GraphQLError,
+  Kind,
+} = require('graphql');
+const historyDB = require('./db');
+const IdenaRPC = require('./rpc');
+
+const rpc = new IdenaRPC();
+
+const MAX_LIMIT = 100; // items per list field
+
+const typeDefs = `
+  type Query {
+    "Identity by address"
+    identity(address: String!): Identity
+    "Address by address"
+    address(address: String!): Address
+    "Block by height"
+    block(height: Int!): Block
+    "Transaction by hash"
+    transaction(hash: String!): Transaction
+    "Epoch by number, or the last synced epoch"
+    epoch(epoch: Int): Epoch
+    "Epochs, newest first"
+    epochs(limit: Int = 20, offset: Int = 0): [Epoch!]!
+    "Invite by hash"
+    invite(hash: String!): Invite
+    "Contract by address"
+    contract(address: String!): Contract
+    "Contracts, newest first"
+    contracts(limit: Int = 20, offset: Int = 0): [Contract!]!
+  }
+
+  "An identity: live state from the node, history from the database"
+  type Identity {
+    address: String!
+    state: String
+    stake: String
+    age: Int
+    online: Boolean
+    penalty: String
+    "Invites the identity can still send"
+    availableInvites: Int
+    madeFlips: Int
+    "The identity's address (balance and transactions)"
+    account: Address!
+    "State per epoch, newest first"
+    epochs(limit: Int = 20, offset: Int = 0): [IdentityEpoch!]!
+    rewards(epoch: Int, limit: Int = 20, offset: Int = 0): [Reward!]!
+    validationResults(limit: Int = 20, offset: Int = 0): [ValidationResult!]!
+    validationResult(epoch: Int!): ValidationResult
+    penalties(limit: Int = 20, offset: Int = 0): [Penalty!]!
+    invites(type: InviteDirection, limit: Int = 20, offset: Int = 0): [Invite!]!
+  }
+
+  enum InviteDirection {
+    sent
+    received
+  }
+
+  type IdentityEpoch {
+    epoch: Int!
+    state: String
+    prevState: String
+    blockHeight: Int
+    timestamp: Int
+  }
+
+  "An address as of its last synced epoch"
+  type Address {
+    address: String!
+    balance: String
+    stake: String
+    identityState: String
+    txSent: Int
+    txReceived: Int
+    txTotal: Int
+    totalRewards: String
+    totalPenalties: String
+    identity: Identity!
+    transactions(type: String, limit: Int = 20, offset: Int = 0): [Transaction!]!
+    contractsDeployed(limit: Int = 20, offset: Int = 0): [Contract!]!
+  }
+
+  type Block {
+    height: Int!
+    hash: String!
+    timestamp: Int!
+    epoch: Int
+    proposer: Address
+    txCount: Int
+    parentHash: String
+    transactions: [Transaction!]!
+  }
+
+  type Transaction {
+    hash: String!
+    blockHeight: Int!
+    epoch: Int
+    type: String!
+    from: Address!
+    to: Address
+    amount: String
+    fee: String
+    nonce: Int
+    timestamp: Int!
+    block: Block
+  }
+
+  type Epoch {
+    epoch: Int!
+    startBlock: Int
+    endBlock: Int
+    startTimestamp: Int
+    endTimestamp: Int
+    validatedCount: Int
+    blockCount: Int
+    txCount: Int
+    flipCount: Int
+    inviteCount: Int
+    "Reward totals per address, largest first"
+    rewards(limit: Int = 20, offset: Int = 0): [RewardTotal!]!
+    penalties(limit: Int = 20, offset: Int = 0): [Penalty!]!
+    invites(limit: Int = 20, offset: Int = 0): [Invite!]!
+  }
+
+  type Reward {
+    address: String!
+    epoch: Int!
+    type: String!
+    amount: String!
+  }
+
+  type RewardTotal {
+    address: String!
+    totalAmount: String!
+    identity: Identity!
+  }
+
+  type ValidationResult {
+    address: String!
+    epoch: Int!
+    shortAnswers: Int
+    shortCorrect: Int
+    longAnswers: Int
+    longCorrect: Int
+    shortScore: String
+    longScore: String
+    madeFlips: Int
+    qualifiedFlips: Int
+    totalReward: String
+    missedValidation: Boolean
+  }
+
+  type Penalty {
+    address: String!
+    epoch: Int!
+    penalty: String!
+    reason: String
+    blockHeight: Int
+    timestamp: Int
+    identity: Identity!
+    block: Block
+  }
+
+  type Invite {
+    hash: String!
+    inviter: Identity!
+    invitee: Identity
+    epoch: Int!
+    status: String!
+    activationTxHash: String
+    activationTx: Transaction
+    blockHeight: Int
+    timestamp: Int
+  }
+
+  type Contract {
+    address: String!
+    deployer: Address!
+    deployTxHash: String
+    deployTx: Transaction
+    codeHash: String
+    type: String
+    stake: String
+    state: String
+    epoch: Int
+    blockHeight: Int
+    timestamp: Int
+    calls(method: String, limit: Int = 20, offset: Int = 0): [ContractCall!]!
+  }
+
+  type ContractCall {
+    txHash: String!
+    caller: Address!
+    method: String
+    amount: String
+    success: Boolean
+    gasUsed: Int
+    usedFee: String
+    error: String
+    blockHeight: Int
+    timestamp: Int
+    transaction: Transaction
+  }
+`;
+
+/**
+ * The historical database, or a field error when it is disabled
+ */
+function history() {
+  if (!historyDB.enabled) {
+    throw new GraphQLError('Historical database not enabled');
+  }
+  return historyDB;
+}
+
+function checkAddress(address) {
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    throw new GraphQLError('Invalid address format', { extensions: { code: 'BAD_USER_INPUT' } });
+  }
+  return address.toLowerCase();
+}
+
+function clampLimit(limit) {
+  return Math.min(Math.max(limit, 0), MAX_LIMIT);
+}
+
+function page({ limit, offset }) {
+  return { limit: clampLimit(limit), offset: Math.max(offset, 0) };
+}
+
+/**
+ * Order batch results by key, null for keys without a row
+ */
+function byKey(rows, keys, field) {
+  const rowsByKey = new Map(rows.map((row) => [row[field], row]));
+  return keys.map((key) => rowsByKey.get(key) ?? null);
+}
+
+/**
+ * Loader for a list per address. Keys are { address, ...options }; the
+ * addresses asking for the same options are read with one lookup, which
+ * returns rows carrying the (lowercase) address they were found for.
+ * @param {Function} lookup - (addresses, options) => rows
+ */
+function listLoader(lookup) {
+  return new DataLoader(
+    (keys) =>
+      Promise.resolve(keys).then(() => {
+        const groups = new Map(); // options -> addresses
+        for (const { address, ...options } of keys) {
+          const group = JSON.stringify(options);
+          groups.set(group, (groups.get(group) || new Set()).add(address.toLowerCase()));
+        }
+
+        const rows = new Map(); // options + address -> rows
+        for (const [group, addresses] of groups) {
+          for (const row of lookup([...addresses], JSON.parse(group))) {
+            const key = `${group}:${row.address}`;
+            if (!rows.has(key)) {
+              rows.set(key, []);
+            }
+            rows.get(key).push(row);
+          }
+        }
+
+        return keys.map(
+          ({ address, ...options }) =>
+            rows.get(`${JSON.stringify(options)}:${address.toLowerCase()}`) || []
+        );
+      }),
+    { cacheKeyFn: JSON.stringify }
+  );
+}
+
+/**
+ * Create the loaders of one request
+ */
+function createLoaders() {
+  const lower = (address) => address.toLowerCase();
+  // Database lookups are synchronous, loaders expect a promise
+  const fromDB = (lookup) => (keys) => Promise.resolve(keys).then(lookup);
+
+  return {
+    // Concurrent calls are sent as one JSON-RPC batch
+    identity: new DataLoader(
+      (addresses) =>
+        Promise.all(
+          addresses.map((address) =>
+            rpc.batchCall('dna_identity', [address]).catch((error) => error)
+          )
+        ),
+      { cacheKeyFn: lower }
+    ),
+    addressInfo: new DataLoader(
+      fromDB((addresses) => history().getAddressInfos(addresses)),
+      { cacheKeyFn: lower }
+    ),
+    block: new DataLoader(
+      fromDB((heights) => byKey(history().getBlocksByHeight(heights), heights, 'height'))
+    ),
+    blockTransactions: new DataLoader(
+      fromDB((heights) => {
+        const transactions = history().getTransactionsByBlock(heights);
+        return heights.map((height) => transactions.filter((tx) => tx.blockHeight === height));
+      })
+    ),
+    transaction: new DataLoader(
+      fromDB((hashes) => byKey(history().getTransactionsByHash(hashes), hashes, 'hash'))
+    ),
+    epoch: new DataLoader(
+      fromDB((epochs) => byKey(history().getEpochsByNumber(epochs), epochs, 'epoch'))
+    ),
+    rewards: listLoader((addresses, options) => history().getRewardsByAddress(addresses, options)),
+    validationResults: listLoader((addresses, options) =>
+      history().getValidationResultsByAddress(addresses, options)
+    ),
+    penalties: listLoader((addresses, options) =>
+      history().getPenaltiesByAddress(addresses, options)
+    ),
+    invites: listLoader((addresses, options) => history().getInvitesByAddress(addresses, options)),
+    addressTransactions: listLoader((addresses, options) =>
+      history().getTransactionsByAddress(addresses, options)
+    ),
+  };
+}
+
+/**
+ * Resolver for a field of the node's identity object
+ */
+function identityField(field) {
+  return async ({ address }, args, { loaders }) => {
+    const identity = await loaders.identity.load(address);
+    return identity?.[field] ?? null;
+  };
+}
+
+/**
+ * Resolver for a field of the address's synced info
+ */
+function addressField(field) {
+  return async ({ address }, args, { loaders }) => {
+    const info = await loaders.addressInfo.load(address);
+    return info?.[field] ?? null;
+  };
+}
+
+const toIdentity = (address) => ({ address });
+const toAddress = (address) => (address ? { address } : null);
+
+const resolvers = {
+  Query: {
+    identity: (root, { address }) => toIdentity(checkAddress(address)),
+    address: (root, { address }) => toAddress(checkAddress(address)),
+    block: (root, { height }, { loaders }) => loaders.block.load(height),
+    transaction: (root, { hash }, { loaders }) => loaders.transaction.load(hash),
+    epoch: (root, { epoch }, { loaders }) =>
+      epoch === null || epoch === undefined ? history().getLastEpoch() : loaders.epoch.load(epoch),
+    epochs: (root, args) => history().getEpochs(page(args)).data,
+    invite: (root, { hash }) => history().getInvite(hash),
+    contract: (root, { address }) => history().getContract(checkAddress(address)),
+    contracts: (root, args) => history().getContracts(page(args)).data,
+  },
+  Identity: {
+    state: identityField('state'),
+    stake: identityField('stake'),
+    age: identityField('age'),
+    online: identityField('online'),
+    penalty: identityField('penalty'),
+    availableInvites: identityField('invites'),
+    madeFlips: identityField('madeFlips'),
+    account: ({ address }) => toAddress(address),
+    epochs: ({ address }, args) => history().getIdentityEpochs(address, page(args)).data,
+    rewards: ({ address }, args, { loaders }) =>
+      loaders.rewards.load({
+        address,
+        ...page(args),
+        epoch: args.epoch ?? null,
+      }),
+    validationResults: ({ address }, args, { loaders }) =>
+      loaders.validationResults.load({ address, ...page(args) }),
+    validationResult: ({ address }, { epoch }) => history().getValidationResult(address, epoch),
+    penalties: ({ address }, args, { loaders }) =>
+      loaders.penalties.load({ address, ...page(args) }),
+    invites: ({ address }, args, { loaders }) =>
+      loaders.invites.load({
+        address,
+        ...page(args),
+        type: args.type ?? null,
+      }),
+  },
+  Address: {
+    balance: addressField('balance'),
+    stake: addressField('stake'),
+    identityState: addressField('identityState'),
+    txSent: addressField('txSent'),
+    txReceived: addressField('txReceived'),
+    txTotal: addressField('txTotal'),
+    totalRewards: addressField('totalRewards'),
+    totalPenalties: addressField('totalPenalties'),
+    identity: ({ address }) => toIdentity(address),
+    transactions: ({ address }, args, { loaders }) =>
+      loaders.addressTransactions.load({
+        address,
+        ...page(args),
+        type: args.type ?? null,
+      }),
+    contractsDeployed: ({ address }, args) =>
+      history().getContractsByDeployer(address, page(args)).data,
+  },
+  Block: {
+    proposer: (block) => toAddress(block.proposer),
+    transactions: (block, args, { loaders }) => loaders.blockTransactions.load(block.height),
+  },
+  Transaction: {
+    from: (tx) => toAddress(tx.from),
+    to: (tx) => toAddress(tx.to),
+    block: (tx, args, { loaders }) => loaders.block.load(tx.blockHeight),
+  },
+  Epoch: {
+    rewards: (epoch, args) => history().getEpochRewards(epoch.epoch, page(args)).data,
+    penalties: (epoch, args) =>
+      history()
+        .getEpochPenalties(epoch.epoch, page(args))
+        .data.map((penalty) => ({ ...penalty, epoch: epoch.epoch })),
+    invites: (epoch, args) => history().getEpochInvites(epoch.epoch, page(args)).data,
+  },
+  RewardTotal: {
+    identity: ({ address }) => toIdentity(address),
+  },
+  Penalty: {
+    identity: ({ address }) => toIdentity(address),
+    block: (penalty, args, { loaders }) =>
+      penalty.blockHeight ? loaders.block.load(penalty.blockHeight) : null,
+  },
+  Invite: {
+    inviter: (invite) => toIdentity(invite.inviter),
+    invitee: (invite) => (invite.invitee ? toIdentity(invite.invitee) : null),
+    activationTx: (invite, args, { loaders }) =>
+      invite.activationTxHash ? loaders.transaction.load(invite.activationTxHash) : null,
+  },
+  Contract: {
+    deployer: (contract) => toAddress(contract.deployer),
+    deployTx: (contract, args, { loaders }) =>
+      contract.deployTxHash ? loaders.transaction.load(contract.deployTxHash) : null,
+    calls: (contract, args) =>
+      history().getContractCalls(contract.address, { ...page(args), method: args.method ?? null })
+        .data,
+  },
+  ContractCall: {
+    caller: (call) => toAddress(call.caller),
+    transaction: (call, args, { loaders }) => loaders.transaction.load(call.txHash),
+  },
+};
+
+/**
+ * Build the executable schema: SDL types with the resolvers attached
+ */
+function createSchema() {
+  const schema = buildSchema(typeDefs);
+
+  for (const [typeName, fieldResolvers] of Object.entries(resolvers)) {
+    const fields = schema.getType(typeName).getFields();
+    for (const [fieldName, resolve] of Object.entries(fieldResolvers)) {
+      fields[fieldName].resolve = resolve;
+    }
+  }
+
+  return schema;
+}
+
+/**
+ * Price a validated query
+ * @param {GraphQLSchema} schema - Schema the document was validated against
+ * @param {DocumentNode} document - Parsed query
+ * @param {object} options - { variables, operationName }
+ * @returns {number} - Cost of the operation that would run
+ */
+function queryCost(schema, document, { variables = {}, operationName = null } = {}) {
+  const fragments = new Map();
+  const operations = [];
+  for (const definition of document.definitions) {
+    if (definition.kind === Kind.FRAGMENT_DEFINITION) {
+      fragments.set(definition.name.value, definition);
+    } else if (definition.kind === Kind.OPERATION_DEFINITION) {
+      operations.push(definition);
+    }
+  }
+
+  const operation = operationName
+    ? operations.find((op) => op.name?.value === operationName)
+    : operations[0];
+  if (!operation) {
+    return 0;
+  }
+
+  const selectionCost = (selectionSet, parentType) => {
+    let cost = 0;
+    for (const selection of selectionSet.selections) {
+      if (selection.kind !== Kind.FIELD) {
+        const fragment =
+          selection.kind === Kind.FRAGMENT_SPREAD ? fragments.get(selection.name.value) : selection;
+        const type = fragment.typeCondition
+          ? schema.getType(fragment.typeCondition.name.value)
+          : parentType;
+        cost += selectionCost(fragment.selectionSet, type);
+        continue;
+      }
+
+      // Introspection (__typename, __schema) is free
+      const field = parentType.getFields()[selection.name.value];
+      if (!field) {
+        continue;
+      }
+
+      let count = 1;
+      if (isListType(getNullableType(field.type))) {
+        const { limit } = getArgumentValues(field, selection, variables);
+        count = limit === undefined ? MAX_LIMIT : clampLimit(limit);
+      }
+      const childCost = selection.selectionSet
+        ? selectionCost(selection.selectionSet, getNamedType(field.type))
+        : 0;
+      cost += 1 + count * childCost;
+    }
+    return cost;
+  };
+
+  return selectionCost(operation.selectionSet, schema.getRootType(operation.operation));
+}
+
+module.exports = {
+  createSchema,
+  createLoaders,
+  queryCost,
+  MAX_LIMIT,
+};
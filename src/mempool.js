@@ -0,0 +1,194 @@
+/**
+ * Mempool Monitor
+ *
+ * Polls the node's mempool (bcn_mempool) and keeps the pending transactions
+ * in memory, so clients can see whether a submitted transaction is still
+ * waiting and what the pending load looks like. Transactions leave the set
+ * once the node drops them from its mempool (included in a block or evicted).
+ */
+
+const IdenaRPC = require('./rpc');
+const { fromAtomic, toAtomic } = require('./amounts');
+
+class MempoolService {
+  constructor() {
+    this.rpc = new IdenaRPC();
+    this.enabled = process.env.MEMPOOL_ENABLED !== 'false';
+    this.pollInterval = parseInt(process.env.MEMPOOL_POLL_INTERVAL) || 5000; // ms between polls
+    this.isRunning = false;
+    this.shouldStop = false;
+    this.pending = new Map(); // hash -> transaction summary
+    this.lastPollAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Start polling the mempool
+   */
+  start() {
+    if (!this.enabled) {
+      console.log('Mempool monitoring disabled');
+      return;
+    }
+
+    if (this.isRunning) {
+      return;
+    }
+
+    console.log('Starting mempool monitor...');
+    this.isRunning = true;
+    this.shouldStop = false;
+    this._pollLoop();
+  }
+
+  /**
+   * Stop polling the mempool
+   */
+  stop() {
+    this.shouldStop = true;
+    this.isRunning = false;
+  }
+
+  async _pollLoop() {
+    while (!this.shouldStop) {
+      await this.poll();
+      await this._sleep(this.pollInterval);
+    }
+  }
+
+  /**
+   * Refresh the pending set from the node. Hashes that left the mempool are
+   * removed and new ones are fetched with bcn_transaction.
+   */
+  async poll() {
+    let hashes;
+    try {
+      hashes = (await this.rpc.getMempool()) || [];
+    } catch (error) {
+      // Keep the last known set rather than reporting an empty mempool
+      this.lastError = error.message;
+      console.error('Mempool poll error:', error.message);
+      return;
+    }
+
+    const current = new Set(hashes.map((hash) => hash.toLowerCase()));
+    for (const hash of this.pending.keys()) {
+      if (!current.has(hash)) {
+        this.pending.delete(hash);
+      }
+    }
+
+    const added = [...current].filter((hash) => !this.pending.has(hash));
+    await Promise.all(
+      added.map(async (hash) => {
+        try {
+          const tx = await this.rpc.batchCall('bcn_transaction', [hash]);
+          // Left out on failure, so the next poll retries it
+          if (tx) {
+            this.track({ ...tx, hash });
+          }
+        } catch (error) {
+          console.error(`Failed to fetch pending transaction ${hash}:`, error.message);
+        }
+      })
+    );
+
+    this.lastPollAt = new Date().toISOString();
+    this.lastError = null;
+  }
+
+  /**
+   * Add a transaction to the pending set (e.g. one just broadcast)
+   */
+  track(tx) {
+    const hash = tx.hash.toLowerCase();
+    this.pending.set(hash, {
+      hash,
+      type: tx.type || null,
+      from: tx.from ? tx.from.toLowerCase() : null,
+      to: tx.to ? tx.to.toLowerCase() : null,
+      amount: tx.amount || '0',
+      maxFee: tx.maxFee || '0',
+      tips: tx.tips || '0',
+      nonce: tx.nonce ?? null,
+      epoch: tx.epoch ?? null,
+      firstSeen: this.pending.get(hash)?.firstSeen || new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Get a pending transaction by hash, or null
+   */
+  getTransaction(hash) {
+    return this.pending.get(hash.toLowerCase()) || null;
+  }
+
+  /**
+   * Get pending transactions sent from or to an address, in nonce order
+   */
+  getByAddress(address) {
+    const addr = address.toLowerCase();
+    return [...this.pending.values()]
+      .filter((tx) => tx.from === addr || tx.to === addr)
+      .sort((a, b) => (a.nonce ?? 0) - (b.nonce ?? 0));
+  }
+
+  /**
+   * Summarize the pending set: counts by type and the maxFee distribution
+   */
+  getSummary() {
+    const transactions = [...this.pending.values()];
+    const byType = {};
+    for (const tx of transactions) {
+      const type = tx.type || 'unknown';
+      byType[type] = (byType[type] || 0) + 1;
+    }
+
+    const fees = transactions
+      .map((tx) => toAtomic(tx.maxFee))
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const percentile = (p) =>
+      fromAtomic(fees[Math.min(fees.length - 1, Math.floor((fees.length - 1) * p))]);
+
+    return {
+      count: transactions.length,
+      byType,
+      fees:
+        fees.length > 0
+          ? {
+              min: percentile(0),
+              p25: percentile(0.25),
+              median: percentile(0.5),
+              p75: percentile(0.75),
+              max: percentile(1),
+              total: fromAtomic(fees.reduce((sum, fee) => sum + fee, 0n)),
+            }
+          : null,
+      lastPollAt: this.lastPollAt,
+    };
+  }
+
+  /**
+   * Get monitor status
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      running: this.isRunning,
+      pending: this.pending.size,
+      pollInterval: this.pollInterval,
+      lastPollAt: this.lastPollAt,
+      lastError: this.lastError,
+    };
+  }
+
+  _sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+// Singleton instance
+const mempoolService = new MempoolService();
+
+module.exports = mempoolService;
+module.exports.MempoolService = MempoolService;
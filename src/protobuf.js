@@ -0,0 +1,114 @@
+/**
+ * Minimal Protobuf Reader
+ *
+ * Idena encodes transactions and their attachments (payloads) as protobuf
+ * messages. Only the wire format is needed to read them, so this decodes
+ * fields without generated message classes.
+ */
+
+const WIRE_VARINT = 0;
+const WIRE_FIXED64 = 1;
+const WIRE_BYTES = 2;
+const WIRE_FIXED32 = 5;
+
+/**
+ * Read a base-128 varint
+ * @returns {Array} - [value as BigInt, next position]
+ */
+function readVarint(buf, pos) {
+  let value = 0n;
+  let shift = 0n;
+
+  while (pos < buf.length) {
+    const byte = buf[pos++];
+    value |= BigInt(byte & 0x7f) << shift;
+    if ((byte & 0x80) === 0) {
+      return [value, pos];
+    }
+    shift += 7n;
+    if (shift > 63n) {
+      break;
+    }
+  }
+
+  throw new Error('Invalid protobuf: malformed varint');
+}
+
+/**
+ * Decode the top-level fields of a message
+ * @param {Buffer|string} input - Message bytes or hex string
+ * @returns {Array<object>} - { field, wireType, value } in wire order; value is
+ *   a BigInt for varints and a Buffer for everything else
+ */
+function decodeFields(input) {
+  const buf = Buffer.isBuffer(input) ? input : hexToBuffer(input);
+  const fields = [];
+  let pos = 0;
+
+  while (pos < buf.length) {
+    let key;
+    [key, pos] = readVarint(buf, pos);
+    const field = Number(key >> 3n);
+    const wireType = Number(key & 7n);
+    let value;
+
+    switch (wireType) {
+      case WIRE_VARINT:
+        [value, pos] = readVarint(buf, pos);
+        break;
+      case WIRE_FIXED64:
+        value = buf.subarray(pos, pos + 8);
+        pos += 8;
+        break;
+      case WIRE_BYTES: {
+        let length;
+        [length, pos] = readVarint(buf, pos);
+        value = buf.subarray(pos, pos + Number(length));
+        pos += Number(length);
+        break;
+      }
+      case WIRE_FIXED32:
+        value = buf.subarray(pos, pos + 4);
+        pos += 4;
+        break;
+      default:
+        throw new Error(`Invalid protobuf: unsupported wire type ${wireType}`);
+    }
+
+    if (field === 0 || pos > buf.length) {
+      throw new Error('Invalid protobuf: truncated message');
+    }
+
+    fields.push({ field, wireType, value });
+  }
+
+  return fields;
+}
+
+/**
+ * Get the last value of a field (protobuf's rule for repeated scalars), or null
+ */
+function getField(fields, field) {
+  const matches = fields.filter((f) => f.field === field);
+  return matches.length > 0 ? matches[matches.length - 1].value : null;
+}
+
+/**
+ * Get every value of a repeated field
+ */
+function getRepeated(fields, field) {
+  return fields.filter((f) => f.field === field).map((f) => f.value);
+}
+
+/**
+ * Convert a 0x-prefixed (or bare) hex string to bytes
+ */
+function hexToBuffer(hex) {
+  const clean = String(hex || '').replace(/^0x/i, '');
+  if (!/^([0-9a-f]{2})*$/i.test(clean)) {
+    throw new Error('Invalid hex string');
+  }
+  return Buffer.from(clean, 'hex');
+}
+
+module.exports = { decodeFields, getField, getRepeated, hexToBuffer };
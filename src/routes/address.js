@@ -1,12 +1,52 @@
 const express = require('express');
 const router = express.Router();
 const historyDB = require('../db');
+const syncService = require('../sync');
+
+const SSE_HEARTBEAT_INTERVAL = 15000; // ms, keeps proxies from closing idle streams
+const SSE_PAGE_SIZE = 100;
+const SSE_MAX_REPLAY = 1000; // events written per catch-up before skipping ahead
 
 // Validate address format
 const validateAddress = (address) => {
   return /^0x[a-fA-F0-9]{40}$/.test(address);
 };
 
+// Event ids are "<transaction rowid>-<balance change id>", the position in both tables
+const formatEventId = (cursor) => `${cursor.txId}-${cursor.balanceChangeId}`;
+const parseEventId = (id) => {
+  const match = /^(\d+)-(\d+)$/.exec(id);
+  return match ? { txId: Number(match[1]), balanceChangeId: Number(match[2]) } : null;
+};
+
+/**
+ * Merge a page of address activity into events in block order, advancing the
+ * cursor past each event so its id resumes right after it
+ */
+function toActivityEvents(page, cursor) {
+  const items = [
+    ...page.transactions.map((tx) => ({ kind: 'transaction', row: tx })),
+    ...page.balanceChanges.map((change) => ({ kind: 'balance', row: change })),
+  ];
+  // Stable sort keeps each kind in id order within a block
+  items.sort((a, b) => a.row.blockHeight - b.row.blockHeight);
+
+  return items.map(({ kind, row }) => {
+    const { id, ...data } = row;
+    let event = kind;
+    if (kind === 'transaction') {
+      cursor.txId = Math.max(cursor.txId, id);
+    } else {
+      cursor.balanceChangeId = Math.max(cursor.balanceChangeId, id);
+      // Rewards and penalties get their own event, other balance changes are "balance"
+      if (row.changeType === 'reward' || row.changeType === 'penalty') {
+        event = row.changeType;
+      }
+    }
+    return { id: formatEventId(cursor), event, data };
+  });
+}
+
 /**
  * @swagger
  * /api/address/{address}:
@@ -72,7 +112,7 @@ router.get('/:address', (req, res) => {
  * /api/address/{address}/balance/changes:
  *   get:
  *     summary: Get balance change history
- *     description: Returns paginated list of all balance-affecting events for an address
+ *     description: Returns paginated list of all balance-affecting events for an address, newest first. balanceAfter is the running balance after each change, anchored on epoch balance snapshots (null until computed).
  *     tags: [Address]
  *     parameters:
  *       - in: path
@@ -86,7 +126,7 @@ router.get('/:address', (req, res) => {
  *         name: type
  *         schema:
  *           type: string
- *           enum: [tx_in, tx_out, reward, penalty, stake, unstake]
+ *           enum: [tx_in, tx_out, fee, reward, penalty, stake, unstake]
  *         description: Filter by change type
  *       - in: query
  *         name: limit
@@ -206,4 +246,162 @@ router.get('/:address/penalties', (req, res) => {
   res.json(result);
 });
 
+/**
+ * @swagger
+ * /api/address/{address}/events:
+ *   get:
+ *     summary: Stream address activity (Server-Sent Events)
+ *     description: |
+ *       Streams new transactions, balance changes, rewards and penalties for an address as
+ *       the sync stores them. Event names are transaction, balance, reward and penalty.
+ *       Reconnecting with the Last-Event-ID header (sent automatically by EventSource) or the
+ *       lastEventId query parameter replays what was stored since that event. A replay of more
+ *       than 1000 events stops there, sends a reset event and continues from the newest activity.
+ *     tags: [Address]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}$'
+ *         description: Idena address
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *           example: '1520-388'
+ *         description: Resume after this event id (the Last-Event-ID header takes precedence)
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid address format or event id
+ *       503:
+ *         description: Historical database not available
+ */
+router.get('/:address/events', (req, res) => {
+  const { address } = req.params;
+
+  if (!validateAddress(address)) {
+    return res.status(400).json({
+      error: {
+        message: 'Invalid address format',
+        status: 400,
+      },
+    });
+  }
+
+  if (!historyDB.enabled) {
+    return res.status(503).json({
+      error: {
+        message: 'Historical database not enabled',
+        status: 503,
+      },
+    });
+  }
+
+  const lastEventId = req.get('Last-Event-ID') ?? req.query.lastEventId;
+  const cursor =
+    lastEventId !== undefined ? parseEventId(String(lastEventId)) : historyDB.getActivityCursor();
+
+  if (!cursor) {
+    return res.status(400).json({
+      error: {
+        message: 'Invalid event id, expected <txId>-<balanceChangeId>',
+        status: 400,
+      },
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // disable nginx response buffering
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  // Write what was stored after the cursor one page per tick, pausing while the socket is
+  // full. A catch-up longer than SSE_MAX_REPLAY events skips to the newest activity.
+  let closed = false;
+  let running = false;
+  let pending = false;
+  let budget = SSE_MAX_REPLAY;
+
+  const pump = () => {
+    if (closed) {
+      return;
+    }
+    if (res.writableNeedDrain) {
+      res.once('drain', pump);
+      return;
+    }
+    try {
+      const page = historyDB.getAddressActivitySince(address, cursor, SSE_PAGE_SIZE);
+      let writable = true;
+      for (const { id, event, data } of toActivityEvents(page, cursor)) {
+        writable = res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        budget--;
+      }
+
+      const more =
+        page.transactions.length === SSE_PAGE_SIZE || page.balanceChanges.length === SSE_PAGE_SIZE;
+      if (!more) {
+        if (!pending) {
+          running = false;
+          return;
+        }
+        // More was stored while this run was writing
+        pending = false;
+        budget = SSE_MAX_REPLAY;
+      } else if (budget <= 0) {
+        Object.assign(cursor, historyDB.getActivityCursor());
+        budget = SSE_MAX_REPLAY;
+        const data = { message: 'Replay limit reached, older events were skipped' };
+        writable = res.write(
+          `id: ${formatEventId(cursor)}\nevent: reset\ndata: ${JSON.stringify(data)}\n\n`
+        );
+      }
+
+      if (writable) {
+        setImmediate(pump);
+      } else {
+        res.once('drain', pump);
+      }
+    } catch (error) {
+      running = false;
+      console.error('Address event stream error:', error.message);
+    }
+  };
+
+  // Runs inside the sync's emit, so only schedule the work
+  const onStored = () => {
+    if (running) {
+      pending = true;
+      return;
+    }
+    running = true;
+    budget = SSE_MAX_REPLAY;
+    setImmediate(pump);
+  };
+
+  running = true;
+  pump();
+  syncService.on('stored', onStored);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    syncService.off('stored', onStored);
+    res.off('drain', pump);
+  });
+});
+
 module.exports = router;
@@ -2,15 +2,46 @@ const express = require('express');
 const router = express.Router();
 const IdenaRPC = require('../rpc');
 const cache = require('../cache');
+const { epochNonce } = require('../transactions');
 
 const rpc = new IdenaRPC();
 
+// Balances and nonces only change with a new block, which also changes the cache key
+const BALANCE_CACHE_TTL = 60;
+const TIP_CACHE_MS = 2000; // well under the block time, so a new block shows up quickly
+
+let tip = { height: null, expiresAt: 0, pending: null };
+
+/**
+ * Chain height for the cache key, read at most once per TIP_CACHE_MS across
+ * requests. Resolves to null when the node can't be asked.
+ */
+function getTipHeight() {
+  if (Date.now() < tip.expiresAt) {
+    return Promise.resolve(tip.height);
+  }
+  if (!tip.pending) {
+    tip.pending = rpc
+      .getLastBlock()
+      .then((lastBlock) => {
+        const height = lastBlock?.height || null;
+        tip = { height, expiresAt: height ? Date.now() + TIP_CACHE_MS : 0, pending: null };
+        return height;
+      })
+      .catch(() => {
+        tip = { height: null, expiresAt: 0, pending: null };
+        return null;
+      });
+  }
+  return tip.pending;
+}
+
 /**
  * @swagger
  * /api/balance/{address}:
  *   get:
  *     summary: Get balance by address
- *     description: Retrieves the balance and stake for a specific Idena address
+ *     description: Retrieves the balance, stake and nonces for a specific Idena address. Cached per block.
  *     tags: [Balance]
  *     parameters:
  *       - in: path
@@ -40,6 +71,15 @@ const rpc = new IdenaRPC();
  *                   type: string
  *                   description: Staked amount in iDNA
  *                   example: '500.25'
+ *                 nonce:
+ *                   type: integer
+ *                   description: Nonce of the last transaction included in a block
+ *                 mempoolNonce:
+ *                   type: integer
+ *                   description: Nonce of the last transaction including the mempool
+ *                 nextNonce:
+ *                   type: integer
+ *                   description: Nonce to use for the next transaction
  *                 unit:
  *                   type: string
  *                   example: 'iDNA'
@@ -70,10 +110,12 @@ router.get('/:address', async (req, res, next) => {
       });
     }
 
-    const cacheKey = cache.generateKey('balance', address.toLowerCase());
+    // Key the cache by block so nonces are never stale across blocks; skip it if the height is unknown
+    const height = await getTipHeight();
+    const cacheKey = height ? cache.generateKey('balance', address.toLowerCase(), height) : null;
 
     // Check cache
-    let balanceData = await cache.get(cacheKey);
+    let balanceData = cacheKey ? await cache.get(cacheKey) : null;
 
     if (!balanceData) {
       // Fetch from RPC
@@ -88,14 +130,23 @@ router.get('/:address', async (req, res, next) => {
         });
       }
 
-      // Cache for 5 minutes
-      await cache.set(cacheKey, balanceData, 300);
+      if (cacheKey) {
+        await cache.set(cacheKey, balanceData, BALANCE_CACHE_TTL);
+      }
     }
 
+    // The state nonce keeps counting the previous epoch until the account's first
+    // transaction of this one, so the next nonce follows the epoch-aware mempool nonce
+    const nonce = balanceData.nonce || 0;
+    const mempoolNonce = epochNonce(balanceData);
+
     res.json({
       address,
       balance: balanceData.balance || '0',
       stake: balanceData.stake || '0',
+      nonce,
+      mempoolNonce,
+      nextNonce: mempoolNonce + 1,
       unit: 'iDNA',
     });
   } catch (error) {
@@ -5,7 +5,161 @@
 
 const express = require('express');
 const router = express.Router();
+const IdenaRPC = require('../rpc');
+const cache = require('../cache');
 const historyDB = require('../db');
+const { CONTRACT_TYPES, VALUE_FORMATS, decodeValue } = require('../contracts');
+
+const rpc = new IdenaRPC();
+
+// OracleVoting storage keys read for the live view, with their formats
+const ORACLE_VOTING_KEYS = [
+  ['state', 'byte'],
+  ['fact', 'hex'],
+  ['startBlock', 'uint64'],
+  ['votingDuration', 'uint64'],
+  ['publicVotingDuration', 'uint64'],
+  ['committeeSize', 'uint64'],
+  ['winnerThreshold', 'byte'],
+  ['quorum', 'byte'],
+  ['result', 'byte'],
+];
+const ORACLE_STATES = ['pending', 'open', 'finished'];
+const ORACLE_CACHE_TTL = 10; // seconds, votes change every block
+const MAX_ORACLE_CANDIDATES = 100; // votes in progress are recent, only the newest are checked
+const CONTRACT_STATE_CACHE_TTL = 10; // seconds, storage can change every block
+
+/**
+ * Serve a live contract read through a short-lived cache entry
+ */
+async function sendContractState(res, cacheKey, read) {
+  try {
+    let result = await cache.get(cacheKey);
+    const cached = result !== null;
+
+    if (!cached) {
+      result = await read();
+      await cache.set(cacheKey, result, CONTRACT_STATE_CACHE_TTL);
+    }
+
+    res.json({
+      result,
+      cached,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    // The node reports unset keys and unknown contracts as errors
+    if (/nil|not found/i.test(error.message)) {
+      return res.status(404).json({
+        error: { code: 'STATE_NOT_FOUND', message: error.message },
+      });
+    }
+
+    res.status(500).json({
+      error: { code: 'CONTRACT_ERROR', message: error.message },
+    });
+  }
+}
+
+/**
+ * Validate the address and value formats of a state request, sending a 400 if invalid
+ * @returns {boolean} - true when the request can proceed
+ */
+function validateStateRequest(req, res, formats) {
+  if (!/^0x[a-fA-F0-9]{40}$/.test(req.params.address)) {
+    res.status(400).json({
+      error: { code: 'INVALID_ADDRESS', message: 'Invalid contract address' },
+    });
+    return false;
+  }
+
+  const invalid = formats.find((format) => !VALUE_FORMATS.includes(format));
+  if (invalid !== undefined) {
+    res.status(400).json({
+      error: {
+        code: 'INVALID_FORMAT',
+        message: `format must be one of ${VALUE_FORMATS.join(', ')}`,
+      },
+    });
+    return false;
+  }
+
+  return true;
+}
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * Build the oracle voting view of a contract from live storage and stored calls
+ */
+async function getOracleVoting(contract) {
+  const cacheKey = cache.generateKey('oracle', contract.address.toLowerCase());
+  const cached = await cache.get(cacheKey);
+  if (cached) {
+    return cached;
+  }
+
+  // Keys that were never written make the node return an error
+  const [values, lastBlock, balance] = await Promise.all([
+    Promise.all(
+      ORACLE_VOTING_KEYS.map(([key, format]) =>
+        rpc.readContractData(contract.address, key, format).catch(() => null)
+      )
+    ),
+    rpc.getLastBlock().catch(() => null),
+    rpc.getBalance(contract.address).catch(() => null),
+  ]);
+  const live = Object.fromEntries(ORACLE_VOTING_KEYS.map(([key], i) => [key, values[i]]));
+  const summary = historyDB.getOracleVotingSummary(contract.address);
+  const config = summary?.config || {};
+
+  const startBlock = toNumber(live.startBlock);
+  const votingDuration = toNumber(live.votingDuration ?? config.votingDuration);
+  const publicVotingDuration = toNumber(live.publicVotingDuration ?? config.publicVotingDuration);
+  const countingBlock =
+    startBlock !== null && votingDuration !== null ? startBlock + votingDuration : null;
+  const finishBlock =
+    countingBlock !== null && publicVotingDuration !== null
+      ? countingBlock + publicVotingDuration
+      : null;
+  const currentBlock = toNumber(lastBlock?.height);
+
+  // Secret votes are collected until the counting block, then revealed
+  let status = ORACLE_STATES[toNumber(live.state)] || 'pending';
+  if (contract.state === 'terminated' || summary?.finishedBlock) {
+    status = 'finished';
+  } else if (
+    status === 'open' &&
+    countingBlock !== null &&
+    currentBlock !== null &&
+    currentBlock >= countingBlock
+  ) {
+    status = 'counting';
+  }
+
+  const oracle = {
+    address: contract.address,
+    deployer: contract.deployer,
+    deployTxHash: contract.deployTxHash,
+    status,
+    fact: live.fact ?? config.fact ?? null,
+    committeeSize: toNumber(live.committeeSize ?? config.committeeSize),
+    winnerThreshold: toNumber(live.winnerThreshold ?? config.winnerThreshold),
+    quorum: toNumber(live.quorum ?? config.quorum),
+    startBlock,
+    countingBlock,
+    finishBlock,
+    currentBlock,
+    secretVotes: summary?.secretVotes ?? 0,
+    votes: summary?.votes ?? [],
+    totalVotes: summary?.totalVotes ?? 0,
+    winner: status === 'finished' ? toNumber(live.result) : null,
+    rewardPool: balance?.balance ?? null,
+  };
+
+  await cache.set(cacheKey, oracle, ORACLE_CACHE_TTL);
+  return oracle;
+}
 
 /**
  * @swagger
@@ -28,27 +182,47 @@ const historyDB = require('../db');
  *         name: state
  *         schema:
  *           type: string
- *           enum: [active, terminated]
+ *           enum: [active, terminated, failed]
  *         description: Filter by contract state
  *       - in: query
  *         name: deployer
  *         schema:
  *           type: string
  *         description: Filter by deployer address
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [TimeLock, OracleVoting, OracleLock, RefundableOracleLock, Multisig]
+ *         description: Filter by built-in contract type
  *     responses:
  *       200:
  *         description: List of contracts
+ *       400:
+ *         description: Unknown contract type
  *       503:
  *         description: Contracts require historical sync
  */
 router.get('/', (req, res) => {
   if (!historyDB.enabled) {
     return res.status(503).json({
-      error: { code: 'CONTRACTS_UNAVAILABLE', message: 'Contracts require historical sync to be enabled' },
+      error: {
+        code: 'CONTRACTS_UNAVAILABLE',
+        message: 'Contracts require historical sync to be enabled',
+      },
     });
   }
 
-  const { limit = 50, offset = 0, state, deployer } = req.query;
+  const { limit = 50, offset = 0, state, deployer, type } = req.query;
+
+  if (type && !CONTRACT_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_FILTER',
+        message: `type must be one of ${CONTRACT_TYPES.join(', ')}`,
+      },
+    });
+  }
 
   try {
     const result = historyDB.getContracts({
@@ -56,6 +230,7 @@ router.get('/', (req, res) => {
       offset: parseInt(offset, 10),
       state: state || null,
       deployer: deployer || null,
+      type: type || null,
     });
 
     res.json({
@@ -82,7 +257,10 @@ router.get('/', (req, res) => {
 router.get('/stats', (req, res) => {
   if (!historyDB.enabled) {
     return res.status(503).json({
-      error: { code: 'CONTRACTS_UNAVAILABLE', message: 'Contracts require historical sync to be enabled' },
+      error: {
+        code: 'CONTRACTS_UNAVAILABLE',
+        message: 'Contracts require historical sync to be enabled',
+      },
     });
   }
 
@@ -99,6 +277,93 @@ router.get('/stats', (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/contract/oracle/open:
+ *   get:
+ *     summary: List oracle votes in progress
+ *     description: |
+ *       Returns the oracle voting view of recent active OracleVoting contracts with the given status.
+ *       Votes already finished in the synced calls are skipped and the list is cached for a few seconds.
+ *     tags: [Contracts]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, open, counting]
+ *           default: open
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Oracle votes
+ *       400:
+ *         description: Invalid status
+ *       503:
+ *         description: Contracts require historical sync
+ */
+router.get('/oracle/open', async (req, res) => {
+  if (!historyDB.enabled) {
+    return res.status(503).json({
+      error: {
+        code: 'CONTRACTS_UNAVAILABLE',
+        message: 'Contracts require historical sync to be enabled',
+      },
+    });
+  }
+
+  const { status = 'open' } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+
+  if (!['pending', 'open', 'counting'].includes(status)) {
+    return res.status(400).json({
+      error: { code: 'INVALID_FILTER', message: 'status must be pending, open or counting' },
+    });
+  }
+
+  try {
+    const cacheKey = cache.generateKey('oracleOpen', status, limit);
+    let data = await cache.get(cacheKey);
+
+    if (!data) {
+      // Stored calls rule out finished votes and split pending from started ones,
+      // so only contracts that can match are read live, a page at a time
+      data = [];
+      for (let offset = 0; data.length < limit && offset < MAX_ORACLE_CANDIDATES;) {
+        const { data: candidates, hasMore } = historyDB.getOracleVotingCandidates({
+          started: status !== 'pending',
+          limit,
+          offset,
+        });
+        const votings = await Promise.all(candidates.map(getOracleVoting));
+        data.push(...votings.filter((v) => v.status === status));
+
+        if (!hasMore) {
+          break;
+        }
+        offset += limit;
+      }
+
+      data = data.slice(0, limit);
+      await cache.set(cacheKey, data, ORACLE_CACHE_TTL);
+    }
+
+    res.json({
+      result: { data, total: data.length, status },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: { code: 'CONTRACT_ERROR', message: error.message },
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/contract/{address}:
@@ -121,7 +386,10 @@ router.get('/stats', (req, res) => {
 router.get('/:address', (req, res) => {
   if (!historyDB.enabled) {
     return res.status(503).json({
-      error: { code: 'CONTRACTS_UNAVAILABLE', message: 'Contracts require historical sync to be enabled' },
+      error: {
+        code: 'CONTRACTS_UNAVAILABLE',
+        message: 'Contracts require historical sync to be enabled',
+      },
     });
   }
 
@@ -186,19 +454,29 @@ router.get('/:address', (req, res) => {
  *         schema:
  *           type: string
  *         description: Filter by caller address
+ *       - in: query
+ *         name: success
+ *         schema:
+ *           type: boolean
+ *         description: Filter by call outcome from the transaction receipt (calls whose receipt is not fetched yet match neither)
  *     responses:
  *       200:
  *         description: Contract calls
+ *       400:
+ *         description: Invalid address or filter
  */
 router.get('/:address/calls', (req, res) => {
   if (!historyDB.enabled) {
     return res.status(503).json({
-      error: { code: 'CONTRACTS_UNAVAILABLE', message: 'Contracts require historical sync to be enabled' },
+      error: {
+        code: 'CONTRACTS_UNAVAILABLE',
+        message: 'Contracts require historical sync to be enabled',
+      },
     });
   }
 
   const { address } = req.params;
-  const { limit = 50, offset = 0, method, caller } = req.query;
+  const { limit = 50, offset = 0, method, caller, success } = req.query;
 
   if (!address || !address.startsWith('0x')) {
     return res.status(400).json({
@@ -206,12 +484,19 @@ router.get('/:address/calls', (req, res) => {
     });
   }
 
+  if (success !== undefined && success !== 'true' && success !== 'false') {
+    return res.status(400).json({
+      error: { code: 'INVALID_FILTER', message: 'success must be true or false' },
+    });
+  }
+
   try {
     const result = historyDB.getContractCalls(address, {
       limit: parseInt(limit, 10),
       offset: parseInt(offset, 10),
       method: method || null,
       caller: caller || null,
+      success: success === undefined ? null : success === 'true',
     });
 
     res.json({
@@ -225,6 +510,403 @@ router.get('/:address/calls', (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/contract/{address}/oracle:
+ *   get:
+ *     summary: Get oracle voting details
+ *     description: |
+ *       Combines live contract storage (contract_readData) with the synced votes of an
+ *       OracleVoting contract. Status is pending, open (secret voting), counting
+ *       (votes being revealed) or finished.
+ *     tags: [Contracts]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OracleVoting contract address
+ *     responses:
+ *       200:
+ *         description: Oracle voting details
+ *       400:
+ *         description: Invalid address
+ *       404:
+ *         description: Contract not found or not an OracleVoting contract
+ */
+router.get('/:address/oracle', async (req, res) => {
+  if (!historyDB.enabled) {
+    return res.status(503).json({
+      error: {
+        code: 'CONTRACTS_UNAVAILABLE',
+        message: 'Contracts require historical sync to be enabled',
+      },
+    });
+  }
+
+  const { address } = req.params;
+
+  if (!address || !address.startsWith('0x')) {
+    return res.status(400).json({
+      error: { code: 'INVALID_ADDRESS', message: 'Invalid contract address' },
+    });
+  }
+
+  try {
+    const contract = historyDB.getContract(address);
+
+    if (!contract || contract.type !== 'OracleVoting') {
+      return res.status(404).json({
+        error: { code: 'ORACLE_NOT_FOUND', message: 'OracleVoting contract not found' },
+      });
+    }
+
+    res.json({
+      result: await getOracleVoting(contract),
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: { code: 'CONTRACT_ERROR', message: error.message },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contract/{address}/events:
+ *   get:
+ *     summary: Get events emitted by a contract (paginated)
+ *     description: Events are read from transaction receipts during sync. Arguments are returned as hex together with text and integer decodings.
+ *     tags: [Contracts]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contract address
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: Filter by event name
+ *       - in: query
+ *         name: fromBlock
+ *         schema:
+ *           type: integer
+ *         description: Lowest block height (inclusive)
+ *       - in: query
+ *         name: toBlock
+ *         schema:
+ *           type: integer
+ *         description: Highest block height (inclusive)
+ *     responses:
+ *       200:
+ *         description: Contract events
+ *       400:
+ *         description: Invalid address or block range
+ */
+router.get('/:address/events', (req, res) => {
+  if (!historyDB.enabled) {
+    return res.status(503).json({
+      error: {
+        code: 'CONTRACTS_UNAVAILABLE',
+        message: 'Contracts require historical sync to be enabled',
+      },
+    });
+  }
+
+  const { address } = req.params;
+  const { limit = 50, offset = 0, event, fromBlock, toBlock } = req.query;
+
+  if (!address || !address.startsWith('0x')) {
+    return res.status(400).json({
+      error: { code: 'INVALID_ADDRESS', message: 'Invalid contract address' },
+    });
+  }
+
+  const from = fromBlock !== undefined ? parseInt(fromBlock, 10) : null;
+  const to = toBlock !== undefined ? parseInt(toBlock, 10) : null;
+
+  if (Number.isNaN(from) || Number.isNaN(to) || (from !== null && to !== null && from > to)) {
+    return res.status(400).json({
+      error: { code: 'INVALID_RANGE', message: 'Invalid block range' },
+    });
+  }
+
+  try {
+    const result = historyDB.getContractEvents(address, {
+      limit: parseInt(limit, 10),
+      offset: parseInt(offset, 10),
+      event: event || null,
+      fromBlock: from,
+      toBlock: to,
+    });
+
+    res.json({
+      result,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    res.status(500).json({
+      error: { code: 'CONTRACT_ERROR', message: error.message },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/contract/{address}/state/data/{key}:
+ *   get:
+ *     summary: Read a contract storage value
+ *     description: Reads a key through contract_readData and decodes it in the requested format. Cached for a few seconds.
+ *     tags: [Contracts]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contract address
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Storage key
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [byte, uint64, bigint, dna, address, string, hex]
+ *           default: hex
+ *     responses:
+ *       200:
+ *         description: Storage value
+ *       400:
+ *         description: Invalid address or format
+ *       404:
+ *         description: Key not set
+ */
+router.get('/:address/state/data/:key', (req, res) => {
+  const { address, key } = req.params;
+  const { format = 'hex' } = req.query;
+
+  if (!validateStateRequest(req, res, [format])) {
+    return;
+  }
+
+  return sendContractState(
+    res,
+    cache.generateKey('contract-state', address.toLowerCase(), 'data', key, format),
+    async () => {
+      const hex = await rpc.readContractData(address, key, 'hex');
+      return { key, format, value: decodeValue(hex, format), hex };
+    }
+  );
+});
+
+/**
+ * @swagger
+ * /api/contract/{address}/state/map/{map}:
+ *   get:
+ *     summary: Iterate a contract storage map
+ *     description: Pages through a map through contract_iterateMap, decoding keys and values in the requested formats
+ *     tags: [Contracts]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contract address
+ *       - in: path
+ *         name: map
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Map name
+ *       - in: query
+ *         name: keyFormat
+ *         schema:
+ *           type: string
+ *           enum: [byte, uint64, bigint, dna, address, string, hex]
+ *           default: hex
+ *       - in: query
+ *         name: valueFormat
+ *         schema:
+ *           type: string
+ *           enum: [byte, uint64, bigint, dna, address, string, hex]
+ *           default: hex
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: continuationToken
+ *         schema:
+ *           type: string
+ *         description: Token from the previous page
+ *     responses:
+ *       200:
+ *         description: Map entries and the token for the next page
+ *       400:
+ *         description: Invalid address or format
+ */
+router.get('/:address/state/map/:map', (req, res) => {
+  const { address, map } = req.params;
+  const { keyFormat = 'hex', valueFormat = 'hex', continuationToken = null } = req.query;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  if (!validateStateRequest(req, res, [keyFormat, valueFormat])) {
+    return;
+  }
+
+  const cacheKey = cache.generateKey(
+    'contract-state',
+    address.toLowerCase(),
+    'map',
+    map,
+    keyFormat,
+    valueFormat,
+    limit,
+    continuationToken || ''
+  );
+  return sendContractState(res, cacheKey, async () => {
+    const page = await rpc.iterateContractMap(address, map, continuationToken, 'hex', 'hex', limit);
+    return {
+      map,
+      items: (page?.items || []).map((item) => ({
+        key: decodeValue(item.key, keyFormat),
+        value: decodeValue(item.value, valueFormat),
+      })),
+      continuationToken: page?.continuationToken || null,
+    };
+  });
+});
+
+/**
+ * @swagger
+ * /api/contract/{address}/state/stake:
+ *   get:
+ *     summary: Get a contract's stake
+ *     description: Returns contract_getStake for the contract
+ *     tags: [Contracts]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contract address
+ *     responses:
+ *       200:
+ *         description: Contract stake
+ *       400:
+ *         description: Invalid address
+ */
+router.get('/:address/state/stake', (req, res) => {
+  const { address } = req.params;
+
+  if (!validateStateRequest(req, res, [])) {
+    return;
+  }
+
+  return sendContractState(
+    res,
+    cache.generateKey('contract-state', address.toLowerCase(), 'stake'),
+    () => rpc.getContractStake(address)
+  );
+});
+
+/**
+ * @swagger
+ * /api/contract/{address}/state/call:
+ *   post:
+ *     summary: Call a readonly contract method
+ *     description: Runs contract_readonlyCall and decodes the result in the requested format
+ *     tags: [Contracts]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Contract address
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [method]
+ *             properties:
+ *               method:
+ *                 type: string
+ *               format:
+ *                 type: string
+ *                 enum: [byte, uint64, bigint, dna, address, string, hex]
+ *                 default: hex
+ *               args:
+ *                 type: array
+ *                 description: Arguments as the node expects them
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     index:
+ *                       type: integer
+ *                     format:
+ *                       type: string
+ *                     value:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Decoded result
+ *       400:
+ *         description: Invalid address, method, format or arguments
+ */
+router.post('/:address/state/call', (req, res) => {
+  const { address } = req.params;
+  const { method, format = 'hex', args = [] } = req.body || {};
+
+  if (!validateStateRequest(req, res, [format])) {
+    return;
+  }
+
+  if (typeof method !== 'string' || !method || !Array.isArray(args)) {
+    return res.status(400).json({
+      error: { code: 'INVALID_CALL', message: 'method is required and args must be an array' },
+    });
+  }
+
+  const cacheKey = cache.generateKey(
+    'contract-state',
+    address.toLowerCase(),
+    'call',
+    method,
+    format,
+    JSON.stringify(args)
+  );
+  return sendContractState(res, cacheKey, async () => {
+    const hex = await rpc.readonlyCallContract(address, method, 'hex', args);
+    return { method, format, value: decodeValue(hex, format), hex };
+  });
+});
+
 /**
  * @swagger
  * /api/contract/deployer/{address}:
@@ -255,7 +937,10 @@ router.get('/:address/calls', (req, res) => {
 router.get('/deployer/:address', (req, res) => {
   if (!historyDB.enabled) {
     return res.status(503).json({
-      error: { code: 'CONTRACTS_UNAVAILABLE', message: 'Contracts require historical sync to be enabled' },
+      error: {
+        code: 'CONTRACTS_UNAVAILABLE',
+        message: 'Contracts require historical sync to be enabled',
+      },
     });
   }
 
@@ -315,7 +1000,10 @@ router.get('/deployer/:address', (req, res) => {
 router.get('/caller/:address', (req, res) => {
   if (!historyDB.enabled) {
     return res.status(503).json({
-      error: { code: 'CONTRACTS_UNAVAILABLE', message: 'Contracts require historical sync to be enabled' },
+      error: {
+        code: 'CONTRACTS_UNAVAILABLE',
+        message: 'Contracts require historical sync to be enabled',
+      },
     });
   }
 
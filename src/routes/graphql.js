@@ -0,0 +1,153 @@
+/**
+ * GraphQL Route
+ *
+ * Runs queries against the schema in ../graphql.js, over POST (JSON body)
+ * or GET (query string). Responses follow the GraphQL over HTTP format:
+ * { data, errors }, with the query's cost in extensions.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { parse, validate, execute, GraphQLError } = require('graphql');
+const { createSchema, createLoaders, queryCost } = require('../graphql');
+
+const schema = createSchema();
+const maxCost = parseInt(process.env.GRAPHQL_MAX_COST) || 1000;
+
+function sendErrors(res, status, errors) {
+  return res.status(status).json({
+    errors: errors.map((error) =>
+      error instanceof GraphQLError ? error.toJSON() : { message: error.message }
+    ),
+  });
+}
+
+/**
+ * Read query, variables and operationName from the body or query string,
+ * throwing when variables are not a JSON object
+ */
+function readParams(req) {
+  const params = req.method === 'POST' ? req.body || {} : req.query;
+  let { variables = null } = params;
+  if (typeof variables === 'string') {
+    variables = JSON.parse(variables);
+  }
+  if (variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    throw new TypeError('variables must be a JSON object');
+  }
+  return { query: params.query, variables, operationName: params.operationName || null };
+}
+
+async function handleQuery(req, res, next) {
+  try {
+    let params;
+    try {
+      params = readParams(req);
+    } catch {
+      return sendErrors(res, 400, [new Error('variables must be a JSON object')]);
+    }
+
+    const { query, variables, operationName } = params;
+    if (typeof query !== 'string' || query.trim() === '') {
+      return sendErrors(res, 400, [new Error('Must provide a query string')]);
+    }
+
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return sendErrors(res, 400, [error]);
+    }
+
+    const validationErrors = validate(schema, document);
+    if (validationErrors.length > 0) {
+      return sendErrors(res, 400, validationErrors);
+    }
+
+    let cost;
+    try {
+      cost = queryCost(schema, document, { variables: variables || {}, operationName });
+    } catch (error) {
+      return sendErrors(res, 400, [error]);
+    }
+    if (cost > maxCost) {
+      return sendErrors(res, 400, [
+        new GraphQLError(`Query cost ${cost} exceeds the maximum of ${maxCost}`, {
+          extensions: { code: 'QUERY_TOO_COSTLY', cost, maxCost },
+        }),
+      ]);
+    }
+
+    const result = await execute({
+      schema,
+      document,
+      variableValues: variables,
+      operationName,
+      contextValue: { loaders: createLoaders() },
+    });
+
+    res.json({ ...result, extensions: { cost, maxCost } });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * @swagger
+ * /graphql:
+ *   post:
+ *     summary: Run a GraphQL query
+ *     description: |
+ *       Queries identities, addresses, blocks, transactions, epochs, rewards, validation results,
+ *       penalties, invites and contracts with nested fields. Each field costs 1 and a list field
+ *       multiplies the cost of its selection by its limit (at most 100); queries costing more than
+ *       GRAPHQL_MAX_COST are rejected. The schema is available through introspection.
+ *     tags: [GraphQL]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [query]
+ *             properties:
+ *               query:
+ *                 type: string
+ *                 example: '{ identity(address: "0x...") { state stake rewards(limit: 5) { epoch type amount } } }'
+ *               variables:
+ *                 type: object
+ *               operationName:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Query result with data, any field errors, and its cost in extensions
+ *       400:
+ *         description: Invalid query, or query cost over the limit
+ *   get:
+ *     summary: Run a GraphQL query from the query string
+ *     tags: [GraphQL]
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variables
+ *         schema:
+ *           type: string
+ *         description: JSON-encoded variables
+ *       - in: query
+ *         name: operationName
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Query result
+ *       400:
+ *         description: Invalid query, or query cost over the limit
+ */
+router.post('/', handleQuery);
+router.get('/', handleQuery);
+
+module.exports = router;
@@ -10,7 +10,7 @@ const rpc = new IdenaRPC();
  * /api/health:
  *   get:
  *     summary: Get API health status
- *     description: Returns the health status of the API, Idena RPC node, and cache
+ *     description: Returns the health status of the API, Idena RPC node pool, and cache
  *     tags: [Health]
  *     responses:
  *       200:
@@ -39,6 +39,7 @@ router.get('/health', async (req, res) => {
         timestamp: new Date().toISOString(),
       },
       idenaNode: nodeHealth,
+      rpcPool: rpc.getPoolStatus(),
       cache: {
         status: cacheHealth,
         enabled: cache.enabled,
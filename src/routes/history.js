@@ -40,6 +40,19 @@ const syncService = require('../sync');
  *                 progress:
  *                   type: string
  *                   description: Sync progress percentage
+ *                 backfill:
+ *                   type: object
+ *                   nullable: true
+ *                   description: Backward backfill progress (null if the backfill has not run)
+ *                   properties:
+ *                     lowestBlock:
+ *                       type: integer
+ *                     targetBlock:
+ *                       type: integer
+ *                     complete:
+ *                       type: boolean
+ *                     progress:
+ *                       type: string
  *                 database:
  *                   type: object
  *                   properties:
@@ -53,6 +66,85 @@ router.get('/status', (req, res) => {
   res.json(status);
 });
 
+/**
+ * @swagger
+ * /api/history/reorgs:
+ *   get:
+ *     summary: Get detected chain reorganizations
+ *     description: Returns forks detected by the sync process, with the common ancestor, depth and the block range that was rolled back and re-synced
+ *     tags: [History]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Number of results per page
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *         description: Offset for pagination
+ *     responses:
+ *       200:
+ *         description: Chain reorganizations (most recent first)
+ *       503:
+ *         description: Historical database not available
+ */
+router.get('/reorgs', (req, res) => {
+  if (!historyDB.enabled) {
+    return res.status(503).json({
+      error: {
+        message: 'Historical database not enabled',
+        status: 503,
+      },
+    });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  const offset = parseInt(req.query.offset) || 0;
+
+  const result = historyDB.getReorgs({ limit, offset });
+  res.json(result);
+});
+
+/**
+ * @swagger
+ * /api/history/gaps:
+ *   get:
+ *     summary: Get block coverage of the synced range
+ *     description: Reports missing block heights between the sync start block and the last synced block, and stored blocks whose transaction count disagrees with their stored transactions. Both are refetched by the sync repair pass.
+ *     tags: [History]
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *         description: Max gap ranges and mismatched blocks to list
+ *     responses:
+ *       200:
+ *         description: Coverage report
+ *       503:
+ *         description: Historical database not available
+ */
+router.get('/gaps', (req, res) => {
+  if (!historyDB.enabled) {
+    return res.status(503).json({
+      error: {
+        message: 'Historical database not enabled',
+        status: 503,
+      },
+    });
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+  const result = historyDB.getBlockCoverage({ limit });
+  res.json(result);
+});
+
 /**
  * @swagger
  * /api/history/address/{address}/transactions:
@@ -309,7 +401,7 @@ function validateAddress(address) {
  * /api/history/identity/{address}/epochs:
  *   get:
  *     summary: Get identity history across epochs
- *     description: Returns the state of an identity across all synced epochs
+ *     description: Returns the identity timeline across synced epochs - the state snapshot at each epoch start (linked to the previous state) and the mid-epoch changes from kill, online status and delegation transactions
  *     tags: [Identity History]
  *     parameters:
  *       - in: path
@@ -0,0 +1,133 @@
+/**
+ * Mempool Routes
+ *
+ * Pending transactions as seen by the mempool monitor.
+ */
+
+const express = require('express');
+const router = express.Router();
+const mempoolService = require('../mempool');
+
+/**
+ * Respond with 503 when the mempool monitor is disabled
+ * @returns {boolean} - true when the request can proceed
+ */
+function requireMempool(res) {
+  if (!mempoolService.enabled) {
+    res.status(503).json({
+      error: {
+        message: 'Mempool monitoring is disabled',
+        status: 503,
+      },
+    });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * @swagger
+ * /api/mempool:
+ *   get:
+ *     summary: Get mempool summary
+ *     description: Returns the number of pending transactions, counts by type and the maxFee distribution
+ *     tags: [Mempool]
+ *     responses:
+ *       200:
+ *         description: Mempool summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 result:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     byType:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: integer
+ *                       example: { send: 12, callContract: 3 }
+ *                     fees:
+ *                       type: object
+ *                       nullable: true
+ *                       description: maxFee distribution in iDNA, null when the mempool is empty
+ *                       properties:
+ *                         min:
+ *                           type: string
+ *                         p25:
+ *                           type: string
+ *                         median:
+ *                           type: string
+ *                         p75:
+ *                           type: string
+ *                         max:
+ *                           type: string
+ *                         total:
+ *                           type: string
+ *                     lastPollAt:
+ *                       type: string
+ *                       format: date-time
+ *       503:
+ *         description: Mempool monitoring is disabled
+ */
+router.get('/', (req, res) => {
+  if (!requireMempool(res)) {
+    return;
+  }
+
+  res.json({
+    result: mempoolService.getSummary(),
+  });
+});
+
+/**
+ * @swagger
+ * /api/mempool/address/{address}:
+ *   get:
+ *     summary: Get pending transactions for an address
+ *     description: Returns pending transactions sent from or to the address, in nonce order
+ *     tags: [Mempool]
+ *     parameters:
+ *       - in: path
+ *         name: address
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^0x[a-fA-F0-9]{40}$'
+ *     responses:
+ *       200:
+ *         description: Pending transactions
+ *       400:
+ *         description: Invalid address format
+ *       503:
+ *         description: Mempool monitoring is disabled
+ */
+router.get('/address/:address', (req, res) => {
+  if (!requireMempool(res)) {
+    return;
+  }
+
+  const { address } = req.params;
+  if (!/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    return res.status(400).json({
+      error: {
+        message: 'Invalid Idena address format',
+        status: 400,
+      },
+    });
+  }
+
+  const transactions = mempoolService.getByAddress(address);
+  res.json({
+    result: {
+      address,
+      count: transactions.length,
+      transactions,
+    },
+  });
+});
+
+module.exports = router;
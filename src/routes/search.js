@@ -37,7 +37,10 @@ const historyDB = require('../db');
 router.get('/', (req, res) => {
   if (!historyDB.enabled) {
     return res.status(503).json({
-      error: { code: 'SEARCH_UNAVAILABLE', message: 'Search requires historical sync to be enabled' },
+      error: {
+        code: 'SEARCH_UNAVAILABLE',
+        message: 'Search requires historical sync to be enabled',
+      },
     });
   }
 
@@ -88,7 +91,10 @@ router.get('/', (req, res) => {
 router.get('/addresses', (req, res) => {
   if (!historyDB.enabled) {
     return res.status(503).json({
-      error: { code: 'SEARCH_UNAVAILABLE', message: 'Search requires historical sync to be enabled' },
+      error: {
+        code: 'SEARCH_UNAVAILABLE',
+        message: 'Search requires historical sync to be enabled',
+      },
     });
   }
 
@@ -140,7 +146,10 @@ router.get('/addresses', (req, res) => {
 router.get('/transactions', (req, res) => {
   if (!historyDB.enabled) {
     return res.status(503).json({
-      error: { code: 'SEARCH_UNAVAILABLE', message: 'Search requires historical sync to be enabled' },
+      error: {
+        code: 'SEARCH_UNAVAILABLE',
+        message: 'Search requires historical sync to be enabled',
+      },
     });
   }
 
@@ -192,7 +201,10 @@ router.get('/transactions', (req, res) => {
 router.get('/blocks', (req, res) => {
   if (!historyDB.enabled) {
     return res.status(503).json({
-      error: { code: 'SEARCH_UNAVAILABLE', message: 'Search requires historical sync to be enabled' },
+      error: {
+        code: 'SEARCH_UNAVAILABLE',
+        message: 'Search requires historical sync to be enabled',
+      },
     });
   }
 
@@ -2,7 +2,7 @@
  * Network Statistics Routes
  *
  * Provides endpoints for querying network-wide statistics
- * like online identities count and coin supply.
+ * like online identities count, coin supply and burnt coins.
  */
 
 const express = require('express');
@@ -320,4 +320,74 @@ router.get('/epoch/:epoch', (req, res) => {
   });
 });
 
+/**
+ * @swagger
+ * /api/stats/burn:
+ *   get:
+ *     summary: Get burnt coins over time
+ *     description: Returns fees and burnt coins aggregated per epoch or per day from synced blocks
+ *     tags: [Stats]
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [epoch, day]
+ *           default: epoch
+ *         description: Aggregation period
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 100
+ *         description: Number of most recent periods to return
+ *     responses:
+ *       200:
+ *         description: Burn statistics
+ *       400:
+ *         description: Invalid groupBy value
+ *       503:
+ *         description: Historical database not available
+ */
+router.get('/burn', (req, res) => {
+  const groupBy = req.query.groupBy || 'epoch';
+  const limit = Math.min(parseInt(req.query.limit) || 30, 100);
+
+  if (groupBy !== 'epoch' && groupBy !== 'day') {
+    return res.status(400).json({
+      error: {
+        message: 'groupBy must be epoch or day',
+        status: 400,
+      },
+    });
+  }
+
+  if (!historyDB.enabled) {
+    return res.status(503).json({
+      error: {
+        message: 'Historical database not enabled',
+        status: 503,
+      },
+    });
+  }
+
+  const burn = historyDB.getBurnStats({ groupBy, limit });
+  if (!burn) {
+    return res.status(503).json({
+      error: {
+        message: 'Historical database not available',
+        status: 503,
+      },
+    });
+  }
+
+  res.json({
+    result: {
+      ...burn,
+      timestamp: new Date().toISOString(),
+    },
+  });
+});
+
 module.exports = router;
@@ -1,16 +1,406 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const router = express.Router();
 const IdenaRPC = require('../rpc');
 const cache = require('../cache');
+const mempoolService = require('../mempool');
+const { fromAtomic, toAtomic } = require('../amounts');
+const { TX_TYPES, decodeRawTransaction, validateTransaction } = require('../transactions');
 
 const rpc = new IdenaRPC();
 
+// Broadcasting is costlier than reads, so it gets a stricter per-IP limit on top of the global one
+const broadcastLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.TX_BROADCAST_RATE_LIMIT, 10) || 10,
+  message: 'Too many transactions from this IP, please try again later.',
+});
+
+// Fee per gas only changes with a new block, which also changes the cache key
+const FEE_CACHE_TTL = 60;
+// Fee per gas can rise before inclusion and only the used fee is charged, so maxFee gets headroom
+const MAX_FEE_MARGIN = 2n;
+
+const ADDRESS_PATTERN = /^0x[a-fA-F0-9]{40}$/;
+const ZERO_HASH = `0x${'0'.repeat(64)}`;
+
+/**
+ * Whether the node reports the transaction as included in a block
+ */
+const isConfirmed = (tx) => Boolean(tx?.blockHash) && tx.blockHash !== ZERO_HASH;
+
+const isRawTransaction = (raw) => typeof raw === 'string' && /^(0x)?[a-fA-F0-9]+$/.test(raw);
+
+/**
+ * @swagger
+ * /api/transaction:
+ *   post:
+ *     summary: Broadcast a signed transaction
+ *     description: |
+ *       Decodes a signed raw transaction, checks its epoch, nonce and the sender's balance
+ *       against current node state, then forwards it with bcn_sendRawTx.
+ *       Rate limited separately (TX_BROADCAST_RATE_LIMIT per minute, default 10).
+ *     tags: [Transaction]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [tx]
+ *             properties:
+ *               tx:
+ *                 type: string
+ *                 description: Hex-encoded signed transaction
+ *     responses:
+ *       200:
+ *         description: Transaction accepted by the node
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 result:
+ *                   type: object
+ *                   properties:
+ *                     hash:
+ *                       type: string
+ *                     from:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                     nonce:
+ *                       type: integer
+ *                     epoch:
+ *                       type: integer
+ *       400:
+ *         description: Missing or undecodable transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: |
+ *           Transaction rejected. error.reason.code is one of INVALID_SIGNATURE, UNKNOWN_TYPE,
+ *           EPOCH_MISMATCH, NONCE_TOO_LOW, INSUFFICIENT_BALANCE or NODE_REJECTED
+ *       429:
+ *         description: Broadcast rate limit exceeded
+ */
+router.post('/', broadcastLimiter, async (req, res, next) => {
+  const raw = req.body?.tx;
+
+  if (!isRawTransaction(raw)) {
+    return res.status(400).json({
+      error: {
+        message: 'tx must be a hex-encoded signed transaction',
+        status: 400,
+      },
+    });
+  }
+
+  let tx;
+  try {
+    tx = decodeRawTransaction(raw);
+  } catch (error) {
+    return res.status(400).json({
+      error: {
+        message: error.message,
+        status: 400,
+      },
+    });
+  }
+
+  const reject = (reason) =>
+    res.status(422).json({
+      error: {
+        message: reason.message,
+        status: 422,
+        reason,
+      },
+    });
+
+  try {
+    // Without a sender there's no state to check against
+    if (!tx.from) {
+      return reject({
+        code: 'INVALID_SIGNATURE',
+        message: 'Sender could not be recovered from the signature',
+      });
+    }
+
+    const [epoch, balance] = await Promise.all([rpc.getEpoch(), rpc.getBalance(tx.from)]);
+    const rejection = validateTransaction(tx, { epoch, balance });
+    if (rejection) {
+      return reject(rejection);
+    }
+
+    let hash;
+    try {
+      hash = await rpc.sendRawTransaction(raw.startsWith('0x') ? raw : `0x${raw}`);
+    } catch (error) {
+      // Network failures are ours to report; anything else is the node refusing the transaction
+      if (error.failover) {
+        throw error;
+      }
+      return reject({ code: 'NODE_REJECTED', message: error.message });
+    }
+
+    // Show it as pending right away instead of waiting for the next mempool poll
+    if (mempoolService.enabled) {
+      mempoolService.track({ ...tx, hash });
+    }
+
+    res.json({
+      result: {
+        hash,
+        from: tx.from,
+        type: tx.type,
+        nonce: tx.nonce,
+        epoch: tx.epoch,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/transaction/decode:
+ *   post:
+ *     summary: Decode a signed transaction
+ *     description: |
+ *       Parses a signed raw transaction offline, without contacting the node. The sender is
+ *       recovered from the signature and is null when the signature is missing or invalid.
+ *     tags: [Transaction]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [tx]
+ *             properties:
+ *               tx:
+ *                 type: string
+ *                 description: Hex-encoded signed transaction
+ *     responses:
+ *       200:
+ *         description: Decoded transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 result:
+ *                   type: object
+ *                   properties:
+ *                     hash:
+ *                       type: string
+ *                     type:
+ *                       type: string
+ *                       description: Transaction type, null for unknown type codes
+ *                       example: 'send'
+ *                     typeCode:
+ *                       type: integer
+ *                     from:
+ *                       type: string
+ *                       description: Sender recovered from the signature
+ *                     to:
+ *                       type: string
+ *                     amount:
+ *                       type: string
+ *                     tips:
+ *                       type: string
+ *                     maxFee:
+ *                       type: string
+ *                     nonce:
+ *                       type: integer
+ *                     epoch:
+ *                       type: integer
+ *                     payload:
+ *                       type: string
+ *                     signature:
+ *                       type: string
+ *       400:
+ *         description: Missing or undecodable transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/decode', (req, res) => {
+  const raw = req.body?.tx;
+
+  if (!isRawTransaction(raw)) {
+    return res.status(400).json({
+      error: {
+        message: 'tx must be a hex-encoded signed transaction',
+        status: 400,
+      },
+    });
+  }
+
+  try {
+    res.json({
+      result: decodeRawTransaction(raw),
+    });
+  } catch (error) {
+    res.status(400).json({
+      error: {
+        message: error.message,
+        status: 400,
+      },
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/transaction/estimate:
+ *   post:
+ *     summary: Estimate a transaction's fee
+ *     description: |
+ *       Runs the transaction through bcn_estimateTx and returns the current fee per gas
+ *       (bcn_feePerGas, cached per block) with a suggested maxFee for that transaction type.
+ *     tags: [Transaction]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 default: send
+ *                 example: callContract
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               amount:
+ *                 type: string
+ *                 description: Amount in iDNA
+ *               tips:
+ *                 type: string
+ *               payload:
+ *                 type: string
+ *                 description: Hex-encoded payload
+ *     responses:
+ *       200:
+ *         description: Fee estimate
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 result:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                     feePerGas:
+ *                       type: string
+ *                     gasUsed:
+ *                       type: integer
+ *                     txFee:
+ *                       type: string
+ *                       description: Estimated fee in iDNA
+ *                     suggestedMaxFee:
+ *                       type: string
+ *                       description: maxFee to sign with, leaving room for fee changes
+ *       400:
+ *         description: Invalid type, address or payload
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         description: The node could not estimate the transaction
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/estimate', async (req, res, next) => {
+  const { type = 'send', from, to, amount, tips, payload } = req.body || {};
+  const badRequest = (message) =>
+    res.status(400).json({
+      error: {
+        message,
+        status: 400,
+      },
+    });
+
+  const typeCode = TX_TYPES.indexOf(type);
+  if (typeCode === -1) {
+    return badRequest(`Unknown transaction type: ${type}`);
+  }
+  if (typeof from !== 'string' || !ADDRESS_PATTERN.test(from)) {
+    return badRequest('from must be an Idena address');
+  }
+  if (to !== undefined && (typeof to !== 'string' || !ADDRESS_PATTERN.test(to))) {
+    return badRequest('to must be an Idena address');
+  }
+  if (payload !== undefined && !isRawTransaction(payload)) {
+    return badRequest('payload must be hex-encoded');
+  }
+
+  try {
+    const lastBlock = await rpc.getLastBlock().catch(() => null);
+    const feeCacheKey = lastBlock?.height
+      ? cache.generateKey('fee-per-gas', lastBlock.height)
+      : null;
+    const cachedFee = feeCacheKey ? await cache.get(feeCacheKey) : null;
+
+    let feePerGas;
+    let estimate;
+    try {
+      [feePerGas, estimate] = await Promise.all([
+        cachedFee ?? rpc.getFeePerGas(),
+        rpc.estimateTransaction({ type: typeCode, from, to, amount, tips, payload }),
+      ]);
+    } catch (error) {
+      if (error.failover) {
+        throw error;
+      }
+      return res.status(422).json({
+        error: {
+          message: error.message,
+          status: 422,
+        },
+      });
+    }
+
+    if (feeCacheKey && cachedFee === null) {
+      await cache.set(feeCacheKey, feePerGas, FEE_CACHE_TTL);
+    }
+
+    const txFee = estimate?.txFee ?? '0';
+    res.json({
+      result: {
+        type,
+        feePerGas: String(feePerGas),
+        gasUsed: estimate?.receipt?.gasUsed ?? null,
+        txFee: String(txFee),
+        suggestedMaxFee: fromAtomic(toAtomic(txFee) * MAX_FEE_MARGIN),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * @swagger
  * /api/transaction/{hash}:
  *   get:
  *     summary: Get transaction by hash
- *     description: Retrieves transaction details for a specific transaction hash
+ *     description: |
+ *       Retrieves transaction details for a specific transaction hash. status is confirmed once
+ *       the transaction is in a block and pending while the node or the mempool has it without one.
  *     tags: [Transaction]
  *     parameters:
  *       - in: path
@@ -66,6 +456,9 @@ const rpc = new IdenaRPC();
  *                     timestamp:
  *                       type: integer
  *                       description: Unix timestamp
+ *                     status:
+ *                       type: string
+ *                       enum: [pending, confirmed]
  *       400:
  *         description: Invalid transaction hash format
  *         content:
@@ -95,12 +488,13 @@ router.get('/:hash', async (req, res, next) => {
 
     const cacheKey = cache.generateKey('transaction', hash.toLowerCase());
 
-    // Check cache
+    // Check cache (only confirmed transactions are cached)
     let txData = await cache.get(cacheKey);
+    let status = 'confirmed';
 
     if (!txData) {
-      // Fetch from RPC
-      txData = await rpc.getTransaction(hash);
+      // Fetch from RPC, falling back to the mempool for transactions the node dropped
+      txData = (await rpc.getTransaction(hash)) || mempoolService.getTransaction(hash);
 
       if (!txData) {
         return res.status(404).json({
@@ -111,12 +505,17 @@ router.get('/:hash', async (req, res, next) => {
         });
       }
 
-      // Cache for 10 minutes (transactions are immutable once confirmed)
-      await cache.set(cacheKey, txData, 600);
+      if (isConfirmed(txData)) {
+        // Cache for 10 minutes (transactions are immutable once confirmed)
+        await cache.set(cacheKey, txData, 600);
+      } else {
+        // Known but not in a block yet, whether or not the mempool poll has seen it
+        status = 'pending';
+      }
     }
 
     res.json({
-      result: txData,
+      result: { ...txData, status },
     });
   } catch (error) {
     next(error);
@@ -0,0 +1,357 @@
+/**
+ * Watchlist Routes
+ *
+ * Manage named address watchlists with alert rules and read the alerts they
+ * fired. Every route requires the X-Admin-Key header to match ADMIN_API_KEY.
+ */
+
+const express = require('express');
+const router = express.Router();
+const historyDB = require('../db');
+const { RULE_TYPES } = require('../watchlists');
+const { sendError, requireAdminKey, requireHistory, findById } = require('../auth');
+
+const MAX_ADDRESSES = 100; // per watchlist
+const IDENTITY_STATES = [
+  'Undefined',
+  'Invite',
+  'Candidate',
+  'Verified',
+  'Suspended',
+  'Killed',
+  'Zombie',
+  'Newbie',
+  'Human',
+];
+
+/**
+ * Validate a rule, returning the normalized rule or an error message
+ */
+function parseRule(rule) {
+  if (typeof rule !== 'object' || rule === null || !RULE_TYPES.includes(rule.type)) {
+    return { error: `rule type must be one of ${RULE_TYPES.join(', ')}` };
+  }
+
+  switch (rule.type) {
+    case 'balanceBelow': {
+      const threshold = String(rule.threshold ?? '');
+      if (!/^\d+(\.\d{1,18})?$/.test(threshold)) {
+        return { error: 'balanceBelow needs a threshold in iDNA, e.g. "100" or "0.5"' };
+      }
+      return { rule: { type: rule.type, threshold } };
+    }
+    case 'identityState': {
+      if (rule.states === undefined) {
+        return { rule: { type: rule.type } };
+      }
+      if (
+        !Array.isArray(rule.states) ||
+        rule.states.length === 0 ||
+        rule.states.some((s) => !IDENTITY_STATES.includes(s))
+      ) {
+        return {
+          error: `identityState states must be a non-empty list of ${IDENTITY_STATES.join(', ')}`,
+        };
+      }
+      return { rule: { type: rule.type, states: [...new Set(rule.states)] } };
+    }
+    default:
+      return { rule: { type: rule.type } };
+  }
+}
+
+/**
+ * Validate watchlist fields from a request body
+ * @param {object} body - Request body
+ * @param {boolean} partial - Allow fields to be missing (updates)
+ * @returns {object} - { watchlist } with the normalized fields, or { error }
+ */
+function parseWatchlist(body, partial = false) {
+  const watchlist = {};
+  const { name, addresses, rules } = body || {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+      return { error: 'name must be a non-empty string of at most 100 characters' };
+    }
+    watchlist.name = name.trim();
+  }
+
+  if (addresses !== undefined || !partial) {
+    if (
+      !Array.isArray(addresses) ||
+      addresses.length === 0 ||
+      addresses.length > MAX_ADDRESSES ||
+      addresses.some((a) => typeof a !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(a))
+    ) {
+      return { error: `addresses must be a list of 1 to ${MAX_ADDRESSES} addresses` };
+    }
+    watchlist.addresses = [...new Set(addresses.map((a) => a.toLowerCase()))];
+  }
+
+  if (rules !== undefined || !partial) {
+    if (!Array.isArray(rules) || rules.length === 0) {
+      return { error: 'rules must be a non-empty list' };
+    }
+    watchlist.rules = [];
+    for (const input of rules) {
+      const { rule, error } = parseRule(input);
+      if (error) {
+        return { error };
+      }
+      if (watchlist.rules.some((r) => r.type === rule.type)) {
+        return { error: `Duplicate ${rule.type} rule` };
+      }
+      watchlist.rules.push(rule);
+    }
+  }
+
+  return { watchlist };
+}
+
+// Load the watchlist named by :id or respond with 400/404
+const findWatchlist = (req, res) =>
+  findById(req, res, (id) => historyDB.getWatchlist(id), 'watchlist');
+
+router.use(requireAdminKey, requireHistory);
+
+/**
+ * @swagger
+ * /api/watchlists:
+ *   post:
+ *     summary: Create a watchlist
+ *     description: |
+ *       Watches addresses with alert rules, evaluated after each synced batch and when an epoch closes.
+ *       Rule types: balanceBelow (with threshold), stakeDropped, identityState (with states, default
+ *       Zombie and Killed), missedValidation, penaltyReceived and inviteActivated.
+ *     tags: [Watchlists]
+ *     security:
+ *       - AdminKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, addresses, rules]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Treasury
+ *               addresses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               rules:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [balanceBelow, stakeDropped, identityState, missedValidation, penaltyReceived, inviteActivated]
+ *                     threshold:
+ *                       type: string
+ *                       example: '100'
+ *                     states:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *     responses:
+ *       201:
+ *         description: Watchlist created
+ *       400:
+ *         description: Invalid watchlist
+ *       401:
+ *         description: Invalid or missing admin key
+ *       503:
+ *         description: ADMIN_API_KEY not configured or historical database not available
+ */
+router.post('/', (req, res) => {
+  const { watchlist, error } = parseWatchlist(req.body);
+  if (error) {
+    return sendError(res, 400, error);
+  }
+
+  res.status(201).json({ result: historyDB.insertWatchlist(watchlist) });
+});
+
+/**
+ * @swagger
+ * /api/watchlists:
+ *   get:
+ *     summary: List watchlists
+ *     tags: [Watchlists]
+ *     security:
+ *       - AdminKey: []
+ *     responses:
+ *       200:
+ *         description: Watchlists
+ *       401:
+ *         description: Invalid or missing admin key
+ */
+router.get('/', (req, res) => {
+  res.json({ result: historyDB.getWatchlists() });
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{id}:
+ *   get:
+ *     summary: Get a watchlist
+ *     tags: [Watchlists]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Watchlist
+ *       404:
+ *         description: Watchlist not found
+ */
+router.get('/:id', (req, res) => {
+  const watchlist = findWatchlist(req, res);
+  if (!watchlist) {
+    return;
+  }
+
+  res.json({ result: watchlist });
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{id}:
+ *   patch:
+ *     summary: Update a watchlist
+ *     description: Replaces the name, addresses or rules. Addresses that stay watched keep their observed values.
+ *     tags: [Watchlists]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Updated watchlist
+ *       400:
+ *         description: Invalid update
+ *       404:
+ *         description: Watchlist not found
+ */
+router.patch('/:id', (req, res) => {
+  const existing = findWatchlist(req, res);
+  if (!existing) {
+    return;
+  }
+
+  const { watchlist, error } = parseWatchlist(req.body, true);
+  if (error) {
+    return sendError(res, 400, error);
+  }
+
+  res.json({ result: historyDB.updateWatchlist(existing.id, watchlist) });
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{id}:
+ *   delete:
+ *     summary: Delete a watchlist
+ *     description: Removes the watchlist and its alerts
+ *     tags: [Watchlists]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Watchlist deleted
+ *       404:
+ *         description: Watchlist not found
+ */
+router.delete('/:id', (req, res) => {
+  const watchlist = findWatchlist(req, res);
+  if (!watchlist) {
+    return;
+  }
+
+  historyDB.deleteWatchlist(watchlist.id);
+  res.json({ result: { id: watchlist.id, deleted: true } });
+});
+
+/**
+ * @swagger
+ * /api/watchlists/{id}/alerts:
+ *   get:
+ *     summary: Get alerts fired by a watchlist
+ *     description: Alerts newest first, optionally for one rule type or address
+ *     tags: [Watchlists]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: rule
+ *         schema:
+ *           type: string
+ *           enum: [balanceBelow, stakeDropped, identityState, missedValidation, penaltyReceived, inviteActivated]
+ *       - in: query
+ *         name: address
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Paginated alerts
+ *       400:
+ *         description: Invalid rule or address
+ *       404:
+ *         description: Watchlist not found
+ */
+router.get('/:id/alerts', (req, res) => {
+  const watchlist = findWatchlist(req, res);
+  if (!watchlist) {
+    return;
+  }
+
+  const { rule, address } = req.query;
+  if (rule !== undefined && !RULE_TYPES.includes(rule)) {
+    return sendError(res, 400, `rule must be one of ${RULE_TYPES.join(', ')}`);
+  }
+  if (address !== undefined && !/^0x[a-fA-F0-9]{40}$/.test(address)) {
+    return sendError(res, 400, 'Invalid address format');
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  const offset = parseInt(req.query.offset) || 0;
+
+  res.json(historyDB.getWatchlistAlerts(watchlist.id, { rule, address, limit, offset }));
+});
+
+module.exports = router;
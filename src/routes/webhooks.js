@@ -0,0 +1,433 @@
+/**
+ * Webhook Routes
+ *
+ * Manage webhook subscriptions and inspect their delivery log. Every route
+ * requires the X-Admin-Key header to match ADMIN_API_KEY.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+const historyDB = require('../db');
+const webhookService = require('../webhooks');
+const { sendError, requireAdminKey, requireHistory, findById } = require('../auth');
+
+const { WEBHOOK_EVENTS } = webhookService;
+const MAX_WATCHED = 100; // addresses or contracts per webhook
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+/**
+ * Validate webhook fields from a request body
+ * @param {object} body - Request body
+ * @param {boolean} partial - Allow fields to be missing (updates)
+ * @returns {object} - { webhook } with the normalized fields, or { error }
+ */
+function parseWebhook(body, partial = false) {
+  const webhook = {};
+  const { url, events, addresses, contracts, active } = body || {};
+
+  if (url !== undefined || !partial) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return { error: 'url must be an http(s) URL' };
+    }
+    webhook.url = parsed.toString();
+  }
+
+  if (events !== undefined || !partial) {
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((e) => !WEBHOOK_EVENTS.includes(e))
+    ) {
+      return { error: `events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    webhook.events = [...new Set(events)];
+  }
+
+  for (const [name, values] of [
+    ['addresses', addresses],
+    ['contracts', contracts],
+  ]) {
+    if (values === undefined) {
+      if (!partial) {
+        webhook[name] = [];
+      }
+      continue;
+    }
+    if (
+      !Array.isArray(values) ||
+      values.length > MAX_WATCHED ||
+      values.some((v) => typeof v !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(v))
+    ) {
+      return { error: `${name} must be a list of at most ${MAX_WATCHED} addresses` };
+    }
+    webhook[name] = [...new Set(values.map((v) => v.toLowerCase()))];
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') {
+      return { error: 'active must be a boolean' };
+    }
+    webhook.active = active;
+  }
+
+  return { webhook };
+}
+
+/**
+ * Check that every event of a webhook has something to match
+ */
+function checkRules(webhook) {
+  const needsAddresses = webhook.events.some((e) => e === 'transfer' || e === 'identity');
+  if (needsAddresses && webhook.addresses.length === 0) {
+    return 'transfer and identity events need at least one address';
+  }
+  if (webhook.events.includes('contractCall') && webhook.contracts.length === 0) {
+    return 'contractCall events need at least one contract';
+  }
+  return null;
+}
+
+/**
+ * Webhook without its signing secret
+ */
+function toPublic(webhook) {
+  const publicWebhook = { ...webhook };
+  delete publicWebhook.secret;
+  return publicWebhook;
+}
+
+// Load the webhook named by :id or respond with 400/404
+const findWebhook = (req, res) => findById(req, res, (id) => historyDB.getWebhook(id), 'webhook');
+
+router.use(requireAdminKey, requireHistory);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Create a webhook
+ *     description: |
+ *       Subscribes a URL to notifications matched against each synced batch:
+ *       transfer (a watched address received coins), identity (a watched identity changed
+ *       state, mid-epoch or at an epoch boundary) and contractCall (a watched contract was called).
+ *       Deliveries are POSTed as { event, webhookId, data } and signed with the returned secret:
+ *       X-Webhook-Signature is sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>").
+ *       The secret is only returned here.
+ *     tags: [Webhooks]
+ *     security:
+ *       - AdminKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://example.com/idena-hook
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [transfer, identity, contractCall]
+ *               addresses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Watched addresses for transfer and identity events
+ *               contracts:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Watched contracts for contractCall events
+ *     responses:
+ *       201:
+ *         description: Webhook created, including its signing secret
+ *       400:
+ *         description: Invalid webhook
+ *       401:
+ *         description: Invalid or missing admin key
+ *       503:
+ *         description: ADMIN_API_KEY not configured or historical database not available
+ */
+router.post('/', (req, res) => {
+  const { webhook, error } = parseWebhook(req.body);
+  const invalid = error || checkRules(webhook);
+  if (invalid) {
+    return sendError(res, 400, invalid);
+  }
+
+  const created = historyDB.insertWebhook({
+    ...webhook,
+    secret: crypto.randomBytes(32).toString('hex'),
+  });
+  res.status(201).json({ result: created });
+});
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhooks
+ *     tags: [Webhooks]
+ *     security:
+ *       - AdminKey: []
+ *     responses:
+ *       200:
+ *         description: Webhooks without their secrets
+ *       401:
+ *         description: Invalid or missing admin key
+ */
+router.get('/', (req, res) => {
+  res.json({ result: historyDB.getWebhooks().map(toPublic) });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/dead-letters:
+ *   get:
+ *     summary: List dead deliveries
+ *     description: Deliveries of every webhook that failed all retry attempts, newest first
+ *     tags: [Webhooks]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Paginated dead letters
+ */
+router.get('/dead-letters', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  const offset = parseInt(req.query.offset) || 0;
+
+  res.json(historyDB.getWebhookDeliveries({ status: 'dead', limit, offset }));
+});
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{deliveryId}/retry:
+ *   post:
+ *     summary: Requeue a delivery
+ *     description: Resets the attempt count of a delivery (typically a dead letter) and sends it on the next pass
+ *     tags: [Webhooks]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Delivery requeued
+ *       404:
+ *         description: Delivery not found
+ */
+router.post('/deliveries/:deliveryId/retry', (req, res) => {
+  const id = parseInt(req.params.deliveryId);
+  if (!Number.isInteger(id) || !historyDB.retryWebhookDelivery(id)) {
+    return sendError(res, 404, 'Delivery not found');
+  }
+
+  res.json({ result: { id, status: 'pending' } });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Webhook without its secret
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) {
+    return;
+  }
+
+  res.json({ result: toPublic(webhook) });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   patch:
+ *     summary: Update a webhook
+ *     description: Changes the url, events, watched addresses or contracts, or pauses the webhook with active=false
+ *     tags: [Webhooks]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               addresses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               contracts:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Updated webhook
+ *       400:
+ *         description: Invalid update
+ *       404:
+ *         description: Webhook not found
+ */
+router.patch('/:id', (req, res) => {
+  const existing = findWebhook(req, res);
+  if (!existing) {
+    return;
+  }
+
+  const { webhook, error } = parseWebhook(req.body, true);
+  const invalid = error || checkRules({ ...existing, ...webhook });
+  if (invalid) {
+    return sendError(res, 400, invalid);
+  }
+
+  res.json({ result: toPublic(historyDB.updateWebhook(existing.id, webhook)) });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook
+ *     description: Removes the webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/:id', (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) {
+    return;
+  }
+
+  historyDB.deleteWebhook(webhook.id);
+  res.json({ result: { id: webhook.id, deleted: true } });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get a webhook's delivery log
+ *     description: Deliveries newest first with their status, attempts, last response status and error
+ *     tags: [Webhooks]
+ *     security:
+ *       - AdminKey: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, dead]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Paginated delivery log
+ *       400:
+ *         description: Invalid status
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id/deliveries', (req, res) => {
+  const webhook = findWebhook(req, res);
+  if (!webhook) {
+    return;
+  }
+
+  const { status } = req.query;
+  if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+    return sendError(res, 400, `status must be one of ${DELIVERY_STATUSES.join(', ')}`);
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+  const offset = parseInt(req.query.offset) || 0;
+
+  res.json(historyDB.getWebhookDeliveries({ webhookId: webhook.id, status, limit, offset }));
+});
+
+module.exports = router;
@@ -1,41 +1,371 @@
 const axios = require('axios');
 
+// Node health is shared by every client pointed at the same node list, so
+// the routes and the sync service route calls using one view of the pool
+const pools = new Map();
+
+/**
+ * Host and port of a node URL for public status output, without
+ * credentials, path or query string (which may carry API keys)
+ */
+function publicHost(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return null;
+  }
+}
+
 class IdenaRPC {
   constructor(url = process.env.IDENA_RPC_URL || 'http://localhost:9009') {
-    this.url = url;
+    // Accepts a single URL, a comma-separated list or an array of URLs
+    const urls = (Array.isArray(url) ? url : String(url).split(','))
+      .map((u) => u.trim())
+      .filter(Boolean);
+
+    this.urls = urls;
+    this.url = urls[0];
     this.apiKey = process.env.IDENA_API_KEY || '';
+    this.maxBlockLag = parseInt(process.env.RPC_MAX_BLOCK_LAG) || 5; // blocks behind best node
+    this.healthCheckInterval = parseInt(process.env.RPC_HEALTH_INTERVAL) || 10000; // ms between height checks
+    this.failureCooldown = parseInt(process.env.RPC_FAILURE_COOLDOWN) || 30000; // ms to deprioritize a failing node
+    this.maxBatchSize = parseInt(process.env.RPC_BATCH_SIZE) || 100; // calls per JSON-RPC batch
+    this.batchWindow = parseInt(process.env.RPC_BATCH_WINDOW) || 10; // ms to collect calls before sending
+    this.batchQueue = [];
+    this.batchTimer = null;
+    this.nextRequestId = 1;
+
+    const poolKey = urls.join(',');
+    if (!pools.has(poolKey)) {
+      pools.set(poolKey, {
+        lastHeightCheck: 0,
+        nodes: urls.map((nodeUrl) => ({
+          url: nodeUrl,
+          requests: 0,
+          failures: 0,
+          consecutiveFailures: 0,
+          avgLatency: null,
+          errorRate: 0,
+          lastBlock: null,
+          lastError: null,
+          lastSuccessAt: null,
+          lastFailureAt: null,
+        })),
+      });
+    }
+    this.pool = pools.get(poolKey);
+  }
+
+  call(method, params = []) {
+    return this._withFailover((node) => this._callNode(node, method, params));
+  }
+
+  /**
+   * Queue a call to be sent with other concurrent calls as one JSON-RPC
+   * batch. Resolves with this call's own result, like call().
+   */
+  batchCall(method, params = []) {
+    if (this.maxBatchSize <= 1) {
+      return this.call(method, params);
+    }
+
+    return new Promise((resolve, reject) => {
+      this.batchQueue.push({ id: this.nextRequestId++, method, params, resolve, reject });
+
+      if (this.batchQueue.length >= this.maxBatchSize) {
+        this._flushBatch();
+      } else if (!this.batchTimer) {
+        this.batchTimer = setTimeout(() => this._flushBatch(), this.batchWindow);
+      }
+    });
   }
 
-  async call(method, params = []) {
+  /**
+   * Send queued calls as one batch and fan the results back out
+   */
+  async _flushBatch() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+
+    const requests = this.batchQueue.splice(0, this.maxBatchSize);
+    if (this.batchQueue.length > 0) {
+      this.batchTimer = setTimeout(() => this._flushBatch(), this.batchWindow);
+    }
+
+    if (requests.length === 0) {
+      return;
+    }
+
+    if (requests.length === 1) {
+      const [request] = requests;
+      this.call(request.method, request.params).then(request.resolve, request.reject);
+      return;
+    }
+
+    let responses;
     try {
-      const response = await axios.post(
-        this.url,
-        {
-          jsonrpc: '2.0',
-          method: method,
-          params: params,
-          id: Date.now(),
-          key: this.apiKey,
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          timeout: 30000, // 30 second timeout
-        }
+      responses = await this._withFailover((node) => this._callNodeBatch(node, requests));
+    } catch (error) {
+      requests.forEach((request) => request.reject(error));
+      return;
+    }
+
+    // Node answered with a single object instead of an array: batching unsupported
+    if (!Array.isArray(responses)) {
+      requests.forEach((request) =>
+        this.call(request.method, request.params).then(request.resolve, request.reject)
       );
+      return;
+    }
+
+    const byId = new Map(responses.map((response) => [response?.id, response]));
+    for (const request of requests) {
+      const response = byId.get(request.id);
+      if (!response) {
+        request.reject(new Error('RPC error: no response for batched request'));
+      } else if (response.error) {
+        request.reject(new Error(response.error.message || 'RPC error'));
+      } else {
+        request.resolve(response.result);
+      }
+    }
+  }
+
+  /**
+   * Try nodes in ranked order until one answers
+   */
+  async _withFailover(send) {
+    this._maybeCheckHeights();
 
-      if (response.data.error) {
-        throw new Error(response.data.error.message || 'RPC error');
+    let lastError;
+    for (const node of this._rankNodes()) {
+      try {
+        return await send(node);
+      } catch (error) {
+        lastError = error;
+        if (!error.failover) {
+          throw error;
+        }
       }
+    }
+
+    throw lastError;
+  }
+
+  _request(method, params, id = Date.now()) {
+    return {
+      jsonrpc: '2.0',
+      method: method,
+      params: params,
+      id: id,
+      key: this.apiKey,
+    };
+  }
+
+  /**
+   * Send a single JSON-RPC request to one node
+   */
+  async _callNode(node, method, params) {
+    const data = await this._post(node, this._request(method, params));
+
+    if (data.error) {
+      throw new Error(data.error.message || 'RPC error');
+    }
 
-      return response.data.result;
+    this._observeHeight(node, method, data.result);
+    return data.result;
+  }
+
+  /**
+   * Send a JSON-RPC batch array to one node
+   */
+  async _callNodeBatch(node, requests) {
+    const data = await this._post(
+      node,
+      requests.map((request) => this._request(request.method, request.params, request.id))
+    );
+
+    if (Array.isArray(data)) {
+      for (const request of requests) {
+        const response = data.find((r) => r?.id === request.id);
+        if (response && !response.error) {
+          this._observeHeight(node, request.method, response.result);
+        }
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * POST a payload to one node and record its health
+   */
+  async _post(node, payload) {
+    const startedAt = Date.now();
+    node.requests++;
+
+    let response;
+    try {
+      response = await axios.post(node.url, payload, {
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        timeout: 30000, // 30 second timeout
+      });
     } catch (error) {
+      let wrapped;
       if (error.response) {
-        throw new Error(`RPC call failed: ${error.response.data?.error?.message || error.message}`);
+        wrapped = new Error(
+          `RPC call failed: ${error.response.data?.error?.message || error.message}`
+        );
+        // Server-side failures are worth retrying on another node, client errors are not
+        wrapped.failover = error.response.status >= 500;
+        wrapped.kind = `http_${error.response.status}`;
+      } else {
+        wrapped = new Error(`Network error: ${error.message}`);
+        wrapped.failover = true;
+        wrapped.kind = error.code === 'ECONNABORTED' ? 'timeout' : 'network';
+      }
+
+      if (wrapped.failover) {
+        this._recordFailure(node, wrapped);
       }
-      throw new Error(`Network error: ${error.message}`);
+      throw wrapped;
     }
+
+    this._recordSuccess(node, Date.now() - startedAt);
+    return response.data;
+  }
+
+  _recordSuccess(node, latency) {
+    node.avgLatency = node.avgLatency === null ? latency : node.avgLatency * 0.8 + latency * 0.2;
+    node.errorRate = node.errorRate * 0.8;
+    node.consecutiveFailures = 0;
+    node.lastSuccessAt = Date.now();
+  }
+
+  _recordFailure(node, error) {
+    node.failures++;
+    node.consecutiveFailures++;
+    node.errorRate = node.errorRate * 0.8 + 0.2;
+    node.lastError = error.kind; // only the class, messages can echo the node URL
+    node.lastFailureAt = Date.now();
+  }
+
+  /**
+   * Track node chain height from any call that reports it
+   */
+  _observeHeight(node, method, result) {
+    let height = null;
+    if (method === 'bcn_lastBlock') {
+      height = result?.height;
+    } else if (method === 'bcn_syncing') {
+      height = result?.currentBlock;
+    }
+
+    if (height) {
+      node.lastBlock = height;
+    }
+  }
+
+  _bestHeight() {
+    const heights = this.pool.nodes.map((n) => n.lastBlock).filter((h) => h !== null);
+    return heights.length ? Math.max(...heights) : null;
+  }
+
+  _isLagging(node, bestHeight) {
+    return (
+      node.lastBlock !== null &&
+      bestHeight !== null &&
+      bestHeight - node.lastBlock > this.maxBlockLag
+    );
+  }
+
+  _isCoolingDown(node, now) {
+    return node.consecutiveFailures > 0 && now - node.lastFailureAt < this.failureCooldown;
+  }
+
+  /**
+   * Lower is better: average latency inflated by recent error rate.
+   * Nodes without measurements score 0 so they get tried.
+   */
+  _score(node) {
+    return (node.avgLatency || 0) * (1 + node.errorRate * 10);
+  }
+
+  /**
+   * Order nodes for a call: healthy nodes by score, then nodes recovering
+   * from failures, then nodes lagging behind the pool's best height
+   */
+  _rankNodes() {
+    const { nodes } = this.pool;
+    if (nodes.length === 1) {
+      return nodes;
+    }
+
+    const now = Date.now();
+    const bestHeight = this._bestHeight();
+    const tier = (node) => {
+      if (this._isLagging(node, bestHeight)) {
+        return 2;
+      }
+      return this._isCoolingDown(node, now) ? 1 : 0;
+    };
+
+    return [...nodes].sort((a, b) => tier(a) - tier(b) || this._score(a) - this._score(b));
+  }
+
+  /**
+   * Periodically refresh node heights in the background (multi-node pools only)
+   */
+  _maybeCheckHeights() {
+    const now = Date.now();
+    if (this.pool.nodes.length < 2 || now - this.pool.lastHeightCheck < this.healthCheckInterval) {
+      return;
+    }
+
+    this.pool.lastHeightCheck = now;
+    this.checkNodeHeights().catch(() => {});
+  }
+
+  /**
+   * Query every node for its latest block height
+   */
+  async checkNodeHeights() {
+    await Promise.all(
+      this.pool.nodes.map((node) => this._callNode(node, 'bcn_lastBlock', []).catch(() => null))
+    );
+    return this.getPoolStatus();
+  }
+
+  /**
+   * Get health state of every node in the pool (public: hosts and error classes only)
+   */
+  getPoolStatus() {
+    const now = Date.now();
+    const bestHeight = this._bestHeight();
+
+    return {
+      size: this.pool.nodes.length,
+      bestHeight,
+      nodes: this.pool.nodes.map((node) => {
+        const lagging = this._isLagging(node, bestHeight);
+        return {
+          host: publicHost(node.url),
+          healthy: !lagging && !this._isCoolingDown(node, now),
+          lagging,
+          lastBlock: node.lastBlock,
+          lag: node.lastBlock !== null && bestHeight !== null ? bestHeight - node.lastBlock : null,
+          latencyMs: node.avgLatency !== null ? Math.round(node.avgLatency) : null,
+          errorRate: Number(node.errorRate.toFixed(3)),
+          requests: node.requests,
+          failures: node.failures,
+          lastError: node.lastError,
+          lastSuccess: node.lastSuccessAt ? new Date(node.lastSuccessAt).toISOString() : null,
+          lastFailure: node.lastFailureAt ? new Date(node.lastFailureAt).toISOString() : null,
+        };
+      }),
+    };
   }
 
   // Identity methods
@@ -78,6 +408,26 @@ class IdenaRPC {
     return this.call('bcn_transaction', [hash]);
   }
 
+  getTransactionReceipt(hash) {
+    return this.call('bcn_txReceipt', [hash]);
+  }
+
+  sendRawTransaction(raw) {
+    return this.call('bcn_sendRawTx', [raw]);
+  }
+
+  estimateTransaction(args) {
+    return this.call('bcn_estimateTx', [args]);
+  }
+
+  getFeePerGas() {
+    return this.call('bcn_feePerGas');
+  }
+
+  getMempool() {
+    return this.call('bcn_mempool');
+  }
+
   // Block methods
   getBlockByHeight(height) {
     return this.call('bcn_blockAt', [height]);
@@ -87,6 +437,41 @@ class IdenaRPC {
     return this.call('bcn_block', [hash]);
   }
 
+  getLastBlock() {
+    return this.call('bcn_lastBlock');
+  }
+
+  // Contract methods (batched, since views read several keys at once)
+  readContractData(address, key, format = 'hex') {
+    return this.batchCall('contract_readData', [address, key, format]);
+  }
+
+  readonlyCallContract(address, method, format = 'hex', args = []) {
+    return this.batchCall('contract_readonlyCall', [{ contract: address, method, format, args }]);
+  }
+
+  getContractStake(address) {
+    return this.call('contract_getStake', [address]);
+  }
+
+  iterateContractMap(
+    address,
+    map,
+    continuationToken = null,
+    keyFormat = 'hex',
+    valueFormat = 'hex',
+    limit = 20
+  ) {
+    return this.call('contract_iterateMap', [
+      address,
+      map,
+      continuationToken,
+      keyFormat,
+      valueFormat,
+      limit,
+    ]);
+  }
+
   // Health check
   async getNodeHealth() {
     try {
@@ -0,0 +1,32 @@
+/**
+ * Recompute Epoch Statistics
+ *
+ * Fills block, transaction, validated, flip and invite counts for closed
+ * epochs that were stored before these stats were calculated.
+ *
+ * Usage: npm run epochs:recompute [-- --all]
+ *   --all  Recompute every closed epoch, not only those with empty stats
+ */
+
+require('dotenv').config({ quiet: true });
+const historyDB = require('../db');
+
+historyDB.init();
+
+if (!historyDB.enabled) {
+  console.error('Historical database not enabled');
+  process.exit(1);
+}
+
+const all = process.argv.includes('--all');
+const epochs = historyDB.recomputeEpochStats({ all });
+
+for (const epochNum of epochs) {
+  const epoch = historyDB.getEpoch(epochNum);
+  console.log(
+    `Epoch ${epochNum}: ${epoch.blockCount} blocks, ${epoch.txCount} txs, ${epoch.validatedCount} validated, ${epoch.flipCount} flips, ${epoch.inviteCount} invites`
+  );
+}
+
+console.log(`Recomputed stats for ${epochs.length} epoch(s)`);
+historyDB.close();
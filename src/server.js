@@ -17,7 +17,15 @@ const addressRoutes = require('./routes/address');
 const statsRoutes = require('./routes/stats');
 const searchRoutes = require('./routes/search');
 const contractRoutes = require('./routes/contract');
+const mempoolRoutes = require('./routes/mempool');
+const webhookRoutes = require('./routes/webhooks');
+const watchlistRoutes = require('./routes/watchlists');
+const graphqlRoutes = require('./routes/graphql');
 const syncService = require('./sync');
+const mempoolService = require('./mempool');
+const streamServer = require('./websocket');
+const webhookService = require('./webhooks');
+const watchlistService = require('./watchlists');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -55,6 +63,10 @@ app.use('/api/address', addressRoutes);
 app.use('/api/stats', statsRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/contract', contractRoutes);
+app.use('/api/mempool', mempoolRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/watchlists', watchlistRoutes);
+app.use('/graphql', graphqlRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -72,8 +84,13 @@ app.get('/', (req, res) => {
       block: '/api/block/:heightOrHash',
       epoch: '/api/epoch/current',
       stake: '/api/identity/:address/stake',
+      mempool: '/api/mempool',
+      addressMempool: '/api/mempool/address/:address',
+      stream: 'ws://<host>/api/ws',
       // Historical (requires HISTORY_ENABLED=true)
       historyStatus: '/api/history/status',
+      historyReorgs: '/api/history/reorgs',
+      historyGaps: '/api/history/gaps',
       addressTransactions: '/api/history/address/:address/transactions',
       historicalBlock: '/api/history/block/:height',
       historicalTransaction: '/api/history/transaction/:hash',
@@ -86,6 +103,12 @@ app.get('/', (req, res) => {
       contract: '/api/contract/:address',
       contractCalls: '/api/contract/:address/calls',
       contractStats: '/api/contract/stats',
+      // Webhooks and watchlists (requires HISTORY_ENABLED=true and ADMIN_API_KEY)
+      webhooks: '/api/webhooks',
+      watchlists: '/api/watchlists',
+      watchlistAlerts: '/api/watchlists/:id/alerts',
+      // GraphQL (identities live, the rest requires HISTORY_ENABLED=true)
+      graphql: '/graphql',
       // Documentation
       docs: '/api/docs',
     },
@@ -121,7 +144,7 @@ app.use((req, res) => {
 
 // Only start server if this file is run directly (not imported for tests)
 if (require.main === module) {
-  app.listen(PORT, '0.0.0.0', () => {
+  const server = app.listen(PORT, '0.0.0.0', () => {
     console.log(`🚀 idena-lite-api running on port ${PORT}`);
     console.log(`📡 Connected to RPC: ${process.env.IDENA_RPC_URL || 'http://localhost:9009'}`);
     console.log(`💾 Redis: ${process.env.REDIS_URL || 'localhost:6379'}`);
@@ -130,9 +153,22 @@ if (require.main === module) {
     if (process.env.HISTORY_ENABLED !== 'false') {
       console.log(`📚 Historical sync: enabled`);
       syncService.start();
+      webhookService.start();
+      watchlistService.start();
     } else {
       console.log(`📚 Historical sync: disabled (set HISTORY_ENABLED=true to enable)`);
+      // Without sync, streaming needs its own view of new blocks
+      if (streamServer.enabled) {
+        syncService.startTipFollower();
+      }
     }
+
+    if (streamServer.enabled) {
+      streamServer.attach(server);
+      console.log(`🔌 WebSocket stream: ${streamServer.path}`);
+    }
+
+    mempoolService.start();
   });
 }
 
@@ -52,8 +52,33 @@ const options = {
         name: 'History',
         description: 'Historical queries (requires HISTORY_ENABLED=true)',
       },
+      {
+        name: 'Mempool',
+        description: 'Pending transactions (requires MEMPOOL_ENABLED=true)',
+      },
+      {
+        name: 'Webhooks',
+        description: 'Webhook subscriptions (requires HISTORY_ENABLED=true and ADMIN_API_KEY)',
+      },
+      {
+        name: 'Watchlists',
+        description:
+          'Address watchlists and alerts (requires HISTORY_ENABLED=true and ADMIN_API_KEY)',
+      },
+      {
+        name: 'GraphQL',
+        description: 'GraphQL queries over identities and historical data',
+      },
     ],
     components: {
+      securitySchemes: {
+        AdminKey: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Admin-Key',
+          description: 'Value of ADMIN_API_KEY',
+        },
+      },
       schemas: {
         Error: {
           type: 'object',
@@ -188,6 +213,42 @@ const options = {
                 },
               },
             },
+            rpcPool: {
+              type: 'object',
+              description: 'Health of each configured RPC node',
+              properties: {
+                size: {
+                  type: 'integer',
+                },
+                bestHeight: {
+                  type: 'integer',
+                  nullable: true,
+                  description: 'Highest block reported by any node',
+                },
+                nodes: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      host: { type: 'string', nullable: true },
+                      healthy: { type: 'boolean' },
+                      lagging: { type: 'boolean' },
+                      lastBlock: { type: 'integer', nullable: true },
+                      lag: { type: 'integer', nullable: true },
+                      latencyMs: { type: 'integer', nullable: true },
+                      errorRate: { type: 'number' },
+                      requests: { type: 'integer' },
+                      failures: { type: 'integer' },
+                      lastError: {
+                        type: 'string',
+                        nullable: true,
+                        description: 'Class of the last failure: network, timeout or http_<status>',
+                      },
+                    },
+                  },
+                },
+              },
+            },
             cache: {
               type: 'object',
               properties: {
@@ -4,13 +4,25 @@
  * Syncs blockchain data from RPC node to SQLite database.
  * Runs in the background, processing blocks in batches.
  * Detects epoch boundaries and snapshots identity states.
+ * Detects chain reorganizations and rolls back orphaned data.
+ * Periodically refetches failed fetches and gaps in the stored range.
+ * Optionally backfills older history toward genesis.
+ * Emits block, transaction, epoch and identity events for blocks synced at
+ * the chain tip, or follows the tip without storing when history is disabled.
+ * Emits a stored event after each forward batch is written, and an
+ * epochClosed event once a closed epoch's rewards and validation results are.
  */
 
+const EventEmitter = require('events');
+const { keccak_256: keccak256 } = require('@noble/hashes/sha3');
 const IdenaRPC = require('./rpc');
 const historyDB = require('./db');
+const { decodeDeployPayload, decodeCallPayload } = require('./contracts');
 
-class SyncService {
+class SyncService extends EventEmitter {
   constructor() {
+    super();
+    this.setMaxListeners(0); // streaming clients each add a listener
     this.rpc = new IdenaRPC();
     this.isRunning = false;
     this.shouldStop = false;
@@ -21,6 +33,37 @@ class SyncService {
     this.lastSeenEpoch = null; // Track epoch for boundary detection
     this.epochSnapshotEnabled = process.env.EPOCH_SNAPSHOT_ENABLED !== 'false';
     this.balanceTrackingEnabled = process.env.BALANCE_TRACKING_ENABLED !== 'false';
+    this.maxReorgDepth = parseInt(process.env.SYNC_MAX_REORG_DEPTH) || 100; // blocks to search for a common ancestor
+    this.maxRetries = parseInt(process.env.SYNC_MAX_RETRIES) || 3; // retries per RPC fetch
+    this.retryBaseDelay = parseInt(process.env.SYNC_RETRY_DELAY) || 500; // ms, doubled per retry
+    this.repairInterval = parseInt(process.env.SYNC_REPAIR_INTERVAL) || 60000; // ms between repair passes
+    this.lastRepairAt = 0;
+    this.startBlock = parseInt(process.env.SYNC_START_BLOCK) || null; // first height for a fresh sync
+    this.startEpoch = process.env.SYNC_START_EPOCH ? parseInt(process.env.SYNC_START_EPOCH) : null;
+    this.backfillEnabled = process.env.SYNC_BACKFILL_ENABLED === 'true';
+    this.backfillTarget = Math.max(1, parseInt(process.env.SYNC_BACKFILL_TARGET) || 1); // backfill stops here (1 = genesis)
+    this.feeBurnRate = this._parseFeeBurnRate(process.env.FEE_BURN_RATE); // share of fees burnt by consensus
+    this.isFollowing = false;
+    this.followedHeight = null; // last height published by the tip follower
+    this.lastPublishedBlock = null; // for epoch boundary events
+    this.snapshotChanges = new Map(); // block height -> identity changes from its epoch snapshot
+  }
+
+  /**
+   * FEE_BURN_RATE must be a share between 0 and 1; anything else would make
+   * the burn split NaN and abort every batch, so it falls back to 0.9
+   */
+  _parseFeeBurnRate(value) {
+    if (value === undefined || value === '') {
+      return 0.9;
+    }
+
+    const rate = Number(value);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+      console.warn(`Invalid FEE_BURN_RATE "${value}", using 0.9`);
+      return 0.9;
+    }
+    return rate;
   }
 
   /**
@@ -46,6 +89,11 @@ class SyncService {
 
     // Start sync loop
     this._syncLoop();
+
+    // Fill older history below the start block alongside the forward sync
+    if (this.backfillEnabled) {
+      this._backfillLoop();
+    }
   }
 
   /**
@@ -55,6 +103,115 @@ class SyncService {
     console.log('Stopping sync service...');
     this.shouldStop = true;
     this.isRunning = false;
+    this.isFollowing = false;
+  }
+
+  /**
+   * Follow the chain tip without storing anything, so events are still
+   * published when historical sync is disabled
+   */
+  startTipFollower() {
+    if (this.isRunning || this.isFollowing) {
+      return;
+    }
+
+    console.log('Starting tip follower...');
+    this.isFollowing = true;
+    this.shouldStop = false;
+    this._followLoop();
+  }
+
+  async _followLoop() {
+    while (!this.shouldStop) {
+      try {
+        await this._followTip();
+      } catch (error) {
+        console.error('Tip follower error:', error.message);
+      }
+
+      await this._sleep(this.syncInterval);
+    }
+  }
+
+  /**
+   * Fetch and publish blocks added since the last poll, starting at the current tip
+   */
+  async _followTip() {
+    const lastBlock = await this.rpc.call('bcn_lastBlock', []);
+    const height = lastBlock?.height;
+    if (!height) {
+      return;
+    }
+
+    if (this.followedHeight === null) {
+      this.followedHeight = height - 1;
+    }
+    if (height <= this.followedHeight) {
+      return;
+    }
+
+    // After a long pause, skip ahead rather than replaying a backlog
+    const from = Math.max(this.followedHeight + 1, height - this.batchSize + 1);
+    const { blocks, transactions } = await this._fetchRange(from, height);
+    this.followedHeight = height;
+    this._publish(blocks, transactions);
+  }
+
+  /**
+   * Emit events for blocks at the chain tip: one per block, transaction,
+   * epoch boundary and identity change, in block order
+   */
+  _publish(blocks, transactions) {
+    const sortedBlocks = [...blocks].sort((a, b) => a.height - b.height);
+
+    for (const block of sortedBlocks) {
+      if (this.lastPublishedBlock && block.epoch !== this.lastPublishedBlock.epoch) {
+        this.emit('epoch', {
+          epoch: block.epoch,
+          previousEpoch: this.lastPublishedBlock.epoch,
+          firstBlock: block.height,
+          timestamp: block.timestamp,
+        });
+      }
+      this.lastPublishedBlock = block;
+
+      this.emit('block', {
+        height: block.height,
+        hash: block.hash,
+        timestamp: block.timestamp,
+        epoch: block.epoch,
+        proposer: block.proposer,
+        parentHash: block.parentHash,
+        txCount: block.txCount,
+      });
+
+      // State transitions written by the new epoch's identity snapshot
+      for (const change of this.snapshotChanges.get(block.height) || []) {
+        this.emit('identity', change);
+      }
+
+      const blockTxs = transactions
+        .filter((tx) => tx.blockHeight === block.height)
+        .sort((a, b) => a.txIndex - b.txIndex);
+
+      for (const tx of blockTxs) {
+        const confirmed = { ...tx };
+        delete confirmed.payload;
+        delete confirmed.receipt;
+        this.emit('transaction', confirmed);
+
+        const change = this._identityChangeFromTransaction(tx);
+        if (change) {
+          this.emit('identity', {
+            ...change,
+            epoch: block.epoch,
+            txHash: tx.hash,
+            blockHeight: block.height,
+            timestamp: block.timestamp,
+          });
+        }
+      }
+    }
   }
 
   /**
@@ -68,15 +225,24 @@ class SyncService {
         console.error('Sync error:', error.message);
       }
 
+      // Periodically retry blocks and transactions that failed to fetch
+      if (Date.now() - this.lastRepairAt >= this.repairInterval) {
+        this.lastRepairAt = Date.now();
+        try {
+          await this._repairFailures();
+          await this._repairGaps();
+          await this._backfillBalances();
+          await this._reconcileContracts();
+        } catch (error) {
+          console.error('Repair error:', error.message);
+        }
+      }
+
       // Wait before next batch
       await this._sleep(this.syncInterval);
     }
 
-    historyDB.updateSyncStatus(
-      historyDB.getSyncStatus()?.lastSyncedBlock || 0,
-      null,
-      false
-    );
+    historyDB.updateSyncStatus(historyDB.getSyncStatus()?.lastSyncedBlock || 0, null, false);
     console.log('Sync service stopped');
   }
 
@@ -86,7 +252,9 @@ class SyncService {
   async _syncBatch() {
     // Get current sync status
     const status = historyDB.getSyncStatus();
-    if (!status) {return;}
+    if (!status) {
+      return;
+    }
 
     // Get current chain height from RPC
     let currentHeight;
@@ -115,11 +283,10 @@ class SyncService {
     // Determine start block
     let startBlock = status.lastSyncedBlock + 1;
 
-    // If this is first sync, start from a reasonable point (not genesis)
-    // Use fast sync start point or recent blocks
+    // If this is first sync, start from the configured block/epoch
+    // (or recent blocks when neither is set)
     if (startBlock <= 1) {
-      // Start from 1000 blocks ago or genesis
-      startBlock = Math.max(1, currentHeight - 1000);
+      startBlock = await this._resolveStartBlock(currentHeight);
       historyDB.setSyncStartBlock(startBlock);
       console.log(`Starting initial sync from block ${startBlock}`);
     }
@@ -134,78 +301,501 @@ class SyncService {
     // Calculate end block for this batch
     const endBlock = Math.min(startBlock + this.batchSize - 1, currentHeight);
 
-    console.log(`Syncing blocks ${startBlock} to ${endBlock} (${endBlock - startBlock + 1} blocks)`);
+    console.log(
+      `Syncing blocks ${startBlock} to ${endBlock} (${endBlock - startBlock + 1} blocks)`
+    );
 
-    // Fetch blocks in parallel with concurrency limit
-    const blocks = [];
-    const transactions = [];
-    const heights = [];
+    const { blocks, transactions } = await this._fetchRange(startBlock, endBlock);
+
+    // Make sure the fetched range still extends the chain we have stored
+    if (blocks.length > 0 && (await this._detectReorg(blocks, startBlock))) {
+      return;
+    }
+
+    // Batch insert to database
+    // (heights that failed to fetch are queued in sync_failures for the repair pass)
+    if (blocks.length > 0) {
+      historyDB.insertBatch(blocks, transactions);
+      await this._trackTransactions(transactions, blocks);
+
+      // Detect epoch boundaries and handle them
+      await this._detectEpochBoundaries(blocks);
+
+      historyDB.updateSyncStatus(endBlock, currentHeight, true);
+      this.emit('stored', { fromBlock: startBlock, toBlock: endBlock });
+
+      // Only stream once caught up, not while replaying older batches
+      if (endBlock === currentHeight) {
+        this._publish(blocks, transactions);
+      }
+      this.snapshotChanges.clear();
+      console.log(`Synced ${blocks.length} blocks, ${transactions.length} transactions`);
+    }
+  }
 
+  /**
+   * Fetch blocks in [startBlock, endBlock] and their transactions
+   */
+  _fetchRange(startBlock, endBlock) {
+    const heights = [];
     for (let h = startBlock; h <= endBlock; h++) {
       heights.push(h);
     }
+    return this._fetchHeights(heights);
+  }
+
+  /**
+   * Fetch the given block heights and their transactions
+   * (missing blocks/transactions are queued in sync_failures by the fetchers)
+   */
+  async _fetchHeights(heights) {
+    const blocks = [];
+    const transactions = [];
 
     // Process blocks in chunks with concurrency limit
+    // (concurrent RPC calls are coalesced into JSON-RPC batches)
     for (let i = 0; i < heights.length; i += this.concurrency) {
       const chunk = heights.slice(i, i + this.concurrency);
-      const blockPromises = chunk.map(height => this._fetchBlock(height));
+      const blockPromises = chunk.map((height) => this._fetchBlock(height));
       const fetchedBlocks = await Promise.all(blockPromises);
 
+      // Fetch transactions for every block in the chunk together
+      const txPromises = [];
       for (const block of fetchedBlocks) {
         if (block) {
           blocks.push(block);
 
-          // Fetch transactions in parallel for this block
           if (block.transactions && block.transactions.length > 0) {
-            const txPromises = block.transactions.map((txHash, idx) =>
-              this._fetchTransaction(txHash, block.height, block.timestamp, idx)
-            );
-            const fetchedTxs = await Promise.all(txPromises);
-            for (const tx of fetchedTxs) {
-              if (tx) {
-                transactions.push(tx);
-              }
-            }
+            block.transactions.forEach((txHash, idx) => {
+              txPromises.push(this._fetchTransaction(txHash, block.height, block.timestamp, idx));
+            });
           }
         }
       }
+
+      const fetchedTxs = await Promise.all(txPromises);
+      for (const tx of fetchedTxs) {
+        if (tx) {
+          transactions.push(tx);
+        }
+      }
     }
 
-    // Batch insert to database
+    return { blocks, transactions };
+  }
+
+  /**
+   * Pick the first height for a fresh sync from SYNC_START_BLOCK or
+   * SYNC_START_EPOCH, defaulting to the last 1000 blocks
+   */
+  _resolveStartBlock(currentHeight) {
+    if (this.startBlock) {
+      return Math.min(this.startBlock, currentHeight);
+    }
+
+    if (this.startEpoch !== null) {
+      return this._findEpochStartBlock(this.startEpoch, currentHeight);
+    }
+
+    return Math.max(1, currentHeight - 1000);
+  }
+
+  /**
+   * Binary search for the first block of an epoch (block epochs never decrease)
+   */
+  async _findEpochStartBlock(epoch, currentHeight) {
+    let low = 1;
+    let high = currentHeight;
+
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const block = await this._withRetry(() => this.rpc.call('bcn_blockAt', [mid]));
+      if (!block) {
+        throw new Error(`Block ${mid} not returned by node`);
+      }
+
+      if ((block.epoch || 0) < epoch) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+  /**
+   * Backward backfill loop: fills history below the sync start block
+   * down to the backfill target while the forward sync follows the tip
+   */
+  async _backfillLoop() {
+    while (!this.shouldStop) {
+      let done = false;
+      try {
+        done = await this._backfillBatch();
+      } catch (error) {
+        console.error('Backfill error:', error.message);
+      }
+
+      if (done) {
+        console.log(`Backfill complete down to block ${this.backfillTarget}`);
+        return;
+      }
+
+      await this._sleep(this.syncInterval);
+    }
+  }
+
+  /**
+   * Fetch the next batch below the lowest backfilled height.
+   * Returns true once the backfill target has been reached.
+   */
+  async _backfillBatch() {
+    const status = historyDB.getSyncStatus();
+
+    // Wait for the forward sync to pick its start block
+    if (!status || !status.syncStartBlock) {
+      return false;
+    }
+
+    const lowest = status.backfill ? status.backfill.lowestBlock : status.syncStartBlock;
+    if (lowest <= this.backfillTarget) {
+      return true;
+    }
+
+    const endBlock = lowest - 1;
+    const startBlock = Math.max(this.backfillTarget, endBlock - this.batchSize + 1);
+
+    console.log(`Backfilling blocks ${startBlock} to ${endBlock}`);
+
+    const { blocks, transactions } = await this._fetchRange(startBlock, endBlock);
+
+    // Epoch boundaries are not detected here, lastSeenEpoch belongs to the forward sync
     if (blocks.length > 0) {
       historyDB.insertBatch(blocks, transactions);
+      await this._trackTransactions(transactions, blocks);
+    }
+
+    historyDB.updateBackfillStatus(startBlock, this.backfillTarget);
+    console.log(`Backfilled ${blocks.length} blocks, ${transactions.length} transactions`);
+
+    return startBlock <= this.backfillTarget;
+  }
+
+  /**
+   * Derive balance changes, invites, contract records and burns from stored transactions
+   */
+  async _trackTransactions(transactions, blocks) {
+    if (transactions.length === 0) {
+      return;
+    }
+
+    // Track balance changes from transactions
+    if (this.balanceTrackingEnabled) {
+      await this._trackBalanceChangesFromTransactions(transactions, blocks);
+    }
+
+    // Track invites from transactions
+    await this._trackInvitesFromTransactions(transactions, blocks);
+
+    // Track contracts from transactions
+    await this._trackContractsFromTransactions(transactions, blocks);
+
+    // Track mid-epoch identity changes from transactions
+    this._trackIdentityChangesFromTransactions(transactions, blocks);
+
+    // Aggregate burnt coins for the affected blocks
+    const heights = [...new Set(transactions.map((tx) => tx.blockHeight))];
+    historyDB.updateBlockBurns(heights, this.feeBurnRate);
+  }
+
+  /**
+   * Retry blocks, transactions and receipts queued in sync_failures
+   */
+  async _repairFailures() {
+    const failures = historyDB.getSyncFailures({ limit: this.batchSize });
+    if (!failures || failures.length === 0) {
+      return;
+    }
+
+    const heights = [];
 
-      // Track balance changes from transactions
-      if (this.balanceTrackingEnabled && transactions.length > 0) {
-        await this._trackBalanceChangesFromTransactions(transactions, blocks);
+    for (const failure of failures) {
+      if (this.shouldStop) {
+        break;
       }
 
-      // Track invites from transactions
-      if (transactions.length > 0) {
-        await this._trackInvitesFromTransactions(transactions, blocks);
+      if (failure.kind === 'block') {
+        const block = await this._fetchBlock(failure.blockHeight);
+        if (!block) {
+          continue;
+        }
+
+        const fetchedTxs = await Promise.all(
+          block.transactions.map((txHash, idx) =>
+            this._fetchTransaction(txHash, block.height, block.timestamp, idx)
+          )
+        );
+        const transactions = fetchedTxs.filter(Boolean);
+
+        // The gap repair or a later batch may have stored some of them already
+        const newTransactions = this._unstoredTransactions(transactions);
+
+        historyDB.insertBatch([block], transactions);
+        await this._trackTransactions(newTransactions, [block]);
+      } else if (failure.kind === 'receipt') {
+        if (!(await this._repairReceipt(failure))) {
+          continue;
+        }
+      } else {
+        const block = historyDB.getBlock(failure.blockHeight);
+        const tx = await this._fetchTransaction(
+          failure.txHash,
+          failure.blockHeight,
+          block?.timestamp || Math.floor(Date.now() / 1000),
+          failure.txIndex || 0
+        );
+        if (!tx) {
+          continue;
+        }
+
+        const newTransactions = this._unstoredTransactions([tx]);
+
+        historyDB.insertBatch([], [tx]);
+        await this._trackTransactions(newTransactions, block ? [block] : []);
       }
 
-      // Track contracts from transactions
-      if (transactions.length > 0) {
-        await this._trackContractsFromTransactions(transactions, blocks);
+      historyDB.resolveSyncFailure(failure.id);
+      heights.push(failure.blockHeight);
+    }
+
+    this._emitStoredHeights(heights);
+    console.log(`Repair pass: ${heights.length} of ${failures.length} failed fetches recovered`);
+  }
+
+  /**
+   * Transactions not stored yet. Only these are tracked on a refetch,
+   * so derived rows (balance changes, contract calls) aren't duplicated
+   */
+  _unstoredTransactions(transactions) {
+    return transactions.filter((tx) => !historyDB.getTransaction(tx.hash));
+  }
+
+  /**
+   * Announce heights stored outside the main batch loop, one stored event
+   * per run of consecutive heights
+   */
+  _emitStoredHeights(heights) {
+    const sorted = [...new Set(heights)].sort((a, b) => a - b);
+    for (let i = 0; i < sorted.length; i++) {
+      const fromBlock = sorted[i];
+      while (sorted[i + 1] === sorted[i] + 1) {
+        i++;
       }
+      this.emit('stored', { fromBlock, toBlock: sorted[i] });
+    }
+  }
 
-      // Detect epoch boundaries and handle them
-      await this._detectEpochBoundaries(blocks);
+  /**
+   * Record a contract transaction again once its receipt can be fetched:
+   * its calls are replaced with the receipt's outcome, fee and events
+   * @returns {boolean} - Whether the receipt was fetched
+   */
+  async _repairReceipt(failure) {
+    const receipts = await this._fetchReceipts([failure.txHash]);
+    if (!receipts.has(failure.txHash)) {
+      historyDB.recordSyncFailure({ ...failure, error: 'Receipt not available' });
+      return false;
+    }
 
-      historyDB.updateSyncStatus(endBlock, currentHeight, true);
-      console.log(`Synced ${blocks.length} blocks, ${transactions.length} transactions`);
+    const block = historyDB.getBlock(failure.blockHeight);
+    const tx = await this._fetchTransaction(
+      failure.txHash,
+      failure.blockHeight,
+      block?.timestamp || Math.floor(Date.now() / 1000),
+      failure.txIndex || 0
+    );
+    if (!tx) {
+      return false;
+    }
+
+    historyDB.deleteContractCalls(tx.hash);
+    await this._trackContractsFromTransactions([tx], block ? [block] : [], receipts);
+    historyDB.updateBlockBurns([tx.blockHeight], this.feeBurnRate);
+    return true;
+  }
+
+  /**
+   * Refetch heights missing from the blocks table and blocks whose
+   * stored transactions don't add up to their tx_count
+   */
+  async _repairGaps() {
+    const status = historyDB.getSyncStatus();
+    if (!status || !status.lastSyncedBlock) {
+      return;
+    }
+
+    const from = Math.min(status.syncStartBlock || 1, status.backfill?.lowestBlock ?? Infinity);
+    const to = status.lastSyncedBlock;
+
+    const heights = new Set();
+    for (const gap of historyDB.findBlockGaps(from, to)) {
+      for (let h = gap.from; h <= gap.to && heights.size < this.batchSize; h++) {
+        heights.add(h);
+      }
+    }
+    for (const mismatch of historyDB.findTxCountMismatches(from, to)) {
+      if (heights.size >= this.batchSize) {
+        break;
+      }
+      heights.add(mismatch.height);
+    }
+
+    if (heights.size === 0) {
+      return;
+    }
+
+    const sorted = [...heights].sort((a, b) => a - b);
+    const { blocks, transactions } = await this._fetchHeights(sorted);
+    if (blocks.length === 0) {
+      return;
+    }
+
+    const newTransactions = this._unstoredTransactions(transactions);
+
+    historyDB.insertBatch(blocks, transactions);
+    await this._trackTransactions(newTransactions, blocks);
+
+    // Queued failures for what was just stored would otherwise be fetched again
+    historyDB.resolveSyncFailuresFor(
+      blocks.map((block) => block.height),
+      transactions.map((tx) => tx.hash)
+    );
+    this._emitStoredHeights(blocks.map((block) => block.height));
+
+    console.log(`Gap repair: ${blocks.length} of ${sorted.length} blocks refetched`);
+  }
+
+  /**
+   * Run an RPC fetch, retrying with jittered exponential backoff
+   */
+  async _withRetry(fn) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= this.maxRetries) {
+          throw error;
+        }
+
+        const delay = this.retryBaseDelay * 2 ** attempt;
+        await this._sleep(delay / 2 + Math.random() * (delay / 2));
+      }
+    }
+  }
+
+  /**
+   * Check fetched blocks against the stored chain tip and each other.
+   * Returns true when the batch must be discarded (first block missing,
+   * fork rolled back or the node switched branches while we were fetching).
+   */
+  async _detectReorg(blocks, startBlock) {
+    const sorted = [...blocks].sort((a, b) => a.height - b.height);
+    const first = sorted[0];
+
+    // Without the first block the batch can't be linked to the stored tip
+    if (first.height !== startBlock) {
+      console.log(`Block ${startBlock} could not be fetched, retrying the batch`);
+      return true;
+    }
+
+    if (first.parentHash) {
+      const storedParent = historyDB.getBlock(startBlock - 1);
+
+      if (storedParent && storedParent.hash !== first.parentHash) {
+        await this._handleReorg(startBlock - 1, storedParent.hash);
+        return true;
+      }
+    }
+
+    for (let i = 1; i < sorted.length; i++) {
+      const prev = sorted[i - 1];
+      const block = sorted[i];
+      if (block.height === prev.height + 1 && block.parentHash && block.parentHash !== prev.hash) {
+        console.log(`Chain changed at block ${block.height} while fetching batch, retrying`);
+        return true;
+      }
     }
+
+    return false;
+  }
+
+  /**
+   * Roll back to the common ancestor of the stored chain and the node's chain
+   */
+  async _handleReorg(tipHeight, oldTipHash) {
+    const ancestor = await this._findCommonAncestor(tipHeight);
+    const removed = historyDB.rollbackToHeight(ancestor);
+    const newTip = await this._fetchBlock(tipHeight);
+
+    historyDB.insertReorg({
+      commonAncestor: ancestor,
+      oldTip: tipHeight,
+      depth: tipHeight - ancestor,
+      oldTipHash,
+      newTipHash: newTip?.hash || null,
+      removedBlocks: removed?.blocks || 0,
+      removedTransactions: removed?.transactions || 0,
+    });
+
+    historyDB.updateSyncStatus(ancestor, null, true);
+
+    // Epoch tracking is re-initialized from the database after the rollback
+    this.lastSeenEpoch = null;
+
+    console.log(
+      `Chain reorganization detected: rolled back blocks ${ancestor + 1} to ${tipHeight} (depth ${tipHeight - ancestor})`
+    );
+  }
+
+  /**
+   * Walk back from a height until the stored hash matches the node's hash
+   */
+  async _findCommonAncestor(fromHeight) {
+    const lowest = Math.max(0, fromHeight - this.maxReorgDepth);
+
+    for (let h = fromHeight; h > lowest; h--) {
+      const stored = historyDB.getBlock(h);
+
+      // Nothing stored below this point, so nothing left to compare
+      if (!stored) {
+        return h;
+      }
+
+      const remote = await this._fetchBlock(h);
+      if (!remote) {
+        throw new Error(`Could not fetch block ${h} while resolving reorg`);
+      }
+
+      if (remote.hash === stored.hash) {
+        return h;
+      }
+    }
+
+    console.error(
+      `No common ancestor within ${this.maxReorgDepth} blocks of ${fromHeight}, rolling back to ${lowest}`
+    );
+    return lowest;
   }
 
   /**
    * Track balance changes from transactions
    * Creates balance_change records for tx_in and tx_out events
    */
-  _trackBalanceChangesFromTransactions(transactions, blocks) {
+  async _trackBalanceChangesFromTransactions(transactions, blocks) {
     try {
       const balanceChanges = [];
-      const blockMap = new Map(blocks.map(b => [b.height, b]));
+      const blockMap = new Map(blocks.map((b) => [b.height, b]));
 
       // Transaction types that affect balance
       const transferTypes = ['send', 'transfer', 'SendTx', 'TransferTx'];
@@ -215,26 +805,43 @@ class SyncService {
         const timestamp = block?.timestamp || tx.timestamp;
         const amount = tx.amount || '0';
 
-        // Skip zero-amount transactions
-        if (amount === '0' || amount === 0) {continue;}
-
         // Skip if no valid addresses
-        if (!tx.from && !tx.to) {continue;}
+        if (!tx.from && !tx.to) {
+          continue;
+        }
+
+        const hasSender = tx.from && tx.from !== '0x0000000000000000000000000000000000000000';
+
+        // Fee is paid by the sender even when nothing is transferred
+        if (hasSender && tx.fee && Number(tx.fee) !== 0) {
+          balanceChanges.push({
+            address: tx.from,
+            blockHeight: tx.blockHeight,
+            txHash: tx.hash,
+            changeType: 'fee',
+            amount: `-${tx.fee}`,
+            timestamp,
+          });
+        }
+
+        // Skip zero-amount transactions
+        if (amount === '0' || amount === 0) {
+          continue;
+        }
 
         // Check if this is a transfer-type transaction
-        const isTransfer = transferTypes.some(t =>
+        const isTransfer = transferTypes.some((t) =>
           tx.type?.toLowerCase().includes(t.toLowerCase())
         );
 
         // For sender (tx_out) - deduct from balance
-        if (tx.from && tx.from !== '0x0000000000000000000000000000000000000000') {
+        if (hasSender) {
           balanceChanges.push({
             address: tx.from,
             blockHeight: tx.blockHeight,
             txHash: tx.hash,
             changeType: 'tx_out',
             amount: `-${amount}`, // Negative for outgoing
-            balanceAfter: null, // We'll calculate this if needed
             timestamp,
           });
         }
@@ -247,7 +854,6 @@ class SyncService {
             txHash: tx.hash,
             changeType: 'tx_in',
             amount: amount,
-            balanceAfter: null,
             timestamp,
           });
         }
@@ -260,7 +866,6 @@ class SyncService {
             txHash: tx.hash,
             changeType: 'stake',
             amount: `-${amount}`,
-            balanceAfter: null,
             timestamp,
           });
         }
@@ -272,7 +877,6 @@ class SyncService {
             txHash: tx.hash,
             changeType: 'unstake',
             amount: amount,
-            balanceAfter: null,
             timestamp,
           });
         }
@@ -281,12 +885,79 @@ class SyncService {
       // Batch insert balance changes
       if (balanceChanges.length > 0) {
         historyDB.insertBalanceChangesBatch(balanceChanges);
+        await this._updateRunningBalances(balanceChanges.map((c) => c.address));
       }
     } catch (error) {
       console.error('Failed to track balance changes:', error.message);
     }
   }
 
+  /**
+   * Fill balance_after for the given addresses. Addresses without computed
+   * changes get a one-off dna_getBalance anchor, but only while the node's
+   * tip is already stored and does not move during the read, so the balance
+   * is known to be the one at that height. While catching up or backfilling
+   * their changes stay uncomputed until _backfillBalances reaches the tip.
+   */
+  async _updateRunningBalances(addresses) {
+    const unique = [...new Set(addresses.map((a) => a.toLowerCase()))];
+    const unanchored = unique.filter((addr) => historyDB.recomputeBalanceAfter(addr) === null);
+
+    for (let i = 0; i < unanchored.length; i += this.concurrency) {
+      const batch = unanchored.slice(i, i + this.concurrency);
+      try {
+        const anchorHeight = await this._storedTipHeight();
+        if (!anchorHeight) {
+          return;
+        }
+
+        const balances = await Promise.all(
+          batch.map((addr) =>
+            this.rpc.batchCall('dna_getBalance', [addr]).catch((error) => {
+              console.error(`Failed to fetch balance anchor for ${addr}:`, error.message);
+              return null;
+            })
+          )
+        );
+        if ((await this._storedTipHeight()) !== anchorHeight) {
+          continue;
+        }
+
+        batch.forEach((addr, j) => {
+          if (balances[j]) {
+            historyDB.setBalanceAnchor(addr, anchorHeight, balances[j].balance || '0');
+            historyDB.recomputeBalanceAfter(addr);
+          }
+        });
+      } catch (error) {
+        console.error('Failed to fetch balance anchors:', error.message);
+        return;
+      }
+    }
+  }
+
+  /**
+   * The node's chain height when that block is already stored, else null
+   */
+  async _storedTipHeight() {
+    const lastBlock = await this.rpc.call('bcn_lastBlock', []);
+    const height = lastBlock?.height;
+    return height && historyDB.getBlock(height) ? height : null;
+  }
+
+  /**
+   * Fill balance_after for rows stored before running balances were computed
+   */
+  async _backfillBalances() {
+    const addresses = historyDB.getAddressesMissingBalance(this.batchSize);
+    if (!addresses || addresses.length === 0) {
+      return;
+    }
+
+    await this._updateRunningBalances(addresses);
+    console.log(`Running balances computed for ${addresses.length} addresses`);
+  }
+
   /**
    * Track invites from transactions
    * Creates invite records for InviteTx and ActivationTx transactions
@@ -295,7 +966,7 @@ class SyncService {
     try {
       const invites = [];
       const activations = [];
-      const blockMap = new Map(blocks.map(b => [b.height, b]));
+      const blockMap = new Map(blocks.map((b) => [b.height, b]));
 
       // Invite-related transaction types
       const inviteTypes = ['invite', 'InviteTx'];
@@ -307,9 +978,7 @@ class SyncService {
         const epoch = block?.epoch || 0;
 
         // Check for invite transactions
-        const isInvite = inviteTypes.some(t =>
-          tx.type?.toLowerCase().includes(t.toLowerCase())
-        );
+        const isInvite = inviteTypes.some((t) => tx.type?.toLowerCase().includes(t.toLowerCase()));
 
         if (isInvite && tx.from) {
           invites.push({
@@ -326,7 +995,7 @@ class SyncService {
         }
 
         // Check for activation transactions
-        const isActivation = activationTypes.some(t =>
+        const isActivation = activationTypes.some((t) =>
           tx.type?.toLowerCase().includes(t.toLowerCase())
         );
 
@@ -364,76 +1033,217 @@ class SyncService {
     }
   }
 
+  /**
+   * Track mid-epoch identity changes (kills, online status, delegation)
+   * so the identity timeline shows more than epoch-start snapshots
+   */
+  _trackIdentityChangesFromTransactions(transactions, blocks) {
+    try {
+      const changes = [];
+      const blockMap = new Map(blocks.map((b) => [b.height, b]));
+
+      for (const tx of transactions) {
+        const change = this._identityChangeFromTransaction(tx);
+        if (!change) {
+          continue;
+        }
+
+        const block = blockMap.get(tx.blockHeight);
+        changes.push({
+          ...change,
+          epoch: block?.epoch || 0,
+          txHash: tx.hash,
+          blockHeight: tx.blockHeight,
+          timestamp: block?.timestamp || tx.timestamp,
+        });
+      }
+
+      if (changes.length > 0) {
+        historyDB.insertIdentityChangesBatch(changes);
+      }
+    } catch (error) {
+      console.error('Failed to track identity changes:', error.message);
+    }
+  }
+
+  /**
+   * Map an identity-affecting transaction to the change it causes
+   */
+  _identityChangeFromTransaction(tx) {
+    switch (tx.type) {
+      case 'kill':
+      case 'KillTx':
+        return { address: tx.from, changeType: 'killed', newState: 'Killed' };
+      case 'killInvitee':
+      case 'KillInviteeTx':
+        return tx.to
+          ? { address: tx.to, changeType: 'killed', newState: 'Killed', counterparty: tx.from }
+          : null;
+      case 'online':
+      case 'OnlineStatusTx':
+        // Payload is the RLP-encoded attachment: 0x01 = online, 0x80 (empty) = offline
+        return {
+          address: tx.from,
+          changeType: tx.payload?.toLowerCase().endsWith('01') ? 'online' : 'offline',
+        };
+      case 'delegate':
+      case 'DelegateTx':
+        return { address: tx.from, changeType: 'delegated', counterparty: tx.to };
+      case 'undelegate':
+      case 'UndelegateTx':
+        return { address: tx.from, changeType: 'undelegated' };
+      case 'killDelegator':
+      case 'KillDelegatorTx':
+        return tx.to ? { address: tx.to, changeType: 'undelegated', counterparty: tx.from } : null;
+      default:
+        return null;
+    }
+  }
+
   /**
    * Track contracts from transactions
-   * Creates contract and contract_call records for contract-related transactions
+   * Creates contract, contract_call and contract_event records for contract-related
+   * transactions, using the transaction receipts for the call outcome and events
    */
-  _trackContractsFromTransactions(transactions, blocks) {
+  async _trackContractsFromTransactions(transactions, blocks, prefetchedReceipts = null) {
     try {
       const contracts = [];
       const contractCalls = [];
-      const blockMap = new Map(blocks.map(b => [b.height, b]));
+      const contractEvents = [];
+      const feeCorrected = [];
+      const blockMap = new Map(blocks.map((b) => [b.height, b]));
 
       // Contract-related transaction types
       const deployTypes = ['DeployContractTx', 'deploy_contract', 'deployContract'];
       const callTypes = ['CallContractTx', 'call_contract', 'callContract'];
       const terminateTypes = ['TerminateContractTx', 'terminate_contract', 'terminateContract'];
+      const isType = (tx, types) =>
+        types.some((t) => tx.type?.toLowerCase().includes(t.toLowerCase()));
 
-      for (const tx of transactions) {
+      const contractTxs = transactions.filter(
+        (tx) => isType(tx, deployTypes) || isType(tx, callTypes) || isType(tx, terminateTypes)
+      );
+      if (contractTxs.length === 0) {
+        return;
+      }
+
+      // Receipts fetched along with the transaction (for its fee) are reused
+      const receipts =
+        prefetchedReceipts ||
+        (await this._fetchReceipts(contractTxs.filter((tx) => !tx.receipt).map((tx) => tx.hash)));
+
+      for (const tx of contractTxs) {
         const block = blockMap.get(tx.blockHeight);
         const timestamp = block?.timestamp || tx.timestamp;
         const epoch = block?.epoch || 0;
+        const receipt = receipts.get(tx.hash) || tx.receipt;
 
-        // Check for contract deployment
-        const isDeploy = deployTypes.some(t =>
-          tx.type?.toLowerCase().includes(t.toLowerCase())
-        );
+        // Without a receipt the outcome is unknown until the repair pass refetches it
+        if (!receipt) {
+          historyDB.recordSyncFailure({
+            kind: 'receipt',
+            blockHeight: tx.blockHeight,
+            txHash: tx.hash,
+            txIndex: tx.txIndex,
+            error: 'Receipt not available',
+          });
+        }
+
+        const outcome = {
+          success: receipt ? receipt.success !== false : null,
+          gasUsed: receipt?.gasUsed ?? null,
+          usedFee: receipt?.txFee || null,
+          error: receipt?.error || null,
+        };
+
+        // The receipt has the fee actually charged
+        if (receipt?.txFee) {
+          const sender = historyDB.updateTransactionFee(tx.hash, receipt.txFee);
+          if (sender) {
+            feeCorrected.push(sender);
+          }
+        }
+
+        // Events emitted during the call, possibly by other contracts it called
+        (receipt?.events || []).forEach((event, logIndex) => {
+          const contractAddress = event.contract || receipt.contract || tx.to;
+          if (!contractAddress || !event.event) {
+            return;
+          }
 
-        if (isDeploy && tx.from) {
-          // For deploy, the contract address is typically in tx.to or derived from tx
-          const contractAddress = tx.to || tx.contractAddress || this._deriveContractAddress(tx.from, tx.nonce);
+          contractEvents.push({
+            txHash: tx.hash,
+            logIndex,
+            contractAddress,
+            eventName: event.event,
+            args: event.args || [],
+            blockHeight: tx.blockHeight,
+            timestamp,
+          });
+        });
+
+        // Check for contract deployment
+        if (isType(tx, deployTypes) && tx.from) {
+          // The receipt reports the deployed address; fall back to tx.to or derivation
+          // (which needs the block's epoch, so unknown blocks are left to _reconcileContracts)
+          const contractAddress =
+            receipt?.contract ||
+            tx.to ||
+            tx.contractAddress ||
+            (block ? this._deriveContractAddress(tx.from, block.epoch, tx.nonce) : null);
 
           if (contractAddress) {
+            const deploy = tx.payload ? decodeDeployPayload(tx.payload) : null;
+
             contracts.push({
               address: contractAddress,
               deployTxHash: tx.hash,
               deployer: tx.from,
-              codeHash: tx.payload?.codeHash || null,
+              codeHash: deploy?.codeHash || null,
+              type: deploy?.type || null,
               stake: tx.amount || '0',
-              state: 'active',
+              state: outcome.success === false ? 'failed' : 'active',
               epoch: epoch,
               blockHeight: tx.blockHeight,
               timestamp,
             });
+
+            // Also log as a contract call so failed deploys are visible
+            contractCalls.push({
+              txHash: tx.hash,
+              contractAddress,
+              caller: tx.from,
+              method: 'deploy',
+              args: deploy?.args || null,
+              amount: tx.amount || '0',
+              ...outcome,
+              blockHeight: tx.blockHeight,
+              timestamp,
+            });
           }
         }
 
         // Check for contract calls
-        const isCall = callTypes.some(t =>
-          tx.type?.toLowerCase().includes(t.toLowerCase())
-        );
-
-        if (isCall && tx.to) {
+        if (isType(tx, callTypes) && tx.to) {
           contractCalls.push({
             txHash: tx.hash,
             contractAddress: tx.to,
             caller: tx.from,
-            method: tx.payload?.method || null,
+            method: receipt?.method || null,
+            payload: tx.payload, // decoded below once the contract type is known
             amount: tx.amount || '0',
-            success: true, // We can't determine failure from tx alone
+            ...outcome,
             blockHeight: tx.blockHeight,
             timestamp,
           });
         }
 
         // Check for contract termination
-        const isTerminate = terminateTypes.some(t =>
-          tx.type?.toLowerCase().includes(t.toLowerCase())
-        );
-
-        if (isTerminate && tx.to) {
+        if (isType(tx, terminateTypes) && tx.to) {
           // Update contract state to terminated
-          historyDB.updateContractState(tx.to, 'terminated');
+          if (outcome.success) {
+            historyDB.updateContractState(tx.to, 'terminated');
+          }
 
           // Also log as a contract call
           contractCalls.push({
@@ -442,7 +1252,7 @@ class SyncService {
             caller: tx.from,
             method: 'terminate',
             amount: tx.amount || '0',
-            success: true,
+            ...outcome,
             blockHeight: tx.blockHeight,
             timestamp,
           });
@@ -457,14 +1267,17 @@ class SyncService {
       // Before inserting contract calls, ensure all referenced contracts exist
       // This handles cases where contracts were deployed before our sync range
       if (contractCalls.length > 0) {
-        const uniqueContractAddresses = [...new Set(contractCalls.map(c => c.contractAddress))];
+        const uniqueContractAddresses = [...new Set(contractCalls.map((c) => c.contractAddress))];
         const missingContracts = [];
 
+        const contractTypes = new Map();
+
         for (const addr of uniqueContractAddresses) {
           const existing = historyDB.getContract(addr);
+          contractTypes.set(addr, existing?.type || null);
           if (!existing) {
             // Find the first call to this contract to get metadata
-            const firstCall = contractCalls.find(c => c.contractAddress === addr);
+            const firstCall = contractCalls.find((c) => c.contractAddress === addr);
             missingContracts.push({
               address: addr,
               deployTxHash: 'unknown', // Deployed before our sync range
@@ -484,33 +1297,150 @@ class SyncService {
           historyDB.insertContractsBatch(missingContracts);
         }
 
+        // Decode method and arguments with the layout of the contract's built-in type
+        for (const call of contractCalls) {
+          if (call.payload) {
+            const decoded = decodeCallPayload(
+              call.payload,
+              contractTypes.get(call.contractAddress)
+            );
+            call.method = call.method || decoded?.method || null;
+            call.args = decoded?.args || null;
+          }
+          delete call.payload;
+        }
+
         // Now insert contract calls
         historyDB.insertContractCallsBatch(contractCalls);
       }
+
+      if (contractEvents.length > 0) {
+        historyDB.insertContractEventsBatch(contractEvents);
+      }
+
+      if (feeCorrected.length > 0 && this.balanceTrackingEnabled) {
+        await this._updateRunningBalances(feeCorrected);
+      }
     } catch (error) {
       console.error('Failed to track contracts:', error.message);
     }
   }
 
   /**
-   * Derive contract address from deployer and nonce
-   * This is a simplified version - actual derivation depends on Idena's implementation
+   * Fetch transaction receipts, keyed by hash
+   */
+  _fetchReceipts(hashes) {
+    return this._fetchByHash('bcn_txReceipt', hashes);
+  }
+
+  /**
+   * Call a per-transaction RPC method for each hash, keyed by hash
+   * Results that cannot be fetched are left out
+   */
+  async _fetchByHash(method, hashes) {
+    const results = new Map();
+
+    await Promise.all(
+      hashes.map(async (hash) => {
+        try {
+          const result = await this._withRetry(() => this.rpc.batchCall(method, [hash]));
+          if (result) {
+            results.set(hash, result);
+          }
+        } catch (error) {
+          console.error(`Failed to fetch ${method} for ${hash}:`, error.message);
+        }
+      })
+    );
+
+    return results;
+  }
+
+  /**
+   * Derive contract address from deployer, epoch and nonce
+   * Matches idena-go's ComputeContractAddr: the last 20 bytes of
+   * keccak256(deployer || uint16 LE epoch || uint32 LE nonce)
+   */
+  _deriveContractAddress(deployer, epoch, nonce) {
+    if (
+      !deployer ||
+      epoch === null ||
+      epoch === undefined ||
+      nonce === null ||
+      nonce === undefined
+    ) {
+      return null;
+    }
+
+    const from = Buffer.from(deployer.replace(/^0x/i, ''), 'hex');
+    if (from.length !== 20) {
+      return null;
+    }
+
+    const data = Buffer.alloc(26);
+    from.copy(data, 0);
+    data.writeUInt16LE(epoch, 20);
+    data.writeUInt32LE(nonce, 22);
+
+    return `0x${Buffer.from(keccak256(data)).subarray(12).toString('hex')}`;
+  }
+
+  /**
+   * Create contract rows for stored deploys that have none yet: deploys synced
+   * before their address could be determined, or found by backfill after calls
+   * to the contract created a placeholder row (which is upgraded in place)
    */
-  _deriveContractAddress(deployer, _nonce) {
-    // In Idena, contract address derivation may differ from Ethereum
-    // This is a placeholder - actual implementation would need to match Idena's algorithm
-    if (!deployer) {return null;}
+  async _reconcileContracts() {
+    const deploys = historyDB.getUnlinkedDeployTransactions(this.batchSize);
+    if (!deploys || deploys.length === 0) {
+      return;
+    }
+
+    // Payloads are not stored, so refetch them to recognize the contract type
+    const hashes = deploys.map((tx) => tx.hash);
+    const [receipts, fetched] = await Promise.all([
+      this._fetchReceipts(hashes),
+      this._fetchByHash('bcn_transaction', hashes),
+    ]);
+    const contracts = [];
+
+    for (const tx of deploys) {
+      const receipt = receipts.get(tx.hash);
+      const address = receipt?.contract || this._deriveContractAddress(tx.from, tx.epoch, tx.nonce);
+      if (!address) {
+        continue;
+      }
+
+      const payload = fetched.get(tx.hash)?.payload;
+      const deploy = payload ? decodeDeployPayload(payload) : null;
+
+      contracts.push({
+        address,
+        deployTxHash: tx.hash,
+        deployer: tx.from,
+        codeHash: deploy?.codeHash || null,
+        type: deploy?.type || null,
+        stake: tx.amount || '0',
+        state: receipt && receipt.success === false ? 'failed' : 'active',
+        epoch: tx.epoch,
+        blockHeight: tx.blockHeight,
+        timestamp: tx.timestamp,
+      });
+    }
 
-    // For now, return null and rely on tx.to containing the contract address
-    // In production, this should implement Idena's address derivation
-    return null;
+    if (contracts.length > 0) {
+      historyDB.insertContractsBatch(contracts);
+      console.log(`Linked ${contracts.length} contract deploys`);
+    }
   }
 
   /**
    * Detect epoch boundaries in a batch of blocks
    */
   async _detectEpochBoundaries(blocks) {
-    if (!blocks.length) {return;}
+    if (!blocks.length) {
+      return;
+    }
 
     // Sort blocks by height to process in order
     const sortedBlocks = [...blocks].sort((a, b) => a.height - b.height);
@@ -534,15 +1464,18 @@ class SyncService {
       // Epoch changed - handle boundary
       if (currentEpoch !== this.lastSeenEpoch) {
         // Close the previous epoch
-        const prevBlock = sortedBlocks.find(b => b.epoch === this.lastSeenEpoch && b.height < block.height);
+        const prevBlock = sortedBlocks.find(
+          (b) => b.epoch === this.lastSeenEpoch && b.height < block.height
+        );
         if (prevBlock) {
           await this._closeEpoch(this.lastSeenEpoch, prevBlock);
         }
 
         // Fetch rewards for the closed epoch (after validation is complete)
         if (this.epochSnapshotEnabled && this.lastSeenEpoch !== null) {
-          await this._fetchEpochRewards(this.lastSeenEpoch);
+          await this._fetchEpochRewards(this.lastSeenEpoch, block);
         }
+        this.emit('epochClosed', { epoch: this.lastSeenEpoch, nextEpochBlock: block.height });
 
         // Create new epoch
         await this._createEpoch(currentEpoch, block);
@@ -564,7 +1497,9 @@ class SyncService {
   _createEpoch(epochNum, firstBlock) {
     // Check if epoch already exists
     const existing = historyDB.getEpoch(epochNum);
-    if (existing) {return;}
+    if (existing) {
+      return;
+    }
 
     historyDB.insertEpoch({
       epoch: epochNum,
@@ -591,16 +1526,8 @@ class SyncService {
   /**
    * Calculate statistics for an epoch
    */
-  _calculateEpochStats(_epochNum) {
-    // Count blocks and transactions in this epoch - can be enhanced later
-    // const stats = historyDB.getStats();
-    return {
-      blockCount: null, // Will be calculated from end_block - start_block
-      txCount: null,
-      validatedCount: null,
-      flipCount: null,
-      inviteCount: null,
-    };
+  _calculateEpochStats(epochNum) {
+    return historyDB.computeEpochStats(epochNum) || {};
   }
 
   /**
@@ -618,18 +1545,30 @@ class SyncService {
 
       // Transform to identity state records
       const identityStates = identities
-        .filter(id => id && id.address && id.state)
-        .map(id => ({
+        .filter((id) => id && id.address && id.state)
+        .map((id) => ({
           address: id.address,
           epoch: epochNum,
           state: id.state,
-          prevState: null, // Could be looked up from previous epoch
           blockHeight: block.height,
           timestamp: block.timestamp,
         }));
 
       if (identityStates.length > 0) {
-        historyDB.insertIdentityStatesBatch(identityStates);
+        const changed = historyDB.insertIdentityStatesBatch(identityStates) || [];
+        this.snapshotChanges.set(
+          block.height,
+          changed.map((change) => ({
+            address: change.address,
+            changeType: 'snapshot',
+            prevState: change.prevState,
+            newState: change.state,
+            epoch: epochNum,
+            txHash: null,
+            blockHeight: block.height,
+            timestamp: block.timestamp,
+          }))
+        );
         console.log(`Snapshotted ${identityStates.length} identity states for epoch ${epochNum}`);
       }
 
@@ -648,13 +1587,13 @@ class SyncService {
       const addressStates = [];
 
       // Fetch balances in batches
-      const addresses = identities.map(id => id.address).filter(Boolean);
+      const addresses = identities.map((id) => id.address).filter(Boolean);
 
       for (let i = 0; i < addresses.length; i += this.concurrency) {
         const batch = addresses.slice(i, i + this.concurrency);
-        const balancePromises = batch.map(async addr => {
+        const balancePromises = batch.map(async (addr) => {
           try {
-            const balance = await this.rpc.call('dna_getBalance', [addr]);
+            const balance = await this.rpc.batchCall('dna_getBalance', [addr]);
             return {
               address: addr,
               epoch: epochNum,
@@ -683,9 +1622,16 @@ class SyncService {
   /**
    * Fetch and store rewards for a completed epoch
    * Called after epoch closes (when new epoch starts)
+   * @param {number} epochNum - Epoch that closed
+   * @param {object} boundaryBlock - First block of the next epoch, where rewards and penalties are applied
    */
-  async _fetchEpochRewards(epochNum) {
-    if (!this.epochSnapshotEnabled) {return;}
+  async _fetchEpochRewards(epochNum, boundaryBlock = null) {
+    if (!this.epochSnapshotEnabled) {
+      return;
+    }
+
+    const appliedHeight = boundaryBlock?.height ?? null;
+    const appliedTimestamp = boundaryBlock?.timestamp ?? Math.floor(Date.now() / 1000);
 
     try {
       // Get all identities that were active in this epoch
@@ -699,17 +1645,17 @@ class SyncService {
       const rewards = [];
       const validationResults = [];
       const penalties = [];
-      const addresses = identityStates.data.map(ids => ids.address);
+      const addresses = identityStates.data.map((ids) => ids.address);
 
       // Fetch rewards in batches
       for (let i = 0; i < addresses.length; i += this.concurrency) {
         const batch = addresses.slice(i, i + this.concurrency);
 
-        const fetchPromises = batch.map(async addr => {
+        const fetchPromises = batch.map(async (addr) => {
           try {
             // Try to fetch epoch rewards for identity
             // Note: This RPC call may vary depending on Idena node version
-            const epochIdentity = await this.rpc.call('dna_epochIdentity', [addr, epochNum]);
+            const epochIdentity = await this.rpc.batchCall('dna_epochIdentity', [addr, epochNum]);
 
             if (epochIdentity) {
               // Extract validation results
@@ -717,9 +1663,9 @@ class SyncService {
                 address: addr,
                 epoch: epochNum,
                 shortAnswers: epochIdentity.shortAnswers || 0,
-                shortCorrect: epochIdentity.shortFlips?.filter(f => f.gradeScore > 0).length || 0,
+                shortCorrect: epochIdentity.shortFlips?.filter((f) => f.gradeScore > 0).length || 0,
                 longAnswers: epochIdentity.longAnswers || 0,
-                longCorrect: epochIdentity.longFlips?.filter(f => f.gradeScore > 0).length || 0,
+                longCorrect: epochIdentity.longFlips?.filter((f) => f.gradeScore > 0).length || 0,
                 madeFlips: epochIdentity.madeFlips || 0,
                 qualifiedFlips: epochIdentity.madeFlips || 0,
                 totalReward: epochIdentity.totalReward || '0',
@@ -752,9 +1698,11 @@ class SyncService {
                   address: addr,
                   epoch: epochNum,
                   penalty: epochIdentity.penalty,
-                  reason: epochIdentity.penaltyReason || (validationResult.missedValidation ? 'missed_validation' : 'other'),
-                  blockHeight: null,
-                  timestamp: Math.floor(Date.now() / 1000),
+                  reason:
+                    epochIdentity.penaltyReason ||
+                    (validationResult.missedValidation ? 'missed_validation' : 'other'),
+                  blockHeight: appliedHeight,
+                  timestamp: appliedTimestamp,
                 });
               }
 
@@ -765,8 +1713,8 @@ class SyncService {
                   epoch: epochNum,
                   penalty: epochIdentity.badFlipPenalty,
                   reason: 'bad_flip',
-                  blockHeight: null,
-                  timestamp: Math.floor(Date.now() / 1000),
+                  blockHeight: appliedHeight,
+                  timestamp: appliedTimestamp,
                 });
               }
 
@@ -788,22 +1736,22 @@ class SyncService {
         historyDB.insertRewardsBatch(rewards);
         console.log(`Stored ${rewards.length} reward entries for epoch ${epochNum}`);
 
-        // Also track rewards as balance changes
-        if (this.balanceTrackingEnabled) {
+        // Also track rewards as balance changes (paid in the first block of the next epoch)
+        if (this.balanceTrackingEnabled && appliedHeight !== null) {
           const rewardBalanceChanges = rewards
-            .filter(r => r.amount && r.amount !== '0')
-            .map(r => ({
+            .filter((r) => r.amount && r.amount !== '0')
+            .map((r) => ({
               address: r.address,
-              blockHeight: null, // Rewards are epoch-level, not block-level
+              blockHeight: appliedHeight,
               txHash: null,
               changeType: 'reward',
               amount: r.amount,
-              balanceAfter: null,
-              timestamp: Math.floor(Date.now() / 1000), // Use current time as approximation
+              timestamp: appliedTimestamp,
             }));
 
           if (rewardBalanceChanges.length > 0) {
             historyDB.insertBalanceChangesBatch(rewardBalanceChanges);
+            await this._updateRunningBalances(rewardBalanceChanges.map((c) => c.address));
           }
         }
       }
@@ -819,21 +1767,21 @@ class SyncService {
         console.log(`Stored ${penalties.length} penalties for epoch ${epochNum}`);
 
         // Also track penalties as balance changes
-        if (this.balanceTrackingEnabled) {
+        if (this.balanceTrackingEnabled && appliedHeight !== null) {
           const penaltyBalanceChanges = penalties
-            .filter(p => p.penalty && p.penalty !== '0')
-            .map(p => ({
+            .filter((p) => p.penalty && p.penalty !== '0')
+            .map((p) => ({
               address: p.address,
               blockHeight: p.blockHeight,
               txHash: null,
               changeType: 'penalty',
               amount: `-${p.penalty}`, // Negative for penalty
-              balanceAfter: null,
               timestamp: p.timestamp,
             }));
 
           if (penaltyBalanceChanges.length > 0) {
             historyDB.insertBalanceChangesBatch(penaltyBalanceChanges);
+            await this._updateRunningBalances(penaltyBalanceChanges.map((c) => c.address));
           }
         }
       }
@@ -847,12 +1795,16 @@ class SyncService {
    * This can be used as a fallback if epoch-specific RPC calls aren't available
    */
   _calculateRewardsFromStates(epochNum) {
-    if (!this.epochSnapshotEnabled) {return;}
+    if (!this.epochSnapshotEnabled) {
+      return;
+    }
 
     try {
       // Get identity states for this epoch
       const currentStates = historyDB.getEpochIdentities(epochNum, { limit: 10000, offset: 0 });
-      if (!currentStates.data || currentStates.data.length === 0) {return;}
+      if (!currentStates.data || currentStates.data.length === 0) {
+        return;
+      }
 
       const validationResults = [];
 
@@ -877,7 +1829,9 @@ class SyncService {
 
       if (validationResults.length > 0) {
         historyDB.insertValidationResultsBatch(validationResults);
-        console.log(`Calculated ${validationResults.length} validation results for epoch ${epochNum} from state transitions`);
+        console.log(
+          `Calculated ${validationResults.length} validation results for epoch ${epochNum} from state transitions`
+        );
       }
     } catch (error) {
       console.error(`Failed to calculate rewards for epoch ${epochNum}:`, error.message);
@@ -905,12 +1859,19 @@ class SyncService {
   }
 
   /**
-   * Fetch a single block
+   * Fetch a single block (queued in sync_failures if retries are exhausted)
    */
   async _fetchBlock(height) {
     try {
-      const block = await this.rpc.call('bcn_blockAt', [height]);
-      if (!block) {return null;}
+      const block = await this._withRetry(() => this.rpc.batchCall('bcn_blockAt', [height]));
+      if (!block) {
+        historyDB.recordSyncFailure({
+          kind: 'block',
+          blockHeight: height,
+          error: 'Block not returned by node',
+        });
+        return null;
+      }
 
       return {
         height: block.height,
@@ -918,21 +1879,22 @@ class SyncService {
         timestamp: block.timestamp,
         epoch: block.epoch || 0,
         proposer: block.coinbase || block.proposer,
+        parentHash: block.parentHash || null,
         txCount: block.transactions?.length || 0,
         transactions: block.transactions || [],
       };
-    } catch {
-      // Block might not exist yet
+    } catch (error) {
+      historyDB.recordSyncFailure({ kind: 'block', blockHeight: height, error: error.message });
       return null;
     }
   }
 
   /**
-   * Fetch a single transaction
+   * Fetch a single transaction (queued in sync_failures if retries are exhausted)
    */
   async _fetchTransaction(hash, blockHeight, blockTimestamp, txIndex) {
     try {
-      const tx = await this.rpc.call('bcn_transaction', [hash]);
+      const tx = await this._withRetry(() => this.rpc.batchCall('bcn_transaction', [hash]));
 
       // During fast sync, transaction details might not be available
       if (!tx) {
@@ -951,6 +1913,14 @@ class SyncService {
         };
       }
 
+      // usedFee is the fee actually charged (maxFee is only the sender's cap);
+      // without it the receipt's txFee is used
+      let receipt = null;
+      if (!tx.usedFee) {
+        const receipts = await this._fetchReceipts([hash]);
+        receipt = receipts.get(hash) || null;
+      }
+
       return {
         hash: tx.hash,
         blockHeight,
@@ -959,11 +1929,20 @@ class SyncService {
         from: tx.from,
         to: tx.to,
         amount: tx.amount || '0',
-        fee: tx.maxFee || tx.fee || '0',
+        fee: tx.usedFee || receipt?.txFee || tx.fee || '0',
         nonce: tx.nonce,
         timestamp: blockTimestamp,
+        payload: tx.payload || null, // not stored, used by the trackers
+        receipt, // not stored, reused by contract tracking instead of a second fetch
       };
-    } catch {
+    } catch (error) {
+      historyDB.recordSyncFailure({
+        kind: 'transaction',
+        blockHeight,
+        txHash: hash,
+        txIndex,
+        error: error.message,
+      });
       return null;
     }
   }
@@ -979,6 +1958,8 @@ class SyncService {
       enabled: this.enabled,
       running: this.isRunning,
       ...dbStatus,
+      lastReorg: historyDB.getLastReorg(),
+      failures: historyDB.getSyncFailureSummary(),
       database: dbStats,
     };
   }
@@ -987,7 +1968,7 @@ class SyncService {
    * Sleep helper
    */
   _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+    return new Promise((resolve) => setTimeout(resolve, ms));
   }
 }
 
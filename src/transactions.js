@@ -0,0 +1,183 @@
+/**
+ * Raw Transaction Decoding
+ *
+ * Signed transactions are submitted as hex-encoded ProtoTransaction messages:
+ * a Data submessage (nonce, epoch, type, to, amount, maxFee, tips, payload)
+ * and a 65-byte recoverable secp256k1 signature over keccak256(Data). The
+ * sender isn't part of the message, so it is recovered from the signature.
+ */
+
+const { keccak_256: keccak256 } = require('@noble/hashes/sha3');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+const { fromAtomic, toAtomic } = require('./amounts');
+const { decodeFields, getField, hexToBuffer } = require('./protobuf');
+
+// Type codes follow idena-go's blockchain/types, names follow the node API
+const TX_TYPES = [
+  'send',
+  'activation',
+  'invite',
+  'kill',
+  'submitFlip',
+  'submitHash',
+  'submitShortAnswers',
+  'submitLongAnswers',
+  'evidence',
+  'online',
+  'killInvitee',
+  'changeGodAddress',
+  'burn',
+  'changeProfile',
+  'deleteFlip',
+  'deployContract',
+  'callContract',
+  'terminateContract',
+  'delegate',
+  'undelegate',
+  'killDelegator',
+  'storeToIpfs',
+  'replenishStake',
+];
+
+const toHex = (bytes) => `0x${Buffer.from(bytes).toString('hex')}`;
+
+/**
+ * Decode a big-endian amount field as iDNA
+ */
+function decodeAmount(bytes) {
+  return bytes && bytes.length > 0 ? fromAtomic(BigInt(toHex(bytes))) : '0';
+}
+
+/**
+ * Recover the sender address from a signature over the Data bytes
+ * @returns {string|null} - null when the signature is missing or invalid
+ */
+function recoverSender(data, signature) {
+  if (!signature || signature.length !== 65) {
+    return null;
+  }
+
+  try {
+    const recovery = signature[64] >= 27 ? signature[64] - 27 : signature[64];
+    const publicKey = secp256k1.Signature.fromCompact(signature.subarray(0, 64))
+      .addRecoveryBit(recovery)
+      .recoverPublicKey(keccak256(data))
+      .toRawBytes(false);
+    // Address is the last 20 bytes of the hash of the uncompressed key without its 0x04 prefix
+    return toHex(keccak256(publicKey.subarray(1)).subarray(-20));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode a signed raw transaction
+ * @param {string} raw - Hex-encoded ProtoTransaction
+ * @returns {object} - { hash, from, to, type, typeCode, nonce, epoch, amount, maxFee, tips, payload, signature }
+ * @throws {Error} - When the input isn't a transaction
+ */
+function decodeRawTransaction(raw) {
+  const bytes = hexToBuffer(raw);
+  const fields = decodeFields(bytes);
+  const data = getField(fields, 1);
+
+  if (!Buffer.isBuffer(data)) {
+    throw new Error('Invalid transaction: missing data');
+  }
+  if (getField(fields, 3)) {
+    throw new Error('Invalid transaction: RLP-signed transactions are not supported');
+  }
+
+  const dataFields = decodeFields(data);
+  const signature = getField(fields, 2);
+  const to = getField(dataFields, 4);
+  const payload = getField(dataFields, 8);
+  const typeCode = Number(getField(dataFields, 3) || 0n);
+
+  return {
+    hash: toHex(keccak256(bytes)),
+    from: recoverSender(data, signature),
+    to: to && to.length > 0 ? toHex(to) : null,
+    type: TX_TYPES[typeCode] || null,
+    typeCode,
+    nonce: Number(getField(dataFields, 1) || 0n),
+    epoch: Number(getField(dataFields, 2) || 0n),
+    amount: decodeAmount(getField(dataFields, 5)),
+    maxFee: decodeAmount(getField(dataFields, 6)),
+    tips: decodeAmount(getField(dataFields, 7)),
+    payload: payload && payload.length > 0 ? toHex(payload) : null,
+    signature: signature ? toHex(signature) : null,
+  };
+}
+
+/**
+ * The sender's last used nonce for an epoch. Nonces restart every epoch: the
+ * node's mempoolNonce already accounts for that (and for pending
+ * transactions); without it the state nonce counts only when the account's
+ * epoch is not older than the given one.
+ * @param {object} balance - dna_getBalance result, optionally with the account's epoch
+ * @param {number} [epoch] - Epoch the nonce is for; without it the account's epoch is not checked
+ * @returns {number}
+ */
+function epochNonce(balance, epoch) {
+  if (balance.mempoolNonce !== undefined && balance.mempoolNonce !== null) {
+    return Number(balance.mempoolNonce);
+  }
+  if (balance.epoch !== undefined && balance.epoch !== null && balance.epoch < epoch) {
+    return 0;
+  }
+  return Number(balance.nonce || 0);
+}
+
+/**
+ * Check a decoded transaction against the sender's current state, mirroring
+ * the node's own mempool checks so clients get a specific reason
+ * @param {object} tx - Decoded transaction with a recovered sender
+ * @param {object} state - { epoch: dna_epoch result, balance: dna_getBalance result }
+ * @returns {object|null} - Rejection { code, message, ...details } or null when valid
+ */
+function validateTransaction(tx, { epoch, balance }) {
+  if (tx.type === null) {
+    return { code: 'UNKNOWN_TYPE', message: `Unknown transaction type ${tx.typeCode}` };
+  }
+
+  if (tx.epoch !== epoch.epoch) {
+    return {
+      code: 'EPOCH_MISMATCH',
+      message: `Transaction epoch ${tx.epoch} does not match current epoch ${epoch.epoch}`,
+      expected: epoch.epoch,
+      actual: tx.epoch,
+    };
+  }
+
+  const nonce = epochNonce(balance, tx.epoch);
+  if (tx.nonce <= nonce) {
+    return {
+      code: 'NONCE_TOO_LOW',
+      message: `Nonce ${tx.nonce} has already been used`,
+      expected: nonce + 1,
+      actual: tx.nonce,
+    };
+  }
+
+  const required = toAtomic(tx.amount) + toAtomic(tx.maxFee) + toAtomic(tx.tips);
+  const available = toAtomic(balance.balance);
+  if (required > available) {
+    return {
+      code: 'INSUFFICIENT_BALANCE',
+      message: 'Balance does not cover amount, max fee and tips',
+      required: fromAtomic(required),
+      available: fromAtomic(available),
+    };
+  }
+
+  return null;
+}
+
+module.exports = {
+  TX_TYPES,
+  decodeRawTransaction,
+  recoverSender,
+  epochNonce,
+  validateTransaction,
+};
@@ -0,0 +1,345 @@
+/**
+ * Watchlist Alerts
+ *
+ * Evaluates the alert rules of every watchlist after each stored sync batch,
+ * for the watched addresses with activity in the batch that a rule depends
+ * on, and checks validation results when an epoch closes. The work runs on
+ * the next turn of the event loop rather than inside the sync's emit. Fired
+ * alerts are stored per watchlist.
+ *
+ * Rules:
+ *   balanceBelow     { threshold }   balance dropped below threshold iDNA
+ *   stakeDropped                     stake decreased since the last check
+ *   identityState    { states }      identity entered one of states (default Zombie, Killed)
+ *   missedValidation                 identity missed the validation of a closed epoch
+ *   penaltyReceived                  a new penalty was recorded
+ *   inviteActivated                  an invite sent by the address was activated
+ *
+ * Balance, stake and identity state are read live: the newest running
+ * balance, the epoch's stake with stake transactions and kills applied, and
+ * the newest identity snapshot or mid-epoch change. Changes are detected
+ * against the last observed value per watchlist, address and rule. The first observation only records a baseline, except
+ * for balanceBelow and identityState, which fire if the condition already holds.
+ */
+
+const historyDB = require('./db');
+const syncService = require('./sync');
+const { toAtomic } = require('./amounts');
+
+const RULE_TYPES = [
+  'balanceBelow',
+  'stakeDropped',
+  'identityState',
+  'missedValidation',
+  'penaltyReceived',
+  'inviteActivated',
+];
+const DEFAULT_ALERT_STATES = ['Zombie', 'Killed'];
+const RECENT_LIMIT = 100; // newest penalties/invites read per check
+
+// Stored activity that can change what each rule checks
+const RULE_ACTIVITY = {
+  balanceBelow: ['balance'],
+  stakeDropped: ['balance', 'identity'],
+  identityState: ['identity'],
+  missedValidation: [],
+  penaltyReceived: ['penalty'],
+  inviteActivated: ['invite'],
+};
+
+// Live values read by the rules
+const READERS = {
+  balance: (address) => historyDB.getLatestBalance(address),
+  stake: (address) => historyDB.getLatestStake(address),
+  identity: (address) => historyDB.getLatestIdentityState(address),
+};
+
+class WatchlistService {
+  constructor() {
+    this.enabled = process.env.WATCHLISTS_ENABLED !== 'false';
+    this.isRunning = false;
+    this.source = null;
+    this.queue = [];
+    this.immediate = null;
+    this.onStored = (range) => this._defer(() => this.evaluate(range));
+    this.onEpochClosed = ({ epoch }) => this._defer(() => this.evaluateEpoch(epoch));
+  }
+
+  /**
+   * Start evaluating rules on sync events
+   * @param {EventEmitter} source - Emits stored and epochClosed events
+   */
+  start(source = syncService) {
+    if (!this.enabled || !historyDB.enabled) {
+      console.log('Watchlist alerts disabled');
+      return;
+    }
+
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    this.source = source;
+    source.on('stored', this.onStored);
+    source.on('epochClosed', this.onEpochClosed);
+  }
+
+  /**
+   * Stop evaluating rules
+   */
+  stop() {
+    this.isRunning = false;
+    if (this.source) {
+      this.source.off('stored', this.onStored);
+      this.source.off('epochClosed', this.onEpochClosed);
+      this.source = null;
+    }
+    clearImmediate(this.immediate);
+    this.immediate = null;
+    this.queue = [];
+  }
+
+  /**
+   * Run a check on the next turn of the event loop, so the sync isn't held
+   * up by it
+   */
+  _defer(task) {
+    this.queue.push(task);
+    if (!this.immediate) {
+      this.immediate = setImmediate(() => {
+        this.immediate = null;
+        for (const queued of this.queue.splice(0)) {
+          this._safely(queued);
+        }
+      });
+    }
+  }
+
+  _safely(fn) {
+    try {
+      fn();
+    } catch (error) {
+      console.error('Watchlist error:', error.message);
+    }
+  }
+
+  /**
+   * Check the rules of every watchlist for the addresses with matching
+   * activity stored in a block range
+   * @returns {number} - Alerts fired
+   */
+  evaluate({ fromBlock, toBlock }) {
+    const watchlists = historyDB.getWatchlists();
+    const kinds = [
+      ...new Set(watchlists.flatMap((w) => w.rules.flatMap((rule) => RULE_ACTIVITY[rule.type]))),
+    ];
+    if (kinds.length === 0) {
+      return 0;
+    }
+
+    const addresses = [...new Set(watchlists.flatMap((w) => w.addresses))];
+    const touched = historyDB.getTouchedAddresses(fromBlock, toBlock, addresses, kinds);
+
+    // Live values are read once per address, shared between watchlists
+    const values = new Map();
+    const live = (name, address) => {
+      const key = `${name}:${address}`;
+      if (!values.has(key)) {
+        values.set(key, READERS[name](address));
+      }
+      return values.get(key);
+    };
+
+    let fired = 0;
+    for (const watchlist of watchlists) {
+      for (const address of watchlist.addresses) {
+        for (const rule of watchlist.rules) {
+          if (RULE_ACTIVITY[rule.type].some((kind) => touched[kind].has(address))) {
+            fired += this._checkRule(watchlist, address, rule, live);
+          }
+        }
+      }
+    }
+
+    return fired;
+  }
+
+  /**
+   * Check missed validations of a closed epoch
+   * @returns {number} - Alerts fired
+   */
+  evaluateEpoch(epoch) {
+    let fired = 0;
+
+    for (const watchlist of historyDB.getWatchlists()) {
+      if (!watchlist.rules.some((rule) => rule.type === 'missedValidation')) {
+        continue;
+      }
+
+      for (const address of watchlist.addresses) {
+        const result = historyDB.getValidationResult(address, epoch);
+        if (result?.missedValidation) {
+          fired += this._fire(watchlist, address, 'missedValidation', `epoch:${epoch}`, {
+            message: `Missed validation in epoch ${epoch}`,
+            epoch,
+          });
+        }
+      }
+    }
+
+    return fired;
+  }
+
+  /**
+   * Evaluate one rule for one address
+   * @returns {number} - Alerts fired
+   */
+  _checkRule(watchlist, address, rule, live) {
+    const observe = (value) =>
+      historyDB.observeWatchlistValue(watchlist.id, address, rule.type, value);
+
+    switch (rule.type) {
+      case 'balanceBelow': {
+        const current = live('balance', address);
+        if (!current) {
+          return 0;
+        }
+        const below = toAtomic(current.balance) < toAtomic(rule.threshold);
+        const previous = observe(below ? 'below' : 'ok');
+        if (!below || previous === 'below') {
+          return 0;
+        }
+        return this._fire(watchlist, address, rule.type, `block:${current.blockHeight}`, {
+          message: `Balance ${current.balance} is below ${rule.threshold}`,
+          details: { balance: current.balance, threshold: rule.threshold },
+          epoch: current.epoch,
+        });
+      }
+
+      case 'stakeDropped': {
+        const current = live('stake', address);
+        if (!current) {
+          return 0;
+        }
+        const previous = observe(current.stake);
+        if (previous === null || toAtomic(current.stake) >= toAtomic(previous)) {
+          return 0;
+        }
+        return this._fire(watchlist, address, rule.type, `block:${current.blockHeight}`, {
+          message: `Stake dropped from ${previous} to ${current.stake}`,
+          details: { previousStake: previous, stake: current.stake },
+          epoch: current.epoch,
+        });
+      }
+
+      case 'identityState': {
+        const current = live('identity', address);
+        if (!current) {
+          return 0;
+        }
+        const { state } = current;
+        const previous = observe(state);
+        const states = rule.states || DEFAULT_ALERT_STATES;
+        if (!states.includes(state) || previous === state) {
+          return 0;
+        }
+        return this._fire(
+          watchlist,
+          address,
+          rule.type,
+          `${state}:${current.epoch}:${current.blockHeight}`,
+          {
+            message: `Identity became ${state}`,
+            details: { previousState: previous, state },
+            epoch: current.epoch,
+          }
+        );
+      }
+
+      case 'penaltyReceived': {
+        const { data, total } = historyDB.getAddressPenalties(address, { limit: RECENT_LIMIT });
+        const previous = observe(String(total));
+        if (previous === null) {
+          return 0;
+        }
+        // Newest first, so the new penalties lead the list
+        return data.slice(0, Math.max(0, total - Number(previous))).reduce(
+          (fired, penalty) =>
+            fired +
+            this._fire(
+              watchlist,
+              address,
+              rule.type,
+              `${penalty.epoch}:${penalty.blockHeight}:${penalty.penalty}`,
+              {
+                message: `Penalty of ${penalty.penalty} in epoch ${penalty.epoch}`,
+                details: penalty,
+                epoch: penalty.epoch,
+              }
+            ),
+          0
+        );
+      }
+
+      case 'inviteActivated': {
+        const { data } = historyDB.getAddressInvitesSent(address, {
+          status: 'activated',
+          limit: RECENT_LIMIT,
+        });
+        const previous = observe(JSON.stringify(data.map((invite) => invite.hash)));
+        if (previous === null) {
+          return 0;
+        }
+        const seen = new Set(JSON.parse(previous));
+        return data
+          .filter((invite) => !seen.has(invite.hash))
+          .reduce(
+            (fired, invite) =>
+              fired +
+              this._fire(watchlist, address, rule.type, invite.hash, {
+                message: `Invite activated by ${invite.invitee}`,
+                details: invite,
+                epoch: invite.epoch,
+              }),
+            0
+          );
+      }
+
+      default:
+        // missedValidation is checked when an epoch closes
+        return 0;
+    }
+  }
+
+  _fire(watchlist, address, rule, dedupeKey, { message, details = null, epoch = null }) {
+    const isNew = historyDB.insertWatchlistAlert({
+      watchlistId: watchlist.id,
+      address,
+      rule,
+      dedupeKey,
+      message,
+      details,
+      epoch,
+    });
+    return isNew ? 1 : 0;
+  }
+
+  /**
+   * Get alert evaluation status
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled && historyDB.enabled,
+      running: this.isRunning,
+    };
+  }
+}
+
+// Singleton instance
+const watchlistService = new WatchlistService();
+
+module.exports = watchlistService;
+module.exports.WatchlistService = WatchlistService;
+module.exports.RULE_TYPES = RULE_TYPES;
+module.exports.DEFAULT_ALERT_STATES = DEFAULT_ALERT_STATES;
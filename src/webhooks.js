@@ -0,0 +1,258 @@
+/**
+ * Webhook Deliveries
+ *
+ * Notifies subscribers server-to-server when watched addresses receive
+ * coins, identities change state or watched contracts are called. After
+ * each stored sync batch (blocks, transactions and the epoch handlers'
+ * identity snapshots) the stored activity is matched against every active
+ * webhook and one delivery per match is queued in the database. Repaired
+ * heights are matched again, so each match is queued only once, and
+ * undelivered notifications about blocks rolled back by a reorg are dropped.
+ *
+ * Deliveries are POSTed as JSON signed with the webhook's secret and retried
+ * with exponential backoff. After the last attempt they stay in the log as
+ * dead letters until requeued.
+ *
+ * Signature: X-Webhook-Signature = sha256=HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const historyDB = require('./db');
+const syncService = require('./sync');
+
+const WEBHOOK_EVENTS = ['transfer', 'identity', 'contractCall'];
+
+/**
+ * Sign a delivery body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix timestamp sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} - Value of the X-Webhook-Signature header
+ */
+function signPayload(secret, timestamp, body) {
+  return (
+    'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')
+  );
+}
+
+class WebhookService {
+  constructor() {
+    this.enabled = process.env.WEBHOOKS_ENABLED !== 'false';
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8; // attempts before a delivery is dead
+    this.retryBaseDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY) || 30000; // ms, doubled per retry
+    this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT) || 10000; // ms per request
+    this.pollInterval = 2000; // ms between delivery passes
+    this.batchSize = 20; // deliveries sent per pass
+    this.isRunning = false;
+    this.shouldStop = false;
+    this.source = null;
+    this.onStored = (range) => this._safely(() => this.evaluate(range));
+  }
+
+  /**
+   * Start matching stored batches and delivering queued notifications
+   * @param {EventEmitter} source - Emits stored events with { fromBlock, toBlock }
+   */
+  start(source = syncService) {
+    if (!this.enabled || !historyDB.enabled) {
+      console.log('Webhooks disabled');
+      return;
+    }
+
+    if (this.isRunning) {
+      return;
+    }
+
+    console.log('Starting webhook deliveries...');
+    this.isRunning = true;
+    this.shouldStop = false;
+    this.source = source;
+    source.on('stored', this.onStored);
+    this._deliveryLoop();
+  }
+
+  /**
+   * Stop matching and delivering
+   */
+  stop() {
+    this.shouldStop = true;
+    this.isRunning = false;
+    if (this.source) {
+      this.source.off('stored', this.onStored);
+      this.source = null;
+    }
+  }
+
+  async _deliveryLoop() {
+    while (!this.shouldStop) {
+      await this._safely(() => this.deliverDue());
+      await this._sleep(this.pollInterval);
+    }
+  }
+
+  async _safely(fn) {
+    try {
+      await fn();
+    } catch (error) {
+      console.error('Webhook error:', error.message);
+    }
+  }
+
+  /**
+   * Queue a delivery for every webhook rule matched by activity stored in
+   * a block range
+   * @returns {number} - Deliveries queued
+   */
+  evaluate({ fromBlock, toBlock }) {
+    const webhooks = historyDB.getWebhooks({ active: true });
+    if (webhooks.length === 0) {
+      return 0;
+    }
+
+    const lower = (values) => values.map((v) => v.toLowerCase());
+    const addresses = new Set(webhooks.flatMap((w) => lower(w.addresses)));
+    const contracts = new Set(webhooks.flatMap((w) => lower(w.contracts)));
+    const activity = historyDB.getWatchedActivity(fromBlock, toBlock, {
+      addresses: [...addresses],
+      contracts: [...contracts],
+    });
+
+    // Each event kind with the address its rules are matched on and the key
+    // that identifies it when its height is matched again
+    const candidates = [
+      ...activity.transfers.map((data) => ({
+        event: 'transfer',
+        key: data.to,
+        watch: 'addresses',
+        dedupeKey: `transfer:${data.hash}`,
+        data,
+      })),
+      ...activity.identityChanges.map((data) => ({
+        event: 'identity',
+        key: data.address,
+        watch: 'addresses',
+        dedupeKey: `identity:${data.address.toLowerCase()}:${data.blockHeight}:${data.txHash}:${data.type}`,
+        data,
+      })),
+      ...activity.contractCalls.map((data) => ({
+        event: 'contractCall',
+        key: data.contract,
+        watch: 'contracts',
+        dedupeKey: `contractCall:${data.txHash}`,
+        data,
+      })),
+    ];
+
+    const deliveries = [];
+    for (const webhook of webhooks) {
+      const watched = {
+        addresses: new Set(lower(webhook.addresses)),
+        contracts: new Set(lower(webhook.contracts)),
+      };
+      for (const { event, key, watch, dedupeKey, data } of candidates) {
+        if (!webhook.events.includes(event) || !watched[watch].has(key.toLowerCase())) {
+          continue;
+        }
+        deliveries.push({
+          webhookId: webhook.id,
+          event,
+          dedupeKey,
+          blockHeight: data.blockHeight,
+          payload: { event, webhookId: webhook.id, data },
+        });
+      }
+    }
+
+    return historyDB.insertWebhookDeliveriesBatch(deliveries);
+  }
+
+  /**
+   * Send deliveries whose next attempt is due
+   * @param {number} now - Unix timestamp (seconds)
+   */
+  async deliverDue(now = Math.floor(Date.now() / 1000)) {
+    const due = historyDB.getDueWebhookDeliveries(now, this.batchSize);
+    await Promise.all(due.map((delivery) => this._deliver(delivery, now)));
+    return due.length;
+  }
+
+  /**
+   * POST one delivery and record the outcome: delivered on a 2xx response,
+   * otherwise retried after retryBaseDelay * 2^(attempts - 1) until
+   * maxAttempts is reached
+   */
+  async _deliver(delivery, now) {
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      const response = await axios.post(delivery.url, delivery.payload, {
+        timeout: this.timeout,
+        maxRedirects: 0,
+        // Any status is an outcome to record, not an exception
+        validateStatus: () => true,
+        transformRequest: [(body) => body],
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'idena-lite-api-webhooks',
+          'X-Webhook-Id': String(delivery.id),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(now),
+          'X-Webhook-Signature': signPayload(delivery.secret, now, delivery.payload),
+        },
+      });
+      responseStatus = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = err.message;
+    }
+
+    if (!error) {
+      historyDB.updateWebhookDelivery(delivery.id, {
+        status: 'delivered',
+        attempts,
+        responseStatus,
+      });
+      return;
+    }
+
+    const dead = attempts >= this.maxAttempts;
+    historyDB.updateWebhookDelivery(delivery.id, {
+      status: dead ? 'dead' : 'pending',
+      attempts,
+      nextAttemptAt: dead
+        ? null
+        : now + Math.ceil((this.retryBaseDelay * 2 ** (attempts - 1)) / 1000),
+      responseStatus,
+      error,
+    });
+  }
+
+  /**
+   * Get delivery status
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled && historyDB.enabled,
+      running: this.isRunning,
+      maxAttempts: this.maxAttempts,
+      retryBaseDelay: this.retryBaseDelay,
+    };
+  }
+
+  _sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+// Singleton instance
+const webhookService = new WebhookService();
+
+module.exports = webhookService;
+module.exports.WebhookService = WebhookService;
+module.exports.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+module.exports.signPayload = signPayload;
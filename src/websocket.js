@@ -0,0 +1,273 @@
+/**
+ * WebSocket Streaming
+ *
+ * Pushes sync events (new blocks, confirmed transactions, epoch boundaries
+ * and identity state changes) to connected clients. Each connection picks
+ * its channels and can narrow transactions and identity changes down to
+ * addresses, transaction types or contracts.
+ *
+ * Protocol (JSON text frames):
+ *   -> { "type": "subscribe", "channels": ["transactions"], "filters": { "addresses": ["0x..."] } }
+ *   -> { "type": "unsubscribe", "channels": ["blocks"] }
+ *   <- { "type": "transaction", "data": { ... } }
+ */
+
+const { WebSocketServer, WebSocket } = require('ws');
+const syncService = require('./sync');
+
+// Sync event -> subscription channel
+const EVENT_CHANNELS = {
+  block: 'blocks',
+  transaction: 'transactions',
+  epoch: 'epochs',
+  identity: 'identities',
+};
+const CHANNELS = Object.values(EVENT_CHANNELS);
+const FILTERS = ['addresses', 'types', 'contracts'];
+
+class StreamServer {
+  constructor() {
+    this.enabled = process.env.WS_ENABLED !== 'false';
+    this.path = '/api/ws';
+    this.maxBufferedBytes = parseInt(process.env.WS_MAX_BUFFER) || 1024 * 1024; // per-client send buffer limit
+    this.maxDropped = parseInt(process.env.WS_MAX_DROPPED) || 1000; // dropped messages before disconnecting
+    this.heartbeatInterval = 30000; // ms between pings
+    this.wss = null;
+    this.clients = new Set();
+    this.listeners = [];
+    this.heartbeat = null;
+  }
+
+  /**
+   * Accept WebSocket upgrades on an HTTP server and stream events from a source
+   * @param {http.Server} server - Server returned by app.listen()
+   * @param {EventEmitter} source - Emits block/transaction/epoch/identity events
+   */
+  attach(server, source = syncService) {
+    this.wss = new WebSocketServer({ server, path: this.path, maxPayload: 64 * 1024 });
+    this.wss.on('connection', (ws) => this._onConnection(ws));
+
+    for (const event of Object.keys(EVENT_CHANNELS)) {
+      const listener = (data) => this.broadcast(event, data);
+      source.on(event, listener);
+      this.listeners.push({ source, event, listener });
+    }
+
+    // Terminate connections that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) {
+        if (!client.alive) {
+          client.ws.terminate();
+          continue;
+        }
+        client.alive = false;
+        client.ws.ping();
+      }
+    }, this.heartbeatInterval);
+    this.heartbeat.unref();
+  }
+
+  /**
+   * Stop streaming and close every connection
+   */
+  close() {
+    clearInterval(this.heartbeat);
+    for (const { source, event, listener } of this.listeners) {
+      source.off(event, listener);
+    }
+    this.listeners = [];
+
+    for (const client of this.clients) {
+      client.ws.terminate();
+    }
+    this.clients.clear();
+
+    return new Promise((resolve) => (this.wss ? this.wss.close(() => resolve()) : resolve()));
+  }
+
+  _onConnection(ws) {
+    const client = {
+      ws,
+      channels: new Set(),
+      filters: { addresses: null, types: null, contracts: null },
+      dropped: 0,
+      alive: true,
+    };
+    this.clients.add(client);
+
+    ws.on('pong', () => {
+      client.alive = true;
+    });
+    ws.on('message', (raw) => this._onMessage(client, raw));
+    ws.on('close', () => this.clients.delete(client));
+    ws.on('error', () => this.clients.delete(client));
+
+    this._reply(client, { type: 'welcome', channels: CHANNELS, filters: FILTERS });
+  }
+
+  _onMessage(client, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      return this._reply(client, { type: 'error', message: 'Messages must be JSON' });
+    }
+
+    const channels = message.channels === undefined ? CHANNELS : message.channels;
+    if (!Array.isArray(channels) || channels.some((c) => !CHANNELS.includes(c))) {
+      return this._reply(client, {
+        type: 'error',
+        message: `channels must be a list of ${CHANNELS.join(', ')}`,
+      });
+    }
+
+    switch (message.type) {
+      case 'subscribe': {
+        const filters = this._parseFilters(message.filters);
+        if (!filters) {
+          return this._reply(client, {
+            type: 'error',
+            message: `filters must map ${FILTERS.join(', ')} to lists of strings`,
+          });
+        }
+        channels.forEach((c) => client.channels.add(c));
+        client.filters = filters;
+        break;
+      }
+      case 'unsubscribe':
+        channels.forEach((c) => client.channels.delete(c));
+        break;
+      default:
+        return this._reply(client, {
+          type: 'error',
+          message: 'type must be subscribe or unsubscribe',
+        });
+    }
+
+    this._reply(client, {
+      type: 'subscriptions',
+      channels: [...client.channels],
+      filters: Object.fromEntries(
+        FILTERS.map((f) => [f, client.filters[f] ? [...client.filters[f]] : null])
+      ),
+    });
+  }
+
+  /**
+   * Normalize filters to lowercase sets, null meaning "match everything"
+   * @returns {object|null} - null when the filters are malformed
+   */
+  _parseFilters(input = {}) {
+    if (typeof input !== 'object' || input === null) {
+      return null;
+    }
+
+    const filters = {};
+    for (const name of FILTERS) {
+      const values = input[name];
+      if (values === undefined || values === null) {
+        filters[name] = null;
+      } else if (Array.isArray(values) && values.every((v) => typeof v === 'string')) {
+        // Types are matched case-insensitively too, the node and sync use different spellings
+        filters[name] = values.length > 0 ? new Set(values.map((v) => v.toLowerCase())) : null;
+      } else {
+        return null;
+      }
+    }
+    return filters;
+  }
+
+  /**
+   * Whether an event passes a client's filters (every set filter must match)
+   */
+  _matches(client, event, data) {
+    const { addresses, types, contracts } = client.filters;
+    const lower = (value) => (value ? String(value).toLowerCase() : null);
+
+    if (event === 'transaction') {
+      if (addresses && !addresses.has(lower(data.from)) && !addresses.has(lower(data.to))) {
+        return false;
+      }
+      if (types && !types.has(lower(data.type))) {
+        return false;
+      }
+      if (contracts && !contracts.has(lower(data.to))) {
+        return false;
+      }
+    }
+
+    if (event === 'identity') {
+      if (addresses && !addresses.has(lower(data.address))) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Send an event to every subscribed client whose filters match
+   */
+  broadcast(event, data) {
+    const channel = EVENT_CHANNELS[event];
+    let message = null;
+
+    for (const client of this.clients) {
+      if (!client.channels.has(channel) || !this._matches(client, event, data)) {
+        continue;
+      }
+      // Serialize once, only if someone wants it
+      message = message || JSON.stringify({ type: event, data });
+      this._send(client, message);
+    }
+  }
+
+  /**
+   * Send with backpressure: a client whose send buffer is full loses messages
+   * instead of growing server memory, is told how many it missed once it
+   * catches up, and is disconnected if it never does
+   */
+  _send(client, message) {
+    const { ws } = client;
+    if (ws.readyState !== WebSocket.OPEN) {
+      return;
+    }
+
+    if (ws.bufferedAmount > this.maxBufferedBytes) {
+      client.dropped++;
+      if (client.dropped >= this.maxDropped) {
+        ws.close(1008, 'Client too slow');
+      }
+      return;
+    }
+
+    if (client.dropped > 0) {
+      ws.send(JSON.stringify({ type: 'lagged', dropped: client.dropped }));
+      client.dropped = 0;
+    }
+    ws.send(message);
+  }
+
+  _reply(client, message) {
+    if (client.ws.readyState === WebSocket.OPEN) {
+      client.ws.send(JSON.stringify(message));
+    }
+  }
+
+  /**
+   * Get streaming status
+   */
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      path: this.path,
+      clients: this.clients.size,
+    };
+  }
+}
+
+// Singleton instance
+const streamServer = new StreamServer();
+
+module.exports = streamServer;
+module.exports.StreamServer = StreamServer;
@@ -2,25 +2,34 @@
 const mockGetAddressInfo = jest.fn();
 const mockGetAddressBalanceChanges = jest.fn();
 const mockGetAddressPenalties = jest.fn();
+const mockGetActivityCursor = jest.fn();
+const mockGetAddressActivitySince = jest.fn();
 
 jest.mock('../src/db', () => ({
   enabled: true,
   getAddressInfo: mockGetAddressInfo,
   getAddressBalanceChanges: mockGetAddressBalanceChanges,
   getAddressPenalties: mockGetAddressPenalties,
+  getActivityCursor: mockGetActivityCursor,
+  getAddressActivitySince: mockGetAddressActivitySince,
   init: jest.fn(),
 }));
 
-// Mock the sync service
-jest.mock('../src/sync', () => ({
-  getStatus: jest.fn().mockReturnValue({ enabled: true }),
-  start: jest.fn(),
-  stop: jest.fn(),
-}));
+// Mock the sync service (an emitter, the event stream listens for stored batches)
+jest.mock('../src/sync', () => {
+  const EventEmitter = require('events');
+  return Object.assign(new EventEmitter(), {
+    getStatus: jest.fn().mockReturnValue({ enabled: true }),
+    start: jest.fn(),
+    stop: jest.fn(),
+  });
+});
 
+const http = require('http');
 const request = require('supertest');
 const app = require('../src/server');
 const historyDB = require('../src/db');
+const syncService = require('../src/sync');
 
 describe('Address Routes', () => {
   const validAddress = '0x1234567890abcdef1234567890abcdef12345678';
@@ -47,18 +56,14 @@ describe('Address Routes', () => {
       };
       mockGetAddressInfo.mockReturnValue(mockInfo);
 
-      const response = await request(app)
-        .get(`/api/address/${validAddress}`)
-        .expect(200);
+      const response = await request(app).get(`/api/address/${validAddress}`).expect(200);
 
       expect(response.body.result).toEqual(mockInfo);
       expect(mockGetAddressInfo).toHaveBeenCalledWith(validAddress);
     });
 
     it('should return 400 for invalid address format', async () => {
-      const response = await request(app)
-        .get('/api/address/invalid')
-        .expect(400);
+      const response = await request(app).get('/api/address/invalid').expect(400);
 
       expect(response.body.error.message).toContain('Invalid address format');
     });
@@ -66,9 +71,7 @@ describe('Address Routes', () => {
     it('should return 404 when address not found', async () => {
       mockGetAddressInfo.mockReturnValue(null);
 
-      const response = await request(app)
-        .get(`/api/address/${validAddress}`)
-        .expect(404);
+      const response = await request(app).get(`/api/address/${validAddress}`).expect(404);
 
       expect(response.body.error.message).toContain('not found');
     });
@@ -76,9 +79,7 @@ describe('Address Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      const response = await request(app)
-        .get(`/api/address/${validAddress}`)
-        .expect(503);
+      const response = await request(app).get(`/api/address/${validAddress}`).expect(503);
 
       expect(response.body.error.message).toContain('not enabled');
     });
@@ -88,9 +89,27 @@ describe('Address Routes', () => {
     it('should return balance changes', async () => {
       const mockResult = {
         data: [
-          { blockHeight: 1002, txHash: '0xtx3', changeType: 'reward', amount: '10', balanceAfter: '110' },
-          { blockHeight: 1001, txHash: '0xtx2', changeType: 'tx_out', amount: '50', balanceAfter: '100' },
-          { blockHeight: 1000, txHash: '0xtx1', changeType: 'tx_in', amount: '150', balanceAfter: '150' },
+          {
+            blockHeight: 1002,
+            txHash: '0xtx3',
+            changeType: 'reward',
+            amount: '10',
+            balanceAfter: '110',
+          },
+          {
+            blockHeight: 1001,
+            txHash: '0xtx2',
+            changeType: 'tx_out',
+            amount: '50',
+            balanceAfter: '100',
+          },
+          {
+            blockHeight: 1000,
+            txHash: '0xtx1',
+            changeType: 'tx_in',
+            amount: '150',
+            balanceAfter: '150',
+          },
         ],
         total: 100,
         limit: 50,
@@ -138,9 +157,7 @@ describe('Address Routes', () => {
     });
 
     it('should return 400 for invalid address', async () => {
-      const response = await request(app)
-        .get('/api/address/invalid/balance/changes')
-        .expect(400);
+      const response = await request(app).get('/api/address/invalid/balance/changes').expect(400);
 
       expect(response.body.error.message).toContain('Invalid address format');
     });
@@ -148,9 +165,7 @@ describe('Address Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      await request(app)
-        .get(`/api/address/${validAddress}/balance/changes`)
-        .expect(503);
+      await request(app).get(`/api/address/${validAddress}/balance/changes`).expect(503);
     });
   });
 
@@ -158,8 +173,20 @@ describe('Address Routes', () => {
     it('should return address penalties', async () => {
       const mockResult = {
         data: [
-          { epoch: 150, penalty: '50', reason: 'bad_flip', blockHeight: 1000, timestamp: 1704067200 },
-          { epoch: 149, penalty: '30', reason: 'missed_validation', blockHeight: 900, timestamp: 1704000000 },
+          {
+            epoch: 150,
+            penalty: '50',
+            reason: 'bad_flip',
+            blockHeight: 1000,
+            timestamp: 1704067200,
+          },
+          {
+            epoch: 149,
+            penalty: '30',
+            reason: 'missed_validation',
+            blockHeight: 900,
+            timestamp: 1704000000,
+          },
         ],
         total: 10,
         limit: 50,
@@ -168,9 +195,7 @@ describe('Address Routes', () => {
       };
       mockGetAddressPenalties.mockReturnValue(mockResult);
 
-      const response = await request(app)
-        .get(`/api/address/${validAddress}/penalties`)
-        .expect(200);
+      const response = await request(app).get(`/api/address/${validAddress}/penalties`).expect(200);
 
       expect(response.body.data.length).toBe(2);
       expect(response.body.total).toBe(10);
@@ -196,9 +221,7 @@ describe('Address Routes', () => {
     it('should support epoch filter', async () => {
       mockGetAddressPenalties.mockReturnValue({ data: [], total: 0, hasMore: false });
 
-      await request(app)
-        .get(`/api/address/${validAddress}/penalties?epoch=150`)
-        .expect(200);
+      await request(app).get(`/api/address/${validAddress}/penalties?epoch=150`).expect(200);
 
       expect(mockGetAddressPenalties).toHaveBeenCalledWith(
         validAddress,
@@ -207,19 +230,259 @@ describe('Address Routes', () => {
     });
 
     it('should return 400 for invalid address', async () => {
+      const response = await request(app).get('/api/address/invalid/penalties').expect(400);
+
+      expect(response.body.error.message).toContain('Invalid address format');
+    });
+
+    it('should return 503 when history is disabled', async () => {
+      historyDB.enabled = false;
+
+      await request(app).get(`/api/address/${validAddress}/penalties`).expect(503);
+    });
+  });
+
+  describe('GET /api/address/:address/events', () => {
+    let server;
+    let port;
+    const connections = [];
+
+    const emptyPage = { transactions: [], balanceChanges: [] };
+
+    /**
+     * Open an event stream and collect parsed events
+     */
+    const openStream = (path, headers = {}) =>
+      new Promise((resolve, reject) => {
+        const req = http.get({ host: '127.0.0.1', port, path, headers }, (res) => {
+          const stream = { res, events: [], waiters: [] };
+          let buffer = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            buffer += chunk;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+              const block = buffer.slice(0, end);
+              buffer = buffer.slice(end + 2);
+              const fields = Object.fromEntries(
+                block
+                  .split('\n')
+                  .filter((line) => !line.startsWith(':') && line.includes(': '))
+                  .map((line) => [
+                    line.slice(0, line.indexOf(': ')),
+                    line.slice(line.indexOf(': ') + 2),
+                  ])
+              );
+              if (fields.event) {
+                stream.events.push({
+                  id: fields.id,
+                  event: fields.event,
+                  data: JSON.parse(fields.data),
+                });
+                stream.waiters = stream.waiters.filter((w) => !w());
+              }
+            }
+          });
+          stream.waitFor = (n) =>
+            new Promise((done) => {
+              const check = () => {
+                if (stream.events.length >= n) {
+                  done(stream.events);
+                  return true;
+                }
+                return false;
+              };
+              if (!check()) {
+                stream.waiters.push(check);
+              }
+            });
+          resolve(stream);
+        });
+        connections.push(req);
+        req.on('error', reject);
+      });
+
+    /**
+     * The server notices a disconnect shortly after the client does
+     */
+    const waitForListeners = async (count) => {
+      for (let i = 0; i < 50 && syncService.listenerCount('stored') !== count; i++) {
+        await new Promise((resolve) => setTimeout(resolve, 10));
+      }
+    };
+
+    beforeAll(async () => {
+      server = http.createServer(app);
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      port = server.address().port;
+    });
+
+    afterEach(async () => {
+      connections.splice(0).forEach((req) => req.destroy());
+      await waitForListeners(0);
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it('should start at the current cursor and stream newly stored activity', async () => {
+      mockGetActivityCursor.mockReturnValue({ txId: 10, balanceChangeId: 20 });
+      mockGetAddressActivitySince.mockReturnValue(emptyPage);
+
+      const stream = await openStream(`/api/address/${validAddress}/events`);
+      expect(stream.res.statusCode).toBe(200);
+      expect(stream.res.headers['content-type']).toContain('text/event-stream');
+      expect(mockGetAddressActivitySince).toHaveBeenCalledWith(
+        validAddress,
+        { txId: 10, balanceChangeId: 20 },
+        100
+      );
+
+      mockGetAddressActivitySince.mockReturnValueOnce({
+        transactions: [{ id: 11, hash: '0xtx', blockHeight: 500, type: 'send' }],
+        balanceChanges: [
+          { id: 21, blockHeight: 500, txHash: '0xtx', changeType: 'tx_out', amount: '-1' },
+          { id: 22, blockHeight: 499, txHash: null, changeType: 'reward', amount: '5' },
+        ],
+      });
+      syncService.emit('stored', { fromBlock: 499, toBlock: 500 });
+
+      const events = await stream.waitFor(3);
+      expect(events).toEqual([
+        {
+          id: '10-22',
+          event: 'reward',
+          data: { blockHeight: 499, txHash: null, changeType: 'reward', amount: '5' },
+        },
+        {
+          id: '11-22',
+          event: 'transaction',
+          data: { hash: '0xtx', blockHeight: 500, type: 'send' },
+        },
+        {
+          id: '11-22',
+          event: 'balance',
+          data: { blockHeight: 500, txHash: '0xtx', changeType: 'tx_out', amount: '-1' },
+        },
+      ]);
+    });
+
+    it('should resume after Last-Event-ID', async () => {
+      mockGetAddressActivitySince
+        .mockReturnValueOnce({
+          transactions: [],
+          balanceChanges: [{ id: 8, blockHeight: 300, changeType: 'penalty', amount: '-2' }],
+        })
+        .mockReturnValue(emptyPage);
+
+      const stream = await openStream(`/api/address/${validAddress}/events`, {
+        'Last-Event-ID': '5-7',
+      });
+      const events = await stream.waitFor(1);
+
+      expect(mockGetActivityCursor).not.toHaveBeenCalled();
+      expect(mockGetAddressActivitySince).toHaveBeenCalledWith(
+        validAddress,
+        { txId: 5, balanceChangeId: 8 },
+        100
+      );
+      expect(events[0]).toMatchObject({ id: '5-8', event: 'penalty' });
+    });
+
+    it('should accept the event id as a query parameter', async () => {
+      mockGetAddressActivitySince.mockReturnValue(emptyPage);
+
+      await openStream(`/api/address/${validAddress}/events?lastEventId=3-4`);
+
+      expect(mockGetAddressActivitySince).toHaveBeenCalledWith(
+        validAddress,
+        { txId: 3, balanceChangeId: 4 },
+        100
+      );
+    });
+
+    it('should read stored activity after the sync event returns', async () => {
+      mockGetActivityCursor.mockReturnValue({ txId: 10, balanceChangeId: 20 });
+      mockGetAddressActivitySince.mockReturnValue(emptyPage);
+
+      const stream = await openStream(`/api/address/${validAddress}/events`);
+      mockGetAddressActivitySince.mockClear();
+      mockGetAddressActivitySince.mockReturnValueOnce({
+        transactions: [{ id: 11, hash: '0xtx', blockHeight: 500, type: 'send' }],
+        balanceChanges: [],
+      });
+      syncService.emit('stored', { fromBlock: 500, toBlock: 500 });
+
+      expect(mockGetAddressActivitySince).not.toHaveBeenCalled();
+      const events = await stream.waitFor(1);
+      expect(events[0]).toMatchObject({ id: '11-20', event: 'transaction' });
+    });
+
+    it('should stop a long replay at the limit and skip to the newest activity', async () => {
+      mockGetActivityCursor.mockReturnValue({ txId: 7, balanceChangeId: 5000 });
+      // Full pages of balance changes after the cursor, up to id 3000
+      mockGetAddressActivitySince.mockImplementation((address, cursor, limit) => ({
+        transactions: [],
+        balanceChanges: Array.from(
+          { length: Math.max(0, Math.min(limit, 3000 - cursor.balanceChangeId)) },
+          (_, i) => ({
+            id: cursor.balanceChangeId + i + 1,
+            blockHeight: 100,
+            changeType: 'tx_in',
+            amount: '1',
+          })
+        ),
+      }));
+
+      const stream = await openStream(`/api/address/${validAddress}/events`, {
+        'Last-Event-ID': '0-0',
+      });
+      const events = await stream.waitFor(1001);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+
+      expect(events).toHaveLength(1001);
+      expect(events[999]).toMatchObject({ id: '0-1000', event: 'balance' });
+      expect(events[1000]).toMatchObject({
+        id: '7-5000',
+        event: 'reset',
+        data: { message: 'Replay limit reached, older events were skipped' },
+      });
+      // Ten full pages, then one read from the newest cursor
+      expect(mockGetAddressActivitySince).toHaveBeenCalledTimes(11);
+      mockGetAddressActivitySince.mockReset();
+    });
+
+    it('should stop listening when the client disconnects', async () => {
+      mockGetActivityCursor.mockReturnValue({ txId: 0, balanceChangeId: 0 });
+      mockGetAddressActivitySince.mockReturnValue(emptyPage);
+
+      await openStream(`/api/address/${validAddress}/events`);
+      expect(syncService.listenerCount('stored')).toBe(1);
+
+      connections.splice(0).forEach((req) => req.destroy());
+      await waitForListeners(0);
+
+      expect(syncService.listenerCount('stored')).toBe(0);
+    });
+
+    it('should reject malformed event ids', async () => {
       const response = await request(app)
-        .get('/api/address/invalid/penalties')
+        .get(`/api/address/${validAddress}/events`)
+        .set('Last-Event-ID', 'abc')
         .expect(400);
 
-      expect(response.body.error.message).toContain('Invalid address format');
+      expect(response.body.error.message).toContain('Invalid event id');
+    });
+
+    it('should reject invalid addresses', async () => {
+      await request(app).get('/api/address/0x123/events').expect(400);
     });
 
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      await request(app)
-        .get(`/api/address/${validAddress}/penalties`)
-        .expect(503);
+      await request(app).get(`/api/address/${validAddress}/events`).expect(503);
     });
   });
 });
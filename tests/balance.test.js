@@ -1,10 +1,12 @@
 // Create mock functions that will be reused
 const mockGetBalance = jest.fn();
+const mockGetLastBlock = jest.fn();
 
 // Mock the RPC module BEFORE any imports
 jest.mock('../src/rpc', () => {
   return jest.fn().mockImplementation(() => ({
     getBalance: mockGetBalance,
+    getLastBlock: mockGetLastBlock,
   }));
 });
 
@@ -15,6 +17,7 @@ const cache = require('../src/cache');
 describe('Balance Routes', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockGetLastBlock.mockResolvedValue({ height: 1000 });
   });
 
   describe('GET /api/balance/:address', () => {
@@ -101,8 +104,73 @@ describe('Balance Routes', () => {
       expect(response.body.balance).toBe('2500.75');
       expect(response.body.stake).toBe('1000.25');
       expect(mockGetBalance).not.toHaveBeenCalled();
+      expect(cache.get).toHaveBeenCalledWith(`balance:${validAddress}:1000`);
 
       cache.get.mockRestore();
     });
+
+    it('should return nonces and the next nonce', async () => {
+      mockGetBalance.mockResolvedValueOnce({ balance: '1', stake: '0', nonce: 4, mempoolNonce: 6 });
+
+      const response = await request(app)
+        .get('/api/balance/' + validAddress)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ nonce: 4, mempoolNonce: 6, nextNonce: 7 });
+    });
+
+    it('should follow the mempool nonce after an epoch rollover', async () => {
+      mockGetBalance.mockResolvedValueOnce({
+        balance: '1',
+        stake: '0',
+        nonce: 40,
+        mempoolNonce: 0,
+      });
+
+      const response = await request(app)
+        .get('/api/balance/' + validAddress)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ nonce: 40, mempoolNonce: 0, nextNonce: 1 });
+    });
+
+    it('should read the chain height once for requests close together', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60000);
+      mockGetBalance.mockResolvedValue({ balance: '1', stake: '0' });
+
+      await request(app).get('/api/balance/' + validAddress);
+      await request(app).get('/api/balance/' + validAddress);
+
+      expect(mockGetLastBlock).toHaveBeenCalledTimes(1);
+      now.mockRestore();
+    });
+
+    it('should default nonces for addresses without transactions', async () => {
+      mockGetBalance.mockResolvedValueOnce({ balance: '0', stake: '0' });
+
+      const response = await request(app)
+        .get('/api/balance/' + validAddress)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ nonce: 0, mempoolNonce: 0, nextNonce: 1 });
+    });
+
+    it('should skip the cache when the block height is unavailable', async () => {
+      // Past the cached height of earlier requests
+      const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 120000);
+      mockGetLastBlock.mockRejectedValueOnce(new Error('node busy'));
+      mockGetBalance.mockResolvedValueOnce({ balance: '1', stake: '0', nonce: 1, mempoolNonce: 1 });
+      const getSpy = jest.spyOn(cache, 'get');
+
+      await request(app)
+        .get('/api/balance/' + validAddress)
+        .expect(200);
+
+      expect(getSpy).not.toHaveBeenCalled();
+      expect(mockGetBalance).toHaveBeenCalledWith(validAddress);
+
+      getSpy.mockRestore();
+      now.mockRestore();
+    });
   });
 });
@@ -4,9 +4,21 @@
 
 // Mock the RPC module
 const mockCall = jest.fn();
+const mockReadContractData = jest.fn();
+const mockGetLastBlock = jest.fn();
+const mockGetBalance = jest.fn();
+const mockReadonlyCallContract = jest.fn();
+const mockGetContractStake = jest.fn();
+const mockIterateContractMap = jest.fn();
 jest.mock('../src/rpc', () => {
   return jest.fn().mockImplementation(() => ({
     call: mockCall,
+    readContractData: mockReadContractData,
+    getLastBlock: mockGetLastBlock,
+    getBalance: mockGetBalance,
+    readonlyCallContract: mockReadonlyCallContract,
+    getContractStake: mockGetContractStake,
+    iterateContractMap: mockIterateContractMap,
   }));
 });
 
@@ -18,6 +30,9 @@ jest.mock('../src/db', () => ({
   getContracts: jest.fn(),
   getContractsByDeployer: jest.fn(),
   getContractCalls: jest.fn(),
+  getContractEvents: jest.fn(),
+  getOracleVotingSummary: jest.fn(),
+  getOracleVotingCandidates: jest.fn(),
   getContractCallsByAddress: jest.fn(),
   getContractStats: jest.fn(),
   insertContract: jest.fn(),
@@ -58,9 +73,7 @@ describe('Contract Routes', () => {
         hasMore: false,
       });
 
-      const response = await request(app)
-        .get('/api/contract')
-        .expect(200);
+      const response = await request(app).get('/api/contract').expect(200);
 
       expect(response.body.result.data).toHaveLength(1);
       expect(response.body.result.data[0].address).toBe('0xcontract1');
@@ -73,9 +86,7 @@ describe('Contract Routes', () => {
         hasMore: false,
       });
 
-      await request(app)
-        .get('/api/contract?state=active')
-        .expect(200);
+      await request(app).get('/api/contract?state=active').expect(200);
 
       expect(historyDB.getContracts).toHaveBeenCalledWith(
         expect.objectContaining({ state: 'active' })
@@ -89,21 +100,37 @@ describe('Contract Routes', () => {
         hasMore: false,
       });
 
-      await request(app)
-        .get('/api/contract?deployer=0xdeployer1')
-        .expect(200);
+      await request(app).get('/api/contract?deployer=0xdeployer1').expect(200);
 
       expect(historyDB.getContracts).toHaveBeenCalledWith(
         expect.objectContaining({ deployer: '0xdeployer1' })
       );
     });
 
+    it('should filter by built-in type', async () => {
+      historyDB.getContracts.mockReturnValue({
+        data: [],
+        total: 0,
+        hasMore: false,
+      });
+
+      await request(app).get('/api/contract?type=OracleVoting').expect(200);
+
+      expect(historyDB.getContracts).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'OracleVoting' })
+      );
+    });
+
+    it('should return 400 for an unknown type', async () => {
+      const response = await request(app).get('/api/contract?type=Token').expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_FILTER');
+    });
+
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      const response = await request(app)
-        .get('/api/contract')
-        .expect(503);
+      const response = await request(app).get('/api/contract').expect(503);
 
       expect(response.body.error.code).toBe('CONTRACTS_UNAVAILABLE');
     });
@@ -125,14 +152,10 @@ describe('Contract Routes', () => {
           contractsCalled: 75,
           totalAmount: '500000',
         },
-        topContracts: [
-          { address: '0xcontract1', callCount: 1000 },
-        ],
+        topContracts: [{ address: '0xcontract1', callCount: 1000 }],
       });
 
-      const response = await request(app)
-        .get('/api/contract/stats')
-        .expect(200);
+      const response = await request(app).get('/api/contract/stats').expect(200);
 
       expect(response.body.result.contracts.total).toBe(100);
       expect(response.body.result.calls.total).toBe(5000);
@@ -152,9 +175,7 @@ describe('Contract Routes', () => {
         timestamp: 1234567890,
       });
 
-      const response = await request(app)
-        .get('/api/contract/0xcontract1')
-        .expect(200);
+      const response = await request(app).get('/api/contract/0xcontract1').expect(200);
 
       expect(response.body.result.address).toBe('0xcontract1');
       expect(response.body.result.deployer).toBe('0xdeployer1');
@@ -163,17 +184,13 @@ describe('Contract Routes', () => {
     it('should return 404 for non-existent contract', async () => {
       historyDB.getContract.mockReturnValue(null);
 
-      const response = await request(app)
-        .get('/api/contract/0xnonexistent')
-        .expect(404);
+      const response = await request(app).get('/api/contract/0xnonexistent').expect(404);
 
       expect(response.body.error.code).toBe('CONTRACT_NOT_FOUND');
     });
 
     it('should return 400 for invalid address', async () => {
-      const response = await request(app)
-        .get('/api/contract/invalid')
-        .expect(400);
+      const response = await request(app).get('/api/contract/invalid').expect(400);
 
       expect(response.body.error.code).toBe('INVALID_ADDRESS');
     });
@@ -195,9 +212,7 @@ describe('Contract Routes', () => {
         hasMore: false,
       });
 
-      const response = await request(app)
-        .get('/api/contract/0xcontract1/calls')
-        .expect(200);
+      const response = await request(app).get('/api/contract/0xcontract1/calls').expect(200);
 
       expect(response.body.result.data).toHaveLength(1);
       expect(response.body.result.data[0].method).toBe('transfer');
@@ -210,9 +225,7 @@ describe('Contract Routes', () => {
         hasMore: false,
       });
 
-      await request(app)
-        .get('/api/contract/0xcontract1/calls?method=transfer')
-        .expect(200);
+      await request(app).get('/api/contract/0xcontract1/calls?method=transfer').expect(200);
 
       expect(historyDB.getContractCalls).toHaveBeenCalledWith(
         '0xcontract1',
@@ -227,15 +240,367 @@ describe('Contract Routes', () => {
         hasMore: false,
       });
 
-      await request(app)
-        .get('/api/contract/0xcontract1/calls?caller=0xcaller1')
-        .expect(200);
+      await request(app).get('/api/contract/0xcontract1/calls?caller=0xcaller1').expect(200);
 
       expect(historyDB.getContractCalls).toHaveBeenCalledWith(
         '0xcontract1',
         expect.objectContaining({ caller: '0xcaller1' })
       );
     });
+
+    it('should filter by success', async () => {
+      historyDB.getContractCalls.mockReturnValue({
+        data: [],
+        total: 0,
+        hasMore: false,
+      });
+
+      await request(app).get('/api/contract/0xcontract1/calls?success=false').expect(200);
+
+      expect(historyDB.getContractCalls).toHaveBeenCalledWith(
+        '0xcontract1',
+        expect.objectContaining({ success: false })
+      );
+    });
+
+    it('should return 400 for an invalid success filter', async () => {
+      const response = await request(app)
+        .get('/api/contract/0xcontract1/calls?success=maybe')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_FILTER');
+    });
+  });
+
+  describe('GET /api/contract/:address/events', () => {
+    it('should return contract events', async () => {
+      historyDB.getContractEvents.mockReturnValue({
+        data: [{ txHash: '0xtx1', event: 'transfer', args: ['0x05'], blockHeight: 1000 }],
+        total: 1,
+        hasMore: false,
+      });
+
+      const response = await request(app).get('/api/contract/0xcontract1/events').expect(200);
+
+      expect(response.body.result.data[0].event).toBe('transfer');
+      expect(historyDB.getContractEvents).toHaveBeenCalledWith('0xcontract1', {
+        limit: 50,
+        offset: 0,
+        event: null,
+        fromBlock: null,
+        toBlock: null,
+      });
+    });
+
+    it('should filter by event name and block range', async () => {
+      historyDB.getContractEvents.mockReturnValue({ data: [], total: 0, hasMore: false });
+
+      await request(app)
+        .get('/api/contract/0xcontract1/events?event=transfer&fromBlock=100&toBlock=200')
+        .expect(200);
+
+      expect(historyDB.getContractEvents).toHaveBeenCalledWith(
+        '0xcontract1',
+        expect.objectContaining({ event: 'transfer', fromBlock: 100, toBlock: 200 })
+      );
+    });
+
+    it('should return 400 for an invalid block range', async () => {
+      const response = await request(app)
+        .get('/api/contract/0xcontract1/events?fromBlock=200&toBlock=100')
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_RANGE');
+    });
+
+    it('should return 503 when history is disabled', async () => {
+      historyDB.enabled = false;
+
+      const response = await request(app).get('/api/contract/0xcontract1/events').expect(503);
+
+      expect(response.body.error.code).toBe('CONTRACTS_UNAVAILABLE');
+    });
+  });
+
+  describe('oracle voting', () => {
+    const oracle = {
+      address: '0xoracle',
+      deployer: '0xowner',
+      deployTxHash: '0xd',
+      type: 'OracleVoting',
+      state: 'active',
+    };
+    let storage;
+
+    beforeEach(() => {
+      storage = {
+        state: 1,
+        fact: '0x6869',
+        startBlock: 1000,
+        votingDuration: 100,
+        publicVotingDuration: 50,
+        committeeSize: 300,
+      };
+      mockReadContractData.mockImplementation((address, key) =>
+        key in storage ? Promise.resolve(storage[key]) : Promise.reject(new Error('data is nil'))
+      );
+      mockGetLastBlock.mockResolvedValue({ height: 1050 });
+      mockGetBalance.mockResolvedValue({ balance: '1234.5' });
+      historyDB.getContract.mockReturnValue(oracle);
+      historyDB.getOracleVotingSummary.mockReturnValue({
+        config: { winnerThreshold: 66, quorum: 20 },
+        secretVotes: 3,
+        votes: [],
+        totalVotes: 0,
+        finishedBlock: null,
+      });
+    });
+
+    describe('GET /api/contract/:address/oracle', () => {
+      it('should combine live storage with synced votes', async () => {
+        const response = await request(app).get('/api/contract/0xoracle/oracle').expect(200);
+
+        expect(response.body.result).toEqual({
+          address: '0xoracle',
+          deployer: '0xowner',
+          deployTxHash: '0xd',
+          status: 'open',
+          fact: '0x6869',
+          committeeSize: 300,
+          winnerThreshold: 66,
+          quorum: 20,
+          startBlock: 1000,
+          countingBlock: 1100,
+          finishBlock: 1150,
+          currentBlock: 1050,
+          secretVotes: 3,
+          votes: [],
+          totalVotes: 0,
+          winner: null,
+          rewardPool: '1234.5',
+        });
+        expect(mockReadContractData).toHaveBeenCalledWith('0xoracle', 'committeeSize', 'uint64');
+      });
+
+      it('should report counting after the secret voting period', async () => {
+        mockGetLastBlock.mockResolvedValue({ height: 1120 });
+
+        const response = await request(app).get('/api/contract/0xoracle/oracle').expect(200);
+
+        expect(response.body.result.status).toBe('counting');
+      });
+
+      it('should report the winner once finished', async () => {
+        storage.state = 2;
+        storage.result = 1;
+
+        const response = await request(app).get('/api/contract/0xoracle/oracle').expect(200);
+
+        expect(response.body.result.status).toBe('finished');
+        expect(response.body.result.winner).toBe(1);
+      });
+
+      it('should return 404 for contracts of another type', async () => {
+        historyDB.getContract.mockReturnValue({ ...oracle, type: 'Multisig' });
+
+        const response = await request(app).get('/api/contract/0xoracle/oracle').expect(404);
+
+        expect(response.body.error.code).toBe('ORACLE_NOT_FOUND');
+      });
+    });
+
+    describe('GET /api/contract/oracle/open', () => {
+      it('should list votes with the requested status', async () => {
+        historyDB.getOracleVotingCandidates.mockImplementation(({ started }) => ({
+          data: started
+            ? [oracle, { ...oracle, address: '0xcounting' }]
+            : [{ ...oracle, address: '0xpending' }],
+          hasMore: false,
+        }));
+        mockReadContractData.mockImplementation((address, key) => {
+          if (address === '0xpending') {
+            return Promise.reject(new Error('data is nil'));
+          }
+          if (address === '0xcounting' && key === 'startBlock') {
+            return Promise.resolve(900);
+          }
+          return key in storage
+            ? Promise.resolve(storage[key])
+            : Promise.reject(new Error('data is nil'));
+        });
+
+        const response = await request(app).get('/api/contract/oracle/open').expect(200);
+
+        expect(historyDB.getOracleVotingCandidates).toHaveBeenCalledWith({
+          started: true,
+          limit: 20,
+          offset: 0,
+        });
+        expect(response.body.result.data.map((v) => v.address)).toEqual(['0xoracle']);
+
+        const pending = await request(app)
+          .get('/api/contract/oracle/open?status=pending')
+          .expect(200);
+
+        expect(historyDB.getOracleVotingCandidates).toHaveBeenLastCalledWith(
+          expect.objectContaining({ started: false })
+        );
+        expect(pending.body.result.data.map((v) => v.address)).toEqual(['0xpending']);
+      });
+
+      it('should read candidates a page at a time until the limit is reached', async () => {
+        historyDB.getOracleVotingCandidates.mockImplementation(({ offset }) => ({
+          data: [{ ...oracle, address: `0xoracle${offset}` }],
+          hasMore: true,
+        }));
+
+        const response = await request(app).get('/api/contract/oracle/open?limit=1').expect(200);
+
+        expect(response.body.result.data.map((v) => v.address)).toEqual(['0xoracle0']);
+        expect(historyDB.getOracleVotingCandidates).toHaveBeenCalledTimes(1);
+      });
+
+      it('should return 400 for an invalid status', async () => {
+        const response = await request(app)
+          .get('/api/contract/oracle/open?status=finished')
+          .expect(400);
+
+        expect(response.body.error.code).toBe('INVALID_FILTER');
+      });
+    });
+  });
+
+  describe('contract state', () => {
+    const address = '0x' + 'ab'.repeat(20);
+
+    it('should decode storage values in the requested format', async () => {
+      mockReadContractData.mockResolvedValue('0x2c01');
+
+      const response = await request(app).get(
+        `/api/contract/${address}/state/data/committeeSize?format=uint64`
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.result).toEqual({
+        key: 'committeeSize',
+        format: 'uint64',
+        value: '300',
+        hex: '0x2c01',
+      });
+      expect(response.body.cached).toBe(false);
+      expect(mockReadContractData).toHaveBeenCalledWith(address, 'committeeSize', 'hex');
+    });
+
+    it('should return hex by default', async () => {
+      mockReadContractData.mockResolvedValue('0x6869');
+
+      const response = await request(app).get(`/api/contract/${address}/state/data/fact`);
+
+      expect(response.body.result.value).toBe('0x6869');
+    });
+
+    it('should return 404 for unset keys', async () => {
+      mockReadContractData.mockRejectedValue(new Error('data is nil'));
+
+      const response = await request(app).get(`/api/contract/${address}/state/data/missing`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error.code).toBe('STATE_NOT_FOUND');
+    });
+
+    it('should return 500 for other node errors', async () => {
+      mockReadContractData.mockRejectedValue(new Error('connection refused'));
+
+      const response = await request(app).get(`/api/contract/${address}/state/data/fact`);
+
+      expect(response.status).toBe(500);
+      expect(response.body.error.code).toBe('CONTRACT_ERROR');
+    });
+
+    it('should reject invalid addresses and formats', async () => {
+      const badAddress = await request(app).get('/api/contract/0x123/state/data/fact');
+      expect(badAddress.status).toBe(400);
+      expect(badAddress.body.error.code).toBe('INVALID_ADDRESS');
+
+      const badFormat = await request(app).get(
+        `/api/contract/${address}/state/data/fact?format=float`
+      );
+      expect(badFormat.status).toBe(400);
+      expect(badFormat.body.error.code).toBe('INVALID_FORMAT');
+      expect(mockReadContractData).not.toHaveBeenCalled();
+    });
+
+    it('should iterate maps and decode keys and values', async () => {
+      mockIterateContractMap.mockResolvedValue({
+        items: [{ key: '0x' + '11'.repeat(20), value: '0x01' }],
+        continuationToken: '0xnext',
+      });
+
+      const response = await request(app).get(
+        `/api/contract/${address}/state/map/votes?keyFormat=address&valueFormat=byte&limit=500&continuationToken=0xprev`
+      );
+
+      expect(response.status).toBe(200);
+      expect(response.body.result).toEqual({
+        map: 'votes',
+        items: [{ key: '0x' + '11'.repeat(20), value: 1 }],
+        continuationToken: '0xnext',
+      });
+      expect(mockIterateContractMap).toHaveBeenCalledWith(
+        address,
+        'votes',
+        '0xprev',
+        'hex',
+        'hex',
+        100
+      );
+    });
+
+    it('should reject invalid map formats', async () => {
+      const response = await request(app).get(
+        `/api/contract/${address}/state/map/votes?valueFormat=nope`
+      );
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_FORMAT');
+    });
+
+    it('should return the contract stake', async () => {
+      mockGetContractStake.mockResolvedValue({ stake: '50' });
+
+      const response = await request(app).get(`/api/contract/${address}/state/stake`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.result).toEqual({ stake: '50' });
+      expect(mockGetContractStake).toHaveBeenCalledWith(address);
+    });
+
+    it('should run readonly calls and decode the result', async () => {
+      mockReadonlyCallContract.mockResolvedValue('0x0de0b6b3a7640000');
+      const args = [{ index: 0, format: 'hex', value: '0x01' }];
+
+      const response = await request(app)
+        .post(`/api/contract/${address}/state/call`)
+        .send({ method: 'getAmount', format: 'dna', args });
+
+      expect(response.status).toBe(200);
+      expect(response.body.result).toEqual({
+        method: 'getAmount',
+        format: 'dna',
+        value: '1',
+        hex: '0x0de0b6b3a7640000',
+      });
+      expect(mockReadonlyCallContract).toHaveBeenCalledWith(address, 'getAmount', 'hex', args);
+    });
+
+    it('should require a method for readonly calls', async () => {
+      const response = await request(app)
+        .post(`/api/contract/${address}/state/call`)
+        .send({ args: 'nope' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error.code).toBe('INVALID_CALL');
+    });
   });
 
   describe('GET /api/contract/deployer/:address', () => {
@@ -249,17 +614,13 @@ describe('Contract Routes', () => {
         hasMore: false,
       });
 
-      const response = await request(app)
-        .get('/api/contract/deployer/0xdeployer1')
-        .expect(200);
+      const response = await request(app).get('/api/contract/deployer/0xdeployer1').expect(200);
 
       expect(response.body.result.data).toHaveLength(2);
     });
 
     it('should return 400 for invalid address', async () => {
-      const response = await request(app)
-        .get('/api/contract/deployer/invalid')
-        .expect(400);
+      const response = await request(app).get('/api/contract/deployer/invalid').expect(400);
 
       expect(response.body.error.code).toBe('INVALID_ADDRESS');
     });
@@ -280,18 +641,14 @@ describe('Contract Routes', () => {
         hasMore: false,
       });
 
-      const response = await request(app)
-        .get('/api/contract/caller/0xcaller1')
-        .expect(200);
+      const response = await request(app).get('/api/contract/caller/0xcaller1').expect(200);
 
       expect(response.body.result.data).toHaveLength(1);
       expect(response.body.result.data[0].caller).toBe('0xcaller1');
     });
 
     it('should return 400 for invalid address', async () => {
-      const response = await request(app)
-        .get('/api/contract/caller/invalid')
-        .expect(400);
+      const response = await request(app).get('/api/contract/caller/invalid').expect(400);
 
       expect(response.body.error.code).toBe('INVALID_ADDRESS');
     });
@@ -0,0 +1,126 @@
+/**
+ * Tests for Built-in Contract Decoding
+ */
+
+const {
+  CONTRACT_TYPES,
+  getContractType,
+  decodeValue,
+  decodeDeployPayload,
+  decodeCallPayload,
+} = require('../src/contracts');
+
+// Encode a length-delimited protobuf field (lengths below 128 only)
+const field = (num, bytes) => Buffer.concat([Buffer.from([(num << 3) | 2, bytes.length]), bytes]);
+const hex = (...parts) => `0x${Buffer.concat(parts).toString('hex')}`;
+
+// Embedded contracts are common.Hash{n}: the type byte, then 31 zero bytes
+const ORACLE_VOTING = Buffer.from('02' + '00'.repeat(31), 'hex');
+const MULTISIG_HASH = `0x05${'00'.repeat(31)}`;
+
+describe('Built-in Contracts', () => {
+  describe('getContractType()', () => {
+    it('should map code hashes to built-in types', () => {
+      expect(CONTRACT_TYPES).toEqual([
+        'TimeLock',
+        'OracleVoting',
+        'OracleLock',
+        'RefundableOracleLock',
+        'Multisig',
+      ]);
+      expect(getContractType(MULTISIG_HASH)).toBe('Multisig');
+      expect(getContractType(`0x04${'00'.repeat(31)}`)).toBe('RefundableOracleLock');
+      expect(getContractType(`0x${'00'.repeat(31)}05`)).toBeNull();
+      expect(getContractType(`0x${'ab'.repeat(32)}`)).toBeNull();
+      expect(getContractType(null)).toBeNull();
+    });
+  });
+
+  describe('decodeValue()', () => {
+    it('should decode each format', () => {
+      expect(decodeValue('0x07', 'byte')).toBe(7);
+      expect(decodeValue('0x0001000000000000', 'uint64')).toBe('256');
+      expect(decodeValue('0x0100', 'uint64')).toBe('1');
+      expect(decodeValue('0x0100', 'bigint')).toBe('256');
+      expect(decodeValue('0x0de0b6b3a7640000', 'dna')).toBe('1');
+      expect(decodeValue('0x6869', 'string')).toBe('hi');
+      expect(decodeValue('0xABCD', 'hex')).toBe('0xabcd');
+    });
+
+    it('should return null for empty values and reject unknown formats', () => {
+      expect(decodeValue('0x', 'uint64')).toBeNull();
+      expect(() => decodeValue('0x01', 'float')).toThrow('Unknown value format');
+    });
+  });
+
+  describe('decodeDeployPayload()', () => {
+    it('should recognize the type and name the deploy arguments', () => {
+      const payload = hex(
+        field(1, ORACLE_VOTING),
+        field(2, Buffer.from('fact')),
+        field(2, Buffer.from('8096980000000000', 'hex')) // 10000000 little-endian
+      );
+
+      expect(decodeDeployPayload(payload)).toEqual({
+        codeHash: `0x${ORACLE_VOTING.toString('hex')}`,
+        type: 'OracleVoting',
+        args: [
+          { name: 'fact', format: 'hex', value: '0x66616374' },
+          { name: 'startTime', format: 'uint64', value: '10000000' },
+        ],
+      });
+    });
+
+    it('should recognize each built-in deploy by its embedded code hash', () => {
+      const types = [1, 2, 3, 4, 5].map((n) => {
+        const hash = Buffer.alloc(32);
+        hash[0] = n;
+        return decodeDeployPayload(hex(field(1, hash))).type;
+      });
+
+      expect(types).toEqual([
+        'TimeLock',
+        'OracleVoting',
+        'OracleLock',
+        'RefundableOracleLock',
+        'Multisig',
+      ]);
+    });
+
+    it('should leave custom contracts untyped and return null for garbage', () => {
+      const payload = hex(field(1, Buffer.alloc(32, 0xab)), field(2, Buffer.from([1])));
+
+      expect(decodeDeployPayload(payload)).toMatchObject({
+        type: null,
+        args: [{ name: null, format: 'hex', value: '0x01' }],
+      });
+      expect(decodeDeployPayload('0x1205aa')).toBeNull();
+    });
+  });
+
+  describe('decodeCallPayload()', () => {
+    const destination = Buffer.alloc(20, 0x11);
+    const payload = hex(
+      field(1, Buffer.from('send')),
+      field(2, destination),
+      field(2, Buffer.from('1bc16d674ec80000', 'hex')), // 2 iDNA
+      field(2, Buffer.from([9]))
+    );
+
+    it('should decode the method arguments of a built-in type', () => {
+      expect(decodeCallPayload(payload, 'Multisig')).toEqual({
+        method: 'send',
+        args: [
+          { name: 'destination', format: 'address', value: `0x${'11'.repeat(20)}` },
+          { name: 'amount', format: 'dna', value: '2' },
+          { name: null, format: 'hex', value: '0x09' },
+        ],
+      });
+    });
+
+    it('should return raw arguments when the type is unknown', () => {
+      expect(decodeCallPayload(payload).args.map((a) => a.format)).toEqual(['hex', 'hex', 'hex']);
+      expect(decodeCallPayload(payload).method).toBe('send');
+    });
+  });
+});
@@ -19,7 +19,10 @@ describe('HistoryDB', () => {
 
   beforeEach(() => {
     // Create fresh instance for each test
-    const tempPath = path.join(os.tmpdir(), `idena-test-${Date.now()}-${Math.random().toString(36).slice(2)}.db`);
+    const tempPath = path.join(
+      os.tmpdir(),
+      `idena-test-${Date.now()}-${Math.random().toString(36).slice(2)}.db`
+    );
     db = new (require('../src/db').constructor)(tempPath);
     db.enabled = true;
     db.init();
@@ -38,13 +41,17 @@ describe('HistoryDB', () => {
     });
 
     it('should create blocks table', () => {
-      const tables = db.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='blocks'").get();
+      const tables = db.db
+        .prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='blocks'")
+        .get();
       expect(tables).toBeDefined();
       expect(tables.name).toBe('blocks');
     });
 
     it('should create transactions table', () => {
-      const tables = db.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='transactions'").get();
+      const tables = db.db
+        .prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='transactions'")
+        .get();
       expect(tables).toBeDefined();
       expect(tables.name).toBe('transactions');
     });
@@ -148,7 +155,14 @@ describe('HistoryDB', () => {
 
   describe('getBlock()', () => {
     it('should return block by height', () => {
-      db.insertBlock({ height: 5000, hash: '0xhash', timestamp: 1000, epoch: 100, proposer: '0xp', txCount: 3 });
+      db.insertBlock({
+        height: 5000,
+        hash: '0xhash',
+        timestamp: 1000,
+        epoch: 100,
+        proposer: '0xp',
+        txCount: 3,
+      });
 
       const block = db.getBlock(5000);
       expect(block).not.toBeNull();
@@ -163,6 +177,31 @@ describe('HistoryDB', () => {
     });
   });
 
+  describe('getBlocksByHeight() / getTransactionsByBlock()', () => {
+    it('should return the blocks and transactions of a batch of heights', () => {
+      db.insertBatch(
+        [
+          { height: 10, hash: '0xb10', timestamp: 1000, epoch: 1 },
+          { height: 11, hash: '0xb11', timestamp: 1020, epoch: 1 },
+        ],
+        [
+          { hash: '0xt2', blockHeight: 10, txIndex: 1, type: 'send', from: '0xa', timestamp: 1000 },
+          { hash: '0xt1', blockHeight: 10, txIndex: 0, type: 'send', from: '0xa', timestamp: 1000 },
+          { hash: '0xt3', blockHeight: 11, txIndex: 0, type: 'send', from: '0xb', timestamp: 1020 },
+        ]
+      );
+
+      const blocks = db.getBlocksByHeight([10, 11, 99]);
+      expect(blocks.map((b) => b.hash).sort()).toEqual(['0xb10', '0xb11']);
+
+      const txs = db.getTransactionsByBlock([10]);
+      expect(txs.map((tx) => tx.hash)).toEqual(['0xt1', '0xt2']);
+      expect(txs[0]).toMatchObject({ blockHeight: 10, epoch: 1, from: '0xa' });
+
+      expect(db.getBlocksByHeight([])).toEqual([]);
+    });
+  });
+
   describe('getTransaction()', () => {
     it('should return transaction by hash', () => {
       db.insertBlock({ height: 1000, hash: '0xblock', timestamp: 1000, epoch: 1 });
@@ -198,9 +237,30 @@ describe('HistoryDB', () => {
       db.insertBlock({ height: 1001, hash: '0xb2', timestamp: 1001, epoch: 1 });
       db.insertBlock({ height: 1002, hash: '0xb3', timestamp: 1002, epoch: 1 });
 
-      db.insertTransaction({ hash: '0xt1', blockHeight: 1000, type: 'send', from: '0xAlice', to: '0xBob', timestamp: 1000 });
-      db.insertTransaction({ hash: '0xt2', blockHeight: 1001, type: 'send', from: '0xBob', to: '0xAlice', timestamp: 1001 });
-      db.insertTransaction({ hash: '0xt3', blockHeight: 1002, type: 'stake', from: '0xAlice', to: null, timestamp: 1002 });
+      db.insertTransaction({
+        hash: '0xt1',
+        blockHeight: 1000,
+        type: 'send',
+        from: '0xAlice',
+        to: '0xBob',
+        timestamp: 1000,
+      });
+      db.insertTransaction({
+        hash: '0xt2',
+        blockHeight: 1001,
+        type: 'send',
+        from: '0xBob',
+        to: '0xAlice',
+        timestamp: 1001,
+      });
+      db.insertTransaction({
+        hash: '0xt3',
+        blockHeight: 1002,
+        type: 'stake',
+        from: '0xAlice',
+        to: null,
+        timestamp: 1002,
+      });
     });
 
     it('should return transactions for address (case-insensitive)', () => {
@@ -267,6 +327,43 @@ describe('HistoryDB', () => {
     });
   });
 
+  describe('updateBackfillStatus()', () => {
+    it('should report no backfill until one has run', () => {
+      expect(db.getSyncStatus().backfill).toBeNull();
+    });
+
+    it('should track backfill progress separately from the forward sync', () => {
+      db.setSyncStartBlock(1001);
+      db.updateSyncStatus(5000);
+      db.updateBackfillStatus(501, 1);
+
+      const status = db.getSyncStatus();
+      expect(status.syncStartBlock).toBe(1001);
+      expect(status.lastSyncedBlock).toBe(5000);
+      expect(status.backfill).toEqual({
+        lowestBlock: 501,
+        targetBlock: 1,
+        complete: false,
+        progress: '50.00',
+      });
+    });
+
+    it('should mark the backfill complete at the target', () => {
+      db.setSyncStartBlock(1001);
+      db.updateBackfillStatus(1, 1);
+      expect(db.getSyncStatus().backfill.complete).toBe(true);
+    });
+
+    it('should extend block coverage below the sync start block', () => {
+      db.insertBatch([{ height: 50, hash: '0xb50', timestamp: 50, epoch: 1 }], []);
+      db.setSyncStartBlock(100);
+      db.updateSyncStatus(100);
+      db.updateBackfillStatus(50, 50);
+
+      expect(db.getBlockCoverage()).toMatchObject({ from: 50, to: 100, storedBlocks: 1 });
+    });
+  });
+
   describe('setSyncStartBlock()', () => {
     it('should set sync start block', () => {
       db.setSyncStartBlock(5000000);
@@ -279,7 +376,14 @@ describe('HistoryDB', () => {
     it('should return database statistics', () => {
       db.insertBlock({ height: 1000, hash: '0xb1', timestamp: 1000, epoch: 1 });
       db.insertBlock({ height: 1001, hash: '0xb2', timestamp: 1001, epoch: 1 });
-      db.insertTransaction({ hash: '0xt1', blockHeight: 1000, type: 'send', from: '0xa', to: '0xb', timestamp: 1000 });
+      db.insertTransaction({
+        hash: '0xt1',
+        blockHeight: 1000,
+        type: 'send',
+        from: '0xa',
+        to: '0xb',
+        timestamp: 1000,
+      });
 
       const stats = db.getStats();
       expect(stats.enabled).toBe(true);
@@ -329,6 +433,624 @@ describe('HistoryDB', () => {
     });
   });
 
+  describe('schema migration', () => {
+    it('should add parent_hash to a blocks table created by an older version', () => {
+      const legacyPath = path.join(
+        os.tmpdir(),
+        `idena-test-legacy-${Date.now()}-${Math.random().toString(36).slice(2)}.db`
+      );
+      const Database = require('better-sqlite3');
+      const legacy = new Database(legacyPath);
+      legacy.exec(`
+        CREATE TABLE blocks (
+          height INTEGER PRIMARY KEY,
+          hash TEXT NOT NULL UNIQUE,
+          timestamp INTEGER NOT NULL,
+          epoch INTEGER NOT NULL,
+          proposer TEXT,
+          tx_count INTEGER DEFAULT 0
+        );
+      `);
+      legacy.close();
+
+      const migrated = new (require('../src/db').constructor)(legacyPath);
+      migrated.enabled = true;
+      migrated.init();
+
+      const columns = migrated.db
+        .prepare('PRAGMA table_info(blocks)')
+        .all()
+        .map((c) => c.name);
+      expect(columns).toContain('parent_hash');
+      migrated.close();
+    });
+
+    it('should add backfill columns to a sync_status table created by an older version', () => {
+      const legacyPath = path.join(
+        os.tmpdir(),
+        `idena-test-legacy-${Date.now()}-${Math.random().toString(36).slice(2)}.db`
+      );
+      const Database = require('better-sqlite3');
+      const legacy = new Database(legacyPath);
+      legacy.exec(`
+        CREATE TABLE sync_status (
+          id INTEGER PRIMARY KEY CHECK (id = 1),
+          last_synced_block INTEGER DEFAULT 0,
+          highest_known_block INTEGER DEFAULT 0,
+          last_sync_time INTEGER,
+          sync_start_block INTEGER DEFAULT 0,
+          is_syncing INTEGER DEFAULT 0
+        );
+        INSERT INTO sync_status (id, last_synced_block) VALUES (1, 700);
+      `);
+      legacy.close();
+
+      const migrated = new (require('../src/db').constructor)(legacyPath);
+      migrated.enabled = true;
+      migrated.init();
+
+      const status = migrated.getSyncStatus();
+      expect(status.lastSyncedBlock).toBe(700);
+      expect(status.backfill).toBeNull();
+      migrated.close();
+    });
+
+    it('should mark never-computed balances for the running-balance backfill once', () => {
+      const legacyPath = path.join(
+        os.tmpdir(),
+        `idena-test-legacy-${Date.now()}-${Math.random().toString(36).slice(2)}.db`
+      );
+      const Database = require('better-sqlite3');
+      const legacy = new Database(legacyPath);
+      legacy.exec(`
+        CREATE TABLE balance_changes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          address TEXT NOT NULL,
+          block_height INTEGER NOT NULL,
+          tx_hash TEXT,
+          change_type TEXT NOT NULL,
+          amount TEXT DEFAULT '0',
+          balance_after TEXT DEFAULT '0',
+          timestamp INTEGER NOT NULL
+        );
+        INSERT INTO balance_changes (address, block_height, change_type, amount, timestamp) VALUES ('0xa', 1, 'tx_in', '5', 1);
+      `);
+      legacy.close();
+
+      const migrated = new (require('../src/db').constructor)(legacyPath);
+      migrated.enabled = true;
+      migrated.init();
+      expect(migrated.getAddressesMissingBalance()).toEqual(['0xa']);
+
+      // A genuine zero balance computed later must survive a restart
+      migrated.setBalanceAnchor('0xa', 1, '0');
+      migrated.recomputeBalanceAfter('0xa');
+      migrated.close();
+      migrated.init();
+
+      expect(migrated.getAddressesMissingBalance()).toEqual([]);
+      migrated.close();
+    });
+
+    it('should re-derive contract types stored with the old built-in code hashes', () => {
+      const legacyPath = path.join(
+        os.tmpdir(),
+        `idena-test-legacy-${Date.now()}-${Math.random().toString(36).slice(2)}.db`
+      );
+      const HistoryDB = require('../src/db').constructor;
+      const legacy = new HistoryDB(legacyPath);
+      legacy.enabled = true;
+      legacy.init();
+      const contract = { deployer: '0xa', epoch: 1, blockHeight: 1, timestamp: 1 };
+      legacy.insertContract({
+        ...contract,
+        address: '0xc1',
+        deployTxHash: '0xd1',
+        codeHash: `0x05${'00'.repeat(31)}`,
+      });
+      legacy.insertContract({
+        ...contract,
+        address: '0xc2',
+        deployTxHash: '0xd2',
+        codeHash: `0x${'00'.repeat(31)}04`,
+        type: 'Multisig',
+      });
+      legacy.db.pragma('user_version = 1');
+      legacy.close();
+
+      const migrated = new HistoryDB(legacyPath);
+      migrated.enabled = true;
+      migrated.init();
+
+      expect(migrated.getContract('0xc1').type).toBe('Multisig');
+      expect(migrated.getContract('0xc2').type).toBeNull();
+      migrated.close();
+    });
+  });
+
+  // ==========================================
+  // Chain Reorganization Methods Tests
+  // ==========================================
+
+  describe('Chain Reorganization Methods', () => {
+    beforeEach(() => {
+      db.insertEpoch({ epoch: 1, startBlock: 100, startTimestamp: 100 });
+      db.insertBatch(
+        [
+          { height: 100, hash: '0xb100', timestamp: 100, epoch: 1, txCount: 1 },
+          {
+            height: 101,
+            hash: '0xb101',
+            timestamp: 101,
+            epoch: 1,
+            parentHash: '0xb100',
+            txCount: 1,
+          },
+          {
+            height: 102,
+            hash: '0xb102',
+            timestamp: 102,
+            epoch: 2,
+            parentHash: '0xb101',
+            txCount: 2,
+          },
+        ],
+        [
+          {
+            hash: '0xt100',
+            blockHeight: 100,
+            type: 'SendTx',
+            from: '0xa',
+            to: '0xb',
+            amount: '1',
+            timestamp: 100,
+          },
+          { hash: '0xt101', blockHeight: 101, type: 'ActivationTx', from: '0xc', timestamp: 101 },
+          {
+            hash: '0xt102a',
+            blockHeight: 102,
+            type: 'CallContractTx',
+            from: '0xa',
+            to: '0xcontract',
+            timestamp: 102,
+          },
+          {
+            hash: '0xt102b',
+            blockHeight: 102,
+            type: 'TerminateContractTx',
+            from: '0xa',
+            to: '0xold',
+            timestamp: 102,
+          },
+        ]
+      );
+      db.closeEpoch(1, 101, 101);
+      db.insertEpoch({ epoch: 2, startBlock: 102, startTimestamp: 102 });
+      db.insertAddressState({ address: '0xa', epoch: 2, balance: '10' });
+      db.insertIdentityState({
+        address: '0xa',
+        epoch: 2,
+        state: 'Human',
+        blockHeight: 102,
+        timestamp: 102,
+      });
+      db.insertBalanceChangesBatch([
+        {
+          address: '0xa',
+          blockHeight: 100,
+          txHash: '0xt100',
+          changeType: 'tx_out',
+          amount: '-1',
+          timestamp: 100,
+        },
+        {
+          address: '0xa',
+          blockHeight: 102,
+          txHash: '0xt102a',
+          changeType: 'tx_out',
+          amount: '-5',
+          timestamp: 102,
+        },
+      ]);
+      db.insertInvite({
+        hash: '0xinv',
+        inviter: '0xa',
+        epoch: 1,
+        blockHeight: 100,
+        timestamp: 100,
+      });
+      db.updateInviteStatus('0xinv', 'activated', '0xc', '0xt101');
+      db.insertContract({
+        address: '0xold',
+        deployTxHash: '0xd',
+        deployer: '0xa',
+        state: 'terminated',
+        epoch: 1,
+        blockHeight: 100,
+        timestamp: 100,
+      });
+      db.insertContract({
+        address: '0xcontract',
+        deployTxHash: '0xd2',
+        deployer: '0xa',
+        epoch: 2,
+        blockHeight: 102,
+        timestamp: 102,
+      });
+      db.insertContractCallsBatch([
+        {
+          txHash: '0xt102a',
+          contractAddress: '0xcontract',
+          caller: '0xa',
+          blockHeight: 102,
+          timestamp: 102,
+        },
+        {
+          txHash: '0xt102b',
+          contractAddress: '0xold',
+          caller: '0xa',
+          method: 'terminate',
+          blockHeight: 102,
+          timestamp: 102,
+        },
+      ]);
+      db.indexTransaction({ hash: '0xt102a', from: '0xa', to: '0xcontract' });
+    });
+
+    describe('rollbackToHeight()', () => {
+      it('should remove blocks and derived rows above the ancestor', () => {
+        const removed = db.rollbackToHeight(100);
+
+        expect(removed.blocks).toBe(2);
+        expect(removed.transactions).toBe(3);
+        expect(removed.balanceChanges).toBe(1);
+        expect(removed.contractCalls).toBe(2);
+        expect(removed.contracts).toBe(1);
+        expect(removed.epochs).toBe(1);
+        expect(removed.identityStates).toBe(1);
+        expect(removed.addressStates).toBe(1);
+
+        expect(db.getBlock(100)).not.toBeNull();
+        expect(db.getBlock(101)).toBeNull();
+        expect(db.getTransaction('0xt100')).not.toBeNull();
+        expect(db.getTransaction('0xt102a')).toBeNull();
+      });
+
+      it('should reopen epochs that ended on the abandoned branch', () => {
+        db.rollbackToHeight(100);
+
+        const epoch = db.getEpoch(1);
+        expect(epoch.endBlock).toBeNull();
+        expect(db.getEpoch(2)).toBeNull();
+      });
+
+      it('should remove rewards and penalties of epochs closed on the abandoned branch', () => {
+        db.insertRewardsBatch([{ address: '0xa', epoch: 1, type: 'flip', amount: '5' }]);
+        db.insertValidationResult({ address: '0xa', epoch: 1, shortAnswers: 6 });
+        db.insertPenalty({
+          address: '0xa',
+          epoch: 1,
+          penalty: '1',
+          blockHeight: 102,
+          timestamp: 1,
+        });
+
+        // Epoch 1 was closed by block 102, which is kept
+        expect(db.rollbackToHeight(102)).toMatchObject({
+          rewards: 0,
+          validationResults: 0,
+          penalties: 0,
+        });
+
+        expect(db.rollbackToHeight(101)).toMatchObject({
+          rewards: 1,
+          validationResults: 1,
+          penalties: 1,
+        });
+        expect(db.getIdentityRewards('0xa').data).toEqual([]);
+        expect(db.getAddressPenalties('0xa').data).toEqual([]);
+
+        // Re-closing the epoch on the new branch doesn't duplicate penalties
+        db.insertPenalty({
+          address: '0xa',
+          epoch: 1,
+          penalty: '1',
+          blockHeight: 102,
+          timestamp: 1,
+        });
+        expect(db.getAddressPenalties('0xa').data).toHaveLength(1);
+      });
+
+      it('should revert invite activations and contract terminations', () => {
+        db.rollbackToHeight(100);
+
+        const invite = db.getInvite('0xinv');
+        expect(invite.status).toBe('pending');
+        expect(invite.invitee).toBeNull();
+        expect(db.getContract('0xold').state).toBe('active');
+      });
+
+      it('should remove rolled back transactions from the search index', () => {
+        const before = db.db
+          .prepare(
+            'SELECT COUNT(*) as count FROM search_transactions WHERE search_transactions MATCH ?'
+          )
+          .get('hash:"0xt102a"');
+        expect(before.count).toBe(1);
+
+        db.rollbackToHeight(100);
+
+        const after = db.db
+          .prepare(
+            'SELECT COUNT(*) as count FROM search_transactions WHERE search_transactions MATCH ?'
+          )
+          .get('hash:"0xt102a"');
+        expect(after.count).toBe(0);
+      });
+
+      it('should return null when disabled', () => {
+        db.enabled = false;
+        expect(db.rollbackToHeight(100)).toBeNull();
+      });
+    });
+
+    describe('insertReorg() / getReorgs()', () => {
+      it('should record a reorg with its affected heights', () => {
+        db.insertReorg({
+          commonAncestor: 100,
+          oldTip: 102,
+          depth: 2,
+          oldTipHash: '0xb102',
+          newTipHash: '0xb102fork',
+          removedBlocks: 2,
+          removedTransactions: 3,
+          detectedAt: 1704067200,
+        });
+
+        const result = db.getReorgs();
+        expect(result.total).toBe(1);
+        expect(result.data[0]).toEqual({
+          id: 1,
+          commonAncestor: 100,
+          oldTip: 102,
+          depth: 2,
+          affectedHeights: { from: 101, to: 102 },
+          oldTipHash: '0xb102',
+          newTipHash: '0xb102fork',
+          removedBlocks: 2,
+          removedTransactions: 3,
+          detectedAt: '2024-01-01T00:00:00.000Z',
+        });
+      });
+
+      it('should return most recent reorg from getLastReorg()', () => {
+        db.insertReorg({ commonAncestor: 90, oldTip: 95, depth: 5 });
+        db.insertReorg({ commonAncestor: 100, oldTip: 101, depth: 1 });
+
+        expect(db.getLastReorg().commonAncestor).toBe(100);
+        expect(db.getReorgs({ limit: 1 }).hasMore).toBe(true);
+      });
+
+      it('should return null from getLastReorg() when none recorded', () => {
+        expect(db.getLastReorg()).toBeNull();
+      });
+    });
+  });
+
+  // ==========================================
+  // Sync Failure Methods Tests
+  // ==========================================
+
+  describe('Sync Failure Methods', () => {
+    it('should queue a failed block and count repeated attempts', () => {
+      db.recordSyncFailure({ kind: 'block', blockHeight: 500, error: 'timeout' });
+      db.recordSyncFailure({ kind: 'block', blockHeight: 500, error: 'ECONNRESET' });
+
+      const failures = db.getSyncFailures();
+      expect(failures).toHaveLength(1);
+      expect(failures[0]).toMatchObject({
+        kind: 'block',
+        blockHeight: 500,
+        txHash: null,
+        attempts: 2,
+        lastError: 'ECONNRESET',
+      });
+    });
+
+    it('should key transaction failures by hash', () => {
+      db.recordSyncFailure({
+        kind: 'transaction',
+        blockHeight: 500,
+        txHash: '0xa',
+        txIndex: 0,
+        error: 'x',
+      });
+      db.recordSyncFailure({
+        kind: 'transaction',
+        blockHeight: 500,
+        txHash: '0xb',
+        txIndex: 1,
+        error: 'x',
+      });
+      db.recordSyncFailure({
+        kind: 'transaction',
+        blockHeight: 500,
+        txHash: '0xa',
+        txIndex: 0,
+        error: 'y',
+      });
+      db.recordSyncFailure({ kind: 'block', blockHeight: 500, error: 'z' });
+
+      expect(db.getSyncFailures({ kind: 'transaction' })).toHaveLength(2);
+      expect(db.getSyncFailures({ kind: 'block' })).toHaveLength(1);
+    });
+
+    it('should key receipt failures by hash, apart from transaction failures', () => {
+      const failure = { blockHeight: 500, txHash: '0xa', txIndex: 0, error: 'x' };
+      db.recordSyncFailure({ ...failure, kind: 'transaction' });
+      db.recordSyncFailure({ ...failure, kind: 'receipt' });
+      db.recordSyncFailure({ ...failure, kind: 'receipt' });
+
+      const [receipt] = db.getSyncFailures({ kind: 'receipt' });
+      expect(receipt).toMatchObject({ txHash: '0xa', attempts: 2 });
+      expect(db.getSyncFailureSummary()).toMatchObject({ total: 2, transactions: 1, receipts: 1 });
+    });
+
+    it('should remove resolved failures', () => {
+      db.recordSyncFailure({ kind: 'block', blockHeight: 500, error: 'timeout' });
+      const [failure] = db.getSyncFailures();
+
+      db.resolveSyncFailure(failure.id);
+
+      expect(db.getSyncFailures()).toEqual([]);
+    });
+
+    it('should resolve block and transaction failures stored by another path', () => {
+      const failure = { blockHeight: 500, txIndex: 0, error: 'x' };
+      db.recordSyncFailure({ kind: 'block', blockHeight: 500, error: 'x' });
+      db.recordSyncFailure({ kind: 'block', blockHeight: 501, error: 'x' });
+      db.recordSyncFailure({ ...failure, kind: 'transaction', txHash: '0xa' });
+      db.recordSyncFailure({ ...failure, kind: 'receipt', txHash: '0xa' });
+
+      expect(db.resolveSyncFailuresFor([500], ['0xa'])).toBe(2);
+
+      expect(db.getSyncFailures().map((f) => [f.kind, f.blockHeight])).toEqual(
+        expect.arrayContaining([
+          ['block', 501],
+          ['receipt', 500],
+        ])
+      );
+      expect(db.getSyncFailures()).toHaveLength(2);
+    });
+
+    it('should summarize the queue', () => {
+      db.recordSyncFailure({ kind: 'block', blockHeight: 700, error: 'timeout' });
+      db.recordSyncFailure({ kind: 'block', blockHeight: 700, error: 'timeout' });
+      db.recordSyncFailure({
+        kind: 'transaction',
+        blockHeight: 650,
+        txHash: '0xa',
+        txIndex: 0,
+        error: 'x',
+      });
+
+      const summary = db.getSyncFailureSummary();
+      expect(summary).toMatchObject({
+        total: 2,
+        blocks: 1,
+        transactions: 1,
+        lowestHeight: 650,
+        maxAttempts: 2,
+      });
+      expect(summary.oldestFailure).not.toBeNull();
+    });
+
+    it('should return an empty summary when nothing is queued', () => {
+      expect(db.getSyncFailureSummary()).toEqual({
+        total: 0,
+        blocks: 0,
+        transactions: 0,
+        receipts: 0,
+        lowestHeight: null,
+        maxAttempts: 0,
+        oldestFailure: null,
+      });
+    });
+
+    it('should drop failures above a rollback height', () => {
+      db.recordSyncFailure({ kind: 'block', blockHeight: 50, error: 'x' });
+      db.recordSyncFailure({ kind: 'block', blockHeight: 150, error: 'x' });
+
+      const removed = db.rollbackToHeight(100);
+
+      expect(removed.syncFailures).toBe(1);
+      expect(db.getSyncFailures().map((f) => f.blockHeight)).toEqual([50]);
+    });
+  });
+
+  // ==========================================
+  // Gap Detection Methods Tests
+  // ==========================================
+
+  describe('Gap Detection Methods', () => {
+    const block = (height, txCount = 0) => ({
+      height,
+      hash: `0xb${height}`,
+      timestamp: height,
+      epoch: 1,
+      txCount,
+    });
+
+    beforeEach(() => {
+      db.insertBatch(
+        [block(12), block(13, 2), block(15), block(16, 1), block(20)],
+        [
+          { hash: '0xt13a', blockHeight: 13, type: 'SendTx', from: '0xa', timestamp: 13 },
+          { hash: '0xt16', blockHeight: 16, type: 'SendTx', from: '0xa', timestamp: 16 },
+        ]
+      );
+    });
+
+    describe('findBlockGaps()', () => {
+      it('should return missing ranges including leading and trailing gaps', () => {
+        expect(db.findBlockGaps(10, 22)).toEqual([
+          { from: 10, to: 11, count: 2 },
+          { from: 14, to: 14, count: 1 },
+          { from: 17, to: 19, count: 3 },
+          { from: 21, to: 22, count: 2 },
+        ]);
+      });
+
+      it('should respect the limit', () => {
+        expect(db.findBlockGaps(10, 22, 1)).toEqual([{ from: 10, to: 11, count: 2 }]);
+      });
+
+      it('should return nothing for a fully stored range', () => {
+        expect(db.findBlockGaps(15, 16)).toEqual([]);
+      });
+    });
+
+    describe('findTxCountMismatches()', () => {
+      it('should return blocks missing stored transactions', () => {
+        expect(db.findTxCountMismatches(10, 22)).toEqual([{ height: 13, expected: 2, stored: 1 }]);
+      });
+    });
+
+    describe('getBlockCoverage()', () => {
+      it('should report coverage of the synced range', () => {
+        db.setSyncStartBlock(12);
+        db.updateSyncStatus(20);
+
+        const coverage = db.getBlockCoverage();
+
+        expect(coverage).toMatchObject({
+          from: 12,
+          to: 20,
+          expectedBlocks: 9,
+          storedBlocks: 5,
+          missingBlocks: 4,
+          coverage: '55.56',
+        });
+        expect(coverage.gaps).toEqual([
+          { from: 14, to: 14, count: 1 },
+          { from: 17, to: 19, count: 3 },
+        ]);
+        expect(coverage.txCountMismatches).toHaveLength(1);
+      });
+
+      it('should report an empty range before the first sync', () => {
+        db.db.exec('DELETE FROM transactions; DELETE FROM blocks;');
+
+        expect(db.getBlockCoverage()).toMatchObject({ from: null, missingBlocks: 0, gaps: [] });
+      });
+
+      it('should return null when disabled', () => {
+        db.enabled = false;
+        expect(db.getBlockCoverage()).toBeNull();
+      });
+    });
+  });
+
   // ==========================================
   // Epoch Methods Tests
   // ==========================================
@@ -371,6 +1093,87 @@ describe('HistoryDB', () => {
       });
     });
 
+    describe('computeEpochStats()', () => {
+      beforeEach(() => {
+        db.insertBatch(
+          [
+            { height: 100, hash: '0xb100', timestamp: 100, epoch: 150, txCount: 2 },
+            { height: 101, hash: '0xb101', timestamp: 101, epoch: 150, txCount: 1 },
+            { height: 102, hash: '0xb102', timestamp: 102, epoch: 151, txCount: 1 },
+          ],
+          [
+            { hash: '0xt1', blockHeight: 100, type: 'SendTx', from: '0xa', timestamp: 100 },
+            { hash: '0xt2', blockHeight: 100, type: 'SubmitFlipTx', from: '0xa', timestamp: 100 },
+            { hash: '0xt3', blockHeight: 101, type: 'submitFlip', from: '0xb', timestamp: 101 },
+            { hash: '0xt4', blockHeight: 102, type: 'SendTx', from: '0xa', timestamp: 102 },
+          ]
+        );
+        db.insertIdentityStatesBatch([
+          { address: '0xa', epoch: 150, state: 'Human', timestamp: 100 },
+          { address: '0xb', epoch: 150, state: 'Newbie', timestamp: 100 },
+          { address: '0xc', epoch: 150, state: 'Candidate', timestamp: 100 },
+          { address: '0xd', epoch: 150, state: 'Killed', timestamp: 100 },
+        ]);
+        db.insertInvite({
+          hash: '0xinv',
+          inviter: '0xa',
+          epoch: 150,
+          blockHeight: 100,
+          timestamp: 100,
+        });
+      });
+
+      it('should count stored rows belonging to the epoch', () => {
+        expect(db.computeEpochStats(150)).toEqual({
+          blockCount: 2,
+          txCount: 3,
+          validatedCount: 2,
+          flipCount: 2,
+          inviteCount: 1,
+        });
+      });
+
+      it('should return zeros for an epoch with no data', () => {
+        expect(db.computeEpochStats(149)).toEqual({
+          blockCount: 0,
+          txCount: 0,
+          validatedCount: 0,
+          flipCount: 0,
+          inviteCount: 0,
+        });
+      });
+    });
+
+    describe('recomputeEpochStats()', () => {
+      beforeEach(() => {
+        db.insertBatch(
+          [
+            { height: 100, hash: '0xb100', timestamp: 100, epoch: 150 },
+            { height: 200, hash: '0xb200', timestamp: 200, epoch: 151 },
+            { height: 300, hash: '0xb300', timestamp: 300, epoch: 152 },
+          ],
+          []
+        );
+        db.insertEpoch({ epoch: 150, startBlock: 100, startTimestamp: 100 });
+        db.insertEpoch({ epoch: 151, startBlock: 200, startTimestamp: 200 });
+        db.insertEpoch({ epoch: 152, startBlock: 300, startTimestamp: 300 });
+        db.closeEpoch(150, 199, 199);
+        db.closeEpoch(151, 299, 299, { blockCount: 77 });
+      });
+
+      it('should fill closed epochs that have no stats', () => {
+        expect(db.recomputeEpochStats()).toEqual([150]);
+        expect(db.getEpoch(150).blockCount).toBe(1);
+        expect(db.getEpoch(151).blockCount).toBe(77);
+        expect(db.getEpoch(152).blockCount).toBe(0);
+      });
+
+      it('should recompute every closed epoch with all', () => {
+        expect(db.recomputeEpochStats({ all: true })).toEqual([150, 151]);
+        expect(db.getEpoch(151).blockCount).toBe(1);
+      });
+    });
+
     describe('getEpoch()', () => {
       it('should return epoch by number', () => {
         db.insertEpoch({ epoch: 150, startBlock: 5000000, startTimestamp: 1704067200 });
@@ -386,6 +1189,16 @@ describe('HistoryDB', () => {
       });
     });
 
+    describe('getEpochsByNumber()', () => {
+      it('should return the epochs found', () => {
+        db.insertEpoch({ epoch: 150, startBlock: 5000000, startTimestamp: 1704067200 });
+        db.insertEpoch({ epoch: 151, startBlock: 5100000, startTimestamp: 1705067200 });
+
+        const epochs = db.getEpochsByNumber([151, 150, 999]);
+        expect(epochs.map((e) => e.epoch).sort()).toEqual([150, 151]);
+      });
+    });
+
     describe('getLastEpoch()', () => {
       it('should return the most recent epoch', () => {
         db.insertEpoch({ epoch: 148, startBlock: 4800000, startTimestamp: 1703900000 });
@@ -405,7 +1218,11 @@ describe('HistoryDB', () => {
     describe('getEpochs()', () => {
       beforeEach(() => {
         for (let i = 145; i <= 150; i++) {
-          db.insertEpoch({ epoch: i, startBlock: 4500000 + (i - 145) * 100000, startTimestamp: 1700000000 + (i - 145) * 100000 });
+          db.insertEpoch({
+            epoch: i,
+            startBlock: 4500000 + (i - 145) * 100000,
+            startTimestamp: 1700000000 + (i - 145) * 100000,
+          });
         }
       });
 
@@ -426,7 +1243,13 @@ describe('HistoryDB', () => {
 
     describe('getEpochByBlock()', () => {
       beforeEach(() => {
-        db.insertEpoch({ epoch: 149, startBlock: 4900000, startTimestamp: 1704000000, endBlock: 4999999, endTimestamp: 1704099999 });
+        db.insertEpoch({
+          epoch: 149,
+          startBlock: 4900000,
+          startTimestamp: 1704000000,
+          endBlock: 4999999,
+          endTimestamp: 1704099999,
+        });
         db.insertEpoch({ epoch: 150, startBlock: 5000000, startTimestamp: 1704100000 });
       });
 
@@ -485,18 +1308,45 @@ describe('HistoryDB', () => {
         const count = db.db.prepare('SELECT COUNT(*) as count FROM identity_states').get().count;
         expect(count).toBe(3);
       });
+
+      it('should return the addresses whose state changed from their previous state', () => {
+        db.insertIdentityStatesBatch([
+          { address: '0xaddr1', epoch: 150, state: 'Human', timestamp: 1 },
+          { address: '0xaddr2', epoch: 150, state: 'Verified', timestamp: 1 },
+        ]);
+
+        const changed = db.insertIdentityStatesBatch([
+          { address: '0xaddr1', epoch: 151, state: 'Human', timestamp: 2 },
+          { address: '0xaddr2', epoch: 151, state: 'Suspended', timestamp: 2 },
+          { address: '0xaddr3', epoch: 151, state: 'Candidate', timestamp: 2 },
+        ]);
+
+        expect(changed).toEqual([
+          { address: '0xaddr2', prevState: 'Verified', state: 'Suspended' },
+        ]);
+      });
     });
 
     describe('getIdentityState()', () => {
       it('should return identity state for address at epoch', () => {
-        db.insertIdentityState({ address: testAddress, epoch: 150, state: 'Human', timestamp: 1704067200 });
+        db.insertIdentityState({
+          address: testAddress,
+          epoch: 150,
+          state: 'Human',
+          timestamp: 1704067200,
+        });
 
         const state = db.getIdentityState(testAddress, 150);
         expect(state.state).toBe('Human');
       });
 
       it('should be case-insensitive for address', () => {
-        db.insertIdentityState({ address: testAddress.toUpperCase(), epoch: 150, state: 'Human', timestamp: 1704067200 });
+        db.insertIdentityState({
+          address: testAddress.toUpperCase(),
+          epoch: 150,
+          state: 'Human',
+          timestamp: 1704067200,
+        });
 
         const state = db.getIdentityState(testAddress.toLowerCase(), 150);
         expect(state).not.toBeNull();
@@ -511,7 +1361,11 @@ describe('HistoryDB', () => {
     describe('getIdentityEpochs()', () => {
       beforeEach(() => {
         for (let epoch = 145; epoch <= 150; epoch++) {
-          db.insertEpoch({ epoch, startBlock: 4500000 + (epoch - 145) * 100000, startTimestamp: 1700000000 + (epoch - 145) * 100000 });
+          db.insertEpoch({
+            epoch,
+            startBlock: 4500000 + (epoch - 145) * 100000,
+            startTimestamp: 1700000000 + (epoch - 145) * 100000,
+          });
           db.insertIdentityState({
             address: testAddress,
             epoch,
@@ -534,14 +1388,157 @@ describe('HistoryDB', () => {
         expect(result.data.length).toBe(3);
         expect(result.hasMore).toBe(true);
       });
+
+      it('should link each snapshot to the previous state', () => {
+        const result = db.getIdentityEpochs(testAddress);
+        const byEpoch = Object.fromEntries(result.data.map((d) => [d.epoch, d.prevState]));
+
+        expect(byEpoch[145]).toBeNull();
+        expect(byEpoch[148]).toBe('Newbie');
+        expect(byEpoch[150]).toBe('Verified');
+      });
+
+      it('should keep an explicit prevState', () => {
+        db.insertIdentityState({
+          address: testAddress,
+          epoch: 151,
+          state: 'Human',
+          prevState: 'Suspended',
+          timestamp: 1,
+        });
+        expect(db.getIdentityState(testAddress, 151).prevState).toBe('Suspended');
+      });
+
+      it('should include mid-epoch changes in the timeline', () => {
+        db.insertIdentityChangesBatch([
+          {
+            address: testAddress,
+            epoch: 150,
+            changeType: 'delegated',
+            counterparty: '0xpool',
+            txHash: '0xd',
+            blockHeight: 5000010,
+            timestamp: 10,
+          },
+          {
+            address: testAddress,
+            epoch: 150,
+            changeType: 'killed',
+            newState: 'Killed',
+            txHash: '0xk',
+            blockHeight: 5000020,
+            timestamp: 20,
+          },
+        ]);
+
+        const [latest] = db.getIdentityEpochs(testAddress).data;
+        expect(latest.epoch).toBe(150);
+        expect(latest.changes).toEqual([
+          {
+            type: 'delegated',
+            prevState: 'Human',
+            newState: null,
+            counterparty: '0xpool',
+            txHash: '0xd',
+            blockHeight: 5000010,
+            timestamp: 10,
+          },
+          {
+            type: 'killed',
+            prevState: 'Human',
+            newState: 'Killed',
+            counterparty: null,
+            txHash: '0xk',
+            blockHeight: 5000020,
+            timestamp: 20,
+          },
+        ]);
+      });
+
+      it("should use a mid-epoch kill as the next snapshot's previous state", () => {
+        db.insertIdentityChangesBatch([
+          {
+            address: testAddress,
+            epoch: 150,
+            changeType: 'killed',
+            newState: 'Killed',
+            txHash: '0xk',
+            blockHeight: 5000020,
+            timestamp: 20,
+          },
+        ]);
+        db.insertIdentityState({
+          address: testAddress,
+          epoch: 151,
+          state: 'Undefined',
+          timestamp: 30,
+        });
+
+        expect(db.getIdentityState(testAddress, 151).prevState).toBe('Killed');
+      });
+
+      it('should list epochs that only have changes', () => {
+        db.insertIdentityChangesBatch([
+          {
+            address: testAddress,
+            epoch: 152,
+            changeType: 'online',
+            txHash: '0xo',
+            blockHeight: 5700000,
+            timestamp: 40,
+          },
+        ]);
+
+        const result = db.getIdentityEpochs(testAddress);
+        expect(result.total).toBe(7);
+        expect(result.data[0]).toMatchObject({ epoch: 152, state: null });
+        expect(result.data[0].changes[0].type).toBe('online');
+      });
+
+      it('should ignore duplicate changes and drop them on rollback', () => {
+        const change = {
+          address: testAddress,
+          epoch: 150,
+          changeType: 'online',
+          txHash: '0xo',
+          blockHeight: 200,
+          timestamp: 40,
+        };
+        db.insertIdentityChangesBatch([change]);
+        db.insertIdentityChangesBatch([change]);
+        expect(db.getIdentityEpochs(testAddress).data[0].changes).toHaveLength(1);
+
+        expect(db.rollbackToHeight(100).identityChanges).toBe(1);
+        expect(db.getIdentityEpochs(testAddress).data[0].changes).toEqual([]);
+      });
     });
 
     describe('getEpochIdentities()', () => {
       beforeEach(() => {
-        db.insertIdentityState({ address: '0xaddr1', epoch: 150, state: 'Human', timestamp: 1704067200 });
-        db.insertIdentityState({ address: '0xaddr2', epoch: 150, state: 'Human', timestamp: 1704067200 });
-        db.insertIdentityState({ address: '0xaddr3', epoch: 150, state: 'Verified', timestamp: 1704067200 });
-        db.insertIdentityState({ address: '0xaddr4', epoch: 150, state: 'Newbie', timestamp: 1704067200 });
+        db.insertIdentityState({
+          address: '0xaddr1',
+          epoch: 150,
+          state: 'Human',
+          timestamp: 1704067200,
+        });
+        db.insertIdentityState({
+          address: '0xaddr2',
+          epoch: 150,
+          state: 'Human',
+          timestamp: 1704067200,
+        });
+        db.insertIdentityState({
+          address: '0xaddr3',
+          epoch: 150,
+          state: 'Verified',
+          timestamp: 1704067200,
+        });
+        db.insertIdentityState({
+          address: '0xaddr4',
+          epoch: 150,
+          state: 'Newbie',
+          timestamp: 1704067200,
+        });
       });
 
       it('should return all identities for an epoch', () => {
@@ -553,7 +1550,7 @@ describe('HistoryDB', () => {
       it('should filter by state', () => {
         const result = db.getEpochIdentities(150, { state: 'Human' });
         expect(result.data.length).toBe(2);
-        expect(result.data.every(d => d.state === 'Human')).toBe(true);
+        expect(result.data.every((d) => d.state === 'Human')).toBe(true);
       });
 
       it('should support pagination', () => {
@@ -565,10 +1562,30 @@ describe('HistoryDB', () => {
 
     describe('getEpochIdentitySummary()', () => {
       beforeEach(() => {
-        db.insertIdentityState({ address: '0xaddr1', epoch: 150, state: 'Human', timestamp: 1704067200 });
-        db.insertIdentityState({ address: '0xaddr2', epoch: 150, state: 'Human', timestamp: 1704067200 });
-        db.insertIdentityState({ address: '0xaddr3', epoch: 150, state: 'Verified', timestamp: 1704067200 });
-        db.insertIdentityState({ address: '0xaddr4', epoch: 150, state: 'Newbie', timestamp: 1704067200 });
+        db.insertIdentityState({
+          address: '0xaddr1',
+          epoch: 150,
+          state: 'Human',
+          timestamp: 1704067200,
+        });
+        db.insertIdentityState({
+          address: '0xaddr2',
+          epoch: 150,
+          state: 'Human',
+          timestamp: 1704067200,
+        });
+        db.insertIdentityState({
+          address: '0xaddr3',
+          epoch: 150,
+          state: 'Verified',
+          timestamp: 1704067200,
+        });
+        db.insertIdentityState({
+          address: '0xaddr4',
+          epoch: 150,
+          state: 'Newbie',
+          timestamp: 1704067200,
+        });
       });
 
       it('should return counts by state', () => {
@@ -635,7 +1652,12 @@ describe('HistoryDB', () => {
       });
 
       it('should be case-insensitive for address', () => {
-        db.insertAddressState({ address: testAddress.toUpperCase(), epoch: 150, balance: '1000', stake: '500' });
+        db.insertAddressState({
+          address: testAddress.toUpperCase(),
+          epoch: 150,
+          balance: '1000',
+          stake: '500',
+        });
 
         const state = db.getAddressState(testAddress.toLowerCase(), 150);
         expect(state).not.toBeNull();
@@ -650,7 +1672,11 @@ describe('HistoryDB', () => {
     describe('getAddressStates()', () => {
       beforeEach(() => {
         for (let epoch = 145; epoch <= 150; epoch++) {
-          db.insertEpoch({ epoch, startBlock: 4500000 + (epoch - 145) * 100000, startTimestamp: 1700000000 + (epoch - 145) * 100000 });
+          db.insertEpoch({
+            epoch,
+            startBlock: 4500000 + (epoch - 145) * 100000,
+            startTimestamp: 1700000000 + (epoch - 145) * 100000,
+          });
           db.insertAddressState({
             address: testAddress,
             epoch,
@@ -682,19 +1708,25 @@ describe('HistoryDB', () => {
 
   describe('New Table Schema', () => {
     it('should create epochs table', () => {
-      const table = db.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='epochs'").get();
+      const table = db.db
+        .prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='epochs'")
+        .get();
       expect(table).toBeDefined();
       expect(table.name).toBe('epochs');
     });
 
     it('should create identity_states table', () => {
-      const table = db.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='identity_states'").get();
+      const table = db.db
+        .prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='identity_states'")
+        .get();
       expect(table).toBeDefined();
       expect(table.name).toBe('identity_states');
     });
 
     it('should create address_states table', () => {
-      const table = db.db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='address_states'").get();
+      const table = db.db
+        .prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='address_states'")
+        .get();
       expect(table).toBeDefined();
       expect(table.name).toBe('address_states');
     });
@@ -703,8 +1735,18 @@ describe('HistoryDB', () => {
   describe('getStats() with new tables', () => {
     it('should include epoch and identity counts', () => {
       db.insertEpoch({ epoch: 150, startBlock: 5000000, startTimestamp: 1704067200 });
-      db.insertIdentityState({ address: '0xaddr1', epoch: 150, state: 'Human', timestamp: 1704067200 });
-      db.insertIdentityState({ address: '0xaddr2', epoch: 150, state: 'Verified', timestamp: 1704067200 });
+      db.insertIdentityState({
+        address: '0xaddr1',
+        epoch: 150,
+        state: 'Human',
+        timestamp: 1704067200,
+      });
+      db.insertIdentityState({
+        address: '0xaddr2',
+        epoch: 150,
+        state: 'Verified',
+        timestamp: 1704067200,
+      });
 
       const stats = db.getStats();
       expect(stats.epochCount).toBe(1);
@@ -933,7 +1975,13 @@ describe('HistoryDB', () => {
         db.insertValidationResultsBatch([
           { address: '0xaddr1', epoch: 150, shortAnswers: 6, shortCorrect: 5 },
           { address: '0xaddr2', epoch: 150, shortAnswers: 6, shortCorrect: 6 },
-          { address: '0xaddr3', epoch: 150, shortAnswers: 6, shortCorrect: 4, missedValidation: true },
+          {
+            address: '0xaddr3',
+            epoch: 150,
+            shortAnswers: 6,
+            shortCorrect: 4,
+            missedValidation: true,
+          },
         ]);
 
         const stats = db.getStats();
@@ -1002,9 +2050,38 @@ describe('HistoryDB', () => {
     describe('getEpochValidationSummary()', () => {
       beforeEach(() => {
         db.insertValidationResultsBatch([
-          { address: '0xaddr1', epoch: 150, shortAnswers: 6, shortCorrect: 5, longAnswers: 20, longCorrect: 18, totalReward: '100', madeFlips: 3, qualifiedFlips: 3 },
-          { address: '0xaddr2', epoch: 150, shortAnswers: 6, shortCorrect: 6, longAnswers: 20, longCorrect: 20, totalReward: '120', madeFlips: 3, qualifiedFlips: 3 },
-          { address: '0xaddr3', epoch: 150, shortAnswers: 0, shortCorrect: 0, longAnswers: 0, longCorrect: 0, totalReward: '0', missedValidation: true },
+          {
+            address: '0xaddr1',
+            epoch: 150,
+            shortAnswers: 6,
+            shortCorrect: 5,
+            longAnswers: 20,
+            longCorrect: 18,
+            totalReward: '100',
+            madeFlips: 3,
+            qualifiedFlips: 3,
+          },
+          {
+            address: '0xaddr2',
+            epoch: 150,
+            shortAnswers: 6,
+            shortCorrect: 6,
+            longAnswers: 20,
+            longCorrect: 20,
+            totalReward: '120',
+            madeFlips: 3,
+            qualifiedFlips: 3,
+          },
+          {
+            address: '0xaddr3',
+            epoch: 150,
+            shortAnswers: 0,
+            shortCorrect: 0,
+            longAnswers: 0,
+            longCorrect: 0,
+            totalReward: '0',
+            missedValidation: true,
+          },
         ]);
       });
 
@@ -1071,9 +2148,27 @@ describe('HistoryDB', () => {
     describe('insertBalanceChangesBatch()', () => {
       it('should insert multiple balance changes', () => {
         db.insertBalanceChangesBatch([
-          { address: '0xaddr1', blockHeight: 1000, changeType: 'tx_in', amount: '100', timestamp: 1704067200 },
-          { address: '0xaddr1', blockHeight: 1001, changeType: 'tx_out', amount: '50', timestamp: 1704067300 },
-          { address: '0xaddr2', blockHeight: 1002, changeType: 'reward', amount: '10', timestamp: 1704067400 },
+          {
+            address: '0xaddr1',
+            blockHeight: 1000,
+            changeType: 'tx_in',
+            amount: '100',
+            timestamp: 1704067200,
+          },
+          {
+            address: '0xaddr1',
+            blockHeight: 1001,
+            changeType: 'tx_out',
+            amount: '50',
+            timestamp: 1704067300,
+          },
+          {
+            address: '0xaddr2',
+            blockHeight: 1002,
+            changeType: 'reward',
+            amount: '10',
+            timestamp: 1704067400,
+          },
         ]);
 
         const stats = db.getStats();
@@ -1090,10 +2185,37 @@ describe('HistoryDB', () => {
     describe('getAddressBalanceChanges()', () => {
       beforeEach(() => {
         db.insertBalanceChangesBatch([
-          { address: '0xaddr1', blockHeight: 1000, changeType: 'tx_in', amount: '100', balanceAfter: '100', timestamp: 1704067200 },
-          { address: '0xaddr1', blockHeight: 1001, changeType: 'tx_out', amount: '30', balanceAfter: '70', timestamp: 1704067300 },
-          { address: '0xaddr1', blockHeight: 1002, changeType: 'reward', amount: '10', balanceAfter: '80', timestamp: 1704067400 },
-          { address: '0xaddr2', blockHeight: 1003, changeType: 'tx_in', amount: '200', timestamp: 1704067500 },
+          {
+            address: '0xaddr1',
+            blockHeight: 1000,
+            changeType: 'tx_in',
+            amount: '100',
+            balanceAfter: '100',
+            timestamp: 1704067200,
+          },
+          {
+            address: '0xaddr1',
+            blockHeight: 1001,
+            changeType: 'tx_out',
+            amount: '30',
+            balanceAfter: '70',
+            timestamp: 1704067300,
+          },
+          {
+            address: '0xaddr1',
+            blockHeight: 1002,
+            changeType: 'reward',
+            amount: '10',
+            balanceAfter: '80',
+            timestamp: 1704067400,
+          },
+          {
+            address: '0xaddr2',
+            blockHeight: 1003,
+            changeType: 'tx_in',
+            amount: '200',
+            timestamp: 1704067500,
+          },
         ]);
       });
 
@@ -1115,15 +2237,238 @@ describe('HistoryDB', () => {
         expect(result.data[0].changeType).toBe('reward');
       });
 
-      it('should be case insensitive', () => {
-        const result = db.getAddressBalanceChanges('0xADDR1');
-        expect(result.data.length).toBe(3);
+      it('should be case insensitive', () => {
+        const result = db.getAddressBalanceChanges('0xADDR1');
+        expect(result.data.length).toBe(3);
+      });
+
+      it('should order by block height descending', () => {
+        const result = db.getAddressBalanceChanges('0xaddr1');
+        expect(result.data[0].blockHeight).toBe(1002);
+        expect(result.data[2].blockHeight).toBe(1000);
+      });
+    });
+
+    describe('recomputeBalanceAfter()', () => {
+      const balances = (address) =>
+        db
+          .getAddressBalanceChanges(address)
+          .data.map((c) => [c.blockHeight, c.changeType, c.balanceAfter])
+          .reverse();
+
+      beforeEach(() => {
+        db.insertBatch(
+          [{ height: 1001, hash: '0xb1001', timestamp: 1001, epoch: 150 }],
+          [
+            {
+              hash: '0xlate',
+              blockHeight: 1001,
+              txIndex: 2,
+              type: 'SendTx',
+              from: '0xaddr1',
+              timestamp: 1001,
+            },
+            {
+              hash: '0xearly',
+              blockHeight: 1001,
+              txIndex: 0,
+              type: 'SendTx',
+              from: '0xother',
+              to: '0xaddr1',
+              timestamp: 1001,
+            },
+          ]
+        );
+        db.insertBalanceChangesBatch([
+          {
+            address: '0xaddr1',
+            blockHeight: 1000,
+            changeType: 'tx_in',
+            amount: '100',
+            timestamp: 1000,
+          },
+          {
+            address: '0xaddr1',
+            blockHeight: 1001,
+            txHash: '0xlate',
+            changeType: 'tx_out',
+            amount: '-30.5',
+            timestamp: 1001,
+          },
+          {
+            address: '0xaddr1',
+            blockHeight: 1001,
+            txHash: '0xlate',
+            changeType: 'fee',
+            amount: '-0.1',
+            timestamp: 1001,
+          },
+          {
+            address: '0xaddr1',
+            blockHeight: 1001,
+            txHash: '0xearly',
+            changeType: 'tx_in',
+            amount: '0.2',
+            timestamp: 1001,
+          },
+          {
+            address: '0xaddr1',
+            blockHeight: 1001,
+            changeType: 'reward',
+            amount: '10',
+            timestamp: 1001,
+          },
+          {
+            address: '0xaddr1',
+            blockHeight: 1005,
+            changeType: 'tx_in',
+            amount: '5',
+            timestamp: 1005,
+          },
+        ]);
+      });
+
+      it('should store null balances until computed', () => {
+        expect(db.getAddressBalanceChanges('0xaddr1').data[0].balanceAfter).toBeNull();
+        expect(db.getAddressesMissingBalance()).toEqual(['0xaddr1']);
+      });
+
+      it('should return null without an anchor', () => {
+        expect(db.recomputeBalanceAfter('0xaddr1')).toBeNull();
+      });
+
+      it('should walk backward and forward from the anchor in block and tx order', () => {
+        db.setBalanceAnchor('0xADDR1', 1001, '179.6');
+
+        expect(db.recomputeBalanceAfter('0xaddr1')).toBe(6);
+        expect(balances('0xaddr1')).toEqual([
+          [1000, 'tx_in', '200'],
+          [1001, 'reward', '210'],
+          [1001, 'tx_in', '210.2'],
+          [1001, 'tx_out', '179.7'],
+          [1001, 'fee', '179.6'],
+          [1005, 'tx_in', '184.6'],
+        ]);
+        expect(db.getAddressesMissingBalance()).toEqual([]);
+      });
+
+      it('should ignore epoch snapshots read at sync time', () => {
+        db.insertEpoch({ epoch: 151, startBlock: 1001, startTimestamp: 1001 });
+        db.insertAddressState({ address: '0xaddr1', epoch: 151, balance: '79.6' });
+
+        expect(db.getBalanceAnchor('0xaddr1')).toBeNull();
+        expect(db.recomputeBalanceAfter('0xaddr1')).toBeNull();
+      });
+
+      it('should continue forward from the last computed change', () => {
+        db.setBalanceAnchor('0xaddr1', 1001, '179.6');
+        db.recomputeBalanceAfter('0xaddr1');
+        db.insertBalanceChange({
+          address: '0xaddr1',
+          blockHeight: 1006,
+          changeType: 'tx_out',
+          amount: '-4.6',
+          timestamp: 1006,
+        });
+
+        expect(db.recomputeBalanceAfter('0xaddr1')).toBe(1);
+        expect(balances('0xaddr1')[6]).toEqual([1006, 'tx_out', '180']);
+        expect(db.recomputeBalanceAfter('0xaddr1')).toBe(0);
+      });
+
+      it('should only rewrite changes after one inserted above the anchor', () => {
+        db.setBalanceAnchor('0xaddr1', 1001, '179.6');
+        db.recomputeBalanceAfter('0xaddr1');
+        db.insertBalanceChange({
+          address: '0xaddr1',
+          blockHeight: 1003,
+          changeType: 'penalty',
+          amount: '-0.6',
+          timestamp: 1003,
+        });
+
+        expect(db.recomputeBalanceAfter('0xaddr1')).toBe(2);
+        expect(balances('0xaddr1').slice(4)).toEqual([
+          [1001, 'fee', '179.6'],
+          [1003, 'penalty', '179'],
+          [1005, 'tx_in', '184'],
+        ]);
+      });
+
+      it('should walk backward from the first computed change for older changes', () => {
+        db.setBalanceAnchor('0xaddr1', 1001, '179.6');
+        db.recomputeBalanceAfter('0xaddr1');
+        db.insertBalanceChange({
+          address: '0xaddr1',
+          blockHeight: 990,
+          changeType: 'tx_in',
+          amount: '150',
+          timestamp: 990,
+        });
+
+        expect(db.recomputeBalanceAfter('0xaddr1')).toBe(1);
+        expect(balances('0xaddr1').slice(0, 2)).toEqual([
+          [990, 'tx_in', '100'],
+          [1000, 'tx_in', '200'],
+        ]);
+      });
+
+      it('should handle negative balances and 18 decimal places', () => {
+        db.insertBalanceChangesBatch([
+          {
+            address: '0xaddr2',
+            blockHeight: 10,
+            changeType: 'tx_in',
+            amount: '0.000000000000000001',
+            timestamp: 10,
+          },
+          {
+            address: '0xaddr2',
+            blockHeight: 11,
+            changeType: 'tx_out',
+            amount: '-1',
+            timestamp: 11,
+          },
+        ]);
+        db.setBalanceAnchor('0xaddr2', 9, '0');
+
+        db.recomputeBalanceAfter('0xaddr2');
+
+        expect(balances('0xaddr2')).toEqual([
+          [10, 'tx_in', '0.000000000000000001'],
+          [11, 'tx_out', '-0.999999999999999999'],
+        ]);
+      });
+
+      it('should correct a fee from its receipt and recompute the balances', () => {
+        db.setBalanceAnchor('0xaddr1', 1001, '179.6');
+        db.recomputeBalanceAfter('0xaddr1');
+
+        expect(db.updateTransactionFee('0xlate', '0.3')).toBe('0xaddr1');
+        expect(db.updateTransactionFee('0xlate', '0.3')).toBeNull();
+        expect(db.getAddressesMissingBalance()).toEqual(['0xaddr1']);
+
+        db.recomputeBalanceAfter('0xaddr1');
+        expect(db.getTransaction('0xlate').fee).toBe('0.3');
+        expect(balances('0xaddr1')).toEqual([
+          [1000, 'tx_in', '200.2'],
+          [1001, 'reward', '210.2'],
+          [1001, 'tx_in', '210.4'],
+          [1001, 'tx_out', '179.9'],
+          [1001, 'fee', '179.6'],
+          [1005, 'tx_in', '184.6'],
+        ]);
       });
 
-      it('should order by block height descending', () => {
-        const result = db.getAddressBalanceChanges('0xaddr1');
-        expect(result.data[0].blockHeight).toBe(1002);
-        expect(result.data[2].blockHeight).toBe(1000);
+      it('should drop anchors from an abandoned branch and reset their balances', () => {
+        db.setBalanceAnchor('0xaddr1', 1003, '179.6');
+        db.recomputeBalanceAfter('0xaddr1');
+
+        const removed = db.rollbackToHeight(1002);
+
+        expect(removed.balanceAnchors).toBe(1);
+        expect(db.getBalanceAnchor('0xaddr1')).toBeNull();
+        expect(db.getAddressesMissingBalance()).toEqual(['0xaddr1']);
       });
     });
 
@@ -1137,7 +2482,13 @@ describe('HistoryDB', () => {
 
         // Insert identity states
         db.insertIdentityStatesBatch([
-          { address: '0xaddr1', epoch: 150, state: 'Human', prevState: 'Verified', timestamp: 1704067200 },
+          {
+            address: '0xaddr1',
+            epoch: 150,
+            state: 'Human',
+            prevState: 'Verified',
+            timestamp: 1704067200,
+          },
         ]);
 
         // Insert blocks first (required for foreign key)
@@ -1218,6 +2569,310 @@ describe('HistoryDB', () => {
         const info = db.getAddressInfo('0xunknown000000000000000000000000000000');
         expect(info).toBeNull();
       });
+
+      it('should return the info of a batch of addresses in order', () => {
+        const infos = db.getAddressInfos(['0xunknown', '0xADDR1', '0xaddr1']);
+
+        expect(infos[0]).toBeNull();
+        expect(infos[1]).toEqual(db.getAddressInfo('0xaddr1'));
+        expect(infos[2]).toEqual(infos[1]);
+      });
+    });
+
+    describe('batch lookups by address', () => {
+      const addresses = ['0xaddr1', '0xaddr2'];
+      const without = (rows, address) =>
+        rows.filter((row) => row.address === address).map(({ address: _, ...row }) => row);
+
+      beforeEach(() => {
+        for (let i = 0; i < 4; i++) {
+          db.insertBlock({
+            height: 1000 + i,
+            hash: `0xb${i}`,
+            timestamp: 1000 + i,
+            epoch: 150 + i,
+          });
+          db.insertTransaction({
+            hash: `0xtx${i}`,
+            blockHeight: 1000 + i,
+            from: i % 2 ? '0xADDR1' : '0xaddr2',
+            to: i === 3 ? '0xaddr1' : '0xaddr3',
+            amount: '1',
+            type: i === 0 ? 'send' : 'kill',
+            timestamp: 1000 + i,
+          });
+          db.insertRewardsBatch([
+            { address: '0xaddr1', epoch: 150 + i, type: 'flip', amount: '1' },
+          ]);
+          db.insertValidationResult({ address: '0xaddr2', epoch: 150 + i, shortAnswers: i });
+          db.insertPenalty({ address: '0xaddr1', epoch: 150, penalty: String(i), timestamp: i });
+          db.insertInvite({
+            hash: `0xi${i}`,
+            inviter: i % 2 ? '0xaddr1' : '0xaddr2',
+            invitee: i % 2 ? '0xaddr2' : '0xaddr1',
+            epoch: 150,
+            timestamp: 1000 + i,
+          });
+        }
+      });
+
+      it('should page each address like the single address lookups', () => {
+        const options = { limit: 2, offset: 1 };
+        const transactions = db.getTransactionsByAddress(addresses, options);
+        const rewards = db.getRewardsByAddress(addresses, options);
+        const results = db.getValidationResultsByAddress(addresses, options);
+        const penalties = db.getPenaltiesByAddress(addresses, options);
+        const invites = db.getInvitesByAddress(addresses, options);
+
+        for (const address of addresses) {
+          expect(without(transactions, address)).toEqual(
+            db.getAddressTransactions(address, options).data
+          );
+          expect(without(rewards, address)).toEqual(db.getIdentityRewards(address, options).data);
+          expect(without(results, address)).toEqual(
+            db.getIdentityValidationHistory(address, options).data
+          );
+          expect(without(penalties, address)).toEqual(
+            db.getAddressPenalties(address, options).data
+          );
+          expect(without(invites, address)).toEqual(db.getAddressInvites(address, options).data);
+        }
+        expect(without(transactions, '0xaddr1')).toHaveLength(1);
+      });
+
+      it('should apply the filters per address', () => {
+        const sent = db.getInvitesByAddress(addresses, { type: 'sent' });
+        expect(without(sent, '0xaddr1')).toEqual(
+          db.getAddressInvites('0xaddr1', { type: 'sent' }).data
+        );
+        expect(sent.every((invite) => invite.direction === 'sent')).toBe(true);
+
+        const kills = db.getTransactionsByAddress(addresses, { type: 'kill' });
+        expect(without(kills, '0xaddr2')).toEqual(
+          db.getAddressTransactions('0xaddr2', { type: 'kill' }).data
+        );
+        expect(db.getRewardsByAddress(addresses, { epoch: 151 })).toEqual([
+          { address: '0xaddr1', epoch: 151, type: 'flip', amount: '1' },
+        ]);
+      });
+
+      it('should return transactions by hash', () => {
+        const found = db.getTransactionsByHash(['0xtx2', '0xnope', '0xtx0']);
+        expect(found.map((tx) => tx.hash).sort()).toEqual(['0xtx0', '0xtx2']);
+        expect(found.find((tx) => tx.hash === '0xtx2')).toEqual(db.getTransaction('0xtx2'));
+      });
+    });
+  });
+
+  // ==========================================
+  // Address Activity Methods
+  // ==========================================
+
+  describe('Address Activity Methods', () => {
+    beforeEach(() => {
+      db.insertBatch(
+        [
+          { height: 100, hash: '0xb100', timestamp: 100, epoch: 1, txCount: 1 },
+          { height: 101, hash: '0xb101', timestamp: 101, epoch: 1, txCount: 1 },
+        ],
+        [
+          {
+            hash: '0xt100',
+            blockHeight: 100,
+            type: 'SendTx',
+            from: '0xA',
+            to: '0xb',
+            amount: '1',
+            timestamp: 100,
+          },
+          {
+            hash: '0xt101',
+            blockHeight: 101,
+            type: 'SendTx',
+            from: '0xc',
+            to: '0xd',
+            amount: '2',
+            timestamp: 101,
+          },
+        ]
+      );
+      db.insertBalanceChangesBatch([
+        {
+          address: '0xa',
+          blockHeight: 100,
+          txHash: '0xt100',
+          changeType: 'tx_out',
+          amount: '-1',
+          timestamp: 100,
+        },
+        { address: '0xa', blockHeight: 101, changeType: 'reward', amount: '3', timestamp: 101 },
+      ]);
+    });
+
+    it('should return the newest stored ids as the cursor', () => {
+      expect(db.getActivityCursor()).toEqual({ txId: 2, balanceChangeId: 2 });
+    });
+
+    it('should return activity of an address after the cursor', () => {
+      const activity = db.getAddressActivitySince('0xA', { txId: 0, balanceChangeId: 1 });
+
+      expect(activity.transactions).toEqual([
+        expect.objectContaining({
+          id: 1,
+          hash: '0xt100',
+          blockHeight: 100,
+          type: 'SendTx',
+          amount: '1',
+        }),
+      ]);
+      expect(activity.balanceChanges).toEqual([
+        expect.objectContaining({
+          id: 2,
+          blockHeight: 101,
+          txHash: null,
+          changeType: 'reward',
+          amount: '3',
+        }),
+      ]);
+    });
+
+    it('should return nothing once the cursor is current', () => {
+      const activity = db.getAddressActivitySince('0xa', db.getActivityCursor());
+
+      expect(activity).toEqual({ transactions: [], balanceChanges: [] });
+    });
+
+    it('should keep the cursor when stored transactions are inserted again', () => {
+      const cursor = db.getActivityCursor();
+
+      db.insertBatch(
+        [],
+        [
+          {
+            hash: '0xt100',
+            blockHeight: 100,
+            type: 'SendTx',
+            from: '0xA',
+            to: '0xb',
+            timestamp: 100,
+          },
+        ]
+      );
+      db.insertTransaction({
+        hash: '0xt101',
+        blockHeight: 101,
+        type: 'SendTx',
+        from: '0xc',
+        to: '0xa',
+        timestamp: 101,
+      });
+
+      expect(db.getActivityCursor()).toEqual(cursor);
+      expect(db.getAddressActivitySince('0xa', cursor).transactions).toEqual([]);
+      expect(db.getTransaction('0xt101').to).toBe('0xa');
+    });
+  });
+
+  // ==========================================
+  // Burn Methods
+  // ==========================================
+
+  describe('Burn Methods', () => {
+    beforeEach(() => {
+      db.insertBatch(
+        [
+          { height: 1000, hash: '0xb1000', timestamp: 1704067200, epoch: 150 },
+          { height: 1001, hash: '0xb1001', timestamp: 1704067300, epoch: 150 },
+          { height: 1002, hash: '0xb1002', timestamp: 1704153600, epoch: 151 },
+        ],
+        [
+          {
+            hash: '0xtx1',
+            blockHeight: 1000,
+            type: 'SendTx',
+            from: '0xa',
+            amount: '10',
+            fee: '0.1',
+            timestamp: 1704067200,
+          },
+          {
+            hash: '0xtx2',
+            blockHeight: 1000,
+            type: 'BurnTx',
+            from: '0xa',
+            amount: '5',
+            fee: '0.05',
+            timestamp: 1704067200,
+          },
+          {
+            hash: '0xtx3',
+            blockHeight: 1001,
+            type: 'SendTx',
+            from: '0xb',
+            amount: '1',
+            fee: '0',
+            timestamp: 1704067300,
+          },
+          {
+            hash: '0xtx4',
+            blockHeight: 1002,
+            type: 'SendTx',
+            from: '0xb',
+            amount: '1',
+            fee: '0.000000000000000003',
+            timestamp: 1704153600,
+          },
+        ]
+      );
+      db.updateBlockBurns([1000, 1001, 1002], 0.9);
+    });
+
+    it('should aggregate burns per epoch, newest first', () => {
+      const result = db.getBurnStats();
+
+      expect(result.groupBy).toBe('epoch');
+      expect(result.data).toEqual([
+        {
+          epoch: 151,
+          blocks: 1,
+          fees: '0.000000000000000003',
+          feeBurnt: '0.000000000000000002',
+          txBurnt: '0',
+          totalBurnt: '0.000000000000000002',
+        },
+        {
+          epoch: 150,
+          blocks: 1,
+          fees: '0.15',
+          feeBurnt: '0.135',
+          txBurnt: '5',
+          totalBurnt: '5.135',
+        },
+      ]);
+      expect(result.totals.totalBurnt).toBe('5.135000000000000002');
+    });
+
+    it('should aggregate burns per day and respect the limit', () => {
+      const result = db.getBurnStats({ groupBy: 'day', limit: 1 });
+
+      expect(result.data).toHaveLength(1);
+      expect(result.data[0].day).toBe('2024-01-02');
+    });
+
+    it('should be idempotent and drop blocks without burns on recompute', () => {
+      db.updateBlockBurns([1000], 0.9);
+      expect(db.getBurnStats().data[1].totalBurnt).toBe('5.135');
+
+      db.db.prepare("UPDATE transactions SET fee = '0' WHERE block_height = 1002").run();
+      db.updateBlockBurns([1002], 0.9);
+      expect(db.getBurnStats().data.map((d) => d.epoch)).toEqual([150]);
+    });
+
+    it('should remove burns above the rollback height', () => {
+      const removed = db.rollbackToHeight(1001);
+
+      expect(removed.blockBurns).toBe(1);
+      expect(db.getBurnStats().data.map((d) => d.epoch)).toEqual([150]);
     });
   });
 
@@ -1245,9 +2900,27 @@ describe('HistoryDB', () => {
     describe('insertPenaltiesBatch()', () => {
       it('should insert multiple penalties', () => {
         db.insertPenaltiesBatch([
-          { address: '0xaddr1', epoch: 150, penalty: '50', reason: 'bad_flip', timestamp: 1704067200 },
-          { address: '0xaddr2', epoch: 150, penalty: '30', reason: 'missed_validation', timestamp: 1704067200 },
-          { address: '0xaddr3', epoch: 150, penalty: '20', reason: 'bad_flip', timestamp: 1704067200 },
+          {
+            address: '0xaddr1',
+            epoch: 150,
+            penalty: '50',
+            reason: 'bad_flip',
+            timestamp: 1704067200,
+          },
+          {
+            address: '0xaddr2',
+            epoch: 150,
+            penalty: '30',
+            reason: 'missed_validation',
+            timestamp: 1704067200,
+          },
+          {
+            address: '0xaddr3',
+            epoch: 150,
+            penalty: '20',
+            reason: 'bad_flip',
+            timestamp: 1704067200,
+          },
         ]);
 
         const stats = db.getStats();
@@ -1264,9 +2937,27 @@ describe('HistoryDB', () => {
     describe('getAddressPenalties()', () => {
       beforeEach(() => {
         db.insertPenaltiesBatch([
-          { address: '0xaddr1', epoch: 150, penalty: '50', reason: 'bad_flip', timestamp: 1704067200 },
-          { address: '0xaddr1', epoch: 149, penalty: '30', reason: 'missed_validation', timestamp: 1704000000 },
-          { address: '0xaddr2', epoch: 150, penalty: '20', reason: 'bad_flip', timestamp: 1704067200 },
+          {
+            address: '0xaddr1',
+            epoch: 150,
+            penalty: '50',
+            reason: 'bad_flip',
+            timestamp: 1704067200,
+          },
+          {
+            address: '0xaddr1',
+            epoch: 149,
+            penalty: '30',
+            reason: 'missed_validation',
+            timestamp: 1704000000,
+          },
+          {
+            address: '0xaddr2',
+            epoch: 150,
+            penalty: '20',
+            reason: 'bad_flip',
+            timestamp: 1704067200,
+          },
         ]);
       });
 
@@ -1303,10 +2994,34 @@ describe('HistoryDB', () => {
     describe('getEpochPenalties()', () => {
       beforeEach(() => {
         db.insertPenaltiesBatch([
-          { address: '0xaddr1', epoch: 150, penalty: '50', reason: 'bad_flip', timestamp: 1704067200 },
-          { address: '0xaddr2', epoch: 150, penalty: '30', reason: 'missed_validation', timestamp: 1704067200 },
-          { address: '0xaddr3', epoch: 150, penalty: '100', reason: 'bad_flip', timestamp: 1704067200 },
-          { address: '0xaddr4', epoch: 149, penalty: '20', reason: 'bad_flip', timestamp: 1704000000 },
+          {
+            address: '0xaddr1',
+            epoch: 150,
+            penalty: '50',
+            reason: 'bad_flip',
+            timestamp: 1704067200,
+          },
+          {
+            address: '0xaddr2',
+            epoch: 150,
+            penalty: '30',
+            reason: 'missed_validation',
+            timestamp: 1704067200,
+          },
+          {
+            address: '0xaddr3',
+            epoch: 150,
+            penalty: '100',
+            reason: 'bad_flip',
+            timestamp: 1704067200,
+          },
+          {
+            address: '0xaddr4',
+            epoch: 149,
+            penalty: '20',
+            reason: 'bad_flip',
+            timestamp: 1704000000,
+          },
         ]);
       });
 
@@ -1338,9 +3053,27 @@ describe('HistoryDB', () => {
     describe('getEpochPenaltySummary()', () => {
       beforeEach(() => {
         db.insertPenaltiesBatch([
-          { address: '0xaddr1', epoch: 150, penalty: '50', reason: 'bad_flip', timestamp: 1704067200 },
-          { address: '0xaddr2', epoch: 150, penalty: '30', reason: 'missed_validation', timestamp: 1704067200 },
-          { address: '0xaddr3', epoch: 150, penalty: '100', reason: 'bad_flip', timestamp: 1704067200 },
+          {
+            address: '0xaddr1',
+            epoch: 150,
+            penalty: '50',
+            reason: 'bad_flip',
+            timestamp: 1704067200,
+          },
+          {
+            address: '0xaddr2',
+            epoch: 150,
+            penalty: '30',
+            reason: 'missed_validation',
+            timestamp: 1704067200,
+          },
+          {
+            address: '0xaddr3',
+            epoch: 150,
+            penalty: '100',
+            reason: 'bad_flip',
+            timestamp: 1704067200,
+          },
         ]);
       });
 
@@ -1473,10 +3206,35 @@ describe('HistoryDB', () => {
       beforeEach(() => {
         // Insert test invites
         db.insertInvitesBatch([
-          { ...testInvite, hash: '0xinvite1', inviter: '0xAddr1', invitee: null, status: 'pending' },
-          { ...testInvite, hash: '0xinvite2', inviter: '0xAddr1', invitee: '0xAddr2', status: 'activated' },
-          { ...testInvite, hash: '0xinvite3', inviter: '0xAddr3', invitee: '0xAddr1', status: 'activated' },
-          { ...testInvite, hash: '0xinvite4', inviter: '0xAddr4', invitee: null, status: 'expired', epoch: 149 },
+          {
+            ...testInvite,
+            hash: '0xinvite1',
+            inviter: '0xAddr1',
+            invitee: null,
+            status: 'pending',
+          },
+          {
+            ...testInvite,
+            hash: '0xinvite2',
+            inviter: '0xAddr1',
+            invitee: '0xAddr2',
+            status: 'activated',
+          },
+          {
+            ...testInvite,
+            hash: '0xinvite3',
+            inviter: '0xAddr3',
+            invitee: '0xAddr1',
+            status: 'activated',
+          },
+          {
+            ...testInvite,
+            hash: '0xinvite4',
+            inviter: '0xAddr4',
+            invitee: null,
+            status: 'expired',
+            epoch: 149,
+          },
         ]);
       });
 
@@ -1489,7 +3247,7 @@ describe('HistoryDB', () => {
       it('should filter by type (sent)', () => {
         const result = db.getAddressInvites('0xAddr1', { type: 'sent' });
         expect(result.data.length).toBe(2);
-        expect(result.data.every(i => i.inviter.toLowerCase() === '0xaddr1')).toBe(true);
+        expect(result.data.every((i) => i.inviter.toLowerCase() === '0xaddr1')).toBe(true);
       });
 
       it('should filter by type (received)', () => {
@@ -1611,6 +3369,904 @@ describe('HistoryDB', () => {
       expect(stats.inviteCount).toBe(1);
     });
   });
+
+  // ==========================================
+  // Contract Methods Tests
+  // ==========================================
+
+  describe('Contract Methods', () => {
+    describe('getContractCalls()', () => {
+      beforeEach(() => {
+        db.insertContract({
+          address: '0xcontract',
+          deployTxHash: '0xd',
+          deployer: '0xa',
+          epoch: 150,
+          blockHeight: 100,
+          timestamp: 100,
+        });
+        db.insertContractCallsBatch([
+          {
+            txHash: '0xok',
+            contractAddress: '0xcontract',
+            caller: '0xa',
+            method: 'transfer',
+            success: true,
+            gasUsed: 1200,
+            usedFee: '0.012',
+            blockHeight: 101,
+            timestamp: 101,
+          },
+          {
+            txHash: '0xfail',
+            contractAddress: '0xcontract',
+            caller: '0xb',
+            method: 'vote',
+            success: false,
+            gasUsed: 300,
+            usedFee: '0.003',
+            error: 'not enough balance',
+            blockHeight: 102,
+            timestamp: 102,
+          },
+        ]);
+      });
+
+      it('should return receipt outcomes', () => {
+        const result = db.getContractCalls('0xCONTRACT');
+
+        expect(result.total).toBe(2);
+        expect(result.data[0]).toMatchObject({
+          txHash: '0xfail',
+          success: false,
+          gasUsed: 300,
+          usedFee: '0.003',
+          error: 'not enough balance',
+        });
+        expect(result.data[1]).toMatchObject({
+          txHash: '0xok',
+          success: true,
+          gasUsed: 1200,
+          error: null,
+        });
+      });
+
+      it('should store decoded method arguments', () => {
+        db.insertContractCallsBatch([
+          {
+            txHash: '0xargs',
+            contractAddress: '0xcontract',
+            caller: '0xa',
+            method: 'sendVote',
+            args: [{ name: 'vote', format: 'byte', value: 1 }],
+            blockHeight: 103,
+            timestamp: 103,
+          },
+        ]);
+
+        const [call, fail] = db.getContractCalls('0xcontract').data;
+        expect(call.args).toEqual([{ name: 'vote', format: 'byte', value: 1 }]);
+        expect(fail.args).toBeNull();
+      });
+
+      it('should filter by success', () => {
+        expect(
+          db.getContractCalls('0xcontract', { success: false }).data.map((c) => c.txHash)
+        ).toEqual(['0xfail']);
+        expect(
+          db.getContractCalls('0xcontract', { success: true }).data.map((c) => c.txHash)
+        ).toEqual(['0xok']);
+      });
+
+      it('should keep an unknown outcome until the receipt is fetched', () => {
+        const call = {
+          txHash: '0xpending',
+          contractAddress: '0xcontract',
+          caller: '0xa',
+          success: null,
+          blockHeight: 103,
+          timestamp: 103,
+        };
+        db.insertContractCallsBatch([call]);
+
+        expect(db.getContractCalls('0xcontract').data[0].success).toBeNull();
+        expect(db.getContractCalls('0xcontract', { success: true }).total).toBe(1);
+
+        expect(db.deleteContractCalls('0xpending')).toBe(1);
+        db.insertContractCallsBatch([{ ...call, success: true }]);
+        expect(db.getContractCalls('0xcontract', { success: true }).total).toBe(2);
+      });
+    });
+
+    describe('getContracts()', () => {
+      it('should store and filter by built-in type', () => {
+        db.insertContractsBatch([
+          {
+            address: '0xvote',
+            deployTxHash: '0xd1',
+            deployer: '0xa',
+            codeHash: `0x02${'00'.repeat(31)}`,
+            type: 'OracleVoting',
+            epoch: 150,
+            blockHeight: 100,
+            timestamp: 100,
+          },
+          {
+            address: '0xcustom',
+            deployTxHash: '0xd2',
+            deployer: '0xa',
+            epoch: 150,
+            blockHeight: 101,
+            timestamp: 101,
+          },
+        ]);
+
+        const result = db.getContracts({ type: 'OracleVoting' });
+        expect(result.total).toBe(1);
+        expect(result.data[0]).toMatchObject({ address: '0xvote', type: 'OracleVoting' });
+        expect(db.getContract('0xcustom').type).toBeNull();
+      });
+    });
+
+    describe('getOracleVotingCandidates()', () => {
+      beforeEach(() => {
+        for (const [n, address] of [
+          '0xpending',
+          '0xstarted',
+          '0xfinished',
+          '0xunknown',
+        ].entries()) {
+          db.insertContract({
+            address,
+            deployTxHash: `0xd${n}`,
+            deployer: '0xa',
+            type: 'OracleVoting',
+            epoch: 150,
+            blockHeight: 100 + n,
+            timestamp: 100 + n,
+          });
+        }
+        const call = (contractAddress, method, success, n) => ({
+          txHash: `0x${method}${n}`,
+          contractAddress,
+          caller: '0xa',
+          method,
+          success,
+          blockHeight: 110 + n,
+          timestamp: 110 + n,
+        });
+        db.insertContractCallsBatch([
+          call('0xpending', 'startVoting', false, 1),
+          call('0xstarted', 'startVoting', true, 2),
+          call('0xfinished', 'startVoting', true, 3),
+          call('0xfinished', 'finishVoting', true, 4),
+          call('0xunknown', 'startVoting', null, 5),
+        ]);
+      });
+
+      it('should skip finished votes and split pending from started ones', () => {
+        const addresses = (options) =>
+          db.getOracleVotingCandidates(options).data.map((c) => c.address);
+
+        expect(addresses({ started: true })).toEqual(['0xunknown', '0xstarted']);
+        expect(addresses({ started: false })).toEqual(['0xunknown', '0xpending']);
+        expect(db.getOracleVotingCandidates({ started: true, limit: 1 }).hasMore).toBe(true);
+      });
+    });
+
+    describe('contract reconciliation', () => {
+      beforeEach(() => {
+        db.insertBatch(
+          [{ height: 900, hash: '0xb900', timestamp: 900, epoch: 150 }],
+          [
+            {
+              hash: '0xdeploy',
+              blockHeight: 900,
+              type: 'deployContract',
+              from: '0xdeployer',
+              amount: '3000',
+              nonce: 7,
+              timestamp: 900,
+            },
+            {
+              hash: '0xsend',
+              blockHeight: 900,
+              type: 'send',
+              from: '0xdeployer',
+              nonce: 8,
+              timestamp: 900,
+            },
+          ]
+        );
+        // Placeholder created by a call seen before the deploy, then terminated
+        db.insertContract({
+          address: '0xplaceholder',
+          deployTxHash: 'unknown',
+          deployer: 'unknown',
+          epoch: 0,
+          blockHeight: 950,
+          timestamp: 950,
+        });
+        db.updateContractState('0xplaceholder', 'terminated');
+      });
+
+      it('should list stored deploys without a contract row', () => {
+        expect(db.getUnlinkedDeployTransactions()).toEqual([
+          {
+            hash: '0xdeploy',
+            from: '0xdeployer',
+            amount: '3000',
+            nonce: 7,
+            epoch: 150,
+            blockHeight: 900,
+            timestamp: 900,
+          },
+        ]);
+      });
+
+      it('should upgrade a placeholder in place and keep its termination', () => {
+        db.insertContractsBatch([
+          {
+            address: '0xplaceholder',
+            deployTxHash: '0xdeploy',
+            deployer: '0xdeployer',
+            stake: '3000',
+            state: 'active',
+            epoch: 150,
+            blockHeight: 900,
+            timestamp: 900,
+          },
+        ]);
+
+        expect(db.getContract('0xplaceholder')).toMatchObject({
+          deployTxHash: '0xdeploy',
+          deployer: '0xdeployer',
+          state: 'terminated',
+          epoch: 150,
+          blockHeight: 900,
+        });
+        expect(db.getUnlinkedDeployTransactions()).toEqual([]);
+      });
+    });
+
+    describe('getOracleVotingSummary()', () => {
+      it('should count secret and public votes per option', () => {
+        db.insertContract({
+          address: '0xoracle',
+          deployTxHash: '0xd',
+          deployer: '0xa',
+          type: 'OracleVoting',
+          epoch: 150,
+          blockHeight: 100,
+          timestamp: 100,
+        });
+        const vote = (txHash, option, success = true) => ({
+          txHash,
+          contractAddress: '0xoracle',
+          caller: '0xv',
+          method: 'sendVote',
+          success,
+          args: [
+            { name: 'vote', format: 'byte', value: option },
+            { name: 'salt', format: 'hex', value: '0x01' },
+          ],
+          blockHeight: 120,
+          timestamp: 120,
+        });
+        db.insertContractCallsBatch([
+          {
+            txHash: '0xd',
+            contractAddress: '0xoracle',
+            caller: '0xa',
+            method: 'deploy',
+            args: [
+              { name: 'fact', format: 'hex', value: '0x6869' },
+              { name: null, format: 'hex', value: '0x01' },
+            ],
+            blockHeight: 100,
+            timestamp: 100,
+          },
+          {
+            txHash: '0xp1',
+            contractAddress: '0xoracle',
+            caller: '0xv',
+            method: 'sendVoteProof',
+            blockHeight: 110,
+            timestamp: 110,
+          },
+          {
+            txHash: '0xp2',
+            contractAddress: '0xoracle',
+            caller: '0xw',
+            method: 'sendVoteProof',
+            blockHeight: 111,
+            timestamp: 111,
+          },
+          vote('0xv1', 2),
+          vote('0xv2', 1),
+          vote('0xv3', 2),
+          vote('0xv4', 1, false),
+          {
+            txHash: '0xf',
+            contractAddress: '0xoracle',
+            caller: '0xa',
+            method: 'finishVoting',
+            blockHeight: 130,
+            timestamp: 130,
+          },
+        ]);
+
+        expect(db.getOracleVotingSummary('0xORACLE')).toEqual({
+          config: { fact: '0x6869' },
+          secretVotes: 2,
+          votes: [
+            { option: 1, count: 1 },
+            { option: 2, count: 2 },
+          ],
+          totalVotes: 3,
+          finishedBlock: 130,
+        });
+      });
+    });
+
+    describe('getContractEvents()', () => {
+      beforeEach(() => {
+        db.insertContractEventsBatch([
+          {
+            txHash: '0xt1',
+            logIndex: 0,
+            contractAddress: '0xcontract',
+            eventName: 'transfer',
+            args: ['0x68656c6c6f', '0x0100'],
+            blockHeight: 100,
+            timestamp: 100,
+          },
+          {
+            txHash: '0xt1',
+            logIndex: 1,
+            contractAddress: '0xcontract',
+            eventName: 'burn',
+            args: [],
+            blockHeight: 100,
+            timestamp: 100,
+          },
+          {
+            txHash: '0xt2',
+            logIndex: 0,
+            contractAddress: '0xcontract',
+            eventName: 'transfer',
+            args: ['0x00ff'],
+            blockHeight: 105,
+            timestamp: 105,
+          },
+          {
+            txHash: '0xt3',
+            logIndex: 0,
+            contractAddress: '0xother',
+            eventName: 'transfer',
+            args: [],
+            blockHeight: 105,
+            timestamp: 105,
+          },
+        ]);
+      });
+
+      it('should return events newest first with decoded arguments', () => {
+        const result = db.getContractEvents('0xCONTRACT');
+
+        expect(result.total).toBe(3);
+        expect(result.data.map((e) => [e.txHash, e.logIndex])).toEqual([
+          ['0xt2', 0],
+          ['0xt1', 1],
+          ['0xt1', 0],
+        ]);
+        expect(result.data[2].args).toEqual(['0x68656c6c6f', '0x0100']);
+        expect(result.data[2].decodedArgs).toEqual([
+          { hex: '0x68656c6c6f', text: 'hello', number: '448378203247' },
+          { hex: '0x0100', text: null, number: '256' },
+        ]);
+      });
+
+      it('should filter by event name and block range', () => {
+        expect(db.getContractEvents('0xcontract', { event: 'transfer' }).total).toBe(2);
+        expect(
+          db.getContractEvents('0xcontract', { fromBlock: 101 }).data.map((e) => e.txHash)
+        ).toEqual(['0xt2']);
+        expect(db.getContractEvents('0xcontract', { toBlock: 100, event: 'burn' }).total).toBe(1);
+      });
+
+      it('should ignore re-synced events and drop them on rollback', () => {
+        db.insertContractEventsBatch([
+          {
+            txHash: '0xt2',
+            logIndex: 0,
+            contractAddress: '0xcontract',
+            eventName: 'transfer',
+            args: [],
+            blockHeight: 105,
+            timestamp: 105,
+          },
+        ]);
+        expect(db.getContractEvents('0xcontract').total).toBe(3);
+
+        const removed = db.rollbackToHeight(100);
+
+        expect(removed.contractEvents).toBe(2);
+        expect(db.getContractEvents('0xcontract').total).toBe(2);
+      });
+    });
+  });
+
+  // ==========================================
+  // Webhook Methods
+  // ==========================================
+
+  describe('Webhook Methods', () => {
+    const webhookInput = {
+      url: 'https://example.com/hook',
+      secret: 's3cret',
+      events: ['transfer', 'identity'],
+      addresses: ['0xa'],
+    };
+
+    describe('insertWebhook() / updateWebhook() / deleteWebhook()', () => {
+      it('should store and return a webhook', () => {
+        const webhook = db.insertWebhook(webhookInput);
+
+        expect(webhook).toMatchObject({
+          id: 1,
+          url: 'https://example.com/hook',
+          secret: 's3cret',
+          events: ['transfer', 'identity'],
+          addresses: ['0xa'],
+          contracts: [],
+          active: true,
+        });
+        expect(db.getWebhooks()).toHaveLength(1);
+      });
+
+      it('should only change the given fields', () => {
+        const { id } = db.insertWebhook(webhookInput);
+
+        const updated = db.updateWebhook(id, { active: false, addresses: ['0xb'] });
+
+        expect(updated).toMatchObject({
+          url: 'https://example.com/hook',
+          addresses: ['0xb'],
+          active: false,
+        });
+        expect(db.getWebhooks({ active: true })).toEqual([]);
+        expect(db.updateWebhook(99, { active: true })).toBeNull();
+      });
+
+      it('should delete a webhook with its deliveries', () => {
+        const { id } = db.insertWebhook(webhookInput);
+        db.insertWebhookDeliveriesBatch([
+          { webhookId: id, event: 'transfer', dedupeKey: 'a', blockHeight: 100, payload: {} },
+        ]);
+
+        expect(db.deleteWebhook(id)).toBe(true);
+        expect(db.getWebhook(id)).toBeNull();
+        expect(db.getWebhookDeliveries().total).toBe(0);
+        expect(db.deleteWebhook(id)).toBe(false);
+      });
+    });
+
+    describe('getWatchedActivity()', () => {
+      beforeEach(() => {
+        db.insertBatch(
+          [
+            { height: 100, hash: '0xb100', timestamp: 100, epoch: 1 },
+            { height: 101, hash: '0xb101', timestamp: 101, epoch: 2 },
+          ],
+          [
+            {
+              hash: '0xt1',
+              blockHeight: 100,
+              type: 'SendTx',
+              from: '0xb',
+              to: '0xA',
+              amount: '5',
+              timestamp: 100,
+            },
+            {
+              hash: '0xt2',
+              blockHeight: 100,
+              type: 'SendTx',
+              from: '0xb',
+              to: '0xa',
+              amount: '0',
+              timestamp: 100,
+            },
+            {
+              hash: '0xt3',
+              blockHeight: 101,
+              type: 'SendTx',
+              from: '0xb',
+              to: '0xc',
+              amount: '1',
+              timestamp: 101,
+            },
+            {
+              hash: '0xt4',
+              blockHeight: 101,
+              type: 'CallContractTx',
+              from: '0xb',
+              to: '0xcontract',
+              timestamp: 101,
+            },
+          ]
+        );
+        db.insertIdentityStatesBatch([
+          { address: '0xa', epoch: 1, state: 'Human', blockHeight: 90, timestamp: 90 },
+          { address: '0xa', epoch: 2, state: 'Suspended', blockHeight: 101, timestamp: 101 },
+          { address: '0xc', epoch: 1, state: 'Newbie', blockHeight: 90, timestamp: 90 },
+          { address: '0xc', epoch: 2, state: 'Newbie', blockHeight: 101, timestamp: 101 },
+        ]);
+        db.insertIdentityChangesBatch([
+          {
+            address: '0xa',
+            epoch: 1,
+            changeType: 'online',
+            txHash: '0xt5',
+            blockHeight: 100,
+            timestamp: 100,
+          },
+        ]);
+        db.insertContract({
+          address: '0xcontract',
+          deployTxHash: '0xd',
+          deployer: '0xb',
+          epoch: 1,
+          blockHeight: 90,
+          timestamp: 90,
+        });
+        db.insertContractCallsBatch([
+          {
+            txHash: '0xt4',
+            contractAddress: '0xcontract',
+            caller: '0xb',
+            method: 'vote',
+            blockHeight: 101,
+            timestamp: 101,
+          },
+        ]);
+      });
+
+      it('should return incoming transfers with a non-zero amount', () => {
+        const activity = db.getWatchedActivity(100, 101, { addresses: ['0xa'], contracts: [] });
+
+        expect(activity.transfers.map((tx) => tx.hash)).toEqual(['0xt1']);
+        expect(activity.contractCalls).toEqual([]);
+      });
+
+      it('should return identity changes and epoch snapshots that changed state', () => {
+        const activity = db.getWatchedActivity(100, 101, {
+          addresses: ['0xa', '0xc'],
+          contracts: [],
+        });
+
+        expect(activity.identityChanges).toEqual([
+          expect.objectContaining({
+            address: '0xa',
+            type: 'online',
+            txHash: '0xt5',
+            blockHeight: 100,
+          }),
+          expect.objectContaining({
+            address: '0xa',
+            type: 'epoch',
+            prevState: 'Human',
+            newState: 'Suspended',
+            blockHeight: 101,
+          }),
+        ]);
+      });
+
+      it('should return calls to watched contracts', () => {
+        const activity = db.getWatchedActivity(100, 101, {
+          addresses: [],
+          contracts: ['0xcontract'],
+        });
+
+        expect(activity.contractCalls).toEqual([
+          expect.objectContaining({
+            txHash: '0xt4',
+            contract: '0xcontract',
+            caller: '0xb',
+            method: 'vote',
+          }),
+        ]);
+      });
+
+      it('should only look at the given block range', () => {
+        const activity = db.getWatchedActivity(101, 101, { addresses: ['0xa'], contracts: [] });
+
+        expect(activity.transfers).toEqual([]);
+        expect(activity.identityChanges.map((c) => c.type)).toEqual(['epoch']);
+      });
+    });
+
+    describe('webhook deliveries', () => {
+      let webhookId;
+
+      beforeEach(() => {
+        webhookId = db.insertWebhook(webhookInput).id;
+        db.insertWebhookDeliveriesBatch([
+          {
+            webhookId,
+            event: 'transfer',
+            dedupeKey: 'transfer:0xt1',
+            blockHeight: 100,
+            payload: { event: 'transfer', data: { hash: '0xt1' } },
+          },
+          {
+            webhookId,
+            event: 'identity',
+            dedupeKey: 'identity:0xa',
+            blockHeight: 101,
+            payload: { event: 'identity', data: {} },
+          },
+        ]);
+      });
+
+      it('should skip deliveries already queued under the same key', () => {
+        const inserted = db.insertWebhookDeliveriesBatch([
+          {
+            webhookId,
+            event: 'transfer',
+            dedupeKey: 'transfer:0xt1',
+            blockHeight: 100,
+            payload: {},
+          },
+          {
+            webhookId,
+            event: 'transfer',
+            dedupeKey: 'transfer:0xt2',
+            blockHeight: 101,
+            payload: {},
+          },
+        ]);
+
+        expect(inserted).toBe(1);
+        expect(db.getWebhookDeliveries({ webhookId }).total).toBe(3);
+      });
+
+      it('should drop undelivered deliveries of rolled back blocks', () => {
+        db.insertWebhookDeliveriesBatch([
+          {
+            webhookId,
+            event: 'transfer',
+            dedupeKey: 'transfer:0xt3',
+            blockHeight: 101,
+            payload: {},
+          },
+        ]);
+        const sent = db
+          .getWebhookDeliveries({ webhookId })
+          .data.find((d) => d.event === 'transfer');
+        db.updateWebhookDelivery(sent.id, { status: 'delivered', attempts: 1 });
+
+        // The identity delivery at 101 goes, the sent one at 101 and the one at 100 stay
+        expect(db.rollbackToHeight(100).webhookDeliveries).toBe(1);
+        expect(db.getWebhookDeliveries({ webhookId }).data).toEqual([
+          expect.objectContaining({ id: sent.id, blockHeight: 101, status: 'delivered' }),
+          expect.objectContaining({ event: 'transfer', blockHeight: 100, status: 'pending' }),
+        ]);
+      });
+
+      it('should return due deliveries with the webhook url and secret', () => {
+        const due = db.getDueWebhookDeliveries(Math.floor(Date.now() / 1000));
+
+        expect(due).toHaveLength(2);
+        expect(due[0]).toMatchObject({
+          webhookId,
+          event: 'transfer',
+          status: 'pending',
+          attempts: 0,
+          url: 'https://example.com/hook',
+          secret: 's3cret',
+        });
+        expect(JSON.parse(due[0].payload)).toEqual({ event: 'transfer', data: { hash: '0xt1' } });
+      });
+
+      it('should skip deliveries that are not due or belong to paused webhooks', () => {
+        const now = Math.floor(Date.now() / 1000);
+        const [first] = db.getDueWebhookDeliveries(now);
+        db.updateWebhookDelivery(first.id, {
+          status: 'pending',
+          attempts: 1,
+          nextAttemptAt: now + 60,
+          error: 'HTTP 500',
+        });
+
+        expect(db.getDueWebhookDeliveries(now)).toHaveLength(1);
+        expect(db.getDueWebhookDeliveries(now + 60)).toHaveLength(2);
+
+        db.updateWebhook(webhookId, { active: false });
+        expect(db.getDueWebhookDeliveries(now + 60)).toEqual([]);
+      });
+
+      it('should log outcomes and requeue dead letters', () => {
+        const [first, second] = db.getDueWebhookDeliveries(Math.floor(Date.now() / 1000));
+        db.updateWebhookDelivery(first.id, {
+          status: 'delivered',
+          attempts: 1,
+          responseStatus: 200,
+        });
+        db.updateWebhookDelivery(second.id, {
+          status: 'dead',
+          attempts: 8,
+          responseStatus: 500,
+          error: 'HTTP 500',
+        });
+
+        const log = db.getWebhookDeliveries({ webhookId });
+        expect(log.total).toBe(2);
+        expect(log.data[0]).toMatchObject({
+          id: second.id,
+          status: 'dead',
+          attempts: 8,
+          lastError: 'HTTP 500',
+          nextAttemptAt: null,
+        });
+        expect(log.data[1]).toMatchObject({
+          id: first.id,
+          status: 'delivered',
+          responseStatus: 200,
+        });
+        expect(log.data[1].deliveredAt).not.toBeNull();
+        expect(log.data[1].payload).toEqual({ event: 'transfer', data: { hash: '0xt1' } });
+
+        expect(db.getWebhookDeliveries({ status: 'dead' }).data.map((d) => d.id)).toEqual([
+          second.id,
+        ]);
+
+        expect(db.retryWebhookDelivery(second.id)).toBe(true);
+        expect(db.getWebhookDeliveries({ status: 'dead' }).total).toBe(0);
+        expect(db.retryWebhookDelivery(999)).toBe(false);
+      });
+    });
+  });
+
+  // ==========================================
+  // Watchlist Methods
+  // ==========================================
+
+  describe('Watchlist Methods', () => {
+    const watchlistInput = {
+      name: 'ops',
+      addresses: ['0xa', '0xb'],
+      rules: [{ type: 'stakeDropped' }],
+    };
+
+    it('should store, update and delete a watchlist', () => {
+      const { id } = db.insertWatchlist(watchlistInput);
+      expect(db.getWatchlist(id)).toMatchObject(watchlistInput);
+
+      const updated = db.updateWatchlist(id, { name: 'treasury' });
+      expect(updated).toMatchObject({ name: 'treasury', addresses: ['0xa', '0xb'] });
+
+      db.insertWatchlistAlert({
+        watchlistId: id,
+        address: '0xa',
+        rule: 'stakeDropped',
+        dedupeKey: 'epoch:1',
+        message: 'm',
+      });
+      expect(db.deleteWatchlist(id)).toBe(true);
+      expect(db.getWatchlists()).toEqual([]);
+      expect(db.getWatchlistAlerts(id).total).toBe(0);
+      expect(db.deleteWatchlist(id)).toBe(false);
+    });
+
+    it('should return the previous observation and drop those of removed addresses', () => {
+      const { id } = db.insertWatchlist(watchlistInput);
+
+      expect(db.observeWatchlistValue(id, '0xA', 'stakeDropped', '10')).toBeNull();
+      expect(db.observeWatchlistValue(id, '0xa', 'stakeDropped', '5')).toBe('10');
+      db.observeWatchlistValue(id, '0xb', 'stakeDropped', '7');
+
+      db.updateWatchlist(id, { addresses: ['0xb'] });
+
+      expect(db.observeWatchlistValue(id, '0xa', 'stakeDropped', '1')).toBeNull();
+      expect(db.observeWatchlistValue(id, '0xb', 'stakeDropped', '1')).toBe('7');
+    });
+
+    it('should store each alert occurrence once', () => {
+      const { id } = db.insertWatchlist(watchlistInput);
+      const alert = {
+        watchlistId: id,
+        address: '0xa',
+        rule: 'stakeDropped',
+        dedupeKey: 'epoch:5',
+        message: 'Stake dropped',
+        details: { stake: '1' },
+        epoch: 5,
+      };
+
+      expect(db.insertWatchlistAlert(alert)).toBe(true);
+      expect(db.insertWatchlistAlert(alert)).toBe(false);
+      expect(db.insertWatchlistAlert({ ...alert, address: '0xb' })).toBe(true);
+
+      const alerts = db.getWatchlistAlerts(id, { address: '0xA' });
+      expect(alerts.total).toBe(1);
+      expect(alerts.data[0]).toMatchObject({
+        address: '0xa',
+        rule: 'stakeDropped',
+        details: { stake: '1' },
+        epoch: 5,
+      });
+      expect(db.getWatchlistAlerts(id, { rule: 'balanceBelow' }).total).toBe(0);
+    });
+
+    it('should find the watched addresses with each kind of activity in a range', () => {
+      db.insertBalanceChangesBatch([
+        { address: '0xA', blockHeight: 10, changeType: 'tx_in', amount: '1', timestamp: 1 },
+        { address: '0xb', blockHeight: 30, changeType: 'tx_in', amount: '1', timestamp: 1 },
+      ]);
+      db.insertIdentityState({
+        address: '0xb',
+        epoch: 1,
+        state: 'Human',
+        blockHeight: 12,
+        timestamp: 1,
+      });
+      db.insertPenalty({ address: '0xc', epoch: 1, penalty: '1', blockHeight: 11, timestamp: 1 });
+
+      const touched = db.getTouchedAddresses(
+        10,
+        20,
+        ['0xa', '0xb', '0xc'],
+        ['balance', 'identity', 'penalty']
+      );
+
+      expect(touched).toEqual({
+        balance: new Set(['0xa']),
+        identity: new Set(['0xb']),
+        penalty: new Set(['0xc']),
+      });
+    });
+
+    it('should read live stake and identity state past the epoch snapshot', () => {
+      db.insertEpoch({ epoch: 5, startBlock: 100, startTimestamp: 1 });
+      db.insertAddressState({ address: '0xa', epoch: 5, balance: '0', stake: '10' });
+      db.insertIdentityState({
+        address: '0xa',
+        epoch: 5,
+        state: 'Human',
+        blockHeight: 100,
+        timestamp: 1,
+      });
+
+      expect(db.getLatestStake('0xA')).toMatchObject({ stake: '10', blockHeight: 100 });
+      expect(db.getLatestIdentityState('0xa')).toMatchObject({ state: 'Human', blockHeight: 100 });
+
+      db.insertBalanceChangesBatch([
+        { address: '0xa', blockHeight: 105, changeType: 'stake', amount: '-2.5', timestamp: 1 },
+      ]);
+      expect(db.getLatestStake('0xa')).toMatchObject({ stake: '12.5', blockHeight: 105 });
+
+      db.insertIdentityChangesBatch([
+        {
+          address: '0xa',
+          epoch: 5,
+          changeType: 'killed',
+          newState: 'Killed',
+          txHash: '0xk',
+          blockHeight: 110,
+          timestamp: 1,
+        },
+      ]);
+      expect(db.getLatestStake('0xa')).toMatchObject({ stake: '0', blockHeight: 110 });
+      expect(db.getLatestIdentityState('0xa')).toEqual({
+        state: 'Killed',
+        blockHeight: 110,
+        epoch: 5,
+      });
+      expect(db.getLatestStake('0xb')).toBeNull();
+    });
+  });
 });
 
 // Export the HistoryDB class for testing
@@ -283,7 +283,10 @@ describe('Epoch Routes', () => {
 
       await request(app).get('/api/epoch/150/identities?state=Human').expect(200);
 
-      expect(mockDbGetEpochIdentities).toHaveBeenCalledWith(150, expect.objectContaining({ state: 'Human' }));
+      expect(mockDbGetEpochIdentities).toHaveBeenCalledWith(
+        150,
+        expect.objectContaining({ state: 'Human' })
+      );
     });
 
     it('should return 400 for invalid epoch', async () => {
@@ -353,7 +356,10 @@ describe('Epoch Routes', () => {
       expect(response.body.data.length).toBe(2);
       expect(response.body.total).toBe(1000);
       expect(response.body.hasMore).toBe(true);
-      expect(mockDbGetEpochRewards).toHaveBeenCalledWith(150, expect.objectContaining({ limit: 50, offset: 0 }));
+      expect(mockDbGetEpochRewards).toHaveBeenCalledWith(
+        150,
+        expect.objectContaining({ limit: 50, offset: 0 })
+      );
     });
 
     it('should support pagination', async () => {
@@ -361,7 +367,10 @@ describe('Epoch Routes', () => {
 
       await request(app).get('/api/epoch/150/rewards?limit=25&offset=100').expect(200);
 
-      expect(mockDbGetEpochRewards).toHaveBeenCalledWith(150, expect.objectContaining({ limit: 25, offset: 100 }));
+      expect(mockDbGetEpochRewards).toHaveBeenCalledWith(
+        150,
+        expect.objectContaining({ limit: 25, offset: 100 })
+      );
     });
 
     it('should support type filter', async () => {
@@ -369,7 +378,10 @@ describe('Epoch Routes', () => {
 
       await request(app).get('/api/epoch/150/rewards?type=validation').expect(200);
 
-      expect(mockDbGetEpochRewards).toHaveBeenCalledWith(150, expect.objectContaining({ type: 'validation' }));
+      expect(mockDbGetEpochRewards).toHaveBeenCalledWith(
+        150,
+        expect.objectContaining({ type: 'validation' })
+      );
     });
 
     it('should return 400 for invalid epoch', async () => {
@@ -493,8 +505,20 @@ describe('Epoch Routes', () => {
     it('should return paginated penalties list', async () => {
       const mockResult = {
         data: [
-          { address: '0xaddr1', penalty: '100', reason: 'bad_flip', blockHeight: 1000, timestamp: 1704067200 },
-          { address: '0xaddr2', penalty: '50', reason: 'missed_validation', blockHeight: 1001, timestamp: 1704067200 },
+          {
+            address: '0xaddr1',
+            penalty: '100',
+            reason: 'bad_flip',
+            blockHeight: 1000,
+            timestamp: 1704067200,
+          },
+          {
+            address: '0xaddr2',
+            penalty: '50',
+            reason: 'missed_validation',
+            blockHeight: 1001,
+            timestamp: 1704067200,
+          },
         ],
         total: 50,
         limit: 50,
@@ -507,7 +531,10 @@ describe('Epoch Routes', () => {
 
       expect(response.body.data.length).toBe(2);
       expect(response.body.total).toBe(50);
-      expect(mockDbGetEpochPenalties).toHaveBeenCalledWith(150, expect.objectContaining({ limit: 50, offset: 0 }));
+      expect(mockDbGetEpochPenalties).toHaveBeenCalledWith(
+        150,
+        expect.objectContaining({ limit: 50, offset: 0 })
+      );
     });
 
     it('should support pagination', async () => {
@@ -515,7 +542,10 @@ describe('Epoch Routes', () => {
 
       await request(app).get('/api/epoch/150/penalties?limit=25&offset=50').expect(200);
 
-      expect(mockDbGetEpochPenalties).toHaveBeenCalledWith(150, expect.objectContaining({ limit: 25, offset: 50 }));
+      expect(mockDbGetEpochPenalties).toHaveBeenCalledWith(
+        150,
+        expect.objectContaining({ limit: 25, offset: 50 })
+      );
     });
 
     it('should return 400 for invalid epoch', async () => {
@@ -0,0 +1,438 @@
+/**
+ * Tests for the GraphQL schema (graphql.js) and endpoint
+ */
+
+// Real database in memory
+jest.mock('../src/db', () => {
+  const { HistoryDB } = jest.requireActual('../src/db');
+  const db = new HistoryDB(':memory:');
+  db.enabled = true;
+  db.init();
+  return db;
+});
+
+// Mock the RPC client
+const mockBatchCall = jest.fn();
+jest.mock('../src/rpc', () => {
+  return jest.fn().mockImplementation(() => ({
+    batchCall: mockBatchCall,
+  }));
+});
+
+const request = require('supertest');
+const { parse } = require('graphql');
+const app = require('../src/server');
+const historyDB = require('../src/db');
+const { createSchema, createLoaders, queryCost } = require('../src/graphql');
+
+const ALICE = '0x' + 'aa'.repeat(20);
+const BOB = '0x' + 'bb'.repeat(20);
+const CONTRACT = '0x' + 'cc'.repeat(20);
+
+const query = (text, variables) => request(app).post('/graphql').send({ query: text, variables });
+
+describe('GraphQL', () => {
+  beforeAll(() => {
+    historyDB.insertBatch(
+      [
+        { height: 100, hash: '0xb100', timestamp: 1000, epoch: 10, proposer: ALICE },
+        { height: 101, hash: '0xb101', timestamp: 1020, epoch: 10 },
+      ],
+      [
+        {
+          hash: '0xt1',
+          blockHeight: 100,
+          txIndex: 0,
+          type: 'SendTx',
+          from: BOB,
+          to: ALICE,
+          amount: '5',
+          timestamp: 1000,
+        },
+        {
+          hash: '0xt2',
+          blockHeight: 100,
+          txIndex: 1,
+          type: 'SendTx',
+          from: ALICE,
+          to: BOB,
+          amount: '1',
+          timestamp: 1000,
+        },
+        {
+          hash: '0xt3',
+          blockHeight: 101,
+          txIndex: 0,
+          type: 'ActivationTx',
+          from: BOB,
+          to: BOB,
+          timestamp: 1020,
+        },
+      ]
+    );
+    historyDB.insertEpoch({ epoch: 10, startBlock: 100, startTimestamp: 1000 });
+    historyDB.insertAddressState({ address: ALICE, epoch: 10, balance: '250', stake: '40' });
+    historyDB.insertIdentityState({ address: ALICE, epoch: 10, state: 'Human', timestamp: 1000 });
+    historyDB.insertReward(ALICE, 10, 'validation', '12');
+    historyDB.insertReward(ALICE, 10, 'flips', '3');
+    historyDB.insertValidationResult({
+      address: ALICE,
+      epoch: 10,
+      shortAnswers: 6,
+      shortCorrect: 6,
+    });
+    historyDB.insertPenalty({
+      address: ALICE,
+      epoch: 10,
+      penalty: '2',
+      blockHeight: 100,
+      timestamp: 1000,
+    });
+    historyDB.insertInvite({
+      hash: '0xi1',
+      inviter: ALICE,
+      invitee: BOB,
+      epoch: 10,
+      status: 'activated',
+      activationTxHash: '0xt3',
+      timestamp: 1010,
+    });
+    historyDB.insertContract({
+      address: CONTRACT,
+      deployTxHash: '0xt2',
+      deployer: ALICE,
+      epoch: 10,
+      blockHeight: 100,
+      timestamp: 1000,
+    });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    historyDB.enabled = true;
+    mockBatchCall.mockImplementation((method, [address]) =>
+      Promise.resolve({
+        address,
+        state: address === ALICE ? 'Human' : 'Newbie',
+        stake: '40',
+        age: 12,
+        online: true,
+        invites: 2,
+      })
+    );
+  });
+
+  describe('POST /graphql', () => {
+    it('should assemble an identity page in one query', async () => {
+      const res = await query(
+        `
+        query Page($address: String!) {
+          identity(address: $address) {
+            state
+            age
+            availableInvites
+            account { balance txTotal }
+            epochs { epoch state }
+            rewards { type amount }
+            validationResults { epoch shortScore }
+            penalties { penalty block { hash } }
+            invites(type: sent) { hash invitee { address state } activationTx { type } }
+          }
+        }
+      `,
+        { address: ALICE.toUpperCase().replace('0X', '0x') }
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.errors).toBeUndefined();
+      expect(res.body.data.identity).toEqual({
+        state: 'Human',
+        age: 12,
+        availableInvites: 2,
+        account: { balance: '250', txTotal: 2 },
+        epochs: [{ epoch: 10, state: 'Human' }],
+        rewards: [
+          { type: 'flips', amount: '3' },
+          { type: 'validation', amount: '12' },
+        ],
+        validationResults: [{ epoch: 10, shortScore: '100.00' }],
+        penalties: [{ penalty: '2', block: { hash: '0xb100' } }],
+        invites: [
+          {
+            hash: '0xi1',
+            invitee: { address: BOB, state: 'Newbie' },
+            activationTx: { type: 'ActivationTx' },
+          },
+        ],
+      });
+      expect(res.body.extensions.cost).toBeGreaterThan(0);
+    });
+
+    it('should resolve nested blocks, transactions and addresses', async () => {
+      const res = await query(`{
+        block(height: 100) {
+          proposer { address }
+          transactions { hash from { address } to { address } block { height } }
+        }
+        transaction(hash: "0xt3") { block { hash } }
+        epoch { epoch penalties { address } rewards { address totalAmount } }
+        contract(address: "${CONTRACT}") { deployer { address } deployTx { hash } }
+      }`);
+
+      expect(res.body.errors).toBeUndefined();
+      const { block, transaction, epoch, contract } = res.body.data;
+      expect(block.proposer).toEqual({ address: ALICE });
+      expect(block.transactions.map((tx) => tx.hash)).toEqual(['0xt1', '0xt2']);
+      expect(block.transactions[0]).toMatchObject({
+        from: { address: BOB },
+        to: { address: ALICE },
+        block: { height: 100 },
+      });
+      expect(transaction.block).toEqual({ hash: '0xb101' });
+      expect(epoch).toEqual({
+        epoch: 10,
+        penalties: [{ address: ALICE }],
+        rewards: [{ address: ALICE, totalAmount: '15' }],
+      });
+      expect(contract).toEqual({ deployer: { address: ALICE }, deployTx: { hash: '0xt2' } });
+    });
+
+    it('should fetch the identities of a list as one RPC batch', async () => {
+      const res = await query(`{
+        identity(address: "${ALICE}") {
+          state
+          invites { inviter { state } invitee { state } }
+        }
+      }`);
+
+      expect(res.body.errors).toBeUndefined();
+      // ALICE is looked up once for both fields, BOB once
+      expect(mockBatchCall.mock.calls.map(([, [address]]) => address).sort()).toEqual([ALICE, BOB]);
+    });
+
+    it('should return null for missing records', async () => {
+      const res = await query(
+        '{ block(height: 999) { hash } transaction(hash: "0xnope") { hash } invite(hash: "0xnope") { hash } }'
+      );
+
+      expect(res.body.data).toEqual({ block: null, transaction: null, invite: null });
+    });
+
+    it('should report invalid addresses as field errors', async () => {
+      const res = await query('{ identity(address: "nope") { state } }');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.identity).toBeNull();
+      expect(res.body.errors[0]).toMatchObject({
+        message: 'Invalid address format',
+        path: ['identity'],
+      });
+    });
+
+    it('should report RPC failures on the identity fields only', async () => {
+      mockBatchCall.mockRejectedValue(new Error('RPC error: node down'));
+
+      const res = await query(`{ identity(address: "${ALICE}") { state rewards { amount } } }`);
+
+      expect(res.body.data.identity).toEqual({
+        state: null,
+        rewards: [{ amount: '3' }, { amount: '12' }],
+      });
+      expect(res.body.errors[0]).toMatchObject({
+        message: 'RPC error: node down',
+        path: ['identity', 'state'],
+      });
+    });
+
+    it('should report history fields while the historical database is disabled', async () => {
+      historyDB.enabled = false;
+
+      const res = await query('{ epochs { epoch } }');
+
+      expect(res.body.data).toBeNull();
+      expect(res.body.errors[0].message).toBe('Historical database not enabled');
+    });
+
+    it('should reject queries over the cost limit', async () => {
+      const res = await query(`{
+        epochs(limit: 100) { invites(limit: 100) { inviter { rewards(limit: 100) { amount } } } }
+      }`);
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].extensions).toMatchObject({
+        code: 'QUERY_TOO_COSTLY',
+        maxCost: 1000,
+      });
+      expect(mockBatchCall).not.toHaveBeenCalled();
+    });
+
+    it('should reject variables that are not an object', async () => {
+      const res = await query('{ epochs { epoch } }', 5);
+
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0].message).toBe('variables must be a JSON object');
+    });
+
+    it('should reject invalid queries', async () => {
+      const missing = await request(app).post('/graphql').send({});
+      expect(missing.status).toBe(400);
+
+      const syntax = await query('{ identity(');
+      expect(syntax.status).toBe(400);
+      expect(syntax.body.errors[0].message).toContain('Syntax Error');
+
+      const unknown = await query('{ nope }');
+      expect(unknown.status).toBe(400);
+      expect(unknown.body.errors[0].message).toContain('Cannot query field "nope"');
+    });
+  });
+
+  describe('GET /graphql', () => {
+    it('should run a query from the query string', async () => {
+      const res = await request(app)
+        .get('/graphql')
+        .query({
+          query: 'query ($h: Int!) { block(height: $h) { hash } }',
+          variables: JSON.stringify({ h: 101 }),
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.block).toEqual({ hash: '0xb101' });
+    });
+
+    it('should reject malformed variables', async () => {
+      const res = await request(app)
+        .get('/graphql')
+        .query({ query: '{ epochs { epoch } }', variables: '{' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it.each(['5', '"5"', '[1]', 'true'])(
+      'should reject variables that are not an object (%s)',
+      async (variables) => {
+        const res = await request(app)
+          .get('/graphql')
+          .query({ query: '{ epochs { epoch } }', variables });
+
+        expect(res.status).toBe(400);
+        expect(res.body.errors[0].message).toBe('variables must be a JSON object');
+      }
+    );
+  });
+
+  describe('queryCost()', () => {
+    const schema = createSchema();
+    const cost = (text, options) => queryCost(schema, parse(text), options);
+
+    it('should count each field once', () => {
+      expect(cost('{ block(height: 1) { hash height } }')).toBe(3);
+    });
+
+    it('should multiply list selections by their limit', () => {
+      expect(cost('{ epochs(limit: 5) { epoch } }')).toBe(1 + 5 * 1);
+      expect(cost('{ epochs { epoch } }')).toBe(1 + 20 * 1);
+      expect(cost('query ($n: Int) { epochs(limit: $n) { epoch } }', { variables: { n: 3 } })).toBe(
+        4
+      );
+      expect(cost('{ epochs(limit: 5000) { epoch } }')).toBe(1 + 100);
+    });
+
+    it('should price lists without a limit at the maximum', () => {
+      expect(cost('{ block(height: 1) { transactions { hash } } }')).toBe(1 + 1 + 100);
+    });
+
+    it('should follow fragments and skip introspection', () => {
+      const text = `
+        query { epochs(limit: 2) { ...E __typename } __schema { types { name } } }
+        fragment E on Epoch { epoch ... on Epoch { txCount } }
+      `;
+      expect(cost(text)).toBe(1 + 2 * 2);
+    });
+
+    it('should price the selected operation', () => {
+      const text = 'query A { epochs(limit: 1) { epoch } } query B { epochs(limit: 9) { epoch } }';
+      expect(cost(text, { operationName: 'B' })).toBe(10);
+    });
+  });
+
+  describe('createLoaders()', () => {
+    it('should load a batch of blocks with one query', async () => {
+      const spy = jest.spyOn(historyDB, 'getBlocksByHeight');
+      const { block } = createLoaders();
+
+      const blocks = await Promise.all([block.load(100), block.load(101), block.load(999)]);
+
+      expect(blocks.map((b) => b && b.hash)).toEqual(['0xb100', '0xb101', null]);
+      expect(spy).toHaveBeenCalledTimes(1);
+      expect(spy).toHaveBeenCalledWith([100, 101, 999]);
+      spy.mockRestore();
+    });
+
+    it('should load address info and transactions in one query per batch', async () => {
+      const infos = jest.spyOn(historyDB, 'getAddressInfos');
+      const txs = jest.spyOn(historyDB, 'getTransactionsByHash');
+      const { addressInfo, transaction } = createLoaders();
+
+      const [alice, bob, missing] = await Promise.all([
+        addressInfo.load(ALICE),
+        addressInfo.load(BOB),
+        addressInfo.load(CONTRACT),
+      ]);
+      const found = await Promise.all(['0xt1', '0xt3', '0xnope'].map((h) => transaction.load(h)));
+
+      expect(alice).toMatchObject({ balance: '250', txTotal: 2 });
+      expect(bob).toBeNull();
+      expect(missing).toBeNull();
+      expect(found.map((tx) => tx && tx.type)).toEqual(['SendTx', 'ActivationTx', null]);
+      expect(infos).toHaveBeenCalledTimes(1);
+      expect(txs).toHaveBeenCalledTimes(1);
+      infos.mockRestore();
+      txs.mockRestore();
+    });
+
+    it('should load the lists of many addresses with one query per page', async () => {
+      const spy = jest.spyOn(historyDB, 'getRewardsByAddress');
+      const { rewards } = createLoaders();
+
+      const [alice, bob, aliceFirst] = await Promise.all([
+        rewards.load({ address: ALICE.toUpperCase().replace('0X', '0x'), limit: 20, offset: 0 }),
+        rewards.load({ address: BOB, limit: 20, offset: 0 }),
+        rewards.load({ address: ALICE, limit: 1, offset: 0 }),
+      ]);
+
+      expect(alice.map((r) => r.type)).toEqual(['flips', 'validation']);
+      expect(bob).toEqual([]);
+      expect(aliceFirst.map((r) => r.type)).toEqual(['flips']);
+      expect(spy.mock.calls).toEqual([
+        [[ALICE, BOB], { limit: 20, offset: 0 }],
+        [[ALICE], { limit: 1, offset: 0 }],
+      ]);
+      spy.mockRestore();
+    });
+
+    it('should resolve nested lists without a query per parent', async () => {
+      const spies = ['getTransactionsByAddress', 'getRewardsByAddress', 'getAddressInfos'].map(
+        (method) => jest.spyOn(historyDB, method)
+      );
+
+      const res = await query(`{
+        alice: address(address: "${ALICE}") { balance transactions(limit: 5) { hash } }
+        bob: address(address: "${BOB}") { balance transactions(limit: 5) { hash } }
+        aliceIdentity: identity(address: "${ALICE}") { rewards(limit: 5) { amount } }
+        bobIdentity: identity(address: "${BOB}") { rewards(limit: 5) { amount } }
+      }`);
+
+      expect(res.body.errors).toBeUndefined();
+      const { alice, bob, aliceIdentity, bobIdentity } = res.body.data;
+      expect(alice.transactions.map((tx) => tx.hash).sort()).toEqual(['0xt1', '0xt2']);
+      expect(bob.transactions.map((tx) => tx.hash).sort()).toEqual(['0xt1', '0xt2', '0xt3']);
+      expect(aliceIdentity.rewards).toHaveLength(2);
+      expect(bobIdentity.rewards).toEqual([]);
+      for (const spy of spies) {
+        expect(spy).toHaveBeenCalledTimes(1);
+        spy.mockRestore();
+      }
+    });
+  });
+});
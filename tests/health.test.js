@@ -6,6 +6,7 @@ jest.mock('../src/rpc', () => {
       currentEpoch: 100,
       timestamp: new Date().toISOString(),
     }),
+    getPoolStatus: jest.fn().mockReturnValue({ size: 1, bestHeight: null, nodes: [] }),
   }));
 });
 
@@ -51,6 +52,7 @@ describe('Health Endpoint', () => {
             currentEpoch: 100,
             timestamp: new Date().toISOString(),
           }),
+          getPoolStatus: jest.fn().mockReturnValue({ size: 1, bestHeight: null, nodes: [] }),
         }));
       });
 
@@ -68,6 +70,14 @@ describe('Health Endpoint', () => {
       expect(response.body.idenaNode).toHaveProperty('healthy');
     });
 
+    it('should include RPC pool status', async () => {
+      const response = await request(app).get('/api/health');
+
+      expect(response.body).toHaveProperty('rpcPool');
+      expect(response.body.rpcPool).toHaveProperty('size');
+      expect(response.body.rpcPool).toHaveProperty('nodes');
+    });
+
     it('should return 503 when node is unhealthy', async () => {
       const IdenaRPC = require('../src/rpc');
       IdenaRPC.mockImplementation(() => ({
@@ -76,6 +86,7 @@ describe('Health Endpoint', () => {
           error: 'Connection refused',
           timestamp: new Date().toISOString(),
         }),
+        getPoolStatus: jest.fn().mockReturnValue({ size: 1, bestHeight: null, nodes: [] }),
       }));
 
       // Need to re-import to get new mock
@@ -87,6 +98,7 @@ describe('Health Endpoint', () => {
             error: 'Connection refused',
             timestamp: new Date().toISOString(),
           }),
+          getPoolStatus: jest.fn().mockReturnValue({ size: 1, bestHeight: null, nodes: [] }),
         }));
       });
 
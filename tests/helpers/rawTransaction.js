@@ -0,0 +1,83 @@
+/**
+ * Build signed raw transactions for tests
+ */
+
+const { keccak_256: keccak256 } = require('@noble/hashes/sha3');
+const { secp256k1 } = require('@noble/curves/secp256k1');
+
+const PRIVATE_KEY = Buffer.from('01'.repeat(32), 'hex');
+
+const varint = (value) => {
+  const bytes = [];
+  let v = BigInt(value);
+  while (v >= 0x80n) {
+    bytes.push(Number(v & 0x7fn) | 0x80);
+    v >>= 7n;
+  }
+  bytes.push(Number(v));
+  return Buffer.from(bytes);
+};
+
+const varintField = (num, value) => Buffer.concat([varint(num << 3), varint(value)]);
+const bytesField = (num, bytes) =>
+  Buffer.concat([varint((num << 3) | 2), varint(bytes.length), bytes]);
+
+// Big-endian atomic amount, as idena-go encodes big.Int
+const amountBytes = (atomic) => {
+  const hex = BigInt(atomic).toString(16);
+  return BigInt(atomic) === 0n
+    ? Buffer.alloc(0)
+    : Buffer.from(hex.padStart(hex.length + (hex.length % 2), '0'), 'hex');
+};
+
+/**
+ * Address of the test key
+ */
+function testAddress(privateKey = PRIVATE_KEY) {
+  const publicKey = secp256k1.getPublicKey(privateKey, false);
+  return `0x${Buffer.from(keccak256(publicKey.subarray(1)).subarray(-20)).toString('hex')}`;
+}
+
+/**
+ * Encode and sign a transaction
+ * @param {object} tx - { nonce, epoch, type, to, amount, maxFee, tips, payload } with atomic amounts
+ * @returns {string} - 0x-prefixed hex
+ */
+function buildRawTransaction(tx = {}, privateKey = PRIVATE_KEY) {
+  const parts = [];
+  if (tx.nonce) {
+    parts.push(varintField(1, tx.nonce));
+  }
+  if (tx.epoch) {
+    parts.push(varintField(2, tx.epoch));
+  }
+  if (tx.type) {
+    parts.push(varintField(3, tx.type));
+  }
+  if (tx.to) {
+    parts.push(bytesField(4, Buffer.from(tx.to.slice(2), 'hex')));
+  }
+  if (tx.amount) {
+    parts.push(bytesField(5, amountBytes(tx.amount)));
+  }
+  if (tx.maxFee) {
+    parts.push(bytesField(6, amountBytes(tx.maxFee)));
+  }
+  if (tx.tips) {
+    parts.push(bytesField(7, amountBytes(tx.tips)));
+  }
+  if (tx.payload) {
+    parts.push(bytesField(8, Buffer.from(tx.payload.slice(2), 'hex')));
+  }
+  const data = Buffer.concat(parts);
+
+  const signature = secp256k1.sign(keccak256(data), privateKey);
+  const signatureBytes = Buffer.concat([
+    Buffer.from(signature.toCompactRawBytes()),
+    Buffer.from([signature.recovery]),
+  ]);
+
+  return `0x${Buffer.concat([bytesField(1, data), bytesField(2, signatureBytes)]).toString('hex')}`;
+}
+
+module.exports = { buildRawTransaction, testAddress };
@@ -12,6 +12,8 @@ const mockGetIdentityRewards = jest.fn();
 const mockGetIdentityRewardsAtEpoch = jest.fn();
 const mockGetIdentityValidationHistory = jest.fn();
 const mockGetValidationResult = jest.fn();
+const mockGetReorgs = jest.fn();
+const mockGetBlockCoverage = jest.fn();
 
 jest.mock('../src/db', () => ({
   enabled: true,
@@ -28,6 +30,8 @@ jest.mock('../src/db', () => ({
   getIdentityRewardsAtEpoch: mockGetIdentityRewardsAtEpoch,
   getIdentityValidationHistory: mockGetIdentityValidationHistory,
   getValidationResult: mockGetValidationResult,
+  getReorgs: mockGetReorgs,
+  getBlockCoverage: mockGetBlockCoverage,
   init: jest.fn(),
 }));
 
@@ -71,9 +75,7 @@ describe('History Routes', () => {
 
       mockSyncGetStatus.mockReturnValue(mockStatus);
 
-      const response = await request(app)
-        .get('/api/history/status')
-        .expect(200);
+      const response = await request(app).get('/api/history/status').expect(200);
 
       expect(response.body).toHaveProperty('enabled', true);
       expect(response.body).toHaveProperty('running', true);
@@ -89,14 +91,93 @@ describe('History Routes', () => {
         running: false,
       });
 
-      const response = await request(app)
-        .get('/api/history/status')
-        .expect(200);
+      const response = await request(app).get('/api/history/status').expect(200);
 
       expect(response.body).toHaveProperty('enabled', false);
     });
   });
 
+  describe('GET /api/history/reorgs', () => {
+    it('should return recorded reorgs', async () => {
+      mockGetReorgs.mockReturnValue({
+        data: [
+          {
+            id: 1,
+            commonAncestor: 5999990,
+            oldTip: 5999993,
+            depth: 3,
+            affectedHeights: { from: 5999991, to: 5999993 },
+            oldTipHash: '0xold',
+            newTipHash: '0xnew',
+            removedBlocks: 3,
+            removedTransactions: 7,
+            detectedAt: '2026-01-14T00:00:00.000Z',
+          },
+        ],
+        total: 1,
+        limit: 50,
+        offset: 0,
+        hasMore: false,
+      });
+
+      const response = await request(app).get('/api/history/reorgs').expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].depth).toBe(3);
+      expect(response.body.data[0].affectedHeights).toEqual({ from: 5999991, to: 5999993 });
+      expect(mockGetReorgs).toHaveBeenCalledWith({ limit: 50, offset: 0 });
+    });
+
+    it('should cap limit at 100', async () => {
+      mockGetReorgs.mockReturnValue({ data: [], total: 0, hasMore: false });
+
+      await request(app).get('/api/history/reorgs?limit=500&offset=10').expect(200);
+
+      expect(mockGetReorgs).toHaveBeenCalledWith({ limit: 100, offset: 10 });
+    });
+
+    it('should return 503 when history disabled', async () => {
+      historyDB.enabled = false;
+
+      await request(app).get('/api/history/reorgs').expect(503);
+    });
+  });
+
+  describe('GET /api/history/gaps', () => {
+    it('should return the coverage report', async () => {
+      mockGetBlockCoverage.mockReturnValue({
+        from: 5999000,
+        to: 6000000,
+        expectedBlocks: 1001,
+        storedBlocks: 991,
+        missingBlocks: 10,
+        coverage: '99.00',
+        gaps: [{ from: 5999500, to: 5999509, count: 10 }],
+        txCountMismatches: [{ height: 5999600, expected: 3, stored: 2 }],
+      });
+
+      const response = await request(app).get('/api/history/gaps').expect(200);
+
+      expect(response.body.missingBlocks).toBe(10);
+      expect(response.body.gaps[0]).toEqual({ from: 5999500, to: 5999509, count: 10 });
+      expect(mockGetBlockCoverage).toHaveBeenCalledWith({ limit: 50 });
+    });
+
+    it('should cap limit at 100', async () => {
+      mockGetBlockCoverage.mockReturnValue({ gaps: [], txCountMismatches: [] });
+
+      await request(app).get('/api/history/gaps?limit=1000').expect(200);
+
+      expect(mockGetBlockCoverage).toHaveBeenCalledWith({ limit: 100 });
+    });
+
+    it('should return 503 when history disabled', async () => {
+      historyDB.enabled = false;
+
+      await request(app).get('/api/history/gaps').expect(503);
+    });
+  });
+
   describe('GET /api/history/address/:address/transactions', () => {
     const validAddress = '0x1234567890abcdef1234567890abcdef12345678';
 
@@ -263,9 +344,7 @@ describe('History Routes', () => {
     it('should return block for valid height', async () => {
       mockGetBlock.mockReturnValue(mockBlock);
 
-      const response = await request(app)
-        .get('/api/history/block/6000000')
-        .expect(200);
+      const response = await request(app).get('/api/history/block/6000000').expect(200);
 
       expect(response.body).toHaveProperty('result');
       expect(response.body.result).toHaveProperty('height', 6000000);
@@ -277,25 +356,19 @@ describe('History Routes', () => {
       const genesisBlock = { ...mockBlock, height: 0 };
       mockGetBlock.mockReturnValue(genesisBlock);
 
-      const response = await request(app)
-        .get('/api/history/block/0')
-        .expect(200);
+      const response = await request(app).get('/api/history/block/0').expect(200);
 
       expect(response.body.result.height).toBe(0);
     });
 
     it('should return 400 for invalid height (negative)', async () => {
-      const response = await request(app)
-        .get('/api/history/block/-1')
-        .expect(400);
+      const response = await request(app).get('/api/history/block/-1').expect(400);
 
       expect(response.body.error.message).toContain('Invalid block height');
     });
 
     it('should return 400 for invalid height (non-numeric)', async () => {
-      const response = await request(app)
-        .get('/api/history/block/abc')
-        .expect(400);
+      const response = await request(app).get('/api/history/block/abc').expect(400);
 
       expect(response.body.error.message).toContain('Invalid block height');
     });
@@ -303,9 +376,7 @@ describe('History Routes', () => {
     it('should return 404 when block not found', async () => {
       mockGetBlock.mockReturnValue(null);
 
-      const response = await request(app)
-        .get('/api/history/block/999999999')
-        .expect(404);
+      const response = await request(app).get('/api/history/block/999999999').expect(404);
 
       expect(response.body.error.message).toContain('Block not found');
       expect(response.body.error.message).toContain('may not be synced yet');
@@ -314,9 +385,7 @@ describe('History Routes', () => {
     it('should return 503 when history database is disabled', async () => {
       historyDB.enabled = false;
 
-      const response = await request(app)
-        .get('/api/history/block/6000000')
-        .expect(503);
+      const response = await request(app).get('/api/history/block/6000000').expect(503);
 
       expect(response.body.error.message).toContain('Historical database not enabled');
     });
@@ -341,9 +410,7 @@ describe('History Routes', () => {
     it('should return transaction for valid hash', async () => {
       mockGetTransaction.mockReturnValue(mockTransaction);
 
-      const response = await request(app)
-        .get(`/api/history/transaction/${validHash}`)
-        .expect(200);
+      const response = await request(app).get(`/api/history/transaction/${validHash}`).expect(200);
 
       expect(response.body).toHaveProperty('result');
       expect(response.body.result).toHaveProperty('hash', validHash);
@@ -353,16 +420,16 @@ describe('History Routes', () => {
     });
 
     it('should return 400 for invalid hash format (too short)', async () => {
-      const response = await request(app)
-        .get('/api/history/transaction/0x1234')
-        .expect(400);
+      const response = await request(app).get('/api/history/transaction/0x1234').expect(400);
 
       expect(response.body.error.message).toContain('Invalid transaction hash format');
     });
 
     it('should return 400 for invalid hash format (no 0x prefix)', async () => {
       const response = await request(app)
-        .get('/api/history/transaction/1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef')
+        .get(
+          '/api/history/transaction/1234567890abcdef1234567890abcdef1234567890abcdef1234567890abcdef'
+        )
         .expect(400);
 
       expect(response.body.error.message).toContain('Invalid transaction hash format');
@@ -380,9 +447,7 @@ describe('History Routes', () => {
     it('should return 404 when transaction not found', async () => {
       mockGetTransaction.mockReturnValue(null);
 
-      const response = await request(app)
-        .get(`/api/history/transaction/${validHash}`)
-        .expect(404);
+      const response = await request(app).get(`/api/history/transaction/${validHash}`).expect(404);
 
       expect(response.body.error.message).toContain('Transaction not found');
       expect(response.body.error.message).toContain('may not be synced yet');
@@ -391,9 +456,7 @@ describe('History Routes', () => {
     it('should return 503 when history database is disabled', async () => {
       historyDB.enabled = false;
 
-      const response = await request(app)
-        .get(`/api/history/transaction/${validHash}`)
-        .expect(503);
+      const response = await request(app).get(`/api/history/transaction/${validHash}`).expect(503);
 
       expect(response.body.error.message).toContain('Historical database not enabled');
     });
@@ -445,9 +508,7 @@ describe('History Routes', () => {
     });
 
     it('should return 400 for invalid address', async () => {
-      const response = await request(app)
-        .get('/api/history/identity/invalid/epochs')
-        .expect(400);
+      const response = await request(app).get('/api/history/identity/invalid/epochs').expect(400);
 
       expect(response.body.error.message).toContain('Invalid address format');
     });
@@ -455,9 +516,7 @@ describe('History Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      await request(app)
-        .get(`/api/history/identity/${validAddress}/epochs`)
-        .expect(503);
+      await request(app).get(`/api/history/identity/${validAddress}/epochs`).expect(503);
     });
   });
 
@@ -521,9 +580,7 @@ describe('History Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      await request(app)
-        .get(`/api/history/identity/${validAddress}/state/150`)
-        .expect(503);
+      await request(app).get(`/api/history/identity/${validAddress}/state/150`).expect(503);
     });
   });
 
@@ -573,9 +630,7 @@ describe('History Routes', () => {
     });
 
     it('should return 400 for invalid address', async () => {
-      const response = await request(app)
-        .get('/api/history/address/invalid/states')
-        .expect(400);
+      const response = await request(app).get('/api/history/address/invalid/states').expect(400);
 
       expect(response.body.error.message).toContain('Invalid address format');
     });
@@ -583,9 +638,7 @@ describe('History Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      await request(app)
-        .get(`/api/history/address/${validAddress}/states`)
-        .expect(503);
+      await request(app).get(`/api/history/address/${validAddress}/states`).expect(503);
     });
   });
 
@@ -612,9 +665,7 @@ describe('History Routes', () => {
     });
 
     it('should return 400 for invalid address', async () => {
-      const response = await request(app)
-        .get('/api/history/address/invalid/state/150')
-        .expect(400);
+      const response = await request(app).get('/api/history/address/invalid/state/150').expect(400);
 
       expect(response.body.error.message).toContain('Invalid address format');
     });
@@ -648,9 +699,7 @@ describe('History Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      await request(app)
-        .get(`/api/history/address/${validAddress}/state/150`)
-        .expect(503);
+      await request(app).get(`/api/history/address/${validAddress}/state/150`).expect(503);
     });
   });
 
@@ -714,9 +763,7 @@ describe('History Routes', () => {
     });
 
     it('should return 400 for invalid address', async () => {
-      const response = await request(app)
-        .get('/api/history/identity/invalid/rewards')
-        .expect(400);
+      const response = await request(app).get('/api/history/identity/invalid/rewards').expect(400);
 
       expect(response.body.error.message).toContain('Invalid address format');
     });
@@ -724,9 +771,7 @@ describe('History Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      await request(app)
-        .get(`/api/history/identity/${validAddress}/rewards`)
-        .expect(503);
+      await request(app).get(`/api/history/identity/${validAddress}/rewards`).expect(503);
     });
   });
 
@@ -790,9 +835,7 @@ describe('History Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      await request(app)
-        .get(`/api/history/identity/${validAddress}/rewards/150`)
-        .expect(503);
+      await request(app).get(`/api/history/identity/${validAddress}/rewards/150`).expect(503);
     });
   });
 
@@ -872,9 +915,7 @@ describe('History Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      await request(app)
-        .get(`/api/history/identity/${validAddress}/validation`)
-        .expect(503);
+      await request(app).get(`/api/history/identity/${validAddress}/validation`).expect(503);
     });
   });
 
@@ -942,9 +983,7 @@ describe('History Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      await request(app)
-        .get(`/api/history/identity/${validAddress}/validation/150`)
-        .expect(503);
+      await request(app).get(`/api/history/identity/${validAddress}/validation/150`).expect(503);
     });
   });
 });
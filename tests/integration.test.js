@@ -6,6 +6,7 @@ jest.mock('../src/rpc', () => {
       currentEpoch: 100,
       timestamp: new Date().toISOString(),
     }),
+    getPoolStatus: jest.fn().mockReturnValue({ size: 1, bestHeight: null, nodes: [] }),
     getIdentity: jest.fn().mockResolvedValue({
       address: '0x1234567890123456789012345678901234567890',
       state: 'Human',
@@ -0,0 +1,216 @@
+/**
+ * Tests for the Mempool Monitor (mempool.js) and Mempool Routes
+ */
+
+// Mock the RPC module
+const mockGetMempool = jest.fn();
+const mockBatchCall = jest.fn();
+jest.mock('../src/rpc', () => {
+  return jest.fn().mockImplementation(() => ({
+    getMempool: mockGetMempool,
+    batchCall: mockBatchCall,
+  }));
+});
+
+const request = require('supertest');
+const app = require('../src/server');
+const mempoolService = require('../src/mempool');
+
+const { MempoolService } = mempoolService;
+
+const ALICE = '0x' + 'aa'.repeat(20);
+const BOB = '0x' + 'bb'.repeat(20);
+const hash = (n) => '0x' + n.toString(16).padStart(64, '0');
+
+const NODE_TXS = {
+  [hash(1)]: {
+    hash: hash(1),
+    type: 'send',
+    from: ALICE,
+    to: BOB,
+    amount: '1',
+    maxFee: '0.1',
+    nonce: 2,
+    epoch: 150,
+  },
+  [hash(2)]: {
+    hash: hash(2),
+    type: 'send',
+    from: ALICE,
+    to: BOB,
+    amount: '2',
+    maxFee: '0.3',
+    nonce: 1,
+    epoch: 150,
+  },
+  [hash(3)]: {
+    hash: hash(3),
+    type: 'callContract',
+    from: BOB,
+    to: '0x' + 'cc'.repeat(20),
+    maxFee: '0.2',
+    nonce: 5,
+    epoch: 150,
+  },
+};
+
+describe('Mempool', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockBatchCall.mockImplementation((method, [txHash]) =>
+      Promise.resolve(NODE_TXS[txHash] || null)
+    );
+  });
+
+  describe('MempoolService', () => {
+    let service;
+
+    beforeEach(() => {
+      service = new MempoolService();
+    });
+
+    it('should fetch new pending transactions', async () => {
+      mockGetMempool.mockResolvedValue([hash(1), hash(2)]);
+
+      await service.poll();
+
+      expect(service.pending.size).toBe(2);
+      expect(service.getTransaction(hash(1))).toMatchObject({
+        from: ALICE,
+        nonce: 2,
+        maxFee: '0.1',
+      });
+      expect(mockBatchCall).toHaveBeenCalledWith('bcn_transaction', [hash(1)]);
+      expect(service.lastPollAt).not.toBeNull();
+    });
+
+    it('should only fetch hashes it has not seen', async () => {
+      mockGetMempool.mockResolvedValue([hash(1)]);
+      await service.poll();
+      mockGetMempool.mockResolvedValue([hash(1), hash(2)]);
+      await service.poll();
+
+      expect(mockBatchCall).toHaveBeenCalledTimes(2);
+    });
+
+    it('should drop transactions that left the mempool', async () => {
+      mockGetMempool.mockResolvedValue([hash(1), hash(2)]);
+      await service.poll();
+      mockGetMempool.mockResolvedValue([hash(2)]);
+      await service.poll();
+
+      expect(service.getTransaction(hash(1))).toBeNull();
+      expect(service.getTransaction(hash(2))).not.toBeNull();
+    });
+
+    it('should retry transactions that failed to fetch on the next poll', async () => {
+      mockGetMempool.mockResolvedValue([hash(1)]);
+      mockBatchCall.mockRejectedValueOnce(new Error('timeout'));
+      await service.poll();
+      expect(service.pending.size).toBe(0);
+
+      await service.poll();
+      expect(service.pending.size).toBe(1);
+    });
+
+    it('should keep the pending set when the poll fails', async () => {
+      mockGetMempool.mockResolvedValue([hash(1)]);
+      await service.poll();
+      mockGetMempool.mockRejectedValue(new Error('node down'));
+      await service.poll();
+
+      expect(service.pending.size).toBe(1);
+      expect(service.getStatus().lastError).toBe('node down');
+    });
+
+    it('should list pending transactions by address in nonce order', async () => {
+      mockGetMempool.mockResolvedValue([hash(1), hash(2), hash(3)]);
+      await service.poll();
+
+      expect(
+        service.getByAddress(ALICE.toUpperCase().replace('0X', '0x')).map((tx) => tx.nonce)
+      ).toEqual([1, 2]);
+      expect(service.getByAddress(BOB)).toHaveLength(3);
+    });
+
+    it('should summarize counts by type and the fee distribution', async () => {
+      mockGetMempool.mockResolvedValue([hash(1), hash(2), hash(3)]);
+      await service.poll();
+
+      const summary = service.getSummary();
+
+      expect(summary.count).toBe(3);
+      expect(summary.byType).toEqual({ send: 2, callContract: 1 });
+      expect(summary.fees).toEqual({
+        min: '0.1',
+        p25: '0.1',
+        median: '0.2',
+        p75: '0.2',
+        max: '0.3',
+        total: '0.6',
+      });
+    });
+
+    it('should report no fee distribution for an empty mempool', () => {
+      expect(service.getSummary()).toMatchObject({ count: 0, byType: {}, fees: null });
+    });
+
+    it('should keep the first seen time when a transaction is tracked again', () => {
+      service.track({ hash: hash(1), from: ALICE });
+      const firstSeen = service.getTransaction(hash(1)).firstSeen;
+      service.track({ hash: hash(1), from: ALICE, nonce: 2 });
+
+      expect(service.getTransaction(hash(1))).toMatchObject({ nonce: 2, firstSeen });
+    });
+
+    it('should not start when disabled', () => {
+      service.enabled = false;
+      service.start();
+
+      expect(service.isRunning).toBe(false);
+      expect(mockGetMempool).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Routes', () => {
+    beforeEach(async () => {
+      mempoolService.enabled = true;
+      mempoolService.pending.clear();
+      mockGetMempool.mockResolvedValue([hash(1), hash(2), hash(3)]);
+      await mempoolService.poll();
+    });
+
+    describe('GET /api/mempool', () => {
+      it('should return the mempool summary', async () => {
+        const response = await request(app).get('/api/mempool').expect(200);
+
+        expect(response.body.result).toMatchObject({
+          count: 3,
+          byType: { send: 2, callContract: 1 },
+          fees: { median: '0.2' },
+        });
+      });
+
+      it('should return 503 when monitoring is disabled', async () => {
+        mempoolService.enabled = false;
+
+        const response = await request(app).get('/api/mempool').expect(503);
+
+        expect(response.body.error.message).toContain('disabled');
+      });
+    });
+
+    describe('GET /api/mempool/address/:address', () => {
+      it('should return pending transactions for the address', async () => {
+        const response = await request(app).get(`/api/mempool/address/${ALICE}`).expect(200);
+
+        expect(response.body.result.count).toBe(2);
+        expect(response.body.result.transactions.map((tx) => tx.hash)).toEqual([hash(2), hash(1)]);
+      });
+
+      it('should reject invalid addresses', async () => {
+        await request(app).get('/api/mempool/address/0x123').expect(400);
+      });
+    });
+  });
+});
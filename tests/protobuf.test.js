@@ -0,0 +1,45 @@
+/**
+ * Tests for the Protobuf Reader
+ */
+
+const { decodeFields, getField, getRepeated, hexToBuffer } = require('../src/protobuf');
+
+describe('Protobuf Reader', () => {
+  describe('decodeFields()', () => {
+    it('should decode varint and length-delimited fields', () => {
+      // field 1 = 150 (varint), field 2 = "hi", field 2 = 0x01ff
+      const fields = decodeFields('0x089601120268691202' + '01ff');
+
+      expect(fields).toHaveLength(3);
+      expect(getField(fields, 1)).toBe(150n);
+      expect(getRepeated(fields, 2).map((b) => b.toString('hex'))).toEqual(['6869', '01ff']);
+      expect(getField(fields, 3)).toBeNull();
+    });
+
+    it('should skip fixed-width fields', () => {
+      // field 1 fixed32, field 2 fixed64, field 3 = 1
+      const fields = decodeFields('0d01000000' + '110200000000000000' + '1801');
+
+      expect(fields.map((f) => f.field)).toEqual([1, 2, 3]);
+      expect(getField(fields, 3)).toBe(1n);
+    });
+
+    it('should decode an empty message', () => {
+      expect(decodeFields('0x')).toEqual([]);
+    });
+
+    it('should reject truncated or malformed input', () => {
+      expect(() => decodeFields('0x1205aa')).toThrow('truncated');
+      expect(() => decodeFields('0x0896')).toThrow('varint');
+      expect(() => decodeFields('0x0b')).toThrow('wire type');
+      expect(() => decodeFields('0xzz')).toThrow('Invalid hex');
+    });
+  });
+
+  describe('hexToBuffer()', () => {
+    it('should accept prefixed and bare hex', () => {
+      expect(hexToBuffer('0xabcd')).toEqual(Buffer.from([0xab, 0xcd]));
+      expect(hexToBuffer('abcd')).toEqual(Buffer.from([0xab, 0xcd]));
+    });
+  });
+});
@@ -49,9 +49,7 @@ describe('Search Routes', () => {
         total: 1,
       });
 
-      const response = await request(app)
-        .get('/api/search?q=0x1234')
-        .expect(200);
+      const response = await request(app).get('/api/search?q=0x1234').expect(200);
 
       expect(response.body.results.addresses).toHaveLength(1);
       expect(response.body.results.total).toBe(1);
@@ -59,17 +57,13 @@ describe('Search Routes', () => {
     });
 
     it('should return 400 for short query', async () => {
-      const response = await request(app)
-        .get('/api/search?q=a')
-        .expect(400);
+      const response = await request(app).get('/api/search?q=a').expect(400);
 
       expect(response.body.error.code).toBe('INVALID_QUERY');
     });
 
     it('should return 400 for missing query', async () => {
-      const response = await request(app)
-        .get('/api/search')
-        .expect(400);
+      const response = await request(app).get('/api/search').expect(400);
 
       expect(response.body.error.code).toBe('INVALID_QUERY');
     });
@@ -77,9 +71,7 @@ describe('Search Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      const response = await request(app)
-        .get('/api/search?q=0x1234')
-        .expect(503);
+      const response = await request(app).get('/api/search?q=0x1234').expect(503);
 
       expect(response.body.error.code).toBe('SEARCH_UNAVAILABLE');
     });
@@ -92,9 +84,7 @@ describe('Search Routes', () => {
         total: 0,
       });
 
-      await request(app)
-        .get('/api/search?q=0x1234&limit=5')
-        .expect(200);
+      await request(app).get('/api/search?q=0x1234&limit=5').expect(200);
 
       expect(historyDB.search).toHaveBeenCalledWith('0x1234', { limit: 5 });
     });
@@ -107,18 +97,14 @@ describe('Search Routes', () => {
         '0x1234567890abcdef1234567890abcdef12345679',
       ]);
 
-      const response = await request(app)
-        .get('/api/search/addresses?prefix=0x1234')
-        .expect(200);
+      const response = await request(app).get('/api/search/addresses?prefix=0x1234').expect(200);
 
       expect(response.body.addresses).toHaveLength(2);
       expect(response.body.count).toBe(2);
     });
 
     it('should return 400 for invalid prefix', async () => {
-      const response = await request(app)
-        .get('/api/search/addresses?prefix=invalid')
-        .expect(400);
+      const response = await request(app).get('/api/search/addresses?prefix=invalid').expect(400);
 
       expect(response.body.error.code).toBe('INVALID_PREFIX');
     });
@@ -126,9 +112,7 @@ describe('Search Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      const response = await request(app)
-        .get('/api/search/addresses?prefix=0x1234')
-        .expect(503);
+      const response = await request(app).get('/api/search/addresses?prefix=0x1234').expect(503);
 
       expect(response.body.error.code).toBe('SEARCH_UNAVAILABLE');
     });
@@ -140,9 +124,7 @@ describe('Search Routes', () => {
         { hash: '0xabcd1234', type: 'send', from: '0x1', to: '0x2' },
       ]);
 
-      const response = await request(app)
-        .get('/api/search/transactions?prefix=0xabcd')
-        .expect(200);
+      const response = await request(app).get('/api/search/transactions?prefix=0xabcd').expect(200);
 
       expect(response.body.transactions).toHaveLength(1);
       expect(response.body.transactions[0].hash).toBe('0xabcd1234');
@@ -164,29 +146,21 @@ describe('Search Routes', () => {
         { height: 12345, hash: '0xdef', epoch: 10 },
       ]);
 
-      const response = await request(app)
-        .get('/api/search/blocks?q=1234')
-        .expect(200);
+      const response = await request(app).get('/api/search/blocks?q=1234').expect(200);
 
       expect(response.body.blocks).toHaveLength(2);
     });
 
     it('should search blocks by hash prefix', async () => {
-      historyDB.searchBlocks.mockReturnValue([
-        { height: 1000, hash: '0xabcdef', epoch: 10 },
-      ]);
+      historyDB.searchBlocks.mockReturnValue([{ height: 1000, hash: '0xabcdef', epoch: 10 }]);
 
-      const response = await request(app)
-        .get('/api/search/blocks?q=0xabc')
-        .expect(200);
+      const response = await request(app).get('/api/search/blocks?q=0xabc').expect(200);
 
       expect(response.body.blocks).toHaveLength(1);
     });
 
     it('should return 400 for empty query', async () => {
-      const response = await request(app)
-        .get('/api/search/blocks?q=')
-        .expect(400);
+      const response = await request(app).get('/api/search/blocks?q=').expect(400);
 
       expect(response.body.error.code).toBe('INVALID_QUERY');
     });
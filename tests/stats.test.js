@@ -22,6 +22,7 @@ jest.mock('../src/db', () => ({
   getEpoch: jest.fn(),
   getEpochInvitesSummary: jest.fn(),
   getEpochPenaltySummary: jest.fn(),
+  getBurnStats: jest.fn(),
   init: jest.fn(),
 }));
 
@@ -44,15 +45,9 @@ describe('Stats Routes', () => {
 
   describe('GET /api/stats/online', () => {
     it('should return online identities count', async () => {
-      mockCall.mockResolvedValue([
-        { address: '0x1' },
-        { address: '0x2' },
-        { address: '0x3' },
-      ]);
+      mockCall.mockResolvedValue([{ address: '0x1' }, { address: '0x2' }, { address: '0x3' }]);
 
-      const response = await request(app)
-        .get('/api/stats/online')
-        .expect(200);
+      const response = await request(app).get('/api/stats/online').expect(200);
 
       expect(response.body.result.online).toBe(3);
       expect(response.body.result.timestamp).toBeDefined();
@@ -61,9 +56,7 @@ describe('Stats Routes', () => {
     it('should return 0 when no miners online', async () => {
       mockCall.mockResolvedValue([]);
 
-      const response = await request(app)
-        .get('/api/stats/online')
-        .expect(200);
+      const response = await request(app).get('/api/stats/online').expect(200);
 
       expect(response.body.result.online).toBe(0);
     });
@@ -71,9 +64,7 @@ describe('Stats Routes', () => {
     it('should handle RPC errors gracefully', async () => {
       mockCall.mockRejectedValue(new Error('RPC error'));
 
-      const response = await request(app)
-        .get('/api/stats/online')
-        .expect(500);
+      const response = await request(app).get('/api/stats/online').expect(500);
 
       expect(response.body.error.message).toContain('Failed to fetch');
     });
@@ -85,9 +76,7 @@ describe('Stats Routes', () => {
         .mockResolvedValueOnce({ totalSupply: '1000000', totalBurnt: '10000' })
         .mockResolvedValueOnce({ totalStaked: '500000' });
 
-      const response = await request(app)
-        .get('/api/stats/coins')
-        .expect(200);
+      const response = await request(app).get('/api/stats/coins').expect(200);
 
       expect(response.body.result.totalSupply).toBe('1000000');
       expect(response.body.result.staked).toBe('500000');
@@ -96,13 +85,9 @@ describe('Stats Routes', () => {
     });
 
     it('should handle missing values', async () => {
-      mockCall
-        .mockResolvedValueOnce({})
-        .mockResolvedValueOnce({});
+      mockCall.mockResolvedValueOnce({}).mockResolvedValueOnce({});
 
-      const response = await request(app)
-        .get('/api/stats/coins')
-        .expect(200);
+      const response = await request(app).get('/api/stats/coins').expect(200);
 
       expect(response.body.result.totalSupply).toBe('0');
       expect(response.body.result.staked).toBe('0');
@@ -111,9 +96,7 @@ describe('Stats Routes', () => {
     it('should handle RPC errors', async () => {
       mockCall.mockRejectedValue(new Error('RPC error'));
 
-      const response = await request(app)
-        .get('/api/stats/coins')
-        .expect(500);
+      const response = await request(app).get('/api/stats/coins').expect(500);
 
       expect(response.body.error.message).toContain('Failed to fetch');
     });
@@ -128,9 +111,7 @@ describe('Stats Routes', () => {
         { address: '0x4', state: 'Newbie' },
       ]);
 
-      const response = await request(app)
-        .get('/api/stats/identities')
-        .expect(200);
+      const response = await request(app).get('/api/stats/identities').expect(200);
 
       expect(response.body.result.total).toBe(4);
       expect(response.body.result.byState.Human).toBe(2);
@@ -141,9 +122,7 @@ describe('Stats Routes', () => {
     it('should handle empty identities list', async () => {
       mockCall.mockResolvedValue([]);
 
-      const response = await request(app)
-        .get('/api/stats/identities')
-        .expect(200);
+      const response = await request(app).get('/api/stats/identities').expect(200);
 
       expect(response.body.result.total).toBe(0);
       expect(response.body.result.byState).toEqual({});
@@ -152,9 +131,7 @@ describe('Stats Routes', () => {
     it('should handle RPC errors', async () => {
       mockCall.mockRejectedValue(new Error('RPC error'));
 
-      const response = await request(app)
-        .get('/api/stats/identities')
-        .expect(500);
+      const response = await request(app).get('/api/stats/identities').expect(500);
 
       expect(response.body.error.message).toContain('Failed to fetch');
     });
@@ -164,9 +141,7 @@ describe('Stats Routes', () => {
     it('should return network summary', async () => {
       mockCall.mockResolvedValue({ epoch: 150 });
 
-      const response = await request(app)
-        .get('/api/stats/summary')
-        .expect(200);
+      const response = await request(app).get('/api/stats/summary').expect(200);
 
       expect(response.body.result.database).toBeDefined();
       expect(response.body.result.currentEpoch).toBe(150);
@@ -176,9 +151,7 @@ describe('Stats Routes', () => {
     it('should work even if RPC fails', async () => {
       mockCall.mockRejectedValue(new Error('RPC error'));
 
-      const response = await request(app)
-        .get('/api/stats/summary')
-        .expect(200);
+      const response = await request(app).get('/api/stats/summary').expect(200);
 
       expect(response.body.result.database).toBeDefined();
       expect(response.body.result.currentEpoch).toBeNull();
@@ -200,9 +173,7 @@ describe('Stats Routes', () => {
         totalPenalties: 10,
       });
 
-      const response = await request(app)
-        .get('/api/stats/epoch/150')
-        .expect(200);
+      const response = await request(app).get('/api/stats/epoch/150').expect(200);
 
       expect(response.body.result.epoch.epoch).toBe(150);
       expect(response.body.result.invites.totalInvites).toBe(100);
@@ -210,9 +181,7 @@ describe('Stats Routes', () => {
     });
 
     it('should return 400 for invalid epoch', async () => {
-      const response = await request(app)
-        .get('/api/stats/epoch/invalid')
-        .expect(400);
+      const response = await request(app).get('/api/stats/epoch/invalid').expect(400);
 
       expect(response.body.error.message).toContain('Invalid epoch');
     });
@@ -220,9 +189,7 @@ describe('Stats Routes', () => {
     it('should return 404 when epoch not found', async () => {
       historyDB.getEpoch.mockReturnValue(null);
 
-      const response = await request(app)
-        .get('/api/stats/epoch/999')
-        .expect(404);
+      const response = await request(app).get('/api/stats/epoch/999').expect(404);
 
       expect(response.body.error.message).toContain('not found');
     });
@@ -230,9 +197,47 @@ describe('Stats Routes', () => {
     it('should return 503 when history is disabled', async () => {
       historyDB.enabled = false;
 
-      const response = await request(app)
-        .get('/api/stats/epoch/150')
-        .expect(503);
+      const response = await request(app).get('/api/stats/epoch/150').expect(503);
+
+      expect(response.body.error.message).toContain('not enabled');
+    });
+  });
+
+  describe('GET /api/stats/burn', () => {
+    it('should return burn statistics grouped by epoch', async () => {
+      historyDB.getBurnStats.mockReturnValue({
+        groupBy: 'epoch',
+        data: [
+          { epoch: 150, blocks: 2, fees: '1', feeBurnt: '0.9', txBurnt: '5', totalBurnt: '5.9' },
+        ],
+        totals: { fees: '1', feeBurnt: '0.9', txBurnt: '5', totalBurnt: '5.9' },
+      });
+
+      const response = await request(app).get('/api/stats/burn').expect(200);
+
+      expect(historyDB.getBurnStats).toHaveBeenCalledWith({ groupBy: 'epoch', limit: 30 });
+      expect(response.body.result.data[0].totalBurnt).toBe('5.9');
+      expect(response.body.result.totals.feeBurnt).toBe('0.9');
+    });
+
+    it('should pass groupBy day and cap the limit', async () => {
+      historyDB.getBurnStats.mockReturnValue({ groupBy: 'day', data: [], totals: {} });
+
+      await request(app).get('/api/stats/burn?groupBy=day&limit=500').expect(200);
+
+      expect(historyDB.getBurnStats).toHaveBeenCalledWith({ groupBy: 'day', limit: 100 });
+    });
+
+    it('should return 400 for invalid groupBy', async () => {
+      const response = await request(app).get('/api/stats/burn?groupBy=week').expect(400);
+
+      expect(response.body.error.message).toContain('groupBy');
+    });
+
+    it('should return 503 when history is disabled', async () => {
+      historyDB.enabled = false;
+
+      const response = await request(app).get('/api/stats/burn').expect(503);
 
       expect(response.body.error.message).toContain('not enabled');
     });
@@ -15,6 +15,37 @@ const mockInsertEpoch = jest.fn();
 const mockCloseEpoch = jest.fn();
 const mockInsertIdentityStatesBatch = jest.fn();
 const mockInsertAddressStatesBatch = jest.fn();
+const mockGetBlock = jest.fn();
+const mockRollbackToHeight = jest.fn();
+const mockInsertReorg = jest.fn();
+const mockGetLastReorg = jest.fn();
+const mockRecordSyncFailure = jest.fn();
+const mockUpdateTransactionFee = jest.fn();
+const mockDeleteContractCalls = jest.fn();
+const mockResolveSyncFailure = jest.fn();
+const mockResolveSyncFailuresFor = jest.fn();
+const mockGetSyncFailures = jest.fn();
+const mockGetSyncFailureSummary = jest.fn();
+const mockFindBlockGaps = jest.fn();
+const mockFindTxCountMismatches = jest.fn();
+const mockGetTransaction = jest.fn();
+const mockUpdateBackfillStatus = jest.fn();
+const mockComputeEpochStats = jest.fn();
+const mockInsertIdentityChangesBatch = jest.fn();
+const mockInsertBalanceChangesBatch = jest.fn();
+const mockRecomputeBalanceAfter = jest.fn();
+const mockSetBalanceAnchor = jest.fn();
+const mockGetAddressesMissingBalance = jest.fn();
+const mockGetEpochIdentities = jest.fn();
+const mockInsertRewardsBatch = jest.fn();
+const mockInsertValidationResultsBatch = jest.fn();
+const mockUpdateBlockBurns = jest.fn();
+const mockInsertContractsBatch = jest.fn();
+const mockInsertContractCallsBatch = jest.fn();
+const mockGetContract = jest.fn();
+const mockUpdateContractState = jest.fn();
+const mockInsertContractEventsBatch = jest.fn();
+const mockGetUnlinkedDeployTransactions = jest.fn();
 
 jest.mock('../src/db', () => ({
   enabled: true,
@@ -30,6 +61,37 @@ jest.mock('../src/db', () => ({
   closeEpoch: mockCloseEpoch,
   insertIdentityStatesBatch: mockInsertIdentityStatesBatch,
   insertAddressStatesBatch: mockInsertAddressStatesBatch,
+  getBlock: mockGetBlock,
+  rollbackToHeight: mockRollbackToHeight,
+  insertReorg: mockInsertReorg,
+  getLastReorg: mockGetLastReorg,
+  recordSyncFailure: mockRecordSyncFailure,
+  updateTransactionFee: mockUpdateTransactionFee,
+  deleteContractCalls: mockDeleteContractCalls,
+  resolveSyncFailure: mockResolveSyncFailure,
+  resolveSyncFailuresFor: mockResolveSyncFailuresFor,
+  getSyncFailures: mockGetSyncFailures,
+  getSyncFailureSummary: mockGetSyncFailureSummary,
+  findBlockGaps: mockFindBlockGaps,
+  findTxCountMismatches: mockFindTxCountMismatches,
+  getTransaction: mockGetTransaction,
+  updateBackfillStatus: mockUpdateBackfillStatus,
+  computeEpochStats: mockComputeEpochStats,
+  insertIdentityChangesBatch: mockInsertIdentityChangesBatch,
+  insertBalanceChangesBatch: mockInsertBalanceChangesBatch,
+  recomputeBalanceAfter: mockRecomputeBalanceAfter,
+  setBalanceAnchor: mockSetBalanceAnchor,
+  getAddressesMissingBalance: mockGetAddressesMissingBalance,
+  getEpochIdentities: mockGetEpochIdentities,
+  insertRewardsBatch: mockInsertRewardsBatch,
+  insertValidationResultsBatch: mockInsertValidationResultsBatch,
+  updateBlockBurns: mockUpdateBlockBurns,
+  insertContractsBatch: mockInsertContractsBatch,
+  insertContractCallsBatch: mockInsertContractCallsBatch,
+  getContract: mockGetContract,
+  updateContractState: mockUpdateContractState,
+  insertContractEventsBatch: mockInsertContractEventsBatch,
+  getUnlinkedDeployTransactions: mockGetUnlinkedDeployTransactions,
 }));
 
 // Mock the RPC module
@@ -38,6 +100,7 @@ const mockRpcCall = jest.fn();
 jest.mock('../src/rpc', () => {
   return jest.fn().mockImplementation(() => ({
     call: mockRpcCall,
+    batchCall: mockRpcCall,
   }));
 });
 
@@ -55,6 +118,7 @@ describe('SyncService', () => {
     process.env.SYNC_BATCH_SIZE = '10';
     process.env.SYNC_INTERVAL = '100';
     process.env.SYNC_CONCURRENCY = '5';
+    process.env.SYNC_RETRY_DELAY = '1';
 
     // Create fresh instance
     syncService = new SyncService();
@@ -94,6 +158,24 @@ describe('SyncService', () => {
       const service = new SyncService();
       expect(service.enabled).toBe(false);
     });
+
+    it('should default the fee burn rate to 0.9 and accept 0', () => {
+      expect(new SyncService().feeBurnRate).toBe(0.9);
+
+      process.env.FEE_BURN_RATE = '0';
+      const service = new SyncService();
+      delete process.env.FEE_BURN_RATE;
+
+      expect(service.feeBurnRate).toBe(0);
+    });
+
+    it.each(['abc', '1.5', '-0.1'])('should fall back to 0.9 for FEE_BURN_RATE=%s', (value) => {
+      process.env.FEE_BURN_RATE = value;
+      const service = new SyncService();
+      delete process.env.FEE_BURN_RATE;
+
+      expect(service.feeBurnRate).toBe(0.9);
+    });
   });
 
   describe('start()', () => {
@@ -115,7 +197,7 @@ describe('SyncService', () => {
 
       // Start and immediately stop to prevent infinite loop
       syncService.start();
-      await new Promise(resolve => setTimeout(resolve, 50));
+      await new Promise((resolve) => setTimeout(resolve, 50));
       syncService.stop();
 
       expect(mockInit).toHaveBeenCalled();
@@ -140,6 +222,7 @@ describe('SyncService', () => {
         timestamp: 1704067200,
         epoch: 150,
         coinbase: '0xproposer',
+        parentHash: '0xparent',
         transactions: ['0xtx1', '0xtx2'],
       });
 
@@ -151,6 +234,7 @@ describe('SyncService', () => {
         timestamp: 1704067200,
         epoch: 150,
         proposer: '0xproposer',
+        parentHash: '0xparent',
         txCount: 2,
         transactions: ['0xtx1', '0xtx2'],
       });
@@ -160,6 +244,11 @@ describe('SyncService', () => {
       mockRpcCall.mockResolvedValue(null);
       const block = await syncService._fetchBlock(999999);
       expect(block).toBeNull();
+      expect(mockRecordSyncFailure).toHaveBeenCalledWith({
+        kind: 'block',
+        blockHeight: 999999,
+        error: 'Block not returned by node',
+      });
     });
 
     it('should return null on RPC error', async () => {
@@ -168,6 +257,30 @@ describe('SyncService', () => {
       expect(block).toBeNull();
     });
 
+    it('should retry before giving up and queue the failed height', async () => {
+      mockRpcCall.mockRejectedValue(new Error('timeout'));
+
+      await syncService._fetchBlock(1000);
+
+      expect(mockRpcCall).toHaveBeenCalledTimes(syncService.maxRetries + 1);
+      expect(mockRecordSyncFailure).toHaveBeenCalledWith({
+        kind: 'block',
+        blockHeight: 1000,
+        error: 'timeout',
+      });
+    });
+
+    it('should succeed when a retry succeeds', async () => {
+      mockRpcCall
+        .mockRejectedValueOnce(new Error('timeout'))
+        .mockResolvedValueOnce({ height: 1000, hash: '0xhash', timestamp: 1000, epoch: 1 });
+
+      const block = await syncService._fetchBlock(1000);
+
+      expect(block.hash).toBe('0xhash');
+      expect(mockRecordSyncFailure).not.toHaveBeenCalled();
+    });
+
     it('should handle missing epoch', async () => {
       mockRpcCall.mockResolvedValue({
         height: 1000,
@@ -188,7 +301,7 @@ describe('SyncService', () => {
         from: '0xfrom',
         to: '0xto',
         amount: '100',
-        maxFee: '0.01',
+        usedFee: '0.01',
         nonce: 42,
       });
 
@@ -205,7 +318,22 @@ describe('SyncService', () => {
         fee: '0.01',
         nonce: 42,
         timestamp: 1704067200,
+        payload: null,
+        receipt: null,
+      });
+    });
+
+    it('should keep the payload for the trackers', async () => {
+      mockRpcCall.mockResolvedValue({
+        hash: '0xtxhash',
+        type: 'online',
+        from: '0xfrom',
+        payload: '0xc101',
       });
+
+      const tx = await syncService._fetchTransaction('0xtxhash', 1000, 1704067200, 0);
+
+      expect(tx.payload).toBe('0xc101');
     });
 
     it('should return minimal data when tx not available (fast sync)', async () => {
@@ -233,7 +361,50 @@ describe('SyncService', () => {
       expect(tx).toBeNull();
     });
 
-    it('should use fee when maxFee not available', async () => {
+    it('should queue the transaction hash when retries are exhausted', async () => {
+      mockRpcCall.mockRejectedValue(new Error('RPC error'));
+
+      await syncService._fetchTransaction('0xtxhash', 1000, 1000, 3);
+
+      expect(mockRpcCall).toHaveBeenCalledTimes(syncService.maxRetries + 1);
+      expect(mockRecordSyncFailure).toHaveBeenCalledWith({
+        kind: 'transaction',
+        blockHeight: 1000,
+        txHash: '0xtxhash',
+        txIndex: 3,
+        error: 'RPC error',
+      });
+    });
+
+    it('should prefer the used fee over maxFee', async () => {
+      mockRpcCall.mockResolvedValue({
+        hash: '0xtxhash',
+        type: 'send',
+        from: '0xfrom',
+        maxFee: '0.5',
+        usedFee: '0.021',
+      });
+
+      const tx = await syncService._fetchTransaction('0xtxhash', 1000, 1000, 0);
+      expect(tx.fee).toBe('0.021');
+    });
+
+    it('should take the fee from the receipt instead of maxFee', async () => {
+      mockRpcCall.mockImplementation((method) =>
+        Promise.resolve(
+          method === 'bcn_txReceipt'
+            ? { txFee: '0.004' }
+            : { hash: '0xtxhash', type: 'send', from: '0xfrom', maxFee: '0.5' }
+        )
+      );
+
+      const tx = await syncService._fetchTransaction('0xtxhash', 1000, 1000, 0);
+      expect(tx.fee).toBe('0.004');
+      expect(tx.receipt).toEqual({ txFee: '0.004' });
+      expect(mockRpcCall).toHaveBeenCalledWith('bcn_txReceipt', ['0xtxhash']);
+    });
+
+    it('should use fee when usedFee is not available', async () => {
       mockRpcCall.mockResolvedValue({
         hash: '0xtxhash',
         type: 'send',
@@ -325,6 +496,93 @@ describe('SyncService', () => {
       expect(mockInsertBatch).toHaveBeenCalled();
     });
 
+    it('should fetch transactions for every block in a chunk', async () => {
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_syncing') {
+          return { currentBlock: 1003 };
+        }
+        if (method === 'bcn_blockAt') {
+          return {
+            height: params[0],
+            hash: `0xhash${params[0]}`,
+            timestamp: 1000 + params[0],
+            epoch: 1,
+            transactions: [`0xtx${params[0]}a`, `0xtx${params[0]}b`],
+          };
+        }
+        if (method === 'bcn_transaction') {
+          return { hash: params[0], type: 'SendTx', from: '0xa', to: '0xb', amount: '0' };
+        }
+        return null;
+      });
+
+      await syncService._syncBatch();
+
+      const [blocks, transactions] = mockInsertBatch.mock.calls[0];
+      expect(blocks).toHaveLength(3);
+      expect(transactions.map((tx) => tx.hash)).toEqual([
+        '0xtx1001a',
+        '0xtx1001b',
+        '0xtx1002a',
+        '0xtx1002b',
+        '0xtx1003a',
+        '0xtx1003b',
+      ]);
+      expect(transactions[3]).toMatchObject({ blockHeight: 1002, txIndex: 1 });
+    });
+
+    it('should publish blocks only once caught up with the tip', async () => {
+      const mockBlockAt = (method, params) =>
+        method === 'bcn_blockAt'
+          ? {
+              height: params[0],
+              hash: `0xhash${params[0]}`,
+              timestamp: params[0],
+              epoch: 1,
+              transactions: [],
+            }
+          : null;
+      const onBlock = jest.fn();
+      syncService.on('block', onBlock);
+
+      // Batch ends at 1010, tip is 1020
+      mockRpcCall.mockImplementation((method, params) =>
+        method === 'bcn_syncing' ? { currentBlock: 1020 } : mockBlockAt(method, params)
+      );
+      await syncService._syncBatch();
+      expect(onBlock).not.toHaveBeenCalled();
+
+      mockGetSyncStatus.mockReturnValue({ lastSyncedBlock: 1010, syncStartBlock: 1000 });
+      await syncService._syncBatch();
+      expect(onBlock.mock.calls.map(([block]) => block.height)).toEqual([
+        1011, 1012, 1013, 1014, 1015, 1016, 1017, 1018, 1019, 1020,
+      ]);
+    });
+
+    it('should announce each stored batch, including catch-up batches', async () => {
+      const onStored = jest.fn();
+      syncService.on('stored', onStored);
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_syncing') {
+          return { currentBlock: 1020 };
+        }
+        if (method === 'bcn_blockAt') {
+          return {
+            height: params[0],
+            hash: `0xhash${params[0]}`,
+            timestamp: params[0],
+            epoch: 1,
+            transactions: [],
+          };
+        }
+        return null;
+      });
+
+      await syncService._syncBatch();
+
+      expect(onStored).toHaveBeenCalledWith({ fromBlock: 1001, toBlock: 1010 });
+    });
+
     it('should set sync start block on first sync', async () => {
       mockGetSyncStatus.mockReturnValue({
         lastSyncedBlock: 0,
@@ -339,25 +597,1351 @@ describe('SyncService', () => {
       });
 
       await syncService._syncBatch();
-      expect(mockSetSyncStartBlock).toHaveBeenCalled();
+      expect(mockSetSyncStartBlock).toHaveBeenCalledWith(4000);
+    });
+
+    it('should start the first sync at SYNC_START_BLOCK when set', async () => {
+      process.env.SYNC_START_BLOCK = '1';
+      syncService = new SyncService();
+      delete process.env.SYNC_START_BLOCK;
+
+      mockGetSyncStatus.mockReturnValue({ lastSyncedBlock: 0, syncStartBlock: 0 });
+      mockRpcCall.mockImplementation((method) => {
+        if (method === 'bcn_syncing') {
+          return { currentBlock: 5000 };
+        }
+        return null;
+      });
+
+      await syncService._syncBatch();
+
+      expect(mockSetSyncStartBlock).toHaveBeenCalledWith(1);
+      expect(mockRpcCall).toHaveBeenCalledWith('bcn_blockAt', [1]);
     });
   });
 
-  describe('getStatus()', () => {
-    it('should return combined status', () => {
+  describe('_resolveStartBlock()', () => {
+    it('should default to the last 1000 blocks', async () => {
+      expect(await syncService._resolveStartBlock(5000)).toBe(4000);
+      expect(await syncService._resolveStartBlock(500)).toBe(1);
+    });
+
+    it('should not start above the chain tip', async () => {
+      syncService.startBlock = 9000;
+      expect(await syncService._resolveStartBlock(5000)).toBe(5000);
+    });
+
+    it('should binary search the first block of SYNC_START_EPOCH', async () => {
+      syncService.startEpoch = 3;
+      // 100 blocks per epoch: epoch 3 starts at block 301
+      mockRpcCall.mockImplementation((method, params) => ({
+        height: params[0],
+        epoch: Math.floor((params[0] - 1) / 100),
+      }));
+
+      expect(await syncService._resolveStartBlock(1000)).toBe(301);
+      expect(mockRpcCall.mock.calls.length).toBeLessThanOrEqual(11);
+    });
+  });
+
+  describe('backfill', () => {
+    beforeEach(() => {
+      syncService.backfillTarget = 1;
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_blockAt') {
+          return {
+            height: params[0],
+            hash: `0xb${params[0]}`,
+            timestamp: params[0],
+            epoch: 1,
+            transactions: [],
+          };
+        }
+        return null;
+      });
+    });
+
+    it('should wait until the forward sync has picked a start block', async () => {
+      mockGetSyncStatus.mockReturnValue({ lastSyncedBlock: 0, syncStartBlock: 0, backfill: null });
+
+      expect(await syncService._backfillBatch()).toBe(false);
+      expect(mockRpcCall).not.toHaveBeenCalled();
+    });
+
+    it('should fetch the batch below the sync start block', async () => {
       mockGetSyncStatus.mockReturnValue({
         lastSyncedBlock: 5000,
-        highestKnownBlock: 10000,
+        syncStartBlock: 4000,
+        backfill: null,
       });
-      mockGetStats.mockReturnValue({
-        enabled: true,
-        blockCount: 5000,
-        txCount: 10000,
+
+      const done = await syncService._backfillBatch();
+
+      expect(done).toBe(false);
+      expect(mockInsertBatch.mock.calls[0][0].map((b) => b.height)).toEqual([
+        3990, 3991, 3992, 3993, 3994, 3995, 3996, 3997, 3998, 3999,
+      ]);
+      expect(mockUpdateBackfillStatus).toHaveBeenCalledWith(3990, 1);
+    });
+
+    it('should continue from the lowest backfilled block and stop at the target', async () => {
+      syncService.backfillTarget = 3985;
+      mockGetSyncStatus.mockReturnValue({
+        lastSyncedBlock: 5000,
+        syncStartBlock: 4000,
+        backfill: { lowestBlock: 3990, targetBlock: 3985 },
+      });
+
+      const done = await syncService._backfillBatch();
+
+      expect(done).toBe(true);
+      expect(mockInsertBatch.mock.calls[0][0].map((b) => b.height)).toEqual([
+        3985, 3986, 3987, 3988, 3989,
+      ]);
+      expect(mockUpdateBackfillStatus).toHaveBeenCalledWith(3985, 3985);
+    });
+
+    it('should report completion without fetching once the target is reached', async () => {
+      mockGetSyncStatus.mockReturnValue({
+        lastSyncedBlock: 5000,
+        syncStartBlock: 4000,
+        backfill: { lowestBlock: 1, targetBlock: 1 },
+      });
+
+      expect(await syncService._backfillBatch()).toBe(true);
+      expect(mockRpcCall).not.toHaveBeenCalled();
+    });
+
+    it('should only run when SYNC_BACKFILL_ENABLED is true', () => {
+      expect(syncService.backfillEnabled).toBe(false);
+
+      process.env.SYNC_BACKFILL_ENABLED = 'true';
+      process.env.SYNC_BACKFILL_TARGET = '2000';
+      const service = new SyncService();
+      delete process.env.SYNC_BACKFILL_ENABLED;
+      delete process.env.SYNC_BACKFILL_TARGET;
+
+      expect(service.backfillEnabled).toBe(true);
+      expect(service.backfillTarget).toBe(2000);
+    });
+  });
+
+  describe('chain reorganization', () => {
+    // Node chain: blocks up to 998 match what we stored, 999+ are a new branch
+    const nodeBlock = (height) => ({
+      height,
+      hash: height <= 998 ? `0xhash${height}` : `0xfork${height}`,
+      parentHash: height - 1 <= 998 ? `0xhash${height - 1}` : `0xfork${height - 1}`,
+      timestamp: 1000 + height,
+      epoch: 1,
+      transactions: [],
+    });
+
+    beforeEach(() => {
+      mockGetSyncStatus.mockReturnValue({
+        lastSyncedBlock: 1000,
+        syncStartBlock: 900,
+      });
+      mockGetBlock.mockImplementation((height) => ({ height, hash: `0xhash${height}` }));
+      mockRollbackToHeight.mockReturnValue({ blocks: 2, transactions: 4 });
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_syncing') {
+          return { currentBlock: 1005 };
+        }
+        if (method === 'bcn_blockAt') {
+          return nodeBlock(params[0]);
+        }
+        return null;
+      });
+    });
+
+    it('should roll back to the common ancestor when the parent hash differs', async () => {
+      await syncService._syncBatch();
+
+      expect(mockRollbackToHeight).toHaveBeenCalledWith(998);
+      expect(mockInsertBatch).not.toHaveBeenCalled();
+      expect(mockUpdateSyncStatus).toHaveBeenLastCalledWith(998, null, true);
+    });
+
+    it('should record the reorg depth and hashes', async () => {
+      await syncService._syncBatch();
+
+      expect(mockInsertReorg).toHaveBeenCalledWith({
+        commonAncestor: 998,
+        oldTip: 1000,
+        depth: 2,
+        oldTipHash: '0xhash1000',
+        newTipHash: '0xfork1000',
+        removedBlocks: 2,
+        removedTransactions: 4,
+      });
+    });
+
+    it('should reset epoch tracking after a rollback', async () => {
+      syncService.lastSeenEpoch = 5;
+      await syncService._syncBatch();
+      expect(syncService.lastSeenEpoch).toBeNull();
+    });
+
+    it('should insert normally when the chain extends the stored tip', async () => {
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_syncing') {
+          return { currentBlock: 1005 };
+        }
+        if (method === 'bcn_blockAt') {
+          return {
+            ...nodeBlock(params[0]),
+            hash: `0xhash${params[0]}`,
+            parentHash: `0xhash${params[0] - 1}`,
+          };
+        }
+        return null;
+      });
+
+      await syncService._syncBatch();
+
+      expect(mockRollbackToHeight).not.toHaveBeenCalled();
+      expect(mockInsertBatch).toHaveBeenCalled();
+    });
+
+    it('should discard the batch when blocks inside it do not link up', async () => {
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_syncing') {
+          return { currentBlock: 1005 };
+        }
+        if (method === 'bcn_blockAt') {
+          const height = params[0];
+          return {
+            ...nodeBlock(height),
+            hash: `0xhash${height}`,
+            parentHash: height === 1003 ? '0xother' : `0xhash${height - 1}`,
+          };
+        }
+        return null;
+      });
+
+      await syncService._syncBatch();
+
+      expect(mockRollbackToHeight).not.toHaveBeenCalled();
+      expect(mockInsertBatch).not.toHaveBeenCalled();
+    });
+
+    it('should not store a batch whose first block could not be fetched', async () => {
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_syncing') {
+          return { currentBlock: 1005 };
+        }
+        if (method === 'bcn_blockAt') {
+          return params[0] === 1001 ? null : nodeBlock(params[0]);
+        }
+        return null;
+      });
+
+      await syncService._syncBatch();
+
+      expect(mockRollbackToHeight).not.toHaveBeenCalled();
+      expect(mockInsertBatch).not.toHaveBeenCalled();
+      expect(mockUpdateSyncStatus).not.toHaveBeenCalledWith(1005, 1005, true);
+    });
+
+    it('should stop searching at the max reorg depth', async () => {
+      syncService.maxReorgDepth = 3;
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_blockAt') {
+          return { height: params[0], hash: `0xfork${params[0]}` };
+        }
+        return null;
+      });
+
+      const ancestor = await syncService._findCommonAncestor(1000);
+      expect(ancestor).toBe(997);
+    });
+
+    it('should treat the first unsynced height as the ancestor', async () => {
+      mockGetBlock.mockImplementation((height) =>
+        height >= 999 ? { height, hash: `0xhash${height}` } : null
+      );
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_blockAt') {
+          return { height: params[0], hash: `0xfork${params[0]}` };
+        }
+        return null;
       });
 
+      const ancestor = await syncService._findCommonAncestor(1000);
+      expect(ancestor).toBe(998);
+    });
+  });
+
+  describe('_withRetry()', () => {
+    it('should back off exponentially between attempts', async () => {
+      syncService.retryBaseDelay = 100;
+      syncService.maxRetries = 2;
+      const sleepSpy = jest.spyOn(syncService, '_sleep').mockResolvedValue();
+      const fn = jest.fn().mockRejectedValue(new Error('fail'));
+
+      await expect(syncService._withRetry(fn)).rejects.toThrow('fail');
+
+      expect(fn).toHaveBeenCalledTimes(3);
+      const [first, second] = sleepSpy.mock.calls.map((c) => c[0]);
+      expect(first).toBeGreaterThanOrEqual(50);
+      expect(first).toBeLessThanOrEqual(100);
+      expect(second).toBeGreaterThanOrEqual(100);
+      expect(second).toBeLessThanOrEqual(200);
+    });
+  });
+
+  describe('_repairFailures()', () => {
+    it('should refetch failed blocks and resolve them', async () => {
+      mockGetSyncFailures.mockReturnValue([{ id: 7, kind: 'block', blockHeight: 1500 }]);
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_blockAt') {
+          return {
+            height: params[0],
+            hash: '0xrepaired',
+            timestamp: 1500,
+            epoch: 1,
+            transactions: ['0xtx'],
+          };
+        }
+        if (method === 'bcn_transaction') {
+          return { hash: params[0], type: 'SendTx', from: '0xa', to: '0xb', amount: '0' };
+        }
+        return null;
+      });
+
+      await syncService._repairFailures();
+
+      const [blocks, transactions] = mockInsertBatch.mock.calls[0];
+      expect(blocks[0].hash).toBe('0xrepaired');
+      expect(transactions[0].hash).toBe('0xtx');
+      expect(mockResolveSyncFailure).toHaveBeenCalledWith(7);
+    });
+
+    it('should refetch failed transactions using the stored block', async () => {
+      mockGetSyncFailures.mockReturnValue([
+        { id: 8, kind: 'transaction', blockHeight: 1500, txHash: '0xtx', txIndex: 2 },
+      ]);
+      mockGetBlock.mockReturnValue({ height: 1500, hash: '0xb', timestamp: 4242, epoch: 1 });
+      mockRpcCall.mockResolvedValue({
+        hash: '0xtx',
+        type: 'SendTx',
+        from: '0xa',
+        to: '0xb',
+        amount: '0',
+      });
+
+      await syncService._repairFailures();
+
+      const [blocks, transactions] = mockInsertBatch.mock.calls[0];
+      expect(blocks).toEqual([]);
+      expect(transactions[0]).toMatchObject({
+        hash: '0xtx',
+        blockHeight: 1500,
+        txIndex: 2,
+        timestamp: 4242,
+      });
+      expect(mockResolveSyncFailure).toHaveBeenCalledWith(8);
+    });
+
+    it('should not track transactions that were stored since they failed', async () => {
+      mockGetSyncFailures.mockReturnValue([
+        { id: 7, kind: 'block', blockHeight: 1500 },
+        { id: 8, kind: 'transaction', blockHeight: 1501, txHash: '0xstored', txIndex: 0 },
+      ]);
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_blockAt') {
+          return {
+            height: params[0],
+            hash: '0xb',
+            timestamp: 1500,
+            epoch: 1,
+            transactions: ['0xold', '0xnew'],
+          };
+        }
+        return { hash: params[0], type: 'SendTx', from: '0xa', to: '0xb', amount: '1' };
+      });
+      mockGetTransaction.mockImplementation((hash) => (hash === '0xnew' ? null : { hash }));
+      const trackSpy = jest.spyOn(syncService, '_trackTransactions').mockResolvedValue();
+
+      await syncService._repairFailures();
+
+      expect(mockInsertBatch.mock.calls[0][1]).toHaveLength(2);
+      expect(trackSpy.mock.calls.map(([txs]) => txs.map((t) => t.hash))).toEqual([['0xnew'], []]);
+      expect(mockResolveSyncFailure).toHaveBeenCalledWith(7);
+      expect(mockResolveSyncFailure).toHaveBeenCalledWith(8);
+    });
+
+    it('should record contract calls again once a missing receipt is fetched', async () => {
+      mockGetSyncFailures.mockReturnValue([
+        { id: 10, kind: 'receipt', blockHeight: 1500, txHash: '0xcall', txIndex: 1 },
+      ]);
+      mockGetBlock.mockReturnValue({ height: 1500, hash: '0xb', timestamp: 4242, epoch: 1 });
+      mockGetContract.mockReturnValue({ address: '0xcontract' });
+      mockRpcCall.mockImplementation((method, [hash]) =>
+        Promise.resolve(
+          method === 'bcn_txReceipt'
+            ? { success: false, gasUsed: 10, txFee: '0.02', error: 'reverted' }
+            : { hash, type: 'CallContractTx', from: '0xa', to: '0xcontract', usedFee: '0.02' }
+        )
+      );
+
+      await syncService._repairFailures();
+
+      expect(mockDeleteContractCalls).toHaveBeenCalledWith('0xcall');
+      expect(mockInsertContractCallsBatch).toHaveBeenCalledWith([
+        expect.objectContaining({ txHash: '0xcall', success: false, error: 'reverted' }),
+      ]);
+      expect(mockUpdateBlockBurns).toHaveBeenCalledWith([1500], 0.9);
+      expect(mockResolveSyncFailure).toHaveBeenCalledWith(10);
+    });
+
+    it('should keep a receipt queued while it is still unavailable', async () => {
+      const failure = { id: 11, kind: 'receipt', blockHeight: 1500, txHash: '0xcall', txIndex: 1 };
+      mockGetSyncFailures.mockReturnValue([failure]);
+      mockRpcCall.mockResolvedValue(null);
+
+      await syncService._repairFailures();
+
+      expect(mockDeleteContractCalls).not.toHaveBeenCalled();
+      expect(mockResolveSyncFailure).not.toHaveBeenCalled();
+      expect(mockRecordSyncFailure).toHaveBeenCalledWith({
+        ...failure,
+        error: 'Receipt not available',
+      });
+    });
+
+    it('should announce repaired heights as stored ranges', async () => {
+      mockGetSyncFailures.mockReturnValue([
+        { id: 1, kind: 'block', blockHeight: 1501 },
+        { id: 2, kind: 'block', blockHeight: 1500 },
+        { id: 3, kind: 'block', blockHeight: 1510 },
+      ]);
+      mockRpcCall.mockImplementation((method, params) =>
+        method === 'bcn_blockAt'
+          ? { height: params[0], hash: `0xb${params[0]}`, timestamp: 1, epoch: 1, transactions: [] }
+          : null
+      );
+      const stored = jest.fn();
+      syncService.on('stored', stored);
+
+      await syncService._repairFailures();
+      syncService.off('stored', stored);
+
+      expect(stored.mock.calls).toEqual([
+        [{ fromBlock: 1500, toBlock: 1501 }],
+        [{ fromBlock: 1510, toBlock: 1510 }],
+      ]);
+    });
+
+    it('should leave failures queued when the refetch fails again', async () => {
+      mockGetSyncFailures.mockReturnValue([{ id: 9, kind: 'block', blockHeight: 1500 }]);
+      mockRpcCall.mockRejectedValue(new Error('still down'));
+
+      await syncService._repairFailures();
+
+      expect(mockInsertBatch).not.toHaveBeenCalled();
+      expect(mockResolveSyncFailure).not.toHaveBeenCalled();
+      expect(mockRecordSyncFailure).toHaveBeenCalledWith({
+        kind: 'block',
+        blockHeight: 1500,
+        error: 'still down',
+      });
+    });
+
+    it('should do nothing when the queue is empty', async () => {
+      mockGetSyncFailures.mockReturnValue([]);
+      await syncService._repairFailures();
+      expect(mockRpcCall).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('_repairGaps()', () => {
+    beforeEach(() => {
+      mockGetSyncStatus.mockReturnValue({ syncStartBlock: 100, lastSyncedBlock: 200 });
+      mockFindBlockGaps.mockReturnValue([]);
+      mockFindTxCountMismatches.mockReturnValue([]);
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_blockAt') {
+          return {
+            height: params[0],
+            hash: `0xb${params[0]}`,
+            timestamp: params[0],
+            epoch: 1,
+            transactions: [`0xt${params[0]}`],
+          };
+        }
+        return { hash: params[0], type: 'SendTx', from: '0xa', to: '0xb', amount: '1' };
+      });
+    });
+
+    it('should refetch heights missing from the synced range', async () => {
+      mockFindBlockGaps.mockReturnValue([{ from: 120, to: 122, count: 3 }]);
+      const stored = jest.fn();
+      syncService.on('stored', stored);
+
+      await syncService._repairGaps();
+      syncService.off('stored', stored);
+
+      expect(mockFindBlockGaps).toHaveBeenCalledWith(100, 200);
+      const [blocks, transactions] = mockInsertBatch.mock.calls[0];
+      expect(blocks.map((b) => b.height)).toEqual([120, 121, 122]);
+      expect(transactions.map((t) => t.hash)).toEqual(['0xt120', '0xt121', '0xt122']);
+      expect(stored).toHaveBeenCalledWith({ fromBlock: 120, toBlock: 122 });
+    });
+
+    it('should only track transactions that were not already stored', async () => {
+      mockFindTxCountMismatches.mockReturnValue([{ height: 150, expected: 2, stored: 1 }]);
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_blockAt') {
+          return {
+            height: 150,
+            hash: '0xb150',
+            timestamp: 150,
+            epoch: 1,
+            transactions: ['0xold', '0xnew'],
+          };
+        }
+        return { hash: params[0], type: 'SendTx', from: '0xa', to: '0xb', amount: '1' };
+      });
+      mockGetTransaction.mockImplementation((hash) => (hash === '0xold' ? { hash } : null));
+      const trackSpy = jest.spyOn(syncService, '_trackTransactions').mockResolvedValue();
+
+      await syncService._repairGaps();
+
+      expect(mockInsertBatch.mock.calls[0][1]).toHaveLength(2);
+      expect(trackSpy.mock.calls[0][0].map((t) => t.hash)).toEqual(['0xnew']);
+    });
+
+    it('should resolve queued failures for the blocks and transactions it stored', async () => {
+      mockFindBlockGaps.mockReturnValue([{ from: 120, to: 121, count: 2 }]);
+
+      await syncService._repairGaps();
+
+      expect(mockResolveSyncFailuresFor).toHaveBeenCalledWith([120, 121], ['0xt120', '0xt121']);
+    });
+
+    it('should cap the heights repaired per pass at the batch size', async () => {
+      syncService.batchSize = 4;
+      syncService.concurrency = 10;
+      mockFindBlockGaps.mockReturnValue([{ from: 101, to: 199, count: 99 }]);
+
+      await syncService._repairGaps();
+
+      expect(mockInsertBatch.mock.calls[0][0]).toHaveLength(4);
+    });
+
+    it('should do nothing before anything has been synced', async () => {
+      mockGetSyncStatus.mockReturnValue({ syncStartBlock: 0, lastSyncedBlock: 0 });
+
+      await syncService._repairGaps();
+
+      expect(mockFindBlockGaps).not.toHaveBeenCalled();
+      expect(mockRpcCall).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('running balances', () => {
+    const blocks = [{ height: 1000, epoch: 150, timestamp: 1704067200 }];
+
+    it('should record the fee debit even for zero-amount transactions', async () => {
+      mockRecomputeBalanceAfter.mockReturnValue(1);
+
+      await syncService._trackBalanceChangesFromTransactions(
+        [
+          {
+            hash: '0x1',
+            type: 'online',
+            from: '0xfrom',
+            amount: '0',
+            fee: '0.05',
+            blockHeight: 1000,
+          },
+          {
+            hash: '0x2',
+            type: 'send',
+            from: '0xfrom',
+            to: '0xto',
+            amount: '3',
+            fee: '0',
+            blockHeight: 1000,
+          },
+        ],
+        blocks
+      );
+
+      const changes = mockInsertBalanceChangesBatch.mock.calls[0][0];
+      expect(changes.map((c) => [c.txHash, c.address, c.changeType, c.amount])).toEqual([
+        ['0x1', '0xfrom', 'fee', '-0.05'],
+        ['0x2', '0xfrom', 'tx_out', '-3'],
+        ['0x2', '0xto', 'tx_in', '3'],
+      ]);
+      expect(mockRecomputeBalanceAfter).toHaveBeenCalledWith('0xfrom');
+      expect(mockRecomputeBalanceAfter).toHaveBeenCalledWith('0xto');
+      expect(mockRecomputeBalanceAfter).toHaveBeenCalledTimes(2);
+    });
+
+    it('should anchor unknown addresses with dna_getBalance at the stored chain tip', async () => {
+      mockRecomputeBalanceAfter.mockReturnValueOnce(null).mockReturnValue(3);
+      mockGetBlock.mockImplementation((height) => (height <= 1000 ? { height } : null));
+      mockRpcCall.mockImplementation((method) =>
+        Promise.resolve(method === 'bcn_lastBlock' ? { height: 1000 } : { balance: '42.5' })
+      );
+
+      await syncService._updateRunningBalances(['0xNew']);
+
+      expect(mockRpcCall).toHaveBeenCalledWith('dna_getBalance', ['0xnew']);
+      expect(mockSetBalanceAnchor).toHaveBeenCalledWith('0xnew', 1000, '42.5');
+      expect(mockRecomputeBalanceAfter).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not anchor while the chain tip is not stored yet', async () => {
+      mockRecomputeBalanceAfter.mockReturnValue(null);
+      mockGetBlock.mockImplementation((height) => (height <= 900 ? { height } : null));
+      mockRpcCall.mockImplementation((method) =>
+        Promise.resolve(method === 'bcn_lastBlock' ? { height: 1000 } : { balance: '42.5' })
+      );
+
+      await syncService._updateRunningBalances(['0xNew']);
+
+      expect(mockRpcCall).not.toHaveBeenCalledWith('dna_getBalance', expect.anything());
+      expect(mockSetBalanceAnchor).not.toHaveBeenCalled();
+    });
+
+    it('should not anchor when the chain moves during the balance read', async () => {
+      mockRecomputeBalanceAfter.mockReturnValue(null);
+      mockGetBlock.mockImplementation((height) => ({ height }));
+      let height = 1000;
+      mockRpcCall.mockImplementation((method) =>
+        Promise.resolve(method === 'bcn_lastBlock' ? { height: height++ } : { balance: '42.5' })
+      );
+
+      await syncService._updateRunningBalances(['0xNew']);
+
+      expect(mockRpcCall).toHaveBeenCalledWith('dna_getBalance', ['0xnew']);
+      expect(mockSetBalanceAnchor).not.toHaveBeenCalled();
+    });
+
+    it('should not fetch balances for addresses that already have an anchor', async () => {
+      mockRecomputeBalanceAfter.mockReturnValue(2);
+
+      await syncService._updateRunningBalances(['0xa', '0xA', '0xb']);
+
+      expect(mockRecomputeBalanceAfter).toHaveBeenCalledTimes(2);
+      expect(mockRpcCall).not.toHaveBeenCalled();
+    });
+
+    it('should backfill addresses with uncomputed balances', async () => {
+      mockGetAddressesMissingBalance.mockReturnValue(['0xa', '0xb']);
+      mockRecomputeBalanceAfter.mockReturnValue(5);
+
+      await syncService._backfillBalances();
+
+      expect(mockGetAddressesMissingBalance).toHaveBeenCalledWith(syncService.batchSize);
+      expect(mockRecomputeBalanceAfter).toHaveBeenCalledWith('0xa');
+      expect(mockRecomputeBalanceAfter).toHaveBeenCalledWith('0xb');
+    });
+
+    it('should apply epoch rewards at the first block of the next epoch', async () => {
+      mockGetEpochIdentities.mockReturnValue({ data: [{ address: '0xa' }] });
+      mockRecomputeBalanceAfter.mockReturnValue(1);
+      mockRpcCall.mockResolvedValue({ totalReward: '12.5' });
+
+      await syncService._fetchEpochRewards(150, { height: 2000, timestamp: 1704100000 });
+
+      const rewardChanges = mockInsertBalanceChangesBatch.mock.calls[0][0];
+      expect(rewardChanges).toEqual([
+        {
+          address: '0xa',
+          blockHeight: 2000,
+          txHash: null,
+          changeType: 'reward',
+          amount: '12.5',
+          timestamp: 1704100000,
+        },
+      ]);
+      expect(mockRecomputeBalanceAfter).toHaveBeenCalledWith('0xa');
+    });
+  });
+
+  describe('_trackTransactions()', () => {
+    it('should recompute burns once per affected block', async () => {
+      syncService.balanceTrackingEnabled = false;
+      const txs = [
+        { hash: '0x1', blockHeight: 1000, type: 'send', from: '0xa', amount: '1', fee: '0.1' },
+        { hash: '0x2', blockHeight: 1000, type: 'BurnTx', from: '0xa', amount: '5', fee: '0.1' },
+        { hash: '0x3', blockHeight: 1001, type: 'send', from: '0xb', amount: '1', fee: '0.1' },
+      ];
+
+      await syncService._trackTransactions(txs, []);
+
+      expect(mockUpdateBlockBurns).toHaveBeenCalledWith([1000, 1001], 0.9);
+    });
+  });
+
+  describe('_trackContractsFromTransactions()', () => {
+    const blocks = [{ height: 1000, timestamp: 1704067200, epoch: 150 }];
+    const receipts = {
+      '0xcall': {
+        success: true,
+        method: 'transfer',
+        gasUsed: 1200,
+        txFee: '0.012',
+        error: '',
+        events: [
+          { contract: '0xcontract', event: 'transfer', args: ['0x01', '0x02'] },
+          { contract: '0xtoken', event: 'mint', args: null },
+        ],
+      },
+      '0xfail': {
+        success: false,
+        method: 'vote',
+        gasUsed: 300,
+        txFee: '0.003',
+        error: 'not enough balance',
+      },
+      '0xdeploy': { success: true, contract: '0xnewcontract', gasUsed: 5000, txFee: '0.05' },
+    };
+
+    beforeEach(() => {
+      mockGetContract.mockReturnValue({ address: '0xcontract' });
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_txReceipt') {
+          return receipts[params[0]] || null;
+        }
+        return null;
+      });
+    });
+
+    it('should store call outcomes from the receipts', async () => {
+      await syncService._trackContractsFromTransactions(
+        [
+          {
+            hash: '0xcall',
+            blockHeight: 1000,
+            type: 'CallContractTx',
+            from: '0xa',
+            to: '0xcontract',
+            amount: '1',
+          },
+          {
+            hash: '0xfail',
+            blockHeight: 1000,
+            type: 'CallContractTx',
+            from: '0xb',
+            to: '0xcontract',
+          },
+          { hash: '0xsend', blockHeight: 1000, type: 'SendTx', from: '0xb', to: '0xc' },
+        ],
+        blocks
+      );
+
+      expect(mockRpcCall).toHaveBeenCalledTimes(2);
+      expect(mockInsertContractCallsBatch).toHaveBeenCalledWith([
+        expect.objectContaining({
+          txHash: '0xcall',
+          method: 'transfer',
+          success: true,
+          gasUsed: 1200,
+          usedFee: '0.012',
+          error: null,
+        }),
+        expect.objectContaining({
+          txHash: '0xfail',
+          method: 'vote',
+          success: false,
+          gasUsed: 300,
+          usedFee: '0.003',
+          error: 'not enough balance',
+        }),
+      ]);
+    });
+
+    it('should reuse receipts fetched along with the transactions', async () => {
+      await syncService._trackContractsFromTransactions(
+        [
+          {
+            hash: '0xcall',
+            blockHeight: 1000,
+            type: 'CallContractTx',
+            from: '0xa',
+            to: '0xcontract',
+            receipt: receipts['0xcall'],
+          },
+          {
+            hash: '0xfail',
+            blockHeight: 1000,
+            type: 'CallContractTx',
+            from: '0xb',
+            to: '0xcontract',
+          },
+        ],
+        blocks
+      );
+
+      expect(mockRpcCall).toHaveBeenCalledTimes(1);
+      expect(mockRpcCall).toHaveBeenCalledWith('bcn_txReceipt', ['0xfail']);
+      expect(mockInsertContractCallsBatch).toHaveBeenCalledWith([
+        expect.objectContaining({ txHash: '0xcall', method: 'transfer', success: true }),
+        expect.objectContaining({ txHash: '0xfail', method: 'vote', success: false }),
+      ]);
+    });
+
+    it('should store the events emitted in the receipts', async () => {
+      await syncService._trackContractsFromTransactions(
+        [
+          {
+            hash: '0xcall',
+            blockHeight: 1000,
+            type: 'CallContractTx',
+            from: '0xa',
+            to: '0xcontract',
+          },
+          {
+            hash: '0xfail',
+            blockHeight: 1000,
+            type: 'CallContractTx',
+            from: '0xb',
+            to: '0xcontract',
+          },
+        ],
+        blocks
+      );
+
+      expect(mockInsertContractEventsBatch).toHaveBeenCalledWith([
+        {
+          txHash: '0xcall',
+          logIndex: 0,
+          contractAddress: '0xcontract',
+          eventName: 'transfer',
+          args: ['0x01', '0x02'],
+          blockHeight: 1000,
+          timestamp: 1704067200,
+        },
+        {
+          txHash: '0xcall',
+          logIndex: 1,
+          contractAddress: '0xtoken',
+          eventName: 'mint',
+          args: [],
+          blockHeight: 1000,
+          timestamp: 1704067200,
+        },
+      ]);
+    });
+
+    it('should use the contract address reported on deploy', async () => {
+      await syncService._trackContractsFromTransactions(
+        [
+          {
+            hash: '0xdeploy',
+            blockHeight: 1000,
+            type: 'DeployContractTx',
+            from: '0xdeployer',
+            to: null,
+            amount: '3000',
+          },
+        ],
+        blocks
+      );
+
+      expect(mockInsertContractsBatch).toHaveBeenCalledWith([
+        expect.objectContaining({
+          address: '0xnewcontract',
+          deployer: '0xdeployer',
+          state: 'active',
+        }),
+      ]);
+      expect(mockInsertContractCallsBatch).toHaveBeenCalledWith([
+        expect.objectContaining({
+          contractAddress: '0xnewcontract',
+          method: 'deploy',
+          gasUsed: 5000,
+        }),
+      ]);
+    });
+
+    it('should decode built-in deploy and call payloads', async () => {
+      const field = (num, hex) =>
+        `${((num << 3) | 2).toString(16).padStart(2, '0')}${(hex.length / 2).toString(16).padStart(2, '0')}${hex}`;
+      mockGetContract.mockImplementation((address) =>
+        address === '0xcontract' ? { address, type: 'OracleVoting' } : { address, type: null }
+      );
+
+      await syncService._trackContractsFromTransactions(
+        [
+          {
+            hash: '0xdeploy',
+            blockHeight: 1000,
+            type: 'DeployContractTx',
+            from: '0xdeployer',
+            payload: `0x${field(1, `05${'00'.repeat(31)}`)}${field(2, '05')}`,
+          },
+          {
+            hash: '0xvote',
+            blockHeight: 1000,
+            type: 'CallContractTx',
+            from: '0xa',
+            to: '0xcontract',
+            payload: `0x${field(1, '73656e64566f7465')}${field(2, '01')}`,
+          },
+        ],
+        blocks
+      );
+
+      expect(mockInsertContractsBatch).toHaveBeenCalledWith([
+        expect.objectContaining({
+          address: '0xnewcontract',
+          type: 'Multisig',
+          codeHash: `0x05${'00'.repeat(31)}`,
+        }),
+      ]);
+      const calls = mockInsertContractCallsBatch.mock.calls[0][0];
+      expect(calls[0]).toMatchObject({
+        method: 'deploy',
+        args: [{ name: 'maxVotes', format: 'byte', value: 5 }],
+      });
+      expect(calls[1]).toMatchObject({
+        method: 'sendVote',
+        args: [{ name: 'vote', format: 'byte', value: 1 }],
+      });
+      expect(calls[1].payload).toBeUndefined();
+    });
+
+    it('should derive the deploy address when the receipt is unavailable', async () => {
+      mockRpcCall.mockResolvedValue(null);
+
+      await syncService._trackContractsFromTransactions(
+        [
+          {
+            hash: '0xdeploy2',
+            blockHeight: 1000,
+            type: 'DeployContractTx',
+            from: '0x1111111111111111111111111111111111111111',
+            to: null,
+            nonce: 7,
+          },
+        ],
+        blocks
+      );
+
+      expect(mockInsertContractsBatch).toHaveBeenCalledWith([
+        expect.objectContaining({ address: '0xe0a965a13aa31f6bcfcabda639e3417a2db66321' }),
+      ]);
+    });
+
+    it('should store an unknown outcome and queue a receipt retry when the receipt is unavailable', async () => {
+      mockRpcCall.mockRejectedValue(new Error('RPC error'));
+
+      await syncService._trackContractsFromTransactions(
+        [
+          {
+            hash: '0xterminate',
+            blockHeight: 1000,
+            txIndex: 4,
+            type: 'TerminateContractTx',
+            from: '0xa',
+            to: '0xcontract',
+          },
+        ],
+        blocks
+      );
+
+      expect(mockUpdateContractState).not.toHaveBeenCalled();
+      expect(mockInsertContractCallsBatch).toHaveBeenCalledWith([
+        expect.objectContaining({
+          method: 'terminate',
+          success: null,
+          gasUsed: null,
+          usedFee: null,
+        }),
+      ]);
+      expect(mockRecordSyncFailure).toHaveBeenCalledWith({
+        kind: 'receipt',
+        blockHeight: 1000,
+        txHash: '0xterminate',
+        txIndex: 4,
+        error: 'Receipt not available',
+      });
+    });
+
+    it('should correct the stored fee from the receipt', async () => {
+      mockUpdateTransactionFee.mockImplementation((hash) => (hash === '0xcall' ? '0xa' : null));
+      const spy = jest.spyOn(syncService, '_updateRunningBalances').mockResolvedValue();
+
+      await syncService._trackContractsFromTransactions(
+        [
+          {
+            hash: '0xcall',
+            blockHeight: 1000,
+            type: 'CallContractTx',
+            from: '0xa',
+            to: '0xcontract',
+          },
+          {
+            hash: '0xfail',
+            blockHeight: 1000,
+            type: 'CallContractTx',
+            from: '0xb',
+            to: '0xcontract',
+          },
+        ],
+        blocks
+      );
+
+      expect(mockUpdateTransactionFee).toHaveBeenCalledWith('0xcall', '0.012');
+      expect(mockUpdateTransactionFee).toHaveBeenCalledWith('0xfail', '0.003');
+      expect(spy).toHaveBeenCalledWith(['0xa']);
+      mockUpdateTransactionFee.mockReset();
+    });
+  });
+
+  describe('_deriveContractAddress()', () => {
+    const deployer = '0x1111111111111111111111111111111111111111';
+
+    it('should hash deployer, epoch and nonce', () => {
+      expect(syncService._deriveContractAddress(deployer, 150, 7)).toBe(
+        '0xe0a965a13aa31f6bcfcabda639e3417a2db66321'
+      );
+      expect(syncService._deriveContractAddress(deployer, 150, 8)).toBe(
+        '0x13acdd7bf22a567814938230e9ef79c37cdbe4fd'
+      );
+    });
+
+    it('should return null when an input is missing or malformed', () => {
+      expect(syncService._deriveContractAddress(null, 150, 7)).toBeNull();
+      expect(syncService._deriveContractAddress(deployer, undefined, 7)).toBeNull();
+      expect(syncService._deriveContractAddress(deployer, 150, null)).toBeNull();
+      expect(syncService._deriveContractAddress('0x1234', 150, 7)).toBeNull();
+    });
+  });
+
+  describe('_reconcileContracts()', () => {
+    const deploy = (hash, nonce) => ({
+      hash,
+      from: '0x1111111111111111111111111111111111111111',
+      amount: '3000',
+      nonce,
+      epoch: 150,
+      blockHeight: 900,
+      timestamp: 900,
+    });
+
+    it('should do nothing when every deploy is linked', async () => {
+      mockGetUnlinkedDeployTransactions.mockReturnValue([]);
+
+      await syncService._reconcileContracts();
+
+      expect(mockRpcCall).not.toHaveBeenCalled();
+      expect(mockInsertContractsBatch).not.toHaveBeenCalled();
+    });
+
+    it('should link deploys using the receipt address or derivation', async () => {
+      mockGetUnlinkedDeployTransactions.mockReturnValue([deploy('0xd1', 7), deploy('0xd2', 8)]);
+      mockRpcCall.mockImplementation((method, params) =>
+        params[0] === '0xd1' ? { contract: '0xfromreceipt', success: false } : null
+      );
+
+      await syncService._reconcileContracts();
+
+      expect(mockInsertContractsBatch).toHaveBeenCalledWith([
+        expect.objectContaining({
+          address: '0xfromreceipt',
+          deployTxHash: '0xd1',
+          state: 'failed',
+          epoch: 150,
+        }),
+        expect.objectContaining({
+          address: '0x13acdd7bf22a567814938230e9ef79c37cdbe4fd',
+          deployTxHash: '0xd2',
+          deployer: '0x1111111111111111111111111111111111111111',
+          stake: '3000',
+          state: 'active',
+          blockHeight: 900,
+        }),
+      ]);
+    });
+  });
+
+  describe('_trackIdentityChangesFromTransactions()', () => {
+    const blocks = [{ height: 1000, epoch: 150, timestamp: 1704067200 }];
+    const tx = (hash, type, extra = {}) => ({
+      hash,
+      type,
+      from: '0xfrom',
+      to: null,
+      blockHeight: 1000,
+      ...extra,
+    });
+
+    it('should record kills, online toggles and delegations', () => {
+      syncService._trackIdentityChangesFromTransactions(
+        [
+          tx('0x1', 'KillTx'),
+          tx('0x2', 'killInvitee', { to: '0xinvitee' }),
+          tx('0x3', 'OnlineStatusTx', { payload: '0xc101' }),
+          tx('0x4', 'online', { payload: '0xc180' }),
+          tx('0x5', 'DelegateTx', { to: '0xpool' }),
+          tx('0x6', 'UndelegateTx'),
+          tx('0x7', 'send', { to: '0xto' }),
+        ],
+        blocks
+      );
+
+      const changes = mockInsertIdentityChangesBatch.mock.calls[0][0];
+      expect(changes.map((c) => [c.address, c.changeType, c.newState, c.counterparty])).toEqual([
+        ['0xfrom', 'killed', 'Killed', undefined],
+        ['0xinvitee', 'killed', 'Killed', '0xfrom'],
+        ['0xfrom', 'online', undefined, undefined],
+        ['0xfrom', 'offline', undefined, undefined],
+        ['0xfrom', 'delegated', undefined, '0xpool'],
+        ['0xfrom', 'undelegated', undefined, undefined],
+      ]);
+      expect(changes[0]).toMatchObject({
+        epoch: 150,
+        txHash: '0x1',
+        blockHeight: 1000,
+        timestamp: 1704067200,
+      });
+    });
+
+    it('should not write when no transaction affects an identity', () => {
+      syncService._trackIdentityChangesFromTransactions(
+        [tx('0x7', 'send', { to: '0xto' })],
+        blocks
+      );
+      expect(mockInsertIdentityChangesBatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('_publish()', () => {
+    const block = (height, epoch) => ({
+      height,
+      hash: `0xhash${height}`,
+      timestamp: height * 20,
+      epoch,
+      proposer: '0xp',
+      parentHash: null,
+      txCount: 1,
+      transactions: ['0xtx'],
+    });
+
+    it('should emit blocks and their transactions in order', () => {
+      const events = [];
+      ['block', 'transaction', 'epoch', 'identity'].forEach((event) =>
+        syncService.on(event, (data) => events.push([event, data.height || data.hash]))
+      );
+
+      syncService._publish(
+        [block(11, 1), block(10, 1)],
+        [
+          { hash: '0xb', blockHeight: 11, txIndex: 0, type: 'send' },
+          { hash: '0xa2', blockHeight: 10, txIndex: 1, type: 'send' },
+          { hash: '0xa1', blockHeight: 10, txIndex: 0, type: 'send' },
+        ]
+      );
+
+      expect(events).toEqual([
+        ['block', 10],
+        ['transaction', '0xa1'],
+        ['transaction', '0xa2'],
+        ['block', 11],
+        ['transaction', '0xb'],
+      ]);
+    });
+
+    it('should leave transaction hashes out of blocks and payloads out of transactions', () => {
+      const onBlock = jest.fn();
+      const onTx = jest.fn();
+      syncService.on('block', onBlock);
+      syncService.on('transaction', onTx);
+
+      syncService._publish(
+        [block(10, 1)],
+        [{ hash: '0xa', blockHeight: 10, txIndex: 0, payload: '0x01' }]
+      );
+
+      expect(onBlock.mock.calls[0][0]).not.toHaveProperty('transactions');
+      expect(onBlock.mock.calls[0][0]).toMatchObject({ height: 10, txCount: 1 });
+      expect(onTx.mock.calls[0][0]).not.toHaveProperty('payload');
+    });
+
+    it('should emit epoch boundaries across calls', () => {
+      const onEpoch = jest.fn();
+      syncService.on('epoch', onEpoch);
+
+      syncService._publish([block(10, 1)], []);
+      syncService._publish([block(11, 2)], []);
+
+      expect(onEpoch).toHaveBeenCalledTimes(1);
+      expect(onEpoch).toHaveBeenCalledWith({
+        epoch: 2,
+        previousEpoch: 1,
+        firstBlock: 11,
+        timestamp: 220,
+      });
+    });
+
+    it('should emit identity changes', () => {
+      const onIdentity = jest.fn();
+      syncService.on('identity', onIdentity);
+
+      syncService._publish(
+        [block(10, 1)],
+        [{ hash: '0xk', blockHeight: 10, txIndex: 0, type: 'kill', from: '0xvictim' }]
+      );
+
+      expect(onIdentity).toHaveBeenCalledWith(
+        expect.objectContaining({
+          address: '0xvictim',
+          changeType: 'killed',
+          epoch: 1,
+          txHash: '0xk',
+          blockHeight: 10,
+        })
+      );
+    });
+
+    it('should emit state transitions from the epoch snapshot after its block', async () => {
+      mockRpcCall.mockResolvedValue([
+        { address: '0xkept', state: 'Human' },
+        { address: '0xdropped', state: 'Suspended' },
+      ]);
+      mockInsertIdentityStatesBatch.mockReturnValue([
+        { address: '0xdropped', prevState: 'Verified', state: 'Suspended' },
+      ]);
+      const events = [];
+      syncService.on('block', (data) => events.push(['block', data.height]));
+      syncService.on('identity', (data) => events.push(['identity', data]));
+
+      await syncService._snapshotIdentityStates(2, block(11, 2));
+      syncService._publish([block(11, 2)], []);
+
+      expect(events).toEqual([
+        ['block', 11],
+        [
+          'identity',
+          {
+            address: '0xdropped',
+            changeType: 'snapshot',
+            prevState: 'Verified',
+            newState: 'Suspended',
+            epoch: 2,
+            txHash: null,
+            blockHeight: 11,
+            timestamp: 220,
+          },
+        ],
+      ]);
+    });
+  });
+
+  describe('_followTip()', () => {
+    const mockChain = (tip) =>
+      mockRpcCall.mockImplementation((method, params) => {
+        if (method === 'bcn_lastBlock') {
+          return { height: tip };
+        }
+        if (method === 'bcn_blockAt') {
+          return {
+            height: params[0],
+            hash: `0xhash${params[0]}`,
+            timestamp: params[0],
+            epoch: 1,
+            transactions: [],
+          };
+        }
+        return null;
+      });
+
+    it('should start at the tip and publish blocks added since', async () => {
+      const onBlock = jest.fn();
+      syncService.on('block', onBlock);
+
+      mockChain(100);
+      await syncService._followTip();
+      mockChain(102);
+      await syncService._followTip();
+      await syncService._followTip();
+
+      expect(onBlock.mock.calls.map(([block]) => block.height)).toEqual([100, 101, 102]);
+      expect(mockInsertBatch).not.toHaveBeenCalled();
+    });
+
+    it('should skip ahead after a long pause', async () => {
+      const onBlock = jest.fn();
+      syncService.on('block', onBlock);
+      syncService.followedHeight = 50;
+
+      mockChain(100);
+      await syncService._followTip();
+
+      expect(onBlock.mock.calls[0][0].height).toBe(91);
+      expect(onBlock).toHaveBeenCalledTimes(10);
+    });
+
+    it('should not start while the sync itself is running', () => {
+      syncService.isRunning = true;
+      syncService.startTipFollower();
+
+      expect(syncService.isFollowing).toBe(false);
+    });
+  });
+
+  describe('_detectEpochBoundaries()', () => {
+    it('should announce a closed epoch after its rewards are fetched', async () => {
+      const onClosed = jest.fn();
+      syncService.on('epochClosed', onClosed);
+      syncService.epochSnapshotEnabled = false;
+      syncService.lastSeenEpoch = 150;
+      mockComputeEpochStats.mockReturnValue({});
+
+      await syncService._detectEpochBoundaries([
+        { height: 5100000, timestamp: 1, epoch: 150 },
+        { height: 5100001, timestamp: 2, epoch: 151 },
+      ]);
+
+      expect(mockCloseEpoch).toHaveBeenCalledWith(150, 5100000, 1, {});
+      expect(onClosed).toHaveBeenCalledWith({ epoch: 150, nextEpochBlock: 5100001 });
+    });
+  });
+
+  describe('_closeEpoch()', () => {
+    it('should store stats computed from the database', () => {
+      const stats = {
+        blockCount: 120,
+        txCount: 340,
+        validatedCount: 50,
+        flipCount: 12,
+        inviteCount: 4,
+      };
+      mockComputeEpochStats.mockReturnValue(stats);
+
+      syncService._closeEpoch(150, { height: 5100000, timestamp: 1704167200 });
+
+      expect(mockComputeEpochStats).toHaveBeenCalledWith(150);
+      expect(mockCloseEpoch).toHaveBeenCalledWith(150, 5100000, 1704167200, stats);
+    });
+  });
+
+  describe('getStatus()', () => {
+    it('should return combined status', () => {
+      mockGetSyncStatus.mockReturnValue({
+        lastSyncedBlock: 5000,
+        highestKnownBlock: 10000,
+      });
+      mockGetStats.mockReturnValue({
+        enabled: true,
+        blockCount: 5000,
+        txCount: 10000,
+      });
+
+      mockGetSyncFailureSummary.mockReturnValue({ total: 2, blocks: 1, transactions: 1 });
+
       syncService.isRunning = true;
       const status = syncService.getStatus();
 
+      expect(status.failures).toEqual({ total: 2, blocks: 1, transactions: 1 });
       expect(status.enabled).toBe(true);
       expect(status.running).toBe(true);
       expect(status.lastSyncedBlock).toBe(5000);
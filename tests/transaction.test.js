@@ -1,16 +1,32 @@
 // Create mock functions that will be reused
 const mockGetTransaction = jest.fn();
+const mockGetEpoch = jest.fn();
+const mockGetBalance = jest.fn();
+const mockSendRawTransaction = jest.fn();
+const mockEstimateTransaction = jest.fn();
+const mockGetFeePerGas = jest.fn();
+const mockGetLastBlock = jest.fn();
 
 // Mock the RPC module BEFORE any imports
 jest.mock('../src/rpc', () => {
   return jest.fn().mockImplementation(() => ({
     getTransaction: mockGetTransaction,
+    getEpoch: mockGetEpoch,
+    getBalance: mockGetBalance,
+    sendRawTransaction: mockSendRawTransaction,
+    estimateTransaction: mockEstimateTransaction,
+    getFeePerGas: mockGetFeePerGas,
+    getLastBlock: mockGetLastBlock,
   }));
 });
 
+process.env.TX_BROADCAST_RATE_LIMIT = '20';
+
 const request = require('supertest');
 const app = require('../src/server');
 const cache = require('../src/cache');
+const mempoolService = require('../src/mempool');
+const { buildRawTransaction, testAddress } = require('./helpers/rawTransaction');
 
 describe('Transaction Routes', () => {
   beforeEach(() => {
@@ -44,9 +60,63 @@ describe('Transaction Routes', () => {
       expect(response.body.result).toHaveProperty('hash', validHash);
       expect(response.body.result).toHaveProperty('type', 'send');
       expect(response.body.result).toHaveProperty('amount', '100.5');
+      expect(response.body.result).toHaveProperty('status', 'confirmed');
       expect(mockGetTransaction).toHaveBeenCalledWith(validHash);
     });
 
+    it('should report mempool transactions as pending without caching them', async () => {
+      mempoolService.track({
+        hash: validHash,
+        type: 'send',
+        from: '0x' + '11'.repeat(20),
+        nonce: 3,
+      });
+      mockGetTransaction.mockResolvedValueOnce({ hash: validHash, type: 'send', blockHash: '' });
+      const setSpy = jest.spyOn(cache, 'set');
+
+      const response = await request(app)
+        .get('/api/transaction/' + validHash)
+        .expect(200);
+
+      expect(response.body.result.status).toBe('pending');
+      expect(setSpy).not.toHaveBeenCalled();
+
+      setSpy.mockRestore();
+      mempoolService.pending.clear();
+    });
+
+    it('should fall back to the mempool when the node does not know the transaction', async () => {
+      mempoolService.track({
+        hash: validHash,
+        type: 'send',
+        from: '0x' + '11'.repeat(20),
+        nonce: 3,
+      });
+      mockGetTransaction.mockResolvedValueOnce(null);
+
+      const response = await request(app)
+        .get('/api/transaction/' + validHash)
+        .expect(200);
+
+      expect(response.body.result).toMatchObject({ hash: validHash, nonce: 3, status: 'pending' });
+
+      mempoolService.pending.clear();
+    });
+
+    it('should report unconfirmed transactions the mempool poll has not seen as pending', async () => {
+      mockGetTransaction.mockResolvedValueOnce({
+        hash: validHash,
+        type: 'send',
+        blockHash: '0x' + '0'.repeat(64),
+      });
+
+      const response = await request(app)
+        .get('/api/transaction/' + validHash)
+        .expect(200);
+
+      expect(response.body.result.status).toBe('pending');
+    });
+
     it('should reject invalid hash format - too short', async () => {
       const response = await request(app).get('/api/transaction/0x1234').expect(400);
 
@@ -106,10 +176,291 @@ describe('Transaction Routes', () => {
         .get('/api/transaction/' + validHash)
         .expect(200);
 
-      expect(response.body.result).toEqual(cachedTx);
+      expect(response.body.result).toEqual({ ...cachedTx, status: 'confirmed' });
       expect(mockGetTransaction).not.toHaveBeenCalled();
 
       cache.get.mockRestore();
     });
   });
+
+  describe('POST /api/transaction/estimate', () => {
+    const from = '0x' + '44'.repeat(20);
+
+    beforeEach(() => {
+      mockGetLastBlock.mockResolvedValue({ height: 1000 });
+      mockGetFeePerGas.mockResolvedValue('100000000000');
+      mockEstimateTransaction.mockResolvedValue({
+        txHash: '0xhash',
+        txFee: '0.0123',
+        receipt: { gasUsed: 1230 },
+      });
+    });
+
+    it('should estimate the fee and suggest a maxFee', async () => {
+      const response = await request(app)
+        .post('/api/transaction/estimate')
+        .send({ type: 'callContract', from, to: '0x' + '55'.repeat(20), payload: '0x0a0470757368' })
+        .expect(200);
+
+      expect(response.body.result).toEqual({
+        type: 'callContract',
+        feePerGas: '100000000000',
+        gasUsed: 1230,
+        txFee: '0.0123',
+        suggestedMaxFee: '0.0246',
+      });
+      expect(mockEstimateTransaction).toHaveBeenCalledWith({
+        type: 16,
+        from,
+        to: '0x' + '55'.repeat(20),
+        payload: '0x0a0470757368',
+      });
+    });
+
+    it('should default to a send transaction', async () => {
+      const response = await request(app)
+        .post('/api/transaction/estimate')
+        .send({ from, amount: '1' })
+        .expect(200);
+
+      expect(response.body.result.type).toBe('send');
+      expect(mockEstimateTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 0, amount: '1' })
+      );
+    });
+
+    it('should cache the fee per gas per block', async () => {
+      const getSpy = jest.spyOn(cache, 'get').mockResolvedValueOnce('90000000000');
+
+      const response = await request(app)
+        .post('/api/transaction/estimate')
+        .send({ from })
+        .expect(200);
+
+      expect(response.body.result.feePerGas).toBe('90000000000');
+      expect(getSpy).toHaveBeenCalledWith('fee-per-gas:1000');
+      expect(mockGetFeePerGas).not.toHaveBeenCalled();
+
+      getSpy.mockRestore();
+    });
+
+    it('should validate the type and addresses', async () => {
+      const badType = await request(app)
+        .post('/api/transaction/estimate')
+        .send({ type: 'teleport', from })
+        .expect(400);
+      expect(badType.body.error.message).toContain('Unknown transaction type');
+
+      await request(app).post('/api/transaction/estimate').send({}).expect(400);
+      await request(app).post('/api/transaction/estimate').send({ from, to: '0x12' }).expect(400);
+      await request(app)
+        .post('/api/transaction/estimate')
+        .send({ from, payload: 'xyz' })
+        .expect(400);
+      expect(mockEstimateTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 422 when the node cannot estimate the transaction', async () => {
+      mockEstimateTransaction.mockRejectedValue(new Error('insufficient funds'));
+
+      const response = await request(app)
+        .post('/api/transaction/estimate')
+        .send({ from, amount: '1000000' })
+        .expect(422);
+
+      expect(response.body.error.message).toBe('insufficient funds');
+    });
+  });
+
+  describe('POST /api/transaction/decode', () => {
+    it('should decode a signed transaction without the node', async () => {
+      const raw = buildRawTransaction({
+        nonce: 7,
+        epoch: 150,
+        type: 16,
+        to: '0x' + '33'.repeat(20),
+        amount: 2n * 10n ** 18n,
+        maxFee: 10n ** 17n,
+        tips: 10n ** 16n,
+        payload: '0x0a0470757368',
+      });
+
+      const response = await request(app)
+        .post('/api/transaction/decode')
+        .send({ tx: raw })
+        .expect(200);
+
+      expect(response.body.result).toMatchObject({
+        type: 'callContract',
+        typeCode: 16,
+        from: testAddress(),
+        to: '0x' + '33'.repeat(20),
+        amount: '2',
+        maxFee: '0.1',
+        tips: '0.01',
+        nonce: 7,
+        epoch: 150,
+        payload: '0x0a0470757368',
+      });
+      expect(response.body.result.hash).toMatch(/^0x[0-9a-f]{64}$/);
+      expect(mockGetTransaction).not.toHaveBeenCalled();
+      expect(mockGetBalance).not.toHaveBeenCalled();
+    });
+
+    it('should return a null sender for unsigned transactions', async () => {
+      const raw = buildRawTransaction({ nonce: 1, epoch: 150 });
+
+      const response = await request(app)
+        .post('/api/transaction/decode')
+        .send({ tx: raw.slice(0, raw.indexOf('1241')) })
+        .expect(200);
+
+      expect(response.body.result.from).toBeNull();
+      expect(response.body.result.signature).toBeNull();
+    });
+
+    it('should reject input that is not a transaction', async () => {
+      await request(app).post('/api/transaction/decode').send({ tx: 42 }).expect(400);
+
+      const response = await request(app)
+        .post('/api/transaction/decode')
+        .send({ tx: '0x0a05ff' })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('truncated');
+    });
+  });
+
+  describe('POST /api/transaction', () => {
+    const ONE_DNA = 10n ** 18n;
+    const raw = buildRawTransaction({
+      nonce: 4,
+      epoch: 150,
+      to: '0x' + '22'.repeat(20),
+      amount: ONE_DNA,
+      maxFee: ONE_DNA / 10n,
+    });
+    const txHash = '0x' + 'ab'.repeat(32);
+
+    beforeEach(() => {
+      mockGetEpoch.mockResolvedValue({ epoch: 150 });
+      mockGetBalance.mockResolvedValue({ balance: '5', stake: '0', nonce: 3, mempoolNonce: 3 });
+      mockSendRawTransaction.mockResolvedValue(txHash);
+    });
+
+    it('should validate and broadcast a signed transaction', async () => {
+      const response = await request(app).post('/api/transaction').send({ tx: raw }).expect(200);
+
+      expect(response.body.result).toEqual({
+        hash: txHash,
+        from: testAddress(),
+        type: 'send',
+        nonce: 4,
+        epoch: 150,
+      });
+      expect(mockGetBalance).toHaveBeenCalledWith(testAddress());
+      expect(mockSendRawTransaction).toHaveBeenCalledWith(raw);
+      expect(mempoolService.getTransaction(txHash)).toMatchObject({
+        from: testAddress(),
+        nonce: 4,
+      });
+      mempoolService.pending.clear();
+    });
+
+    it('should add the 0x prefix before forwarding', async () => {
+      await request(app)
+        .post('/api/transaction')
+        .send({ tx: raw.slice(2) })
+        .expect(200);
+
+      expect(mockSendRawTransaction).toHaveBeenCalledWith(raw);
+    });
+
+    it('should reject a missing or non-hex tx', async () => {
+      const missing = await request(app).post('/api/transaction').send({}).expect(400);
+      expect(missing.body.error.message).toContain('hex-encoded');
+
+      await request(app).post('/api/transaction').send({ tx: 'not hex' }).expect(400);
+      expect(mockSendRawTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject hex that is not a transaction', async () => {
+      const response = await request(app)
+        .post('/api/transaction')
+        .send({ tx: '0x1801' })
+        .expect(400);
+
+      expect(response.body.error.message).toContain('missing data');
+    });
+
+    it('should return a structured reason for stale nonces', async () => {
+      mockGetBalance.mockResolvedValue({ balance: '5', nonce: 4 });
+
+      const response = await request(app).post('/api/transaction').send({ tx: raw }).expect(422);
+
+      expect(response.body.error.reason).toMatchObject({
+        code: 'NONCE_TOO_LOW',
+        expected: 5,
+        actual: 4,
+      });
+      expect(mockSendRawTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject transactions from another epoch', async () => {
+      mockGetEpoch.mockResolvedValue({ epoch: 151 });
+
+      const response = await request(app).post('/api/transaction').send({ tx: raw }).expect(422);
+
+      expect(response.body.error.reason.code).toBe('EPOCH_MISMATCH');
+    });
+
+    it('should reject when the balance is too low', async () => {
+      mockGetBalance.mockResolvedValue({ balance: '1', nonce: 3 });
+
+      const response = await request(app).post('/api/transaction').send({ tx: raw }).expect(422);
+
+      expect(response.body.error.reason).toMatchObject({
+        code: 'INSUFFICIENT_BALANCE',
+        required: '1.1',
+        available: '1',
+      });
+    });
+
+    it('should reject unsigned transactions without querying the node', async () => {
+      const unsigned = raw.slice(0, raw.indexOf('1241'));
+
+      const response = await request(app)
+        .post('/api/transaction')
+        .send({ tx: unsigned })
+        .expect(422);
+
+      expect(response.body.error.reason.code).toBe('INVALID_SIGNATURE');
+      expect(mockGetBalance).not.toHaveBeenCalled();
+    });
+
+    it('should pass on node rejections', async () => {
+      mockSendRawTransaction.mockRejectedValue(new Error('tx with same hash already exists'));
+
+      const response = await request(app).post('/api/transaction').send({ tx: raw }).expect(422);
+
+      expect(response.body.error.reason).toEqual({
+        code: 'NODE_REJECTED',
+        message: 'tx with same hash already exists',
+      });
+    });
+
+    it('should return 500 when the node is unreachable', async () => {
+      const error = new Error('Network error: connect ECONNREFUSED');
+      error.failover = true;
+      mockSendRawTransaction.mockRejectedValue(error);
+
+      await request(app).post('/api/transaction').send({ tx: raw }).expect(500);
+    });
+
+    it('should apply the broadcast rate limit', async () => {
+      const response = await request(app).post('/api/transaction').send({ tx: raw });
+
+      expect(response.headers['x-ratelimit-limit']).toBe('20');
+    });
+  });
 });
@@ -0,0 +1,149 @@
+/**
+ * Tests for Raw Transaction Decoding
+ */
+
+const { decodeRawTransaction, recoverSender, validateTransaction } = require('../src/transactions');
+const { buildRawTransaction, testAddress } = require('./helpers/rawTransaction');
+
+const ONE_DNA = 10n ** 18n;
+const RECIPIENT = '0x' + '22'.repeat(20);
+
+describe('Raw Transactions', () => {
+  describe('decodeRawTransaction()', () => {
+    it('should decode fields and recover the sender', () => {
+      const raw = buildRawTransaction({
+        nonce: 5,
+        epoch: 150,
+        to: RECIPIENT,
+        amount: (3n * ONE_DNA) / 2n,
+        maxFee: ONE_DNA / 10n,
+        tips: 1n,
+      });
+
+      const tx = decodeRawTransaction(raw);
+
+      expect(tx).toMatchObject({
+        from: testAddress(),
+        to: RECIPIENT,
+        type: 'send',
+        typeCode: 0,
+        nonce: 5,
+        epoch: 150,
+        amount: '1.5',
+        maxFee: '0.1',
+        tips: '0.000000000000000001',
+        payload: null,
+      });
+      expect(tx.hash).toMatch(/^0x[0-9a-f]{64}$/);
+      expect(tx.signature).toMatch(/^0x[0-9a-f]{130}$/);
+    });
+
+    it('should decode contract calls with a payload', () => {
+      const tx = decodeRawTransaction(
+        buildRawTransaction({
+          nonce: 1,
+          epoch: 150,
+          type: 16,
+          to: RECIPIENT,
+          payload: '0x0a0470757368',
+        })
+      );
+
+      expect(tx.type).toBe('callContract');
+      expect(tx.payload).toBe('0x0a0470757368');
+      expect(tx.amount).toBe('0');
+    });
+
+    it('should accept hex without a 0x prefix', () => {
+      const raw = buildRawTransaction({ nonce: 1, epoch: 150 });
+
+      expect(decodeRawTransaction(raw.slice(2)).from).toBe(testAddress());
+    });
+
+    it('should return a null sender for a bad signature', () => {
+      const raw = buildRawTransaction({ nonce: 1, epoch: 150 });
+      // Drop the signature field
+      const unsigned = raw.slice(0, raw.indexOf('1241'));
+
+      const tx = decodeRawTransaction(unsigned);
+
+      expect(tx.from).toBeNull();
+      expect(tx.signature).toBeNull();
+      expect(recoverSender(Buffer.from('00', 'hex'), Buffer.alloc(65))).toBeNull();
+    });
+
+    it('should throw on input that is not a transaction', () => {
+      expect(() => decodeRawTransaction('0xzz')).toThrow('Invalid hex string');
+      expect(() => decodeRawTransaction('0x1801')).toThrow('missing data');
+      expect(() => decodeRawTransaction('0x0a05ff')).toThrow('truncated');
+    });
+  });
+
+  describe('validateTransaction()', () => {
+    const tx = decodeRawTransaction(
+      buildRawTransaction({
+        nonce: 4,
+        epoch: 150,
+        to: RECIPIENT,
+        amount: ONE_DNA,
+        maxFee: ONE_DNA / 10n,
+      })
+    );
+    const epoch = { epoch: 150 };
+
+    it('should accept a valid transaction', () => {
+      expect(validateTransaction(tx, { epoch, balance: { balance: '1.1', nonce: 3 } })).toBeNull();
+    });
+
+    it('should reject a wrong epoch', () => {
+      expect(
+        validateTransaction(tx, { epoch: { epoch: 151 }, balance: { balance: '10', nonce: 3 } })
+      ).toMatchObject({ code: 'EPOCH_MISMATCH', expected: 151, actual: 150 });
+    });
+
+    it('should reject a used nonce', () => {
+      expect(
+        validateTransaction(tx, { epoch, balance: { balance: '10', nonce: 4 } })
+      ).toMatchObject({ code: 'NONCE_TOO_LOW', expected: 5, actual: 4 });
+    });
+
+    it('should compare against the mempool nonce', () => {
+      expect(
+        validateTransaction(tx, { epoch, balance: { balance: '10', nonce: 2, mempoolNonce: 4 } })
+      ).toMatchObject({ code: 'NONCE_TOO_LOW', expected: 5, actual: 4 });
+    });
+
+    it('should accept a restarted nonce after an epoch rollover', () => {
+      const first = { ...tx, nonce: 1 };
+
+      // The state nonce still counts the previous epoch's transactions
+      expect(
+        validateTransaction(first, {
+          epoch,
+          balance: { balance: '10', nonce: 40, mempoolNonce: 0 },
+        })
+      ).toBeNull();
+      expect(
+        validateTransaction(first, { epoch, balance: { balance: '10', nonce: 40, epoch: 149 } })
+      ).toBeNull();
+      expect(
+        validateTransaction(first, { epoch, balance: { balance: '10', nonce: 40, epoch: 150 } })
+      ).toMatchObject({ code: 'NONCE_TOO_LOW', expected: 41 });
+    });
+
+    it('should reject when the balance does not cover amount and fees', () => {
+      expect(
+        validateTransaction(tx, { epoch, balance: { balance: '1.09', nonce: 3 } })
+      ).toMatchObject({ code: 'INSUFFICIENT_BALANCE', required: '1.1', available: '1.09' });
+    });
+
+    it('should reject unknown types', () => {
+      expect(
+        validateTransaction(
+          { ...tx, type: null, typeCode: 99 },
+          { epoch, balance: { balance: '10', nonce: 3 } }
+        )
+      ).toMatchObject({ code: 'UNKNOWN_TYPE' });
+    });
+  });
+});
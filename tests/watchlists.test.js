@@ -0,0 +1,439 @@
+/**
+ * Tests for Watchlist Alerts (watchlists.js) and Watchlist Routes
+ */
+
+// Real database in memory, the service and routes share it
+jest.mock('../src/db', () => {
+  const { HistoryDB } = jest.requireActual('../src/db');
+  const db = new HistoryDB(':memory:');
+  db.enabled = true;
+  db.init();
+  return db;
+});
+
+const EventEmitter = require('events');
+const request = require('supertest');
+const app = require('../src/server');
+const historyDB = require('../src/db');
+const { WatchlistService } = require('../src/watchlists');
+
+const ADMIN_KEY = 'test-admin-key';
+const ALICE = '0x' + 'aa'.repeat(20);
+const BOB = '0x' + 'bb'.repeat(20);
+
+describe('Watchlists', () => {
+  beforeEach(() => {
+    historyDB.enabled = true;
+    historyDB.db.exec(`
+      DELETE FROM watchlist_alerts; DELETE FROM watchlist_observations; DELETE FROM watchlists;
+      DELETE FROM address_states; DELETE FROM identity_states; DELETE FROM identity_changes;
+      DELETE FROM balance_changes; DELETE FROM epochs; DELETE FROM penalties;
+      DELETE FROM invites; DELETE FROM validation_results;
+    `);
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  describe('WatchlistService', () => {
+    let service;
+
+    beforeAll(() => {
+      historyDB.insertBatch(
+        Array.from({ length: 11 }, (_, i) => ({
+          height: 100 + i,
+          hash: `0xb${100 + i}`,
+          timestamp: 100 + i,
+          epoch: 10,
+        })),
+        [
+          { hash: '0xact1', blockHeight: 100, type: 'ActivationTx', from: BOB, timestamp: 100 },
+          { hash: '0xact2', blockHeight: 102, type: 'ActivationTx', from: BOB, timestamp: 102 },
+        ]
+      );
+    });
+
+    beforeEach(() => {
+      service = new WatchlistService();
+    });
+
+    afterEach(() => {
+      service.stop();
+    });
+
+    const addWatchlist = (rules, addresses = [ALICE]) =>
+      historyDB.insertWatchlist({ name: 'ops', addresses, rules });
+    const check = (fromBlock, toBlock = fromBlock) => service.evaluate({ fromBlock, toBlock });
+    const setBalance = (blockHeight, balanceAfter, change = {}) =>
+      historyDB.insertBalanceChangesBatch([
+        {
+          address: ALICE,
+          blockHeight,
+          changeType: 'tx_in',
+          amount: '1',
+          balanceAfter,
+          timestamp: blockHeight,
+          ...change,
+        },
+      ]);
+    const kill = (blockHeight) =>
+      historyDB.insertIdentityChangesBatch([
+        {
+          address: ALICE,
+          epoch: 10,
+          changeType: 'killed',
+          newState: 'Killed',
+          txHash: `0xkill${blockHeight}`,
+          blockHeight,
+          timestamp: blockHeight,
+        },
+      ]);
+    const alerts = (watchlist) => historyDB.getWatchlistAlerts(watchlist.id).data;
+
+    it('should fire balanceBelow once each time the balance drops below the threshold', () => {
+      const watchlist = addWatchlist([{ type: 'balanceBelow', threshold: '100' }]);
+
+      setBalance(100, '150');
+      expect(check(100)).toBe(0);
+
+      setBalance(101, '99.5');
+      expect(check(101)).toBe(1);
+      expect(check(101)).toBe(0);
+
+      const [alert] = alerts(watchlist);
+      expect(alert.rule).toBe('balanceBelow');
+      expect(alert.address).toBe(ALICE);
+      expect(alert.details).toEqual({ balance: '99.5', threshold: '100' });
+      expect(alert.epoch).toBe(10);
+
+      // Recovering and dropping again within the epoch fires again
+      setBalance(102, '200');
+      expect(check(102)).toBe(0);
+      setBalance(103, '50');
+      expect(check(103)).toBe(1);
+      expect(alerts(watchlist)).toHaveLength(2);
+    });
+
+    it('should fire balanceBelow on the first check if the balance is already low', () => {
+      const watchlist = addWatchlist([{ type: 'balanceBelow', threshold: '100' }]);
+      setBalance(100, '5');
+
+      expect(check(100)).toBe(1);
+      expect(alerts(watchlist)).toHaveLength(1);
+    });
+
+    it('should wait for the running balance to be computed', () => {
+      addWatchlist([{ type: 'balanceBelow', threshold: '100' }]);
+      setBalance(100, null);
+
+      expect(check(100)).toBe(0);
+
+      historyDB.db.exec("UPDATE balance_changes SET balance_after = '5'");
+      expect(check(100)).toBe(1);
+    });
+
+    it('should only check addresses with activity in the range', () => {
+      const watchlist = addWatchlist(
+        [{ type: 'balanceBelow', threshold: '100' }, { type: 'stakeDropped' }],
+        [ALICE, BOB]
+      );
+      setBalance(100, '5');
+      const spy = jest.spyOn(historyDB, 'getLatestBalance');
+
+      expect(check(101, 110)).toBe(0);
+      expect(spy).not.toHaveBeenCalled();
+
+      expect(check(100)).toBe(1);
+      expect(spy.mock.calls).toEqual([[ALICE]]);
+      expect(alerts(watchlist).map((a) => a.address)).toEqual([ALICE]);
+      spy.mockRestore();
+    });
+
+    it('should fire stakeDropped when the stake decreases within the epoch', () => {
+      const watchlist = addWatchlist([{ type: 'stakeDropped' }]);
+      historyDB.insertEpoch({ epoch: 10, startBlock: 100, startTimestamp: 100 });
+      historyDB.insertAddressState({ address: ALICE, epoch: 10, balance: '0', stake: '500' });
+
+      setBalance(101, '0', { changeType: 'stake', amount: '-100' });
+      expect(check(101)).toBe(0);
+      setBalance(102, '0', { changeType: 'stake', amount: '-50.25' });
+      expect(check(102)).toBe(0);
+
+      // Killed mid-epoch, before the next snapshot
+      kill(104);
+      expect(check(104)).toBe(1);
+      expect(check(104)).toBe(0);
+
+      const [alert] = alerts(watchlist);
+      expect(alert.details).toEqual({ previousStake: '650.25', stake: '0' });
+      expect(alert.epoch).toBe(10);
+    });
+
+    it('should fire identityState when the identity is killed mid-epoch', () => {
+      const watchlist = addWatchlist([{ type: 'identityState' }]);
+
+      historyDB.insertIdentityState({
+        address: ALICE,
+        epoch: 10,
+        state: 'Human',
+        blockHeight: 100,
+        timestamp: 100,
+      });
+      expect(check(100)).toBe(0);
+
+      kill(105);
+      expect(check(105)).toBe(1);
+      expect(check(105)).toBe(0);
+
+      expect(alerts(watchlist)[0].details).toEqual({ previousState: 'Human', state: 'Killed' });
+    });
+
+    it('should use the configured identity states', () => {
+      addWatchlist([{ type: 'identityState', states: ['Suspended'] }]);
+
+      historyDB.insertIdentityState({
+        address: ALICE,
+        epoch: 10,
+        state: 'Killed',
+        blockHeight: 100,
+        timestamp: 100,
+      });
+      expect(check(100)).toBe(0);
+      historyDB.insertIdentityState({
+        address: ALICE,
+        epoch: 11,
+        state: 'Suspended',
+        blockHeight: 110,
+        timestamp: 110,
+      });
+      expect(check(110)).toBe(1);
+    });
+
+    it('should fire penaltyReceived for each new penalty', () => {
+      const watchlist = addWatchlist([{ type: 'penaltyReceived' }]);
+      historyDB.insertPenalty({
+        address: ALICE,
+        epoch: 9,
+        penalty: '1',
+        blockHeight: 90,
+        timestamp: 1,
+      });
+
+      expect(check(90)).toBe(0);
+
+      historyDB.insertPenalty({
+        address: ALICE,
+        epoch: 10,
+        penalty: '2',
+        blockHeight: 100,
+        timestamp: 2,
+      });
+      historyDB.insertPenalty({
+        address: ALICE,
+        epoch: 10,
+        penalty: '3',
+        blockHeight: 101,
+        timestamp: 3,
+      });
+      expect(check(100, 101)).toBe(2);
+      expect(check(100, 101)).toBe(0);
+
+      expect(
+        alerts(watchlist)
+          .map((a) => a.details.penalty)
+          .sort()
+      ).toEqual(['2', '3']);
+    });
+
+    it('should fire inviteActivated for newly activated invites', () => {
+      const watchlist = addWatchlist([{ type: 'inviteActivated' }]);
+      historyDB.insertInvite({
+        hash: '0xi1',
+        inviter: ALICE,
+        invitee: BOB,
+        epoch: 10,
+        status: 'activated',
+        activationTxHash: '0xact1',
+        timestamp: 1,
+      });
+      historyDB.insertInvite({ hash: '0xi2', inviter: ALICE, epoch: 10, timestamp: 2 });
+
+      expect(check(100)).toBe(0);
+
+      historyDB.insertInvite({
+        hash: '0xi2',
+        inviter: ALICE,
+        invitee: BOB,
+        epoch: 10,
+        status: 'activated',
+        activationTxHash: '0xact2',
+        timestamp: 2,
+      });
+      expect(check(101)).toBe(0);
+      expect(check(102)).toBe(1);
+
+      const [alert] = alerts(watchlist);
+      expect(alert.details.hash).toBe('0xi2');
+      expect(alert.message).toContain(BOB);
+    });
+
+    it('should fire missedValidation when an epoch closes', () => {
+      const watchlist = addWatchlist([{ type: 'missedValidation' }], [ALICE, BOB]);
+      historyDB.insertValidationResult({ address: ALICE, epoch: 10, missedValidation: true });
+      historyDB.insertValidationResult({ address: BOB, epoch: 10, missedValidation: false });
+
+      expect(service.evaluateEpoch(10)).toBe(1);
+      expect(service.evaluateEpoch(10)).toBe(0);
+
+      const [alert] = alerts(watchlist);
+      expect(alert.address).toBe(ALICE);
+      expect(alert.epoch).toBe(10);
+    });
+
+    it('should evaluate on stored and epochClosed events after they return', async () => {
+      const source = new EventEmitter();
+      const watchlist = addWatchlist([
+        { type: 'balanceBelow', threshold: '100' },
+        { type: 'missedValidation' },
+      ]);
+      setBalance(100, '5');
+      historyDB.insertValidationResult({ address: ALICE, epoch: 10, missedValidation: true });
+
+      service.start(source);
+      source.emit('stored', { fromBlock: 100, toBlock: 100 });
+      source.emit('epochClosed', { epoch: 10, nextEpochBlock: 3 });
+      expect(alerts(watchlist)).toEqual([]);
+
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(alerts(watchlist)).toHaveLength(2);
+
+      service.stop();
+      expect(source.listenerCount('stored')).toBe(0);
+      expect(source.listenerCount('epochClosed')).toBe(0);
+    });
+
+    it('should drop queued checks when stopped', async () => {
+      const source = new EventEmitter();
+      const watchlist = addWatchlist([{ type: 'balanceBelow', threshold: '100' }]);
+      setBalance(100, '5');
+
+      service.start(source);
+      source.emit('stored', { fromBlock: 100, toBlock: 100 });
+      service.stop();
+
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(alerts(watchlist)).toEqual([]);
+    });
+  });
+
+  describe('Routes', () => {
+    const admin = (req) => req.set('X-Admin-Key', ADMIN_KEY);
+    const create = (body) => admin(request(app).post('/api/watchlists')).send(body);
+    const valid = {
+      name: 'Treasury',
+      addresses: [ALICE.toUpperCase().replace('0X', '0x')],
+      rules: [{ type: 'balanceBelow', threshold: 100 }],
+    };
+
+    it('should require the admin key', async () => {
+      const res = await request(app).get('/api/watchlists');
+      expect(res.status).toBe(401);
+    });
+
+    it('should create, list, update and delete a watchlist', async () => {
+      const created = await create(valid);
+      expect(created.status).toBe(201);
+      expect(created.body.result).toMatchObject({
+        name: 'Treasury',
+        addresses: [ALICE],
+        rules: [{ type: 'balanceBelow', threshold: '100' }],
+      });
+      const { id } = created.body.result;
+
+      const list = await admin(request(app).get('/api/watchlists'));
+      expect(list.body.result).toHaveLength(1);
+
+      const updated = await admin(request(app).patch(`/api/watchlists/${id}`)).send({
+        rules: [{ type: 'identityState', states: ['Zombie'] }],
+      });
+      expect(updated.status).toBe(200);
+      expect(updated.body.result.name).toBe('Treasury');
+      expect(updated.body.result.rules).toEqual([{ type: 'identityState', states: ['Zombie'] }]);
+
+      const deleted = await admin(request(app).delete(`/api/watchlists/${id}`));
+      expect(deleted.body.result).toEqual({ id, deleted: true });
+
+      const missing = await admin(request(app).get(`/api/watchlists/${id}`));
+      expect(missing.status).toBe(404);
+    });
+
+    it.each([
+      [{ ...valid, name: '' }, 'name'],
+      [{ ...valid, addresses: ['nope'] }, 'addresses'],
+      [{ ...valid, rules: [] }, 'rules'],
+      [{ ...valid, rules: [{ type: 'unknown' }] }, 'rule type'],
+      [{ ...valid, rules: [{ type: 'balanceBelow' }] }, 'threshold'],
+      [{ ...valid, rules: [{ type: 'identityState', states: ['Ghost'] }] }, 'states'],
+      [{ ...valid, rules: [{ type: 'stakeDropped' }, { type: 'stakeDropped' }] }, 'Duplicate'],
+    ])('should reject an invalid watchlist (%#)', async (body, message) => {
+      const res = await create(body);
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toContain(message);
+    });
+
+    it('should return alerts with filters', async () => {
+      const { body } = await create({ ...valid, addresses: [ALICE, BOB] });
+      const watchlistId = body.result.id;
+      historyDB.insertWatchlistAlert({
+        watchlistId,
+        address: ALICE,
+        rule: 'balanceBelow',
+        dedupeKey: 'a',
+        message: 'low',
+        epoch: 10,
+      });
+      historyDB.insertWatchlistAlert({
+        watchlistId,
+        address: BOB,
+        rule: 'stakeDropped',
+        dedupeKey: 'b',
+        message: 'drop',
+        epoch: 10,
+      });
+
+      const all = await admin(request(app).get(`/api/watchlists/${watchlistId}/alerts`));
+      expect(all.status).toBe(200);
+      expect(all.body.total).toBe(2);
+      expect(all.body.data[0].rule).toBe('stakeDropped');
+
+      const byRule = await admin(
+        request(app).get(`/api/watchlists/${watchlistId}/alerts?rule=balanceBelow`)
+      );
+      expect(byRule.body.data).toHaveLength(1);
+      expect(byRule.body.data[0].message).toBe('low');
+
+      const byAddress = await admin(
+        request(app).get(`/api/watchlists/${watchlistId}/alerts?address=${BOB}`)
+      );
+      expect(byAddress.body.data.map((a) => a.rule)).toEqual(['stakeDropped']);
+
+      const invalid = await admin(
+        request(app).get(`/api/watchlists/${watchlistId}/alerts?rule=nope`)
+      );
+      expect(invalid.status).toBe(400);
+    });
+
+    it('should return 400 for an invalid id', async () => {
+      const res = await admin(request(app).get('/api/watchlists/abc/alerts'));
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 503 when the historical database is disabled', async () => {
+      historyDB.enabled = false;
+      const res = await admin(request(app).get('/api/watchlists'));
+      expect(res.status).toBe(503);
+    });
+  });
+});
@@ -0,0 +1,428 @@
+/**
+ * Tests for Webhook Deliveries (webhooks.js) and Webhook Routes
+ */
+
+// Real database in memory, the service and routes share it
+jest.mock('../src/db', () => {
+  const { HistoryDB } = jest.requireActual('../src/db');
+  const db = new HistoryDB(':memory:');
+  db.enabled = true;
+  db.init();
+  return db;
+});
+
+// Mock outgoing HTTP
+const mockPost = jest.fn();
+jest.mock('axios', () => ({ post: mockPost }));
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const request = require('supertest');
+const app = require('../src/server');
+const historyDB = require('../src/db');
+const { WebhookService, signPayload } = require('../src/webhooks');
+
+const ADMIN_KEY = 'test-admin-key';
+const ALICE = '0x' + 'aa'.repeat(20);
+const BOB = '0x' + 'bb'.repeat(20);
+const CONTRACT = '0x' + 'cc'.repeat(20);
+
+describe('Webhooks', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    historyDB.enabled = true;
+    historyDB.db.exec('DELETE FROM webhook_deliveries; DELETE FROM webhooks;');
+    process.env.ADMIN_API_KEY = ADMIN_KEY;
+  });
+
+  afterAll(() => {
+    delete process.env.ADMIN_API_KEY;
+  });
+
+  describe('WebhookService', () => {
+    let service;
+
+    beforeAll(() => {
+      historyDB.insertBatch(
+        [{ height: 100, hash: '0xb100', timestamp: 100, epoch: 1 }],
+        [
+          {
+            hash: '0xt1',
+            blockHeight: 100,
+            txIndex: 0,
+            type: 'SendTx',
+            from: BOB,
+            to: ALICE,
+            amount: '5',
+            timestamp: 100,
+          },
+          {
+            hash: '0xt2',
+            blockHeight: 100,
+            txIndex: 1,
+            type: 'SendTx',
+            from: ALICE,
+            to: BOB,
+            amount: '1',
+            timestamp: 100,
+          },
+          {
+            hash: '0xt3',
+            blockHeight: 100,
+            txIndex: 2,
+            type: 'CallContractTx',
+            from: BOB,
+            to: CONTRACT,
+            timestamp: 100,
+          },
+        ]
+      );
+      historyDB.insertIdentityChangesBatch([
+        {
+          address: ALICE,
+          epoch: 1,
+          changeType: 'killed',
+          newState: 'Killed',
+          txHash: '0xt4',
+          blockHeight: 100,
+          timestamp: 100,
+        },
+      ]);
+      historyDB.insertContract({
+        address: CONTRACT,
+        deployTxHash: '0xd',
+        deployer: BOB,
+        epoch: 1,
+        blockHeight: 90,
+        timestamp: 90,
+      });
+      historyDB.insertContractCallsBatch([
+        {
+          txHash: '0xt3',
+          contractAddress: CONTRACT,
+          caller: BOB,
+          method: 'vote',
+          blockHeight: 100,
+          timestamp: 100,
+        },
+      ]);
+    });
+
+    beforeEach(() => {
+      service = new WebhookService();
+      service.retryBaseDelay = 1000;
+      service.maxAttempts = 3;
+    });
+
+    afterEach(() => {
+      service.stop();
+    });
+
+    const addWebhook = (rules) =>
+      historyDB.insertWebhook({
+        url: 'https://example.com/hook',
+        secret: 'secret',
+        addresses: [],
+        contracts: [],
+        ...rules,
+      });
+
+    it('should queue a delivery per matched event and webhook', () => {
+      const transfers = addWebhook({
+        events: ['transfer'],
+        addresses: [ALICE.toUpperCase().replace('0X', '0x')],
+      });
+      const everything = addWebhook({
+        events: ['transfer', 'identity', 'contractCall'],
+        addresses: [ALICE],
+        contracts: [CONTRACT],
+      });
+
+      expect(service.evaluate({ fromBlock: 100, toBlock: 100 })).toBe(4);
+
+      const first = historyDB.getWebhookDeliveries({ webhookId: transfers.id }).data;
+      expect(first.map((d) => d.event)).toEqual(['transfer']);
+      expect(first[0].payload).toMatchObject({
+        event: 'transfer',
+        webhookId: transfers.id,
+        data: { hash: '0xt1', amount: '5' },
+      });
+
+      const second = historyDB.getWebhookDeliveries({ webhookId: everything.id }).data;
+      expect(second.map((d) => d.event).sort()).toEqual(['contractCall', 'identity', 'transfer']);
+      expect(second.find((d) => d.event === 'identity').payload.data).toMatchObject({
+        address: ALICE,
+        newState: 'Killed',
+      });
+      expect(second.find((d) => d.event === 'contractCall').payload.data).toMatchObject({
+        contract: CONTRACT,
+        method: 'vote',
+      });
+    });
+
+    it('should queue each match once when a height is matched again', () => {
+      addWebhook({ events: ['transfer', 'identity'], addresses: [ALICE] });
+
+      expect(service.evaluate({ fromBlock: 100, toBlock: 100 })).toBe(2);
+      expect(service.evaluate({ fromBlock: 90, toBlock: 100 })).toBe(0);
+      expect(historyDB.getWebhookDeliveries().data.map((d) => d.blockHeight)).toEqual([100, 100]);
+    });
+
+    it('should ignore paused webhooks and ranges without matches', () => {
+      const webhook = addWebhook({ events: ['transfer'], addresses: [ALICE] });
+
+      expect(service.evaluate({ fromBlock: 101, toBlock: 200 })).toBe(0);
+
+      historyDB.updateWebhook(webhook.id, { active: false });
+      expect(service.evaluate({ fromBlock: 100, toBlock: 100 })).toBe(0);
+    });
+
+    it('should evaluate each stored batch once started', () => {
+      const source = new EventEmitter();
+      addWebhook({ events: ['transfer'], addresses: [ALICE] });
+      service.deliverDue = jest.fn().mockResolvedValue(0);
+      service.pollInterval = 0;
+
+      service.start(source);
+      source.emit('stored', { fromBlock: 100, toBlock: 100 });
+      service.stop();
+      source.emit('stored', { fromBlock: 100, toBlock: 100 });
+
+      expect(historyDB.getWebhookDeliveries().total).toBe(1);
+    });
+
+    it('should POST signed deliveries and mark them delivered', async () => {
+      addWebhook({ events: ['transfer'], addresses: [ALICE] });
+      service.evaluate({ fromBlock: 100, toBlock: 100 });
+      mockPost.mockResolvedValue({ status: 204 });
+      const now = Math.floor(Date.now() / 1000);
+
+      expect(await service.deliverDue(now)).toBe(1);
+
+      const [url, body, config] = mockPost.mock.calls[0];
+      expect(url).toBe('https://example.com/hook');
+      expect(JSON.parse(body)).toMatchObject({ event: 'transfer', data: { hash: '0xt1' } });
+      expect(config.headers).toMatchObject({
+        'X-Webhook-Event': 'transfer',
+        'X-Webhook-Timestamp': String(now),
+      });
+      const expected =
+        'sha256=' + crypto.createHmac('sha256', 'secret').update(`${now}.${body}`).digest('hex');
+      expect(config.headers['X-Webhook-Signature']).toBe(expected);
+      expect(signPayload('secret', now, body)).toBe(expected);
+
+      expect(historyDB.getWebhookDeliveries().data[0]).toMatchObject({
+        status: 'delivered',
+        attempts: 1,
+        responseStatus: 204,
+      });
+    });
+
+    it('should retry with exponential backoff and dead-letter after the last attempt', async () => {
+      addWebhook({ events: ['transfer'], addresses: [ALICE] });
+      service.evaluate({ fromBlock: 100, toBlock: 100 });
+      mockPost
+        .mockResolvedValueOnce({ status: 500 })
+        .mockRejectedValue(new Error('connect ECONNREFUSED'));
+      const now = Math.floor(Date.now() / 1000);
+
+      await service.deliverDue(now);
+      expect(historyDB.getWebhookDeliveries().data[0]).toMatchObject({
+        status: 'pending',
+        attempts: 1,
+        responseStatus: 500,
+        lastError: 'HTTP 500',
+        nextAttemptAt: new Date((now + 1) * 1000).toISOString(),
+      });
+
+      // Not due yet
+      expect(await service.deliverDue(now)).toBe(0);
+
+      await service.deliverDue(now + 1);
+      expect(historyDB.getWebhookDeliveries().data[0]).toMatchObject({
+        attempts: 2,
+        nextAttemptAt: new Date((now + 3) * 1000).toISOString(),
+      });
+
+      await service.deliverDue(now + 3);
+      expect(historyDB.getWebhookDeliveries().data[0]).toMatchObject({
+        status: 'dead',
+        attempts: 3,
+        lastError: 'connect ECONNREFUSED',
+      });
+      expect(await service.deliverDue(now + 3600)).toBe(0);
+    });
+  });
+
+  describe('Routes', () => {
+    const admin = (req) => req.set('X-Admin-Key', ADMIN_KEY);
+    const validWebhook = {
+      url: 'https://example.com/hook',
+      events: ['transfer'],
+      addresses: [ALICE],
+    };
+
+    describe('authentication', () => {
+      it('should return 503 when no admin key is configured', async () => {
+        delete process.env.ADMIN_API_KEY;
+
+        const response = await request(app)
+          .get('/api/webhooks')
+          .set('X-Admin-Key', 'anything')
+          .expect(503);
+
+        expect(response.body.error.message).toContain('ADMIN_API_KEY');
+      });
+
+      it('should reject missing or wrong admin keys', async () => {
+        await request(app).get('/api/webhooks').expect(401);
+        await request(app).get('/api/webhooks').set('X-Admin-Key', 'wrong').expect(401);
+      });
+
+      it('should return 503 when history is disabled', async () => {
+        historyDB.enabled = false;
+
+        await admin(request(app).get('/api/webhooks')).expect(503);
+      });
+    });
+
+    describe('POST /api/webhooks', () => {
+      it('should create a webhook and return its secret once', async () => {
+        const response = await admin(request(app).post('/api/webhooks'))
+          .send(validWebhook)
+          .expect(201);
+
+        expect(response.body.result).toMatchObject({
+          url: 'https://example.com/hook',
+          events: ['transfer'],
+          addresses: [ALICE],
+          contracts: [],
+          active: true,
+        });
+        expect(response.body.result.secret).toMatch(/^[0-9a-f]{64}$/);
+
+        const list = await admin(request(app).get('/api/webhooks')).expect(200);
+        expect(list.body.result).toHaveLength(1);
+        expect(list.body.result[0].secret).toBeUndefined();
+      });
+
+      it('should reject invalid webhooks', async () => {
+        const post = (body) => admin(request(app).post('/api/webhooks')).send(body).expect(400);
+
+        await post({ ...validWebhook, url: 'ftp://example.com' });
+        await post({ ...validWebhook, events: ['mint'] });
+        await post({ ...validWebhook, addresses: ['0x123'] });
+        const noAddresses = await post({ url: validWebhook.url, events: ['identity'] });
+        expect(noAddresses.body.error.message).toContain('at least one address');
+        const noContracts = await post({ ...validWebhook, events: ['contractCall'] });
+        expect(noContracts.body.error.message).toContain('at least one contract');
+      });
+    });
+
+    describe('GET/PATCH/DELETE /api/webhooks/:id', () => {
+      let id;
+
+      beforeEach(async () => {
+        id = (await admin(request(app).post('/api/webhooks')).send(validWebhook)).body.result.id;
+      });
+
+      it('should return a webhook without its secret', async () => {
+        const response = await admin(request(app).get(`/api/webhooks/${id}`)).expect(200);
+
+        expect(response.body.result).toMatchObject({ id, url: 'https://example.com/hook' });
+        expect(response.body.result.secret).toBeUndefined();
+      });
+
+      it('should update rules and pause a webhook', async () => {
+        const response = await admin(request(app).patch(`/api/webhooks/${id}`))
+          .send({ events: ['transfer', 'contractCall'], contracts: [CONTRACT], active: false })
+          .expect(200);
+
+        expect(response.body.result).toMatchObject({
+          events: ['transfer', 'contractCall'],
+          contracts: [CONTRACT],
+          active: false,
+        });
+      });
+
+      it('should validate updates against the stored rules', async () => {
+        await admin(request(app).patch(`/api/webhooks/${id}`))
+          .send({ events: ['contractCall'] })
+          .expect(400);
+        await admin(request(app).patch(`/api/webhooks/${id}`))
+          .send({ active: 'no' })
+          .expect(400);
+      });
+
+      it('should delete a webhook', async () => {
+        await admin(request(app).delete(`/api/webhooks/${id}`)).expect(200);
+        await admin(request(app).get(`/api/webhooks/${id}`)).expect(404);
+      });
+
+      it('should return 404 for unknown and 400 for malformed ids', async () => {
+        await admin(request(app).get('/api/webhooks/999')).expect(404);
+        await admin(request(app).get('/api/webhooks/abc')).expect(400);
+      });
+    });
+
+    describe('deliveries', () => {
+      let id;
+      let deliveryIds;
+
+      beforeEach(async () => {
+        id = (await admin(request(app).post('/api/webhooks')).send(validWebhook)).body.result.id;
+        historyDB.insertWebhookDeliveriesBatch([
+          {
+            webhookId: id,
+            event: 'transfer',
+            dedupeKey: 'a',
+            blockHeight: 1,
+            payload: { event: 'transfer', data: {} },
+          },
+          {
+            webhookId: id,
+            event: 'transfer',
+            dedupeKey: 'b',
+            blockHeight: 1,
+            payload: { event: 'transfer', data: {} },
+          },
+        ]);
+        deliveryIds = historyDB.getWebhookDeliveries({ webhookId: id }).data.map((d) => d.id);
+        historyDB.updateWebhookDelivery(deliveryIds[0], {
+          status: 'dead',
+          attempts: 8,
+          error: 'HTTP 500',
+        });
+      });
+
+      it('should return the delivery log filtered by status', async () => {
+        const all = await admin(request(app).get(`/api/webhooks/${id}/deliveries`)).expect(200);
+        expect(all.body.total).toBe(2);
+
+        const dead = await admin(
+          request(app).get(`/api/webhooks/${id}/deliveries?status=dead`)
+        ).expect(200);
+        expect(dead.body.data).toEqual([
+          expect.objectContaining({ id: deliveryIds[0], status: 'dead', lastError: 'HTTP 500' }),
+        ]);
+
+        await admin(request(app).get(`/api/webhooks/${id}/deliveries?status=lost`)).expect(400);
+      });
+
+      it('should list dead letters across webhooks and requeue them', async () => {
+        const dead = await admin(request(app).get('/api/webhooks/dead-letters')).expect(200);
+        expect(dead.body.data.map((d) => d.id)).toEqual([deliveryIds[0]]);
+
+        const retry = await admin(
+          request(app).post(`/api/webhooks/deliveries/${deliveryIds[0]}/retry`)
+        ).expect(200);
+        expect(retry.body.result).toEqual({ id: deliveryIds[0], status: 'pending' });
+
+        const after = await admin(request(app).get('/api/webhooks/dead-letters')).expect(200);
+        expect(after.body.total).toBe(0);
+
+        await admin(request(app).post('/api/webhooks/deliveries/999/retry')).expect(404);
+      });
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Tests for WebSocket Streaming (websocket.js)
+ */
+
+const http = require('http');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+const { StreamServer } = require('../src/websocket');
+
+const ALICE = '0x' + 'aa'.repeat(20);
+const BOB = '0x' + 'bb'.repeat(20);
+const CONTRACT = '0x' + 'cc'.repeat(20);
+
+/**
+ * Connect a client that queues incoming messages
+ */
+function connect(port) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}/api/ws`);
+    const queue = [];
+    const waiters = [];
+
+    ws.on('message', (raw) => {
+      const message = JSON.parse(raw.toString());
+      const waiter = waiters.shift();
+      if (waiter) {
+        waiter(message);
+      } else {
+        queue.push(message);
+      }
+    });
+
+    ws.next = () =>
+      queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise((r) => waiters.push(r));
+    ws.request = (message) => {
+      ws.send(JSON.stringify(message));
+      return ws.next();
+    };
+
+    ws.on('open', () => resolve(ws));
+    ws.on('error', reject);
+  });
+}
+
+describe('WebSocket Streaming', () => {
+  let server;
+  let source;
+  let stream;
+  let port;
+  let clients;
+
+  beforeEach(async () => {
+    server = http.createServer();
+    source = new EventEmitter();
+    stream = new StreamServer();
+    stream.attach(server, source);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+    clients = [];
+  });
+
+  afterEach(async () => {
+    clients.forEach((ws) => ws.terminate());
+    await stream.close();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const open = async () => {
+    const ws = await connect(port);
+    clients.push(ws);
+    await ws.next(); // welcome
+    return ws;
+  };
+
+  it('should greet clients with the available channels', async () => {
+    const ws = await connect(port);
+    clients.push(ws);
+
+    expect(await ws.next()).toEqual({
+      type: 'welcome',
+      channels: ['blocks', 'transactions', 'epochs', 'identities'],
+      filters: ['addresses', 'types', 'contracts'],
+    });
+  });
+
+  it('should push events on subscribed channels only', async () => {
+    const ws = await open();
+    const reply = await ws.request({ type: 'subscribe', channels: ['blocks'] });
+    expect(reply).toMatchObject({ type: 'subscriptions', channels: ['blocks'] });
+
+    source.emit('epoch', { epoch: 151 });
+    source.emit('block', { height: 100 });
+
+    expect(await ws.next()).toEqual({ type: 'block', data: { height: 100 } });
+  });
+
+  it('should subscribe to every channel by default', async () => {
+    const ws = await open();
+    const reply = await ws.request({ type: 'subscribe' });
+
+    expect(reply.channels).toEqual(['blocks', 'transactions', 'epochs', 'identities']);
+  });
+
+  it('should filter transactions by address, type and contract', async () => {
+    const ws = await open();
+    await ws.request({
+      type: 'subscribe',
+      channels: ['transactions'],
+      filters: { addresses: [ALICE.toUpperCase().replace('0X', '0x')], types: ['callContract'] },
+    });
+
+    source.emit('transaction', { hash: '0x1', type: 'send', from: ALICE, to: BOB });
+    source.emit('transaction', { hash: '0x2', type: 'callContract', from: BOB, to: CONTRACT });
+    source.emit('transaction', { hash: '0x3', type: 'callContract', from: ALICE, to: CONTRACT });
+
+    expect((await ws.next()).data.hash).toBe('0x3');
+  });
+
+  it('should filter transactions by contract', async () => {
+    const ws = await open();
+    await ws.request({
+      type: 'subscribe',
+      channels: ['transactions'],
+      filters: { contracts: [CONTRACT] },
+    });
+
+    source.emit('transaction', { hash: '0x1', type: 'send', from: ALICE, to: BOB });
+    source.emit('transaction', { hash: '0x2', type: 'callContract', from: BOB, to: CONTRACT });
+
+    expect((await ws.next()).data.hash).toBe('0x2');
+  });
+
+  it('should filter identity changes by address', async () => {
+    const ws = await open();
+    await ws.request({
+      type: 'subscribe',
+      channels: ['identities'],
+      filters: { addresses: [BOB] },
+    });
+
+    source.emit('identity', { address: ALICE, changeType: 'killed' });
+    source.emit('identity', { address: BOB, changeType: 'online' });
+
+    expect((await ws.next()).data).toEqual({ address: BOB, changeType: 'online' });
+  });
+
+  it('should stop pushing after unsubscribing', async () => {
+    const ws = await open();
+    await ws.request({ type: 'subscribe', channels: ['blocks', 'epochs'] });
+    const reply = await ws.request({ type: 'unsubscribe', channels: ['blocks'] });
+    expect(reply.channels).toEqual(['epochs']);
+
+    source.emit('block', { height: 100 });
+    source.emit('epoch', { epoch: 151 });
+
+    expect(await ws.next()).toEqual({ type: 'epoch', data: { epoch: 151 } });
+  });
+
+  it('should report malformed messages', async () => {
+    const ws = await open();
+
+    ws.send('not json');
+    expect(await ws.next()).toMatchObject({ type: 'error', message: 'Messages must be JSON' });
+    expect(await ws.request({ type: 'subscribe', channels: ['mempool'] })).toMatchObject({
+      type: 'error',
+    });
+    expect(await ws.request({ type: 'subscribe', filters: { addresses: 'x' } })).toMatchObject({
+      type: 'error',
+    });
+    expect(await ws.request({ type: 'listen' })).toMatchObject({ type: 'error' });
+  });
+
+  it('should track connected clients', async () => {
+    await open();
+
+    expect(stream.getStatus()).toMatchObject({ enabled: true, path: '/api/ws', clients: 1 });
+  });
+
+  describe('backpressure', () => {
+    const fakeClient = (bufferedAmount) => ({
+      ws: { readyState: WebSocket.OPEN, bufferedAmount, send: jest.fn(), close: jest.fn() },
+      dropped: 0,
+    });
+
+    it('should drop messages while the send buffer is full', () => {
+      const client = fakeClient(stream.maxBufferedBytes + 1);
+
+      stream._send(client, 'm1');
+      stream._send(client, 'm2');
+
+      expect(client.ws.send).not.toHaveBeenCalled();
+      expect(client.dropped).toBe(2);
+    });
+
+    it('should tell the client how many messages it missed once it catches up', () => {
+      const client = fakeClient(0);
+      client.dropped = 3;
+
+      stream._send(client, 'm3');
+
+      expect(client.ws.send.mock.calls).toEqual([
+        [JSON.stringify({ type: 'lagged', dropped: 3 })],
+        ['m3'],
+      ]);
+      expect(client.dropped).toBe(0);
+    });
+
+    it('should disconnect clients that never catch up', () => {
+      const client = fakeClient(stream.maxBufferedBytes + 1);
+      client.dropped = stream.maxDropped - 1;
+
+      stream._send(client, 'm');
+
+      expect(client.ws.close).toHaveBeenCalledWith(1008, 'Client too slow');
+    });
+  });
+});